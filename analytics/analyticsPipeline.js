@@ -0,0 +1,234 @@
+/**
+ * Telegram Mini Game App - Analytics Pipeline
+ * 
+ * Validates tracked events against their schema, samples them and queues
+ * them in memory. Queued events are written to every sink in batches,
+ * when a batch fills up, on a timer and on shutdown. Failed writes are
+ * retried with exponential backoff and then dropped for that sink.
+ * Tracking never throws and never waits on a sink, so analytics can not
+ * break or slow down a command.
+ */
+
+const crypto = require('crypto');
+const { EVENT_SCHEMAS, validateEvent } = require('./eventSchemas');
+
+// Firestore commits a batch atomically only up to 500 writes
+const MAX_BATCH_SIZE = 100;
+
+// Steps of the stats report funnel, after "was active that day"
+const DEFAULT_FUNNEL = ['game_started', 'game_completed', 'challenge_created'];
+
+class AnalyticsPipeline {
+  /**
+   * @param {Array} sinks - AnalyticsSink instances every event is written to
+   * @param {Object} options - Pipeline options
+   * @param {Object} [options.reportSink] - Sink the stats report is read from
+   * @param {Object} [options.schemas] - Extra event schemas, merged over the defaults
+   * @param {Object} [options.sampleRates] - Share of events kept (0-1) by event name, '*' for the default
+   * @param {number} [options.batchSize] - Events per write, at most 100
+   * @param {number} [options.flushInterval] - Milliseconds between timed flushes
+   * @param {number} [options.maxQueueSize] - Events held before new ones are dropped
+   * @param {number} [options.maxRetries] - Retries of a failed write
+   * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled on each retry
+   * @param {Array<string>} [options.funnel] - Event names of the report funnel steps
+   */
+  constructor(sinks, options = {}) {
+    this.sinks = sinks;
+    this.reportSink = options.reportSink || null;
+    this.schemas = { ...EVENT_SCHEMAS, ...options.schemas };
+    this.sampleRates = { '*': 1, ...options.sampleRates };
+    this.batchSize = Math.min(options.batchSize || 50, MAX_BATCH_SIZE);
+    this.flushInterval = options.flushInterval || 10 * 1000;
+    this.maxQueueSize = options.maxQueueSize || 10000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.funnel = options.funnel || DEFAULT_FUNNEL;
+    
+    this.queue = [];
+    this.flushing = null;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start the timed flushes
+   */
+  start() {
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stop the timed flushes and write every queued event
+   * @returns {Promise<void>} Resolves once the queue is drained
+   */
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+
+  /**
+   * Queue an event, never throws
+   * @param {string} name - Event name
+   * @param {number|null} userId - Acting user, null for platform events
+   * @param {Object} data - Event data
+   */
+  track(name, userId, data) {
+    try {
+      const schema = this.schemas[name];
+      
+      if (!schema) {
+        console.warn(`Analytics event ${name} has no schema, dropped`);
+        return;
+      }
+      
+      const validation = validateEvent(schema, data);
+      
+      if (validation.error) {
+        console.warn(`Analytics event ${name} is invalid (${validation.error}), dropped`);
+        return;
+      }
+      
+      const sampleRate = this.sampleRates[name] !== undefined ? this.sampleRates[name] : this.sampleRates['*'];
+      
+      if (!isSampled(name, userId, sampleRate)) {
+        return;
+      }
+      
+      if (this.queue.length >= this.maxQueueSize) {
+        console.warn(`Analytics queue is full, dropped ${name}`);
+        return;
+      }
+      
+      const timestamp = Date.now();
+      this.queue.push({
+        id: crypto.randomUUID(),
+        name,
+        userId: userId === undefined ? null : userId,
+        data: validation.data,
+        timestamp,
+        day: new Date(timestamp).toISOString().slice(0, 10),
+        sampleRate
+      });
+      
+      if (this.queue.length >= this.batchSize) {
+        this.flush();
+      }
+    } catch (error) {
+      console.error('Error tracking analytics event:', error);
+    }
+  }
+
+  /**
+   * Write queued events to the sinks, one flush at a time
+   * @returns {Promise<void>} Resolves once the queue is drained, never rejects
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    
+    return this.flushing;
+  }
+
+  /**
+   * Write batches until the queue is empty
+   */
+  async drain() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      await Promise.all(this.sinks.map(sink => this.writeWithRetry(sink, batch)));
+    }
+  }
+
+  /**
+   * Write a batch to one sink, retrying with backoff and dropping it if every attempt fails
+   * @param {Object} sink - AnalyticsSink
+   * @param {Array} batch - Events to write
+   */
+  async writeWithRetry(sink, batch) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        await sink.write(batch);
+        return;
+      } catch (error) {
+        if (attempt === this.maxRetries) {
+          console.error(`${sink.constructor.name} dropped ${batch.length} analytics events:`, error.message);
+          return;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * Build the stats report of the last days, including events still queued
+   * @param {number} dayCount - Number of UTC days, ending today
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object|null>} Report, or null without a report sink
+   */
+  async getReport(dayCount, now = Date.now()) {
+    if (!this.reportSink) {
+      return null;
+    }
+    
+    await this.flush();
+    
+    const days = [];
+    for (let offset = dayCount - 1; offset >= 0; offset--) {
+      days.push(new Date(now - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    }
+    
+    const summaries = await this.reportSink.getDailySummaries(days, this.funnel);
+    const sum = getValue => summaries.reduce((total, summary) => total + getValue(summary), 0);
+    
+    // Each step counts the users of every day, so a user active on two days counts twice
+    const funnel = [{ step: 'active', users: sum(summary => summary.activeUsers) }];
+    this.funnel.forEach(step => {
+      const previous = funnel[funnel.length - 1];
+      const users = sum(summary => summary.users[step] || 0);
+      funnel.push({ step, users, dropOff: previous.users > 0 ? 1 - users / previous.users : 0 });
+    });
+    
+    return {
+      from: days[0],
+      to: days[days.length - 1],
+      activeUsersToday: summaries[summaries.length - 1].activeUsers,
+      averageActiveUsers: sum(summary => summary.activeUsers) / summaries.length,
+      gamesStarted: Math.round(sum(summary => summary.counts.game_started || 0)),
+      gamesCompleted: Math.round(sum(summary => summary.counts.game_completed || 0)),
+      funnel
+    };
+  }
+}
+
+/**
+ * Decide whether an event is kept
+ * 
+ * User events are sampled by a hash of the user, so a sampled user's
+ * events of that name are all kept and distinct-user counts stay coherent.
+ * @param {string} name - Event name
+ * @param {number|null} userId - Acting user
+ * @param {number} sampleRate - Share of events kept (0-1)
+ * @returns {boolean} Whether the event is kept
+ */
+function isSampled(name, userId, sampleRate) {
+  if (sampleRate >= 1) {
+    return true;
+  }
+  
+  if (userId === null || userId === undefined) {
+    return Math.random() < sampleRate;
+  }
+  
+  const hash = crypto.createHash('sha1').update(`${name}:${userId}`).digest();
+  return hash.readUInt32BE(0) / 0xffffffff < sampleRate;
+}
+
+module.exports = {
+  AnalyticsPipeline,
+  DEFAULT_FUNNEL
+};
@@ -0,0 +1,49 @@
+/**
+ * Telegram Mini Game App - Analytics Sink
+ * 
+ * Destination interface for batches of analytics events. Every sink
+ * implements `write`; sinks that keep daily aggregates can also serve
+ * the admin stats report through `getDailySummaries`.
+ * 
+ * Events are plain objects of:
+ *   name       - Event name from the schemas
+ *   userId     - Acting user, null for platform events
+ *   data       - Validated event data
+ *   timestamp  - When the event was tracked
+ *   day        - UTC day of the timestamp (YYYY-MM-DD)
+ *   sampleRate - Share of these events that is kept, so counts can be scaled back up
+ */
+
+class AnalyticsSink {
+  /**
+   * Write a batch of events
+   * @param {Array} events - Events to write
+   */
+  async write(events) {
+    throw this.notImplemented('write');
+  }
+
+  /**
+   * Get the aggregates of the given days
+   * @param {Array<string>} days - UTC days (YYYY-MM-DD)
+   * @param {Array<string>} steps - Event names whose distinct users are counted
+   * @returns {Promise<Array>} Entries of { day, activeUsers, counts, users }, where counts
+   *   holds the scaled event totals and users the distinct users per step, both keyed by event name
+   */
+  async getDailySummaries(days, steps) {
+    throw this.notImplemented('getDailySummaries');
+  }
+
+  /**
+   * Build the error thrown by unimplemented methods
+   * @param {string} method - Method name
+   * @returns {Error} Error describing the missing method
+   */
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = {
+  AnalyticsSink
+};
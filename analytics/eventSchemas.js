@@ -0,0 +1,91 @@
+/**
+ * Telegram Mini Game App - Analytics Event Schemas
+ * 
+ * Declares the data fields of every analytics event. Field types are
+ * 'string', 'number', 'boolean', 'array' or 'object'; a leading '?' marks
+ * an optional field, which may also be null. Fields that are not declared
+ * are dropped, and events without a schema or with invalid fields are
+ * rejected by the pipeline.
+ */
+
+const EVENT_SCHEMAS = {
+  deep_link_opened: { type: 'string' },
+  command_used: {
+    command: 'string',
+    subcommand: '?string',
+    gameId: '?string',
+    period: '?string',
+    friends: '?boolean',
+    language: '?string'
+  },
+  button_clicked: { callbackData: 'string', error: '?string' },
+  inline_query: { query: 'string' },
+  recommendations_shown: { surface: 'string', games: 'array' },
+  game_started: { gameId: 'string', recommendation: '?string', source: '?string' },
+  game_completed: { gameId: 'string', score: 'number', duration: 'number', offline: '?boolean' },
+  game_abandoned: { gameId: 'string', startTime: 'number' },
+  score_quarantined: { gameId: 'string', score: 'number', reasons: 'array', offline: '?boolean' },
+  offline_tokens_issued: { gameId: 'string', count: 'number' },
+  offline_synced: {
+    submitted: 'number',
+    accepted: 'number',
+    quarantined: 'number',
+    duplicates: 'number',
+    rejected: 'number'
+  },
+  room_created: { gameId: 'string', roomId: 'string' },
+  room_started: { roomId: 'string', gameId: 'string', players: 'number' },
+  room_finished: { roomId: 'string', gameId: 'string', players: 'number' },
+  spectator_joined: { gameId: 'string' },
+  spectate_ended: { gameId: 'string', viewers: 'number', reactions: 'number' },
+  tournament_finished: { tournamentId: 'string', gameId: 'string', players: 'number' },
+  competition_finished: { competitionId: 'string', chatId: 'number', gameId: 'string', players: 'number' },
+  rewards_claimed: { amount: 'number' },
+  challenge_created: { gameId: 'string' },
+  challenge_accepted: { challengeId: 'string', gameId: 'string' },
+  challenge_completed: { challengeId: 'string', gameId: 'string', won: 'boolean' },
+  settings_updated: { source: 'string', settings: 'array' },
+  notification_sent: { type: 'string', delay: 'number' },
+  notification_failed: { type: 'string', reason: 'string' },
+  invoice_sent: { productId: 'string' },
+  purchase_completed: { productId: 'string', stars: 'number' },
+  bot_added_to_group: { chatId: 'number', chatTitle: '?string', memberCount: '?number' }
+};
+
+/**
+ * Check event data against its schema
+ * @param {Object} schema - Field types keyed by field name
+ * @param {Object} data - Event data
+ * @returns {Object} { data } with only the declared fields, or { error }
+ */
+function validateEvent(schema, data = {}) {
+  const valid = {};
+  
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.startsWith('?');
+    const type = optional ? spec.slice(1) : spec;
+    const value = data[field];
+    
+    if (value === undefined || value === null) {
+      if (!optional) {
+        return { error: `missing ${field}` };
+      }
+      continue;
+    }
+    
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    
+    if (actual !== type) {
+      return { error: `${field} should be ${type}, got ${actual}` };
+    }
+    
+    valid[field] = value;
+  }
+  
+  return { data: valid };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  validateEvent
+};
@@ -0,0 +1,99 @@
+/**
+ * Telegram Mini Game App - Firestore Analytics Sink
+ * 
+ * Stores raw events in `analyticsEvents` and keeps the daily aggregates
+ * the stats report reads: scaled event counts in `analyticsDaily/<day>`
+ * and one `analyticsUsers/<day>_<userId>` document per active user and
+ * day, flagging the events that user sent. Each batch is committed
+ * atomically, so a retried batch is either fully counted or not at all.
+ */
+
+const admin = require('firebase-admin');
+const { AnalyticsSink } = require('./analyticsSink');
+
+const { FieldValue } = admin.firestore;
+
+class FirestoreAnalyticsSink extends AnalyticsSink {
+  /**
+   * @param {Object} db - Firestore instance
+   */
+  constructor(db) {
+    super();
+    
+    this.db = db;
+    this.eventsCollection = db.collection('analyticsEvents');
+    this.dailyCollection = db.collection('analyticsDaily');
+    this.usersCollection = db.collection('analyticsUsers');
+  }
+
+  /**
+   * Write a batch of events and update the daily aggregates in one commit
+   * @param {Array} events - Events to write
+   */
+  async write(events) {
+    const batch = this.db.batch();
+    const counts = {};
+    const users = {};
+    
+    events.forEach(event => {
+      batch.set(this.eventsCollection.doc(event.id), event);
+      
+      counts[event.day] = counts[event.day] || {};
+      counts[event.day][event.name] = (counts[event.day][event.name] || 0) + 1 / event.sampleRate;
+      
+      if (event.userId !== null) {
+        const key = `${event.day}_${event.userId}`;
+        users[key] = users[key] || { day: event.day, userId: event.userId, events: {} };
+        users[key].events[event.name] = true;
+      }
+    });
+    
+    Object.entries(counts).forEach(([day, dayCounts]) => {
+      const increments = {};
+      Object.entries(dayCounts).forEach(([name, count]) => {
+        increments[name] = FieldValue.increment(count);
+      });
+      batch.set(this.dailyCollection.doc(day), { day, counts: increments }, { merge: true });
+    });
+    
+    Object.entries(users).forEach(([key, user]) => {
+      batch.set(this.usersCollection.doc(key), user, { merge: true });
+    });
+    
+    await batch.commit();
+  }
+
+  /**
+   * Get the aggregates of the given days
+   * @param {Array<string>} days - UTC days (YYYY-MM-DD)
+   * @param {Array<string>} steps - Event names whose distinct users are counted
+   * @returns {Promise<Array>} Entries of { day, activeUsers, counts, users }
+   */
+  async getDailySummaries(days, steps) {
+    return Promise.all(days.map(async (day) => {
+      const activeQuery = this.usersCollection.where('day', '==', day);
+      
+      const [dailyDoc, active, ...stepCounts] = await Promise.all([
+        this.dailyCollection.doc(day).get(),
+        activeQuery.count().get(),
+        ...steps.map(step => activeQuery.where(`events.${step}`, '==', true).count().get())
+      ]);
+      
+      const users = {};
+      steps.forEach((step, index) => {
+        users[step] = stepCounts[index].data().count;
+      });
+      
+      return {
+        day,
+        activeUsers: active.data().count,
+        counts: dailyDoc.exists ? dailyDoc.data().counts || {} : {},
+        users
+      };
+    }));
+  }
+}
+
+module.exports = {
+  FirestoreAnalyticsSink
+};
@@ -0,0 +1,41 @@
+/**
+ * Telegram Mini Game App - HTTP Analytics Sink
+ * 
+ * Posts batches of events as `{ events: [...] }` to an HTTP collector.
+ * Collectors should deduplicate on the event `id`, since a batch is sent
+ * again when a request fails or times out.
+ */
+
+const axios = require('axios');
+const { AnalyticsSink } = require('./analyticsSink');
+
+class HttpAnalyticsSink extends AnalyticsSink {
+  /**
+   * @param {string} endpoint - Collector URL
+   * @param {Object} options - Request options
+   * @param {Object} [options.headers] - Extra request headers (e.g. an API key)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(endpoint, options = {}) {
+    super();
+    
+    this.endpoint = endpoint;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10 * 1000;
+  }
+
+  /**
+   * Post a batch of events to the collector
+   * @param {Array} events - Events to write
+   */
+  async write(events) {
+    await axios.post(this.endpoint, { events }, {
+      headers: this.headers,
+      timeout: this.timeout
+    });
+  }
+}
+
+module.exports = {
+  HttpAnalyticsSink
+};
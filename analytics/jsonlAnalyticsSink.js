@@ -0,0 +1,33 @@
+/**
+ * Telegram Mini Game App - JSONL Analytics Sink
+ * 
+ * Appends every event as one JSON line to a local file, for offline
+ * analysis or log shipping.
+ */
+
+const fs = require('fs');
+const { AnalyticsSink } = require('./analyticsSink');
+
+class JsonlAnalyticsSink extends AnalyticsSink {
+  /**
+   * @param {string} path - File the events are appended to
+   */
+  constructor(path) {
+    super();
+    
+    this.path = path;
+  }
+
+  /**
+   * Append a batch of events, one line each
+   * @param {Array} events - Events to write
+   */
+  async write(events) {
+    const lines = events.map(event => JSON.stringify(event)).join('\n');
+    await fs.promises.appendFile(this.path, `${lines}\n`);
+  }
+}
+
+module.exports = {
+  JsonlAnalyticsSink
+};
@@ -0,0 +1,61 @@
+/**
+ * Telegram Mini Game App - In-Memory Analytics Sink
+ * 
+ * Keeps daily aggregates in process memory, for deployments without
+ * Firebase and for tests.
+ */
+
+const { AnalyticsSink } = require('./analyticsSink');
+
+class InMemoryAnalyticsSink extends AnalyticsSink {
+  constructor() {
+    super();
+    // Aggregates keyed by day: { counts, users: Map<userId, Set<event name>> }
+    this.days = new Map();
+  }
+
+  /**
+   * Add a batch of events to the daily aggregates
+   * @param {Array} events - Events to write
+   */
+  async write(events) {
+    events.forEach(event => {
+      if (!this.days.has(event.day)) {
+        this.days.set(event.day, { counts: {}, users: new Map() });
+      }
+      
+      const aggregate = this.days.get(event.day);
+      aggregate.counts[event.name] = (aggregate.counts[event.name] || 0) + 1 / event.sampleRate;
+      
+      if (event.userId !== null) {
+        if (!aggregate.users.has(event.userId)) {
+          aggregate.users.set(event.userId, new Set());
+        }
+        aggregate.users.get(event.userId).add(event.name);
+      }
+    });
+  }
+
+  /**
+   * Get the aggregates of the given days
+   * @param {Array<string>} days - UTC days (YYYY-MM-DD)
+   * @param {Array<string>} steps - Event names whose distinct users are counted
+   * @returns {Promise<Array>} Entries of { day, activeUsers, counts, users }
+   */
+  async getDailySummaries(days, steps) {
+    return days.map(day => {
+      const aggregate = this.days.get(day) || { counts: {}, users: new Map() };
+      const users = {};
+      
+      steps.forEach(step => {
+        users[step] = Array.from(aggregate.users.values()).filter(names => names.has(step)).length;
+      });
+      
+      return { day, activeUsers: aggregate.users.size, counts: { ...aggregate.counts }, users };
+    });
+  }
+}
+
+module.exports = {
+  InMemoryAnalyticsSink
+};
@@ -0,0 +1,97 @@
+/**
+ * Telegram Mini Game App - Callback Router
+ * 
+ * Maps inline button callback data (<action>:<param>:<param>...) to
+ * handlers. Each route lists its parameters with a validator so handlers
+ * only see well-formed payloads. An action may have several routes, e.g.
+ * to keep buttons sent in an older format working; the first route whose
+ * parameters validate wins.
+ */
+
+class CallbackRouter {
+  constructor() {
+    this.routes = new Map();
+  }
+
+  /**
+   * Register a route
+   * @param {string} action - Action name, the part of the callback data before the first ':'
+   * @param {Object} route - Route definition
+   * @param {Array} [route.params] - Ordered parameters of { name, test, optional }, where
+   *   test is a RegExp or a function returning whether the value is acceptable
+   * @param {Function} route.handler - Called with (ctx, params)
+   * @returns {CallbackRouter} The router, for chaining
+   */
+  register(action, { params = [], handler }) {
+    if (!this.routes.has(action)) {
+      this.routes.set(action, []);
+    }
+    
+    this.routes.get(action).push({ action, params, handler });
+    return this;
+  }
+
+  /**
+   * Find the route for callback data and parse its parameters
+   * @param {string} data - Callback data
+   * @returns {Object} { route, params }, or { error } with 'unknown' for
+   *   unregistered actions and 'stale' for malformed or outdated parameters
+   */
+  match(data) {
+    const [action, ...values] = String(data || '').split(':');
+    const routes = this.routes.get(action);
+    
+    if (!routes) {
+      return { error: 'unknown' };
+    }
+    
+    for (const route of routes) {
+      const params = parseParams(route.params, values);
+      
+      if (params) {
+        return { route, params };
+      }
+    }
+    
+    return { error: 'stale' };
+  }
+}
+
+/**
+ * Validate callback values against a route's parameters
+ * @param {Array} specs - Parameter definitions
+ * @param {Array<string>} values - Values from the callback data
+ * @returns {Object|null} Parameters by name, or null if the values do not fit
+ */
+function parseParams(specs, values) {
+  if (values.length > specs.length) {
+    return null;
+  }
+  
+  const params = {};
+  
+  for (const [index, spec] of specs.entries()) {
+    const value = values[index];
+    
+    if (value === undefined || value === '') {
+      if (!spec.optional) {
+        return null;
+      }
+      
+      params[spec.name] = null;
+      continue;
+    }
+    
+    const valid = spec.test instanceof RegExp ? spec.test.test(value) : spec.test(value);
+    
+    if (!valid) {
+      return null;
+    }
+    
+    params[spec.name] = value;
+  }
+  
+  return params;
+}
+
+module.exports = { CallbackRouter };
@@ -0,0 +1,30 @@
+/**
+ * Telegram Mini Game App - Catalog Source
+ * 
+ * Where the game catalog is read from. Every source implements `load`,
+ * returning raw game definitions keyed by game ID; the catalog validates
+ * them, so a source never has to.
+ */
+
+class CatalogSource {
+  /**
+   * Read every game definition
+   * @returns {Promise<Object>} Game definitions keyed by game ID
+   */
+  async load() {
+    throw this.notImplemented('load');
+  }
+
+  /**
+   * Build the error thrown by unimplemented methods
+   * @param {string} method - Method name
+   * @returns {Error} Error describing the missing method
+   */
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = {
+  CatalogSource
+};
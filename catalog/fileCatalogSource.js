@@ -0,0 +1,39 @@
+/**
+ * Telegram Mini Game App - File Catalog Source
+ * 
+ * Reads the game catalog from a JSON file holding one object keyed by
+ * game ID. The file is read again on every reload, so edits are picked
+ * up without a restart.
+ */
+
+const fs = require('fs');
+const { CatalogSource } = require('./catalogSource');
+
+class FileCatalogSource extends CatalogSource {
+  /**
+   * @param {string} path - JSON file with the game definitions
+   */
+  constructor(path) {
+    super();
+    
+    this.path = path;
+  }
+
+  /**
+   * Read every game definition from the file
+   * @returns {Promise<Object>} Game definitions keyed by game ID
+   */
+  async load() {
+    const games = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    
+    if (!games || typeof games !== 'object' || Array.isArray(games)) {
+      throw new Error(`${this.path} should hold an object of games keyed by game ID`);
+    }
+    
+    return games;
+  }
+}
+
+module.exports = {
+  FileCatalogSource
+};
@@ -0,0 +1,39 @@
+/**
+ * Telegram Mini Game App - Firestore Catalog Source
+ * 
+ * Reads the game catalog from the `gameCatalog` collection, one document
+ * per game with the game ID as document ID, so every bot instance serves
+ * the same catalog.
+ */
+
+const { CatalogSource } = require('./catalogSource');
+
+class FirestoreCatalogSource extends CatalogSource {
+  /**
+   * @param {Object} db - Firestore instance
+   */
+  constructor(db) {
+    super();
+    
+    this.catalogCollection = db.collection('gameCatalog');
+  }
+
+  /**
+   * Read every game definition from the collection
+   * @returns {Promise<Object>} Game definitions keyed by game ID
+   */
+  async load() {
+    const snapshot = await this.catalogCollection.get();
+    const games = {};
+    
+    snapshot.forEach(doc => {
+      games[doc.id] = doc.data();
+    });
+    
+    return games;
+  }
+}
+
+module.exports = {
+  FirestoreCatalogSource
+};
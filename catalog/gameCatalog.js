@@ -0,0 +1,352 @@
+/**
+ * Telegram Mini Game App - Game Catalog
+ * 
+ * The games the bot offers, validated against a schema and reloaded from
+ * a catalog source (a JSON file or Firestore) while the bot runs. Flags
+ * operators set at runtime with /admin are applied over the definitions.
+ * 
+ * Game fields:
+ *   name         - Display name
+ *   type         - One of GAME_TYPES
+ *   shortName    - Short name of the game registered with BotFather
+ *   description  - Text of the game invitation
+ *   tags         - Optional keywords for inline search and recommendations
+ *   enabled      - false hides the game and stops new games (default true)
+ *   premium      - Needs the premium entitlement
+ *   entitlement  - Needs this entitlement (e.g. a bundle) or premium
+ *   beta         - Only offered to beta testers and bot admins
+ *   regions      - Only offered to users whose Telegram language is listed,
+ *                  as the full code (pt-br) or its base language (pt)
+ *   availability - Windows [{ from, until }] (ISO dates or timestamps, one
+ *                  end may be left out) outside which the game is switched
+ *                  off, for limited-time games
+ * Other fields (options, antiCheat, multiplayer, parScore, addedAt, ...)
+ * are passed on to the features that read them.
+ * 
+ * An invalid definition is skipped and logged, and a game that was valid
+ * before keeps its last valid version. A game removed from the source
+ * stays known but switched off until restart, so sessions, challenges
+ * and tournaments in progress can still finish.
+ */
+
+// Game types supported by the platform
+const GAME_TYPES = {
+  PUZZLE: 'puzzle',
+  ARCADE: 'arcade',
+  STRATEGY: 'strategy',
+  TRIVIA: 'trivia',
+  MULTIPLAYER: 'multiplayer'
+};
+
+// Field types of a game definition, '?' marks optional fields
+const GAME_SCHEMA = {
+  name: 'string',
+  type: 'string',
+  shortName: 'string',
+  description: 'string',
+  tags: '?array',
+  enabled: '?boolean',
+  premium: '?boolean',
+  entitlement: '?string',
+  beta: '?boolean',
+  regions: '?array',
+  availability: '?array'
+};
+
+// Fields that runtime flags override
+const FLAG_FIELDS = ['enabled', 'premium', 'beta'];
+
+class GameCatalog {
+  /**
+   * @param {Object|null} source - CatalogSource the games are reloaded from, null for a catalog set with apply()
+   * @param {Object} options - Catalog options
+   * @param {Array<number>} [options.betaTesterIds] - Users offered beta games
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.betaTesterIds = new Set(options.betaTesterIds || []);
+    this.definitions = {};
+    this.flags = {};
+    this.games = {};
+  }
+
+  /**
+   * Load the games from the source again
+   * @returns {Promise<Object|null>} { loaded, rejected } as for apply(), null without a source
+   */
+  async reload() {
+    if (!this.source) {
+      return null;
+    }
+    
+    return this.apply(await this.source.load());
+  }
+
+  /**
+   * Validate game definitions and make them the catalog
+   * @param {Object} definitions - Game definitions keyed by game ID
+   * @returns {Object} { loaded, rejected } with the number of valid games and the IDs of invalid ones
+   */
+  apply(definitions) {
+    const next = {};
+    const shortNames = new Map();
+    const rejected = [];
+    
+    Object.entries(definitions).forEach(([gameId, definition]) => {
+      let result = validateGame(gameId, definition);
+      
+      // Game messages are matched to their game by short name
+      if (result.game && shortNames.has(result.game.shortName)) {
+        result = { error: `shortName ${result.game.shortName} is already used by ${shortNames.get(result.game.shortName)}` };
+      }
+      
+      if (result.error) {
+        const previous = this.definitions[gameId];
+        console.warn(`Game ${gameId} is invalid (${result.error}), ${previous ? 'kept its last valid version' : 'skipped'}`);
+        rejected.push(gameId);
+        
+        if (previous) {
+          next[gameId] = previous;
+        }
+        return;
+      }
+      
+      shortNames.set(result.game.shortName, gameId);
+      next[gameId] = result.game;
+    });
+    
+    Object.entries(this.definitions).forEach(([gameId, game]) => {
+      if (!next[gameId]) {
+        next[gameId] = { ...game, retired: true };
+      }
+    });
+    
+    this.definitions = next;
+    this.build();
+    
+    return { loaded: Object.keys(definitions).length - rejected.length, rejected };
+  }
+
+  /**
+   * Replace the runtime flags applied over the definitions
+   * @param {Object} flags - Flags ({ enabled, premium, beta }) keyed by game ID
+   */
+  setFlags(flags) {
+    this.flags = flags || {};
+    this.build();
+  }
+
+  /**
+   * Rebuild the games from the definitions and runtime flags
+   */
+  build() {
+    const games = {};
+    
+    Object.entries(this.definitions).forEach(([gameId, game]) => {
+      const flags = this.flags[gameId] || {};
+      const overrides = {};
+      
+      FLAG_FIELDS.forEach(field => {
+        if (typeof flags[field] === 'boolean') {
+          overrides[field] = flags[field];
+        }
+      });
+      
+      games[gameId] = { ...game, ...overrides };
+    });
+    
+    this.games = games;
+  }
+
+  /**
+   * Check whether a game can be started at all
+   * @param {string} gameId - Game ID
+   * @param {number} now - Timestamp
+   * @returns {boolean} Whether the game is in the catalog, switched on and within an availability window
+   */
+  isEnabled(gameId, now = Date.now()) {
+    const game = this.games[gameId];
+    
+    if (!game || game.retired || game.enabled === false) {
+      return false;
+    }
+    
+    return !game.availability || game.availability.some(window =>
+      (window.from === null || now >= window.from) && (window.until === null || now < window.until)
+    );
+  }
+
+  /**
+   * Check whether a game is offered to a user
+   * @param {string} gameId - Game ID
+   * @param {Object|null} user - User record, null for unknown users
+   * @param {number} now - Timestamp
+   * @returns {boolean} Whether the game is enabled and its beta and region flags allow the user
+   */
+  isAvailableTo(gameId, user, now = Date.now()) {
+    if (!this.isEnabled(gameId, now)) {
+      return false;
+    }
+    
+    const game = this.games[gameId];
+    
+    if (game.beta && !(user && this.betaTesterIds.has(user.userId))) {
+      return false;
+    }
+    
+    if (game.regions) {
+      const language = ((user && user.languageCode) || '').toLowerCase();
+      return game.regions.includes(language) || game.regions.includes(language.split('-')[0]);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the games that can be started
+   * @param {number} now - Timestamp
+   * @returns {Array} Entries of [gameId, game]
+   */
+  getEnabled(now = Date.now()) {
+    return Object.entries(this.games).filter(([gameId]) => this.isEnabled(gameId, now));
+  }
+
+  /**
+   * Get the games offered to a user
+   * @param {Object|null} user - User record, null for unknown users
+   * @param {number} now - Timestamp
+   * @returns {Array} Entries of [gameId, game]
+   */
+  getAvailableTo(user, now = Date.now()) {
+    return Object.entries(this.games).filter(([gameId]) => this.isAvailableTo(gameId, user, now));
+  }
+}
+
+/**
+ * Check a game definition against the schema
+ * @param {string} gameId - Game ID
+ * @param {Object} definition - Game definition
+ * @returns {Object} { game } with normalized tags, regions and availability, or { error }
+ */
+function validateGame(gameId, definition) {
+  // Game IDs are used in callback data, where ':' separates parameters
+  if (!/^[A-Za-z0-9_-]+$/.test(gameId)) {
+    return { error: 'game ID may only contain letters, digits, _ and -' };
+  }
+  
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { error: 'definition should be an object' };
+  }
+  
+  for (const [field, spec] of Object.entries(GAME_SCHEMA)) {
+    const optional = spec.startsWith('?');
+    const type = optional ? spec.slice(1) : spec;
+    const value = definition[field];
+    
+    if (value === undefined || value === null) {
+      if (!optional) {
+        return { error: `missing ${field}` };
+      }
+      continue;
+    }
+    
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    
+    if (actual !== type) {
+      return { error: `${field} should be ${type}, got ${actual}` };
+    }
+  }
+  
+  if (!Object.values(GAME_TYPES).includes(definition.type)) {
+    return { error: `type should be one of ${Object.values(GAME_TYPES).join(', ')}` };
+  }
+  
+  if (!definition.name.trim()) {
+    return { error: 'name is empty' };
+  }
+  
+  if (!/^[A-Za-z0-9_]+$/.test(definition.shortName)) {
+    return { error: 'shortName may only contain letters, digits and _' };
+  }
+  
+  const tags = definition.tags || [];
+  
+  if (!tags.every(tag => typeof tag === 'string')) {
+    return { error: 'tags should be strings' };
+  }
+  
+  const regions = definition.regions || null;
+  
+  if (regions && (regions.length === 0 || !regions.every(region => typeof region === 'string' && region))) {
+    return { error: 'regions should be a non-empty list of language codes' };
+  }
+  
+  let availability = null;
+  
+  if (definition.availability) {
+    availability = definition.availability.map(parseWindow);
+    
+    if (availability.length === 0 || availability.includes(null)) {
+      return { error: 'availability should be a non-empty list of { from, until } windows' };
+    }
+  }
+  
+  return {
+    game: {
+      ...definition,
+      tags,
+      regions: regions && regions.map(region => region.toLowerCase()),
+      availability
+    }
+  };
+}
+
+/**
+ * Parse an availability window
+ * @param {Object} window - Window ({ from, until } as ISO dates or timestamps)
+ * @returns {Object|null} { from, until } as timestamps (null for an open end), or null if invalid
+ */
+function parseWindow(window) {
+  if (!window || typeof window !== 'object') {
+    return null;
+  }
+  
+  const from = parseTime(window.from);
+  const until = parseTime(window.until);
+  
+  if (from === undefined || until === undefined || (from === null && until === null) ||
+    (from !== null && until !== null && from >= until)) {
+    return null;
+  }
+  
+  return { from, until };
+}
+
+/**
+ * Parse a window boundary
+ * @param {string|number|Object|undefined|null} value - ISO date, timestamp or Firestore timestamp
+ * @returns {number|null|undefined} Timestamp, null if left out, undefined if invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  let time = Date.parse(value);
+  
+  if (typeof value === 'number') {
+    time = value;
+  } else if (typeof value.toMillis === 'function') {
+    // Firestore timestamp
+    time = value.toMillis();
+  }
+  
+  return Number.isFinite(time) ? time : undefined;
+}
+
+module.exports = {
+  GameCatalog,
+  GAME_TYPES,
+  GAME_SCHEMA,
+  validateGame
+};
@@ -0,0 +1,576 @@
+/**
+ * Telegram Mini Game App - English Locale
+ */
+
+module.exports = {
+  meta: {
+    name: 'English'
+  },
+  errors: {
+    start: 'Sorry, there was an error opening that link. Please try again later.',
+    newgame: 'Sorry, there was an error starting the game. Please try again later.',
+    challenge: 'Sorry, there was an error creating the challenge. Please try again later.',
+    leaderboard: 'Sorry, there was an error retrieving the leaderboard. Please try again later.',
+    daily: 'Sorry, there was an error retrieving your daily quests. Please try again later.',
+    timezone: 'Sorry, there was an error changing your timezone. Please try again later.',
+    profile: 'Sorry, there was an error retrieving your profile. Please try again later.',
+    achievements: 'Sorry, there was an error retrieving your achievements. Please try again later.',
+    wallet: 'Sorry, there was an error retrieving your wallet. Please try again later.',
+    shop: 'Sorry, there was an error opening the shop. Please try again later.',
+    payment: 'We received your payment but could not deliver your purchase. Please contact support and it will be sorted out or refunded.',
+    tournament: 'Sorry, there was an error with the tournament. Please try again later.',
+    compete: 'Sorry, there was an error with the competition. Please try again later.',
+    language: 'Sorry, there was an error changing the language. Please try again later.',
+    stats: 'Sorry, there was an error building the stats report. Please try again later.',
+    settings: 'Sorry, there was an error opening your settings. Please try again later.',
+    help: 'Sorry, there was an error retrieving help information. Please try again later.',
+    callback: 'An error occurred. Please try again.',
+    web_app_data: 'Sorry, there was an error processing your game data. Please try again later.',
+    web_app_parse: 'There was an error processing your game data. Please try again.',
+    session_invalid: 'Game session expired or invalid. Please start a new game.',
+    session_owner: 'Invalid session owner. Please start your own game.',
+    invalid_score: 'Invalid score submitted. Please start a new game.',
+    offline_batch: 'No offline games to sync, or too many at once. Please try again.',
+    offline_timing: 'This offline game was played outside the time its session was valid for.',
+    admin: 'Sorry, there was an error running that admin command. Please try again later.',
+    banned: 'Your account has been banned from this bot.'
+  },
+  start: {
+    invalid_link: 'This link is not valid anymore. Use /newgame to start playing!'
+  },
+  newgame: {
+    choose: 'Choose a game to play:',
+    more_games: 'More Games',
+    locked: '🔒 {name}',
+    recommended: '✨ {name}',
+    recommended_hint: '✨ Recommended for you'
+  },
+  game: {
+    not_found: 'Game not found',
+    invitation: '🎮 *{name}*\n\n{description}\n\nTap the button below to start playing!',
+    play_now: 'Play Now',
+    how_to_play: 'How to Play',
+    unavailable: 'This game is not available right now. Use /newgame to pick another one.'
+  },
+  tutorial: {
+    title: '📖 *How to play {name}*',
+    types: {
+      puzzle: 'Tap Play Now to open the game\nSolve each puzzle before the timer runs out\nFaster solutions with fewer moves score more points',
+      arcade: 'Tap Play Now to open the game\nTap or swipe to move and dodge obstacles\nSurvive longer and collect bonuses to raise your score',
+      strategy: 'Tap Play Now to open the game\nPlan your moves, every decision counts\nWin efficiently to earn the highest score',
+      trivia: 'Tap Play Now to open the game\nPick the right answer before time runs out\nCorrect answers in a row earn bonus points',
+      multiplayer: 'Join the room from the group invitation\nMark yourself ready, the game starts when everyone is\nThe highest score when the round ends wins'
+    },
+    default: 'Tap Play Now to open the game\nFollow the instructions on screen\nYour best score is saved to the leaderboards'
+  },
+  room: {
+    invitation: '🎮 *{name}* - Multiplayer Room\n\n{description}\n\nWaiting for {min}-{max} players. The game starts when everyone is ready!',
+    join: 'Join Room',
+    watch: 'Watch',
+    closed: 'This room is closed. Start a new one with /newgame!',
+    enter: 'Enter Room',
+    watch_game: 'Watch Game',
+    already_started: 'This game has already started. You can join as a spectator.',
+    full: 'This room is full.',
+    results: '🏁 {game} - Room Results',
+    result_line: {
+      one: '{medal} {name}: {count} point',
+      other: '{medal} {name}: {count} points'
+    },
+    result_left: '(left)',
+    status: '🎮 {name} - {players}/{max} players'
+  },
+  spectate: {
+    watch: '👀 Watch',
+    status: '👀 {player} is playing {name} live.\nViewers: {count}',
+    open: 'Watch Live',
+    not_watched: 'This game is not open to spectators.',
+    ended: 'This game has ended. Start your own with /newgame!'
+  },
+  challenge: {
+    no_games: 'No games found matching "{query}". Please try another game name.',
+    choose: 'Choose a game to challenge your friends:',
+    button: 'Challenge: {game}',
+    custom: 'Create Custom Challenge',
+    not_found: 'This challenge could not be found. Ask your friend for a new link!',
+    expired: 'This challenge has expired. Ask your friend for a new one!',
+    own: 'You can\'t accept your own challenge. Share the link with a friend!',
+    already_played: 'You have already played this challenge.',
+    a_friend: 'A friend',
+    target: {
+      one: 'Score more than *{count}* point to win!',
+      other: 'Score more than *{count}* points to win!'
+    },
+    target_open: 'Set the highest score to win!',
+    invitation: '⚔️ *{challenger} challenged you to {game}!*\n\n{target}',
+    challenger: 'Challenger',
+    result_title: '⚔️ *Challenge Result - {game}*',
+    result_line: {
+      one: '{name}: {count} point',
+      other: '{name}: {count} points'
+    },
+    result_winner: '🏆 {name} wins!',
+    game_not_found: 'Game not found. Please choose another game for your challenge.',
+    invalid_target: 'The target score must be a number of 0 or more.',
+    ready: 'Your {game} challenge is ready! Share this link with your friends:'
+  },
+  leaderboard: {
+    game_not_found: 'No game found matching "{query}". Please check the game name and try again.',
+    title_game: '🏆 Leaderboard for {game}:',
+    title_global: '🏆 Global Leaderboard:',
+    title_friends: '🏆 Friends Leaderboard:',
+    empty: 'No scores recorded yet. Be the first to play!',
+    entry: {
+      one: '{medal} {name}: {count} point',
+      other: '{medal} {name}: {count} points'
+    },
+    view_full: 'View Full Leaderboard',
+    periods: {
+      daily: 'Today',
+      weekly: 'This week',
+      season: 'This season',
+      alltime: 'All time'
+    },
+    friends: 'Friends',
+    my_ranking: 'My Ranking'
+  },
+  ranking: {
+    none: 'You haven\'t played any games yet!',
+    none_period: 'You have no score in this period yet. Play a game to get ranked!',
+    game: 'Your ranking in {game}: {position} out of {total} players\nYour best score: {score}',
+    global: 'Your global ranking: {position} out of {total} players\nYour total score: {score}'
+  },
+  daily: {
+    empty: 'You don\'t have any active daily quests yet. Start playing games to receive quests!',
+    title: '📋 Your Daily Quests:',
+    reward: ' - Reward: {reward}',
+    ready: {
+      one: 'Total rewards ready to claim: {count} coin',
+      other: 'Total rewards ready to claim: {count} coins'
+    },
+    claim: 'Claim Rewards',
+    details: 'Quest Details',
+    none_to_claim: 'No rewards to claim',
+    quests: {
+      play_any: {
+        one: 'Play {target} game',
+        other: 'Play {target} games'
+      },
+      play_puzzle: {
+        one: 'Play {target} puzzle game',
+        other: 'Play {target} puzzle games'
+      },
+      play_arcade: {
+        one: 'Play {target} arcade game',
+        other: 'Play {target} arcade games'
+      },
+      play_trivia: {
+        one: 'Play {target} trivia game',
+        other: 'Play {target} trivia games'
+      },
+      play_strategy: {
+        one: 'Play {target} strategy game',
+        other: 'Play {target} strategy games'
+      },
+      total_score: {
+        one: 'Score {target} point in total',
+        other: 'Score {target} points in total'
+      },
+      score_in_game: {
+        one: 'Score {target} point in {game}',
+        other: 'Score {target} points in {game}'
+      }
+    },
+    claimed: {
+      one: 'You\'ve claimed {count} coin!',
+      other: 'You\'ve claimed {count} coins!'
+    }
+  },
+  timezone: {
+    current: '🕒 Your timezone: {timezone}',
+    default: 'default ({timezone})',
+    usage: 'Daily quests reset and streaks count at midnight in your timezone. Change it with /timezone <Region/City>, e.g. /timezone Europe/Madrid, or /timezone auto for the default.',
+    invalid: '"{timezone}" is not a known timezone. Use a name like Europe/Madrid or America/New_York.',
+    too_soon: 'Your timezone can only be changed once every 24 hours. Please try again later.',
+    saved: '✅ Timezone set to {timezone}. Daily quests now reset at midnight there.'
+  },
+  profile: {
+    not_found: 'Profile not found. Please start a game first to create your profile.',
+    title: '👤 *{name}\'s Profile*',
+    total_score: '🏆 Total Score: {value}',
+    games_played: '🎮 Games Played: {value}',
+    victories: '🥇 Victories: {value}',
+    coins: '💰 Coins: {value}',
+    achievements: '🎖 Achievements: {unlocked}/{total}',
+    streak: {
+      one: '🔥 Daily Streak: {count} day',
+      other: '🔥 Daily Streak: {count} days'
+    },
+    full: 'Full Profile',
+    achievements_button: 'Achievements'
+  },
+  wallet: {
+    title: '💰 Your Wallet',
+    balance: {
+      one: 'Balance: {count} coin',
+      other: 'Balance: {count} coins'
+    },
+    recent: 'Recent transactions:',
+    empty: 'No transactions yet. Complete quests and unlock achievements to earn coins!',
+    reasons: {
+      quest_reward: 'Quest reward',
+      achievement: 'Achievement',
+      purchase: 'Purchase',
+      refund: 'Refund',
+      competition_prize: 'Competition prize',
+      competition_stake: 'Competition prize put up',
+      competition_refund: 'Unclaimed competition prize',
+      adjustment: 'Adjustment',
+      admin_grant: 'Granted by an admin'
+    }
+  },
+  shop: {
+    title: '🛒 Shop\n\nPay with Telegram Stars ⭐. Choose an item:',
+    product_button: '{title} - {stars} ⭐',
+    private_only: 'Purchases are made in a private chat with the bot. Tap the button below to open the shop.',
+    open: 'Open Shop',
+    unknown_product: 'This item is no longer available.',
+    checkout_failed: 'This order is no longer valid. Please open /shop and try again.',
+    fulfilled_coins: {
+      one: '✅ Payment received! {count} coin was added to your wallet.',
+      other: '✅ Payment received! {count} coins were added to your wallet.'
+    },
+    fulfilled_entitlement: '✅ Payment received! {title} is now active.',
+    refunded: '↩️ Your payment for {title} was refunded.',
+    locked: '🔒 This game requires Premium or its game bundle. Open /shop to unlock it.',
+    products: {
+      coins_small: {
+        title: '500 Coins',
+        description: 'A pack of 500 coins to spend in games.'
+      },
+      coins_large: {
+        title: '3,000 Coins',
+        description: 'A big pack of 3,000 coins to spend in games.'
+      },
+      premium_month: {
+        title: 'Premium (30 days)',
+        description: 'Unlocks every premium game for 30 days.'
+      },
+      season_pass: {
+        title: 'Season Pass (90 days)',
+        description: 'Access to season rewards and events for 90 days.'
+      }
+    }
+  },
+  achievements: {
+    title: '🎖 Your Achievements ({unlocked}/{total})',
+    unlocked: 'Unlocked:',
+    locked: 'Locked:',
+    reward: {
+      one: ' - Reward: {count} coin',
+      other: ' - Reward: {count} coins'
+    },
+    definitions: {
+      first_game: {
+        name: 'First Steps',
+        description: 'Complete your first game'
+      },
+      regular: {
+        name: 'Regular',
+        description: 'Complete 50 games'
+      },
+      veteran: {
+        name: 'Veteran',
+        description: 'Complete 500 games'
+      },
+      high_scorer: {
+        name: 'High Scorer',
+        description: 'Score 1,000 points in a single game'
+      },
+      point_collector: {
+        name: 'Point Collector',
+        description: 'Reach 10,000 total points'
+      },
+      streak_7: {
+        name: 'Dedicated',
+        description: 'Play 7 days in a row'
+      },
+      streak_30: {
+        name: 'Unstoppable',
+        description: 'Play 30 days in a row'
+      },
+      first_victory: {
+        name: 'Champion',
+        description: 'Win a challenge, room or tournament'
+      },
+      victories_25: {
+        name: 'Conqueror',
+        description: 'Win 25 challenges, rooms or tournaments'
+      }
+    },
+    button: 'Achievements'
+  },
+  tournament: {
+    group_only: 'Tournaments can only be run in group chats. Add me to a group to get started!',
+    create_usage: 'Please specify a game, e.g. /tournament create <game name>',
+    created_hint: 'Join with /tournament join or the button below. The creator starts it with /tournament start.',
+    join_button: 'Join Tournament',
+    joined: {
+      one: '{name} joined the tournament! ({count} player)',
+      other: '{name} joined the tournament! ({count} players)'
+    },
+    joined_self: {
+      one: 'You joined the tournament! ({count} player)',
+      other: 'You joined the tournament! ({count} players)'
+    },
+    none_active: 'There is no active tournament in this chat. Create one with /tournament create <game name>',
+    match_link_sent: 'Your match link was sent to you in a private chat.',
+    match_link_button: 'Get My Match Link',
+    match: '🏟 Tournament match: {game}\nRound {round} vs {opponent}\n\nYour first completed game counts. Good luck!',
+    match_result: '⚔️ {winner} ({winnerScore}) beat {loser} ({loserScore})',
+    did_not_play: 'did not play',
+    champion: '🏆 {name} wins the tournament!',
+    round_started: '🏟 Round {round} has started! Play your match before {deadline}.',
+    bracket_title: '🏟 {game} Tournament',
+    bracket_players: {
+      one: 'Registered players ({count}):',
+      other: 'Registered players ({count}):'
+    },
+    bracket_round: 'Round {round}:',
+    bracket_match: '{a} vs {b}',
+    bye: 'bye',
+    already_active: 'A tournament is already running in this chat. Use /tournament status to see it.',
+    registration_none: 'There is no tournament open for registration in this chat.',
+    registration_closed: 'Registration for this tournament has closed.',
+    already_joined: 'You have already joined this tournament.',
+    full: 'This tournament is full.',
+    start_none: 'There is no tournament waiting to start in this chat.',
+    creator_only: 'Only the tournament creator can start it.',
+    not_enough_players: 'At least 2 players are needed to start a tournament.',
+    already_started: 'This tournament has already started.',
+    not_running: 'This tournament is not running.',
+    no_match: 'You have no match to play in this round.',
+    already_played: 'You have already played this match. Waiting for your opponent!',
+    private_chat_needed: 'Please open a private chat with me first, then tap the button again.',
+    usage: 'Tournament commands:\n' +
+      '/tournament create <game name> - Open a new tournament\n' +
+      '/tournament join - Join the open tournament\n' +
+      '/tournament start - Close registration and start round 1\n' +
+      '/tournament status - Show the bracket'
+  },
+  competition: {
+    group_only: 'Competitions can only be run in group chats. Add me to a group to get started!',
+    admin_only: 'Only group admins can start or end competitions.',
+    usage: 'Competition commands:\n' +
+      '/compete start <duration> <game name> [| prize] - Start now, e.g. /compete start 7d Puzzle Master | 500\n' +
+      '/compete schedule <delay> <duration> <game name> [| prize] - Start later\n' +
+      '/compete status - Show the standings\n' +
+      '/compete end - End the competition now\n\n' +
+      'Durations look like 30m, 12h, 7d or 2w. A numeric prize is paid in coins, taken from your balance when the competition is created.',
+    invalid_duration: 'Competitions can last at most {max} days and start within {max} days.',
+    already_active: 'This chat already has a competition. End it with /compete end first.',
+    invalid_prize: 'A coin prize must be a whole number of coins greater than zero.',
+    insufficient_coins: 'Coin prizes are paid from your own balance, and you don\'t have enough coins. Your balance: {balance}.',
+    none_active: 'There is no competition in this chat. Admins can start one with /compete start.',
+    started: '🏁 A {game} competition has started!\nThe best score from games started in this chat wins. Ends: {end}\n{prize}',
+    scheduled: '🗓 A {game} competition is scheduled!\nStarts: {start}\nEnds: {end}\n{prize}',
+    standings: '📊 {game} competition standings (ends {end}):',
+    final_standings: '📊 Final {game} standings:',
+    standings_empty: 'No scores yet. Play with /newgame in this chat to enter!',
+    prize_line: '🎁 Prize: {prize}',
+    prize_coins: {
+      one: '{count} coin',
+      other: '{count} coins'
+    },
+    finished: {
+      one: '🏆 The {game} competition is over! {name} wins with {count} point.',
+      other: '🏆 The {game} competition is over! {name} wins with {count} points.'
+    },
+    finished_empty: 'The {game} competition is over. Nobody submitted a score.',
+    prize_refunded: {
+      one: 'The {count} coin prize went back to the organizer.',
+      other: 'The {count} coin prize went back to the organizer.'
+    },
+    prize_awarded: {
+      one: '🎁 {name} receives {count} coin.',
+      other: '🎁 {name} receives {count} coins.'
+    }
+  },
+  completion: {
+    title: '🎮 *{game} - Game Completed!*',
+    score: {
+      one: 'Your score: *{count}* point',
+      other: 'Your score: *{count}* points'
+    },
+    personal_best: '🎉 New personal best!',
+    achievements: '🏆 *Achievements Unlocked:*',
+    quests: '📋 *Quest Progress:*',
+    high_scores: '🎮 *High scores on this game message:*',
+    play_again: 'Play Again',
+    view_leaderboard: 'View Leaderboard',
+    quarantined: {
+      one: 'Your score of {count} point is being reviewed and will appear on leaderboards once verified.',
+      other: 'Your score of {count} points is being reviewed and will appear on leaderboards once verified.'
+    }
+  },
+  language: {
+    choose: '🌐 Choose your language:',
+    choose_group: '🌐 Choose the language for this group:',
+    updated: 'Language set to English.',
+    unsupported: 'Unsupported language "{code}". Available: {languages}',
+    admin_only: 'Only group admins can change the group language.'
+  },
+  settings: {
+    title: '⚙️ Settings\n\nTap a setting to change it.',
+    private_only: 'Settings are personal, change them in a private chat with me.',
+    open: 'Open settings',
+    language: '🌐 Language: {value}',
+    language_auto: 'Telegram language',
+    timezone: '🕒 Timezone: {value}',
+    notifications: '🔔 Notifications: {value}',
+    theme: '🎨 Theme: {value}',
+    themes: {
+      auto: 'Telegram',
+      light: 'Light',
+      dark: 'Dark'
+    },
+    leaderboards_shown: '🏆 Global leaderboards: shown',
+    leaderboards_hidden: '🙈 Global leaderboards: hidden',
+    spectators: '👀 Friends can watch live: {value}',
+    game_options: '🎮 Game options',
+    choose_game: 'Choose a game to change its options:',
+    game_title: '🎮 {name} options',
+    options: {
+      sound: '🔊 Sound',
+      vibration: '📳 Vibration'
+    },
+    on: 'on',
+    off: 'off',
+    back: '« Back',
+    saved: '✅ Settings saved.',
+    invalid: 'These settings are not valid. Please try again.'
+  },
+  stats: {
+    title: '📊 Stats from {from} to {to}',
+    dau: 'Daily active users: {today} today, {average} on average',
+    games: 'Games started: {started} · completed: {completed} ({rate})',
+    funnel: 'Funnel (daily users):',
+    step: '{name}: {users} (−{dropOff})',
+    steps: {
+      active: 'Active',
+      game_started: 'Started a game',
+      game_completed: 'Completed a game',
+      challenge_created: 'Challenged a friend'
+    },
+    unavailable: 'No stats report is available for the configured analytics sinks.',
+    admin_only: 'Only bot admins can view stats.'
+  },
+  notifications: {
+    quest_reset: '🗓 New daily quests are ready! Complete them to earn coins.',
+    streak_warning: {
+      one: '🔥 Your {count}-day streak ends at midnight! Play a game to keep it going.',
+      other: '🔥 Your {count}-day streak ends at midnight! Play a game to keep it going.'
+    },
+    overtaken: {
+      one: '📉 {name} just passed you in {game} with {count} point. Take your place back!',
+      other: '📉 {name} just passed you in {game} with {count} points. Take your place back!'
+    },
+    play: '🎮 Play',
+    footer: 'Turn notifications off in /settings.'
+  },
+  admin: {
+    admin_only: 'Only bot admins can use /admin.',
+    private_only: 'Use /admin in a private chat with me.',
+    usage: 'Admin commands:\n' +
+      '/admin ban <userId> [reason]\n' +
+      '/admin unban <userId>\n' +
+      '/admin wipe <userId> <gameId>\n' +
+      '/admin coins <userId> <amount>\n' +
+      '/admin game <gameId> on|off\n' +
+      '/admin sessions <userId>\n' +
+      '/admin quarantine [approve|reject <id>]\n' +
+      '/admin refund <paymentId>\n' +
+      '/admin broadcast <text>\n' +
+      '/admin audit [count]',
+    user_not_found: 'User {userId} not found.',
+    game_not_found: 'Game {gameId} not found.',
+    invalid_amount: 'The amount must be a whole number other than 0.',
+    insufficient_funds: 'User {userId} only has {balance} coins.',
+    banned: 'User {userId} is banned.',
+    unbanned: 'User {userId} is no longer banned.',
+    wiped: {
+      one: 'Removed {count} score of user {userId} in {game}.',
+      other: 'Removed {count} scores of user {userId} in {game}.'
+    },
+    coins_granted: 'Applied {amount} coins to user {userId}. New balance: {balance}.',
+    game_on: '{game} is enabled.',
+    game_off: '{game} is disabled. Running tournaments and challenges can still finish.',
+    sessions_title: 'Sessions of user {userId}:',
+    session_line: '{game} · started {started} · {status}',
+    session_playing: 'playing',
+    session_offline: 'offline',
+    session_completed: 'completed, score {score}',
+    no_sessions: 'User {userId} has no sessions.',
+    broadcast_started: 'Queuing the announcement…',
+    broadcast_queued: {
+      one: 'Announcement queued for {count} user.',
+      other: 'Announcement queued for {count} users.'
+    },
+    quarantine_title: 'Scores waiting for review (/admin quarantine approve|reject <id>):',
+    quarantine_line: '{scoreId} · user {userId} · {game} · score {score} · {created}',
+    quarantine_empty: 'No scores are waiting for review.',
+    score_approved: 'Score {scoreId} approved and recorded.',
+    score_rejected: 'Score {scoreId} rejected.',
+    score_not_found: 'Quarantined score {scoreId} not found or already reviewed.',
+    refunded: 'Payment {paymentId} refunded: {stars} ⭐ back to user {userId}.',
+    payment_not_found: 'Payment {paymentId} not found.',
+    already_refunded: 'Payment {paymentId} is already refunded or being refunded.',
+    coins_spent: 'The coins bought with payment {paymentId} were already spent, so it can\'t be refunded.',
+    refund_failed: 'Telegram could not refund payment {paymentId}. Nothing was taken back; try again later.',
+    audit_title: 'Recent admin actions:',
+    audit_empty: 'No admin actions yet.'
+  },
+  help: {
+    text: '*Telegram Mini Game - Help*\n\n' +
+      'Here are the available commands:\n\n' +
+      '/newgame - Start a new game session\n' +
+      '/challenge - Challenge a friend\n' +
+      '/leaderboard - View rankings (add daily, weekly, season or friends)\n' +
+      '/daily - Check your daily quests\n' +
+      '/timezone - Set the timezone daily quests reset in\n' +
+      '/profile - View your gaming profile\n' +
+      '/achievements - View your achievements\n' +
+      '/wallet - View your coins and transactions\n' +
+      '/shop - Buy coins and Premium with Stars\n' +
+      '/tournament - Run a tournament in a group\n' +
+      '/compete - Run a timed competition in a group\n' +
+      '/language - Change the bot language\n' +
+      '/settings - Notifications, theme, privacy and game options\n' +
+      '/help - Show this help message\n\n' +
+      '*How to Play:*\n' +
+      '1. Use /newgame to select a game\n' +
+      '2. Play the game in Telegram\n' +
+      '3. Your scores will be automatically recorded\n' +
+      '4. Challenge friends with /challenge\n' +
+      '5. Complete daily quests for rewards\n\n' +
+      '*Need More Help?*\n' +
+      'Tap the button below to visit our support channel',
+    support: 'Support Channel',
+    tutorials: 'Game Tutorials'
+  },
+  welcome: {
+    group: 'Thanks for adding me to {title}!\n\n' +
+      'I\'m a Mini Game Bot that lets you play fun games directly in Telegram.\n\n' +
+      '*Group Commands:*\n' +
+      '/newgame - Start a new game\n' +
+      '/challenge - Challenge group members\n' +
+      '/leaderboard - View group rankings\n' +
+      '/language - Change the group language\n\n' +
+      'Get started by using /newgame command!',
+    start_playing: 'Start Playing'
+  },
+  callback: {
+    unknown: 'Action not recognized',
+    stale: 'This button is no longer valid. Use /newgame to start again.'
+  }
+};
@@ -0,0 +1,576 @@
+/**
+ * Telegram Mini Game App - Spanish Locale
+ */
+
+module.exports = {
+  meta: {
+    name: 'Español'
+  },
+  errors: {
+    start: 'Lo sentimos, hubo un error al abrir ese enlace. Inténtalo de nuevo más tarde.',
+    newgame: 'Lo sentimos, hubo un error al iniciar el juego. Inténtalo de nuevo más tarde.',
+    challenge: 'Lo sentimos, hubo un error al crear el desafío. Inténtalo de nuevo más tarde.',
+    leaderboard: 'Lo sentimos, hubo un error al obtener la clasificación. Inténtalo de nuevo más tarde.',
+    daily: 'Lo sentimos, hubo un error al obtener tus misiones diarias. Inténtalo de nuevo más tarde.',
+    timezone: 'Lo sentimos, hubo un error al cambiar tu zona horaria. Inténtalo de nuevo más tarde.',
+    profile: 'Lo sentimos, hubo un error al obtener tu perfil. Inténtalo de nuevo más tarde.',
+    achievements: 'Lo sentimos, hubo un error al obtener tus logros. Inténtalo de nuevo más tarde.',
+    wallet: 'Lo sentimos, hubo un error al obtener tu monedero. Inténtalo de nuevo más tarde.',
+    shop: 'Lo sentimos, hubo un error al abrir la tienda. Inténtalo de nuevo más tarde.',
+    payment: 'Recibimos tu pago pero no pudimos entregar tu compra. Contacta con soporte y lo resolveremos o te lo reembolsaremos.',
+    tournament: 'Lo sentimos, hubo un error con el torneo. Inténtalo de nuevo más tarde.',
+    compete: 'Lo sentimos, hubo un error con la competición. Inténtalo de nuevo más tarde.',
+    language: 'Lo sentimos, hubo un error al cambiar el idioma. Inténtalo de nuevo más tarde.',
+    stats: 'Error al generar el informe de estadísticas. Inténtalo más tarde.',
+    settings: 'Error al abrir tus ajustes. Inténtalo más tarde.',
+    help: 'Lo sentimos, hubo un error al obtener la ayuda. Inténtalo de nuevo más tarde.',
+    callback: 'Ocurrió un error. Inténtalo de nuevo.',
+    web_app_data: 'Lo sentimos, hubo un error al procesar los datos de tu partida. Inténtalo de nuevo más tarde.',
+    web_app_parse: 'Hubo un error al procesar los datos de tu partida. Inténtalo de nuevo.',
+    session_invalid: 'La sesión de juego expiró o no es válida. Inicia una nueva partida.',
+    session_owner: 'Esta sesión pertenece a otro jugador. Inicia tu propia partida.',
+    invalid_score: 'La puntuación enviada no es válida. Inicia una nueva partida.',
+    offline_batch: 'No hay partidas sin conexión para sincronizar o son demasiadas a la vez. Inténtalo de nuevo.',
+    offline_timing: 'Esta partida sin conexión se jugó fuera del periodo de validez de su sesión.',
+    admin: 'Lo sentimos, hubo un error al ejecutar ese comando de administración. Inténtalo de nuevo más tarde.',
+    banned: 'Tu cuenta ha sido bloqueada en este bot.'
+  },
+  start: {
+    invalid_link: 'Este enlace ya no es válido. ¡Usa /newgame para empezar a jugar!'
+  },
+  newgame: {
+    choose: 'Elige un juego:',
+    more_games: 'Más juegos',
+    locked: '🔒 {name}',
+    recommended: '✨ {name}',
+    recommended_hint: '✨ Recomendados para ti'
+  },
+  game: {
+    not_found: 'Juego no encontrado',
+    invitation: '🎮 *{name}*\n\n{description}\n\n¡Pulsa el botón de abajo para empezar a jugar!',
+    play_now: 'Jugar ahora',
+    how_to_play: 'Cómo jugar',
+    unavailable: 'Este juego no está disponible ahora. Usa /newgame para elegir otro.'
+  },
+  tutorial: {
+    title: '📖 *Cómo jugar a {name}*',
+    types: {
+      puzzle: 'Pulsa Jugar ahora para abrir el juego\nResuelve cada rompecabezas antes de que se acabe el tiempo\nLas soluciones más rápidas y con menos movimientos dan más puntos',
+      arcade: 'Pulsa Jugar ahora para abrir el juego\nToca o desliza para moverte y esquivar obstáculos\nAguanta más y recoge bonificaciones para subir tu puntuación',
+      strategy: 'Pulsa Jugar ahora para abrir el juego\nPlanifica tus jugadas, cada decisión cuenta\nGana de forma eficiente para lograr la mejor puntuación',
+      trivia: 'Pulsa Jugar ahora para abrir el juego\nElige la respuesta correcta antes de que se acabe el tiempo\nLas respuestas correctas seguidas dan puntos extra',
+      multiplayer: 'Únete a la sala desde la invitación del grupo\nMárcate como listo, la partida empieza cuando todos lo están\nGana la mejor puntuación al terminar la ronda'
+    },
+    default: 'Pulsa Jugar ahora para abrir el juego\nSigue las instrucciones en pantalla\nTu mejor puntuación se guarda en las clasificaciones'
+  },
+  room: {
+    invitation: '🎮 *{name}* - Sala multijugador\n\n{description}\n\nEsperando de {min} a {max} jugadores. ¡La partida empieza cuando todos estén listos!',
+    join: 'Unirse a la sala',
+    watch: 'Mirar',
+    closed: 'Esta sala está cerrada. ¡Crea una nueva con /newgame!',
+    enter: 'Entrar en la sala',
+    watch_game: 'Ver partida',
+    already_started: 'Esta partida ya ha empezado. Puedes entrar como espectador.',
+    full: 'Esta sala está llena.',
+    results: '🏁 {game} - Resultados de la sala',
+    result_line: {
+      one: '{medal} {name}: {count} punto',
+      other: '{medal} {name}: {count} puntos'
+    },
+    result_left: '(abandonó)',
+    status: '🎮 {name} - {players}/{max} jugadores'
+  },
+  spectate: {
+    watch: '👀 Mirar',
+    status: '👀 {player} está jugando a {name} en directo.\nEspectadores: {count}',
+    open: 'Ver en directo',
+    not_watched: 'Esta partida no está abierta a espectadores.',
+    ended: 'Esta partida ha terminado. ¡Empieza la tuya con /newgame!'
+  },
+  challenge: {
+    no_games: 'No se encontraron juegos que coincidan con "{query}". Prueba con otro nombre.',
+    choose: 'Elige un juego para desafiar a tus amigos:',
+    button: 'Desafío: {game}',
+    custom: 'Crear desafío personalizado',
+    not_found: 'No se encontró este desafío. ¡Pide a tu amigo un enlace nuevo!',
+    expired: 'Este desafío ha expirado. ¡Pide a tu amigo uno nuevo!',
+    own: 'No puedes aceptar tu propio desafío. ¡Comparte el enlace con un amigo!',
+    already_played: 'Ya has jugado este desafío.',
+    a_friend: 'Un amigo',
+    target: {
+      one: '¡Consigue más de *{count}* punto para ganar!',
+      other: '¡Consigue más de *{count}* puntos para ganar!'
+    },
+    target_open: '¡Consigue la puntuación más alta para ganar!',
+    invitation: '⚔️ *¡{challenger} te desafió a {game}!*\n\n{target}',
+    challenger: 'Retador',
+    result_title: '⚔️ *Resultado del desafío - {game}*',
+    result_line: {
+      one: '{name}: {count} punto',
+      other: '{name}: {count} puntos'
+    },
+    result_winner: '🏆 ¡{name} gana!',
+    game_not_found: 'Juego no encontrado. Elige otro juego para tu desafío.',
+    invalid_target: 'La puntuación objetivo debe ser un número mayor o igual que 0.',
+    ready: '¡Tu desafío de {game} está listo! Comparte este enlace con tus amigos:'
+  },
+  leaderboard: {
+    game_not_found: 'No se encontró ningún juego llamado "{query}". Revisa el nombre e inténtalo de nuevo.',
+    title_game: '🏆 Clasificación de {game}:',
+    title_global: '🏆 Clasificación global:',
+    title_friends: '🏆 Clasificación de amigos:',
+    empty: 'Todavía no hay puntuaciones. ¡Sé el primero en jugar!',
+    entry: {
+      one: '{medal} {name}: {count} punto',
+      other: '{medal} {name}: {count} puntos'
+    },
+    view_full: 'Ver clasificación completa',
+    periods: {
+      daily: 'Hoy',
+      weekly: 'Esta semana',
+      season: 'Esta temporada',
+      alltime: 'Histórico'
+    },
+    friends: 'Amigos',
+    my_ranking: 'Mi posición'
+  },
+  ranking: {
+    none: '¡Todavía no has jugado ninguna partida!',
+    none_period: 'Todavía no tienes puntuación en este periodo. ¡Juega una partida para aparecer!',
+    game: 'Tu posición en {game}: {position} de {total} jugadores\nTu mejor puntuación: {score}',
+    global: 'Tu posición global: {position} de {total} jugadores\nTu puntuación total: {score}'
+  },
+  daily: {
+    empty: 'Aún no tienes misiones diarias activas. ¡Juega para recibir misiones!',
+    title: '📋 Tus misiones diarias:',
+    reward: ' - Recompensa: {reward}',
+    ready: {
+      one: 'Recompensas listas para reclamar: {count} moneda',
+      other: 'Recompensas listas para reclamar: {count} monedas'
+    },
+    claim: 'Reclamar recompensas',
+    details: 'Detalles de las misiones',
+    none_to_claim: 'No hay recompensas para reclamar',
+    quests: {
+      play_any: {
+        one: 'Juega {target} partida',
+        other: 'Juega {target} partidas'
+      },
+      play_puzzle: {
+        one: 'Juega {target} partida de puzle',
+        other: 'Juega {target} partidas de puzle'
+      },
+      play_arcade: {
+        one: 'Juega {target} partida arcade',
+        other: 'Juega {target} partidas arcade'
+      },
+      play_trivia: {
+        one: 'Juega {target} partida de trivia',
+        other: 'Juega {target} partidas de trivia'
+      },
+      play_strategy: {
+        one: 'Juega {target} partida de estrategia',
+        other: 'Juega {target} partidas de estrategia'
+      },
+      total_score: {
+        one: 'Consigue {target} punto en total',
+        other: 'Consigue {target} puntos en total'
+      },
+      score_in_game: {
+        one: 'Consigue {target} punto en {game}',
+        other: 'Consigue {target} puntos en {game}'
+      }
+    },
+    claimed: {
+      one: '¡Has reclamado {count} moneda!',
+      other: '¡Has reclamado {count} monedas!'
+    }
+  },
+  timezone: {
+    current: '🕒 Tu zona horaria: {timezone}',
+    default: 'predeterminada ({timezone})',
+    usage: 'Las misiones diarias se renuevan y las rachas cuentan a medianoche en tu zona horaria. Cámbiala con /timezone <Región/Ciudad>, p. ej. /timezone Europe/Madrid, o con /timezone auto para la predeterminada.',
+    invalid: '"{timezone}" no es una zona horaria conocida. Usa un nombre como Europe/Madrid o America/New_York.',
+    too_soon: 'Tu zona horaria solo se puede cambiar una vez cada 24 horas. Inténtalo de nuevo más tarde.',
+    saved: '✅ Zona horaria cambiada a {timezone}. Las misiones diarias se renuevan a medianoche allí.'
+  },
+  profile: {
+    not_found: 'Perfil no encontrado. Juega una partida para crear tu perfil.',
+    title: '👤 *Perfil de {name}*',
+    total_score: '🏆 Puntuación total: {value}',
+    games_played: '🎮 Partidas jugadas: {value}',
+    victories: '🥇 Victorias: {value}',
+    coins: '💰 Monedas: {value}',
+    achievements: '🎖 Logros: {unlocked}/{total}',
+    streak: {
+      one: '🔥 Racha diaria: {count} día',
+      other: '🔥 Racha diaria: {count} días'
+    },
+    full: 'Perfil completo',
+    achievements_button: 'Logros'
+  },
+  wallet: {
+    title: '💰 Tu monedero',
+    balance: {
+      one: 'Saldo: {count} moneda',
+      other: 'Saldo: {count} monedas'
+    },
+    recent: 'Movimientos recientes:',
+    empty: 'Aún no hay movimientos. ¡Completa misiones y desbloquea logros para ganar monedas!',
+    reasons: {
+      quest_reward: 'Recompensa de misión',
+      achievement: 'Logro',
+      purchase: 'Compra',
+      refund: 'Reembolso',
+      competition_prize: 'Premio de competición',
+      competition_stake: 'Premio de competición aportado',
+      competition_refund: 'Premio de competición sin reclamar',
+      adjustment: 'Ajuste',
+      admin_grant: 'Concedido por un administrador'
+    }
+  },
+  shop: {
+    title: '🛒 Tienda\n\nPaga con Telegram Stars ⭐. Elige un artículo:',
+    product_button: '{title} - {stars} ⭐',
+    private_only: 'Las compras se hacen en un chat privado con el bot. Pulsa el botón de abajo para abrir la tienda.',
+    open: 'Abrir tienda',
+    unknown_product: 'Este artículo ya no está disponible.',
+    checkout_failed: 'Este pedido ya no es válido. Abre /shop e inténtalo de nuevo.',
+    fulfilled_coins: {
+      one: '✅ ¡Pago recibido! Se añadió {count} moneda a tu monedero.',
+      other: '✅ ¡Pago recibido! Se añadieron {count} monedas a tu monedero.'
+    },
+    fulfilled_entitlement: '✅ ¡Pago recibido! {title} ya está activo.',
+    refunded: '↩️ Se reembolsó tu pago por {title}.',
+    locked: '🔒 Este juego requiere Premium o su paquete de juegos. Abre /shop para desbloquearlo.',
+    products: {
+      coins_small: {
+        title: '500 monedas',
+        description: 'Un paquete de 500 monedas para gastar en los juegos.'
+      },
+      coins_large: {
+        title: '3.000 monedas',
+        description: 'Un gran paquete de 3.000 monedas para gastar en los juegos.'
+      },
+      premium_month: {
+        title: 'Premium (30 días)',
+        description: 'Desbloquea todos los juegos premium durante 30 días.'
+      },
+      season_pass: {
+        title: 'Pase de temporada (90 días)',
+        description: 'Acceso a las recompensas y eventos de la temporada durante 90 días.'
+      }
+    }
+  },
+  achievements: {
+    title: '🎖 Tus logros ({unlocked}/{total})',
+    unlocked: 'Desbloqueados:',
+    locked: 'Bloqueados:',
+    reward: {
+      one: ' - Recompensa: {count} moneda',
+      other: ' - Recompensa: {count} monedas'
+    },
+    definitions: {
+      first_game: {
+        name: 'Primeros pasos',
+        description: 'Completa tu primera partida'
+      },
+      regular: {
+        name: 'Habitual',
+        description: 'Completa 50 partidas'
+      },
+      veteran: {
+        name: 'Veterano',
+        description: 'Completa 500 partidas'
+      },
+      high_scorer: {
+        name: 'Gran puntuación',
+        description: 'Consigue 1.000 puntos en una sola partida'
+      },
+      point_collector: {
+        name: 'Coleccionista de puntos',
+        description: 'Alcanza 10.000 puntos en total'
+      },
+      streak_7: {
+        name: 'Constante',
+        description: 'Juega 7 días seguidos'
+      },
+      streak_30: {
+        name: 'Imparable',
+        description: 'Juega 30 días seguidos'
+      },
+      first_victory: {
+        name: 'Campeón',
+        description: 'Gana un desafío, una sala o un torneo'
+      },
+      victories_25: {
+        name: 'Conquistador',
+        description: 'Gana 25 desafíos, salas o torneos'
+      }
+    },
+    button: 'Logros'
+  },
+  tournament: {
+    group_only: 'Los torneos solo se pueden jugar en grupos. ¡Añádeme a un grupo para empezar!',
+    create_usage: 'Indica un juego, p. ej. /tournament create <nombre del juego>',
+    created_hint: 'Únete con /tournament join o con el botón de abajo. El creador lo inicia con /tournament start.',
+    join_button: 'Unirse al torneo',
+    joined: {
+      one: '¡{name} se unió al torneo! ({count} jugador)',
+      other: '¡{name} se unió al torneo! ({count} jugadores)'
+    },
+    joined_self: {
+      one: '¡Te uniste al torneo! ({count} jugador)',
+      other: '¡Te uniste al torneo! ({count} jugadores)'
+    },
+    none_active: 'No hay ningún torneo activo en este chat. Crea uno con /tournament create <nombre del juego>',
+    match_link_sent: 'Te enviamos el enlace de tu partida por chat privado.',
+    match_link_button: 'Obtener mi enlace de partida',
+    match: '🏟 Partida de torneo: {game}\nRonda {round} contra {opponent}\n\nCuenta tu primera partida completada. ¡Buena suerte!',
+    match_result: '⚔️ {winner} ({winnerScore}) venció a {loser} ({loserScore})',
+    did_not_play: 'no jugó',
+    champion: '🏆 ¡{name} gana el torneo!',
+    round_started: '🏟 ¡Ha empezado la ronda {round}! Juega tu partida antes del {deadline}.',
+    bracket_title: '🏟 Torneo de {game}',
+    bracket_players: {
+      one: 'Jugadores inscritos ({count}):',
+      other: 'Jugadores inscritos ({count}):'
+    },
+    bracket_round: 'Ronda {round}:',
+    bracket_match: '{a} contra {b}',
+    bye: 'pase directo',
+    already_active: 'Ya hay un torneo en curso en este chat. Usa /tournament status para verlo.',
+    registration_none: 'No hay ningún torneo con inscripciones abiertas en este chat.',
+    registration_closed: 'Las inscripciones de este torneo están cerradas.',
+    already_joined: 'Ya te uniste a este torneo.',
+    full: 'Este torneo está completo.',
+    start_none: 'No hay ningún torneo esperando a empezar en este chat.',
+    creator_only: 'Solo el creador del torneo puede iniciarlo.',
+    not_enough_players: 'Se necesitan al menos 2 jugadores para iniciar un torneo.',
+    already_started: 'Este torneo ya ha empezado.',
+    not_running: 'Este torneo no está en curso.',
+    no_match: 'No tienes ninguna partida que jugar en esta ronda.',
+    already_played: 'Ya jugaste esta partida. ¡Esperando a tu rival!',
+    private_chat_needed: 'Abre primero un chat privado conmigo y vuelve a pulsar el botón.',
+    usage: 'Comandos de torneo:\n' +
+      '/tournament create <nombre del juego> - Abrir un torneo nuevo\n' +
+      '/tournament join - Unirse al torneo abierto\n' +
+      '/tournament start - Cerrar inscripciones e iniciar la ronda 1\n' +
+      '/tournament status - Mostrar el cuadro'
+  },
+  competition: {
+    group_only: 'Las competiciones solo se pueden organizar en grupos. ¡Añádeme a un grupo para empezar!',
+    admin_only: 'Solo los administradores del grupo pueden iniciar o terminar competiciones.',
+    usage: 'Comandos de competición:\n' +
+      '/compete start <duración> <nombre del juego> [| premio] - Empezar ahora, p. ej. /compete start 7d Puzzle Master | 500\n' +
+      '/compete schedule <espera> <duración> <nombre del juego> [| premio] - Empezar más tarde\n' +
+      '/compete status - Mostrar la clasificación\n' +
+      '/compete end - Terminar la competición ahora\n\n' +
+      'Las duraciones se escriben como 30m, 12h, 7d o 2w. Un premio numérico se paga en monedas, que se descuentan de tu saldo al crear la competición.',
+    invalid_duration: 'Las competiciones duran como máximo {max} días y deben empezar dentro de {max} días.',
+    already_active: 'Este chat ya tiene una competición. Termínala primero con /compete end.',
+    invalid_prize: 'Un premio en monedas debe ser un número entero de monedas mayor que cero.',
+    insufficient_coins: 'Los premios en monedas se pagan de tu propio saldo y no tienes suficientes monedas. Tu saldo: {balance}.',
+    none_active: 'No hay ninguna competición en este chat. Los administradores pueden iniciar una con /compete start.',
+    started: '🏁 ¡Ha empezado una competición de {game}!\nGana la mejor puntuación de las partidas iniciadas en este chat. Termina: {end}\n{prize}',
+    scheduled: '🗓 ¡Hay una competición de {game} programada!\nEmpieza: {start}\nTermina: {end}\n{prize}',
+    standings: '📊 Clasificación de la competición de {game} (termina {end}):',
+    final_standings: '📊 Clasificación final de {game}:',
+    standings_empty: 'Todavía no hay puntuaciones. ¡Juega con /newgame en este chat para participar!',
+    prize_line: '🎁 Premio: {prize}',
+    prize_coins: {
+      one: '{count} moneda',
+      other: '{count} monedas'
+    },
+    finished: {
+      one: '🏆 ¡La competición de {game} ha terminado! {name} gana con {count} punto.',
+      other: '🏆 ¡La competición de {game} ha terminado! {name} gana con {count} puntos.'
+    },
+    finished_empty: 'La competición de {game} ha terminado. Nadie envió una puntuación.',
+    prize_refunded: {
+      one: 'El premio de {count} moneda volvió al organizador.',
+      other: 'El premio de {count} monedas volvió al organizador.'
+    },
+    prize_awarded: {
+      one: '🎁 {name} recibe {count} moneda.',
+      other: '🎁 {name} recibe {count} monedas.'
+    }
+  },
+  completion: {
+    title: '🎮 *{game} - ¡Partida terminada!*',
+    score: {
+      one: 'Tu puntuación: *{count}* punto',
+      other: 'Tu puntuación: *{count}* puntos'
+    },
+    personal_best: '🎉 ¡Nuevo récord personal!',
+    achievements: '🏆 *Logros desbloqueados:*',
+    quests: '📋 *Progreso de misiones:*',
+    high_scores: '🎮 *Récords de este mensaje de juego:*',
+    play_again: 'Jugar de nuevo',
+    view_leaderboard: 'Ver clasificación',
+    quarantined: {
+      one: 'Tu puntuación de {count} punto está en revisión y aparecerá en las clasificaciones una vez verificada.',
+      other: 'Tu puntuación de {count} puntos está en revisión y aparecerá en las clasificaciones una vez verificada.'
+    }
+  },
+  language: {
+    choose: '🌐 Elige tu idioma:',
+    choose_group: '🌐 Elige el idioma de este grupo:',
+    updated: 'Idioma cambiado a español.',
+    unsupported: 'Idioma no disponible "{code}". Disponibles: {languages}',
+    admin_only: 'Solo los administradores del grupo pueden cambiar el idioma del grupo.'
+  },
+  settings: {
+    title: '⚙️ Ajustes\n\nToca un ajuste para cambiarlo.',
+    private_only: 'Los ajustes son personales, cámbialos en un chat privado conmigo.',
+    open: 'Abrir ajustes',
+    language: '🌐 Idioma: {value}',
+    language_auto: 'Idioma de Telegram',
+    timezone: '🕒 Zona horaria: {value}',
+    notifications: '🔔 Notificaciones: {value}',
+    theme: '🎨 Tema: {value}',
+    themes: {
+      auto: 'Telegram',
+      light: 'Claro',
+      dark: 'Oscuro'
+    },
+    leaderboards_shown: '🏆 Clasificaciones globales: visible',
+    leaderboards_hidden: '🙈 Clasificaciones globales: oculto',
+    spectators: '👀 Tus amigos pueden mirar en directo: {value}',
+    game_options: '🎮 Opciones de juego',
+    choose_game: 'Elige un juego para cambiar sus opciones:',
+    game_title: '🎮 Opciones de {name}',
+    options: {
+      sound: '🔊 Sonido',
+      vibration: '📳 Vibración'
+    },
+    on: 'sí',
+    off: 'no',
+    back: '« Volver',
+    saved: '✅ Ajustes guardados.',
+    invalid: 'Estos ajustes no son válidos. Inténtalo de nuevo.'
+  },
+  stats: {
+    title: '📊 Estadísticas del {from} al {to}',
+    dau: 'Usuarios activos diarios: {today} hoy, {average} de media',
+    games: 'Partidas iniciadas: {started} · completadas: {completed} ({rate})',
+    funnel: 'Embudo (usuarios diarios):',
+    step: '{name}: {users} (−{dropOff})',
+    steps: {
+      active: 'Activos',
+      game_started: 'Iniciaron una partida',
+      game_completed: 'Completaron una partida',
+      challenge_created: 'Retaron a un amigo'
+    },
+    unavailable: 'No hay informe de estadísticas para los destinos de analítica configurados.',
+    admin_only: 'Solo los administradores del bot pueden ver las estadísticas.'
+  },
+  notifications: {
+    quest_reset: '🗓 ¡Tus nuevas misiones diarias están listas! Complétalas para ganar monedas.',
+    streak_warning: {
+      one: '🔥 ¡Tu racha de {count} día termina a medianoche! Juega una partida para mantenerla.',
+      other: '🔥 ¡Tu racha de {count} días termina a medianoche! Juega una partida para mantenerla.'
+    },
+    overtaken: {
+      one: '📉 {name} acaba de superarte en {game} con {count} punto. ¡Recupera tu puesto!',
+      other: '📉 {name} acaba de superarte en {game} con {count} puntos. ¡Recupera tu puesto!'
+    },
+    play: '🎮 Jugar',
+    footer: 'Desactiva las notificaciones en /settings.'
+  },
+  admin: {
+    admin_only: 'Solo los administradores del bot pueden usar /admin.',
+    private_only: 'Usa /admin en un chat privado conmigo.',
+    usage: 'Comandos de administración:\n' +
+      '/admin ban <userId> [motivo]\n' +
+      '/admin unban <userId>\n' +
+      '/admin wipe <userId> <gameId>\n' +
+      '/admin coins <userId> <cantidad>\n' +
+      '/admin game <gameId> on|off\n' +
+      '/admin sessions <userId>\n' +
+      '/admin quarantine [approve|reject <id>]\n' +
+      '/admin refund <paymentId>\n' +
+      '/admin broadcast <texto>\n' +
+      '/admin audit [cantidad]',
+    user_not_found: 'No se encontró al usuario {userId}.',
+    game_not_found: 'No se encontró el juego {gameId}.',
+    invalid_amount: 'La cantidad debe ser un número entero distinto de 0.',
+    insufficient_funds: 'El usuario {userId} solo tiene {balance} monedas.',
+    banned: 'El usuario {userId} está bloqueado.',
+    unbanned: 'El usuario {userId} ya no está bloqueado.',
+    wiped: {
+      one: 'Se eliminó {count} puntuación del usuario {userId} en {game}.',
+      other: 'Se eliminaron {count} puntuaciones del usuario {userId} en {game}.'
+    },
+    coins_granted: 'Se aplicaron {amount} monedas al usuario {userId}. Nuevo saldo: {balance}.',
+    game_on: '{game} está activado.',
+    game_off: '{game} está desactivado. Los torneos y desafíos en curso aún pueden terminar.',
+    sessions_title: 'Sesiones del usuario {userId}:',
+    session_line: '{game} · iniciada {started} · {status}',
+    session_playing: 'jugando',
+    session_offline: 'sin conexión',
+    session_completed: 'completada, puntuación {score}',
+    no_sessions: 'El usuario {userId} no tiene sesiones.',
+    broadcast_started: 'Poniendo el anuncio en cola…',
+    broadcast_queued: {
+      one: 'Anuncio en cola para {count} usuario.',
+      other: 'Anuncio en cola para {count} usuarios.'
+    },
+    quarantine_title: 'Puntuaciones pendientes de revisión (/admin quarantine approve|reject <id>):',
+    quarantine_line: '{scoreId} · usuario {userId} · {game} · puntuación {score} · {created}',
+    quarantine_empty: 'No hay puntuaciones pendientes de revisión.',
+    score_approved: 'Puntuación {scoreId} aprobada y registrada.',
+    score_rejected: 'Puntuación {scoreId} rechazada.',
+    score_not_found: 'No se encontró la puntuación en cuarentena {scoreId} o ya fue revisada.',
+    refunded: 'Pago {paymentId} reembolsado: {stars} ⭐ devueltas al usuario {userId}.',
+    payment_not_found: 'No se encontró el pago {paymentId}.',
+    already_refunded: 'El pago {paymentId} ya está reembolsado o en proceso de reembolso.',
+    coins_spent: 'Las monedas compradas con el pago {paymentId} ya se gastaron, así que no se puede reembolsar.',
+    refund_failed: 'Telegram no pudo reembolsar el pago {paymentId}. No se retiró nada; inténtalo más tarde.',
+    audit_title: 'Acciones de administración recientes:',
+    audit_empty: 'Todavía no hay acciones de administración.'
+  },
+  help: {
+    text: '*Telegram Mini Game - Ayuda*\n\n' +
+      'Estos son los comandos disponibles:\n\n' +
+      '/newgame - Iniciar una nueva partida\n' +
+      '/challenge - Desafiar a un amigo\n' +
+      '/leaderboard - Ver clasificaciones (añade daily, weekly, season o friends)\n' +
+      '/daily - Ver tus misiones diarias\n' +
+      '/timezone - Elegir la zona horaria de las misiones diarias\n' +
+      '/profile - Ver tu perfil de jugador\n' +
+      '/achievements - Ver tus logros\n' +
+      '/wallet - Ver tus monedas y movimientos\n' +
+      '/shop - Comprar monedas y Premium con Stars\n' +
+      '/tournament - Organizar un torneo en un grupo\n' +
+      '/compete - Organizar una competición por tiempo en un grupo\n' +
+      '/language - Cambiar el idioma del bot\n' +
+      '/settings - Notificaciones, tema, privacidad y opciones de juego\n' +
+      '/help - Mostrar esta ayuda\n\n' +
+      '*Cómo jugar:*\n' +
+      '1. Usa /newgame para elegir un juego\n' +
+      '2. Juega dentro de Telegram\n' +
+      '3. Tus puntuaciones se guardan automáticamente\n' +
+      '4. Desafía a tus amigos con /challenge\n' +
+      '5. Completa misiones diarias para ganar recompensas\n\n' +
+      '*¿Necesitas más ayuda?*\n' +
+      'Pulsa el botón de abajo para visitar nuestro canal de soporte',
+    support: 'Canal de soporte',
+    tutorials: 'Tutoriales'
+  },
+  welcome: {
+    group: '¡Gracias por añadirme a {title}!\n\n' +
+      'Soy un bot de minijuegos para jugar directamente en Telegram.\n\n' +
+      '*Comandos de grupo:*\n' +
+      '/newgame - Iniciar una partida\n' +
+      '/challenge - Desafiar a miembros del grupo\n' +
+      '/leaderboard - Ver la clasificación del grupo\n' +
+      '/language - Cambiar el idioma del grupo\n\n' +
+      '¡Empieza con el comando /newgame!',
+    start_playing: 'Empezar a jugar'
+  },
+  callback: {
+    unknown: 'Acción no reconocida',
+    stale: 'Este botón ya no es válido. Usa /newgame para empezar de nuevo.'
+  }
+};
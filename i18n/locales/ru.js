@@ -0,0 +1,636 @@
+/**
+ * Telegram Mini Game App - Russian Locale
+ */
+
+module.exports = {
+  meta: {
+    name: 'Русский'
+  },
+  errors: {
+    start: 'Не удалось открыть ссылку. Попробуйте позже.',
+    newgame: 'Не удалось начать игру. Попробуйте позже.',
+    challenge: 'Не удалось создать вызов. Попробуйте позже.',
+    leaderboard: 'Не удалось загрузить таблицу лидеров. Попробуйте позже.',
+    daily: 'Не удалось загрузить ежедневные задания. Попробуйте позже.',
+    timezone: 'Не удалось изменить часовой пояс. Попробуйте позже.',
+    profile: 'Не удалось загрузить профиль. Попробуйте позже.',
+    achievements: 'Не удалось загрузить достижения. Попробуйте позже.',
+    wallet: 'Не удалось загрузить кошелёк. Попробуйте позже.',
+    shop: 'Не удалось открыть магазин. Попробуйте позже.',
+    payment: 'Мы получили оплату, но не смогли выдать покупку. Обратитесь в поддержку — мы всё исправим или вернём оплату.',
+    tournament: 'Ошибка турнира. Попробуйте позже.',
+    compete: 'Ошибка соревнования. Попробуйте позже.',
+    language: 'Не удалось сменить язык. Попробуйте позже.',
+    stats: 'Не удалось построить отчёт статистики. Попробуйте позже.',
+    settings: 'Не удалось открыть настройки. Попробуйте позже.',
+    help: 'Не удалось загрузить справку. Попробуйте позже.',
+    callback: 'Произошла ошибка. Попробуйте ещё раз.',
+    web_app_data: 'Не удалось обработать данные игры. Попробуйте позже.',
+    web_app_parse: 'Не удалось обработать данные игры. Попробуйте ещё раз.',
+    session_invalid: 'Игровая сессия истекла или недействительна. Начните новую игру.',
+    session_owner: 'Эта сессия принадлежит другому игроку. Начните свою игру.',
+    invalid_score: 'Недопустимый результат. Начните новую игру.',
+    offline_batch: 'Нет офлайн-игр для синхронизации или их слишком много за раз. Попробуйте ещё раз.',
+    offline_timing: 'Эта офлайн-игра сыграна вне срока действия её сессии.',
+    admin: 'Извините, не удалось выполнить команду администратора. Попробуйте позже.',
+    banned: 'Ваш аккаунт заблокирован в этом боте.'
+  },
+  start: {
+    invalid_link: 'Эта ссылка больше не действует. Начните играть с помощью /newgame!'
+  },
+  newgame: {
+    choose: 'Выберите игру:',
+    more_games: 'Другие игры',
+    locked: '🔒 {name}',
+    recommended: '✨ {name}',
+    recommended_hint: '✨ Рекомендуем вам'
+  },
+  game: {
+    not_found: 'Игра не найдена',
+    invitation: '🎮 *{name}*\n\n{description}\n\nНажмите кнопку ниже, чтобы начать игру!',
+    play_now: 'Играть',
+    how_to_play: 'Как играть',
+    unavailable: 'Эта игра сейчас недоступна. Выберите другую с помощью /newgame.'
+  },
+  tutorial: {
+    title: '📖 *Как играть в {name}*',
+    types: {
+      puzzle: 'Нажмите «Играть», чтобы открыть игру\nРешите каждую головоломку, пока не вышло время\nБыстрые решения за меньшее число ходов приносят больше очков',
+      arcade: 'Нажмите «Играть», чтобы открыть игру\nНажимайте или проводите пальцем, чтобы двигаться и уворачиваться от препятствий\nПродержитесь дольше и собирайте бонусы, чтобы поднять счёт',
+      strategy: 'Нажмите «Играть», чтобы открыть игру\nПланируйте ходы, важно каждое решение\nПобеждайте эффективно, чтобы набрать максимум очков',
+      trivia: 'Нажмите «Играть», чтобы открыть игру\nВыберите правильный ответ, пока не вышло время\nПравильные ответы подряд приносят бонусные очки',
+      multiplayer: 'Войдите в комнату по приглашению в группе\nОтметьтесь как готовый, игра начнётся, когда готовы все\nПобеждает лучший результат в конце раунда'
+    },
+    default: 'Нажмите «Играть», чтобы открыть игру\nСледуйте инструкциям на экране\nВаш лучший результат попадёт в рейтинги'
+  },
+  room: {
+    invitation: '🎮 *{name}* - Мультиплеерная комната\n\n{description}\n\nОжидаем {min}-{max} игроков. Игра начнётся, когда все будут готовы!',
+    join: 'Войти в комнату',
+    watch: 'Смотреть',
+    closed: 'Эта комната закрыта. Создайте новую с помощью /newgame!',
+    enter: 'Войти в комнату',
+    watch_game: 'Смотреть игру',
+    already_started: 'Эта игра уже началась. Вы можете присоединиться как зритель.',
+    full: 'В этой комнате нет свободных мест.',
+    results: '🏁 {game} - результаты комнаты',
+    result_line: {
+      one: '{medal} {name}: {count} очко',
+      few: '{medal} {name}: {count} очка',
+      many: '{medal} {name}: {count} очков',
+      other: '{medal} {name}: {count} очка'
+    },
+    result_left: '(вышел)',
+    status: '🎮 {name} - игроков: {players}/{max}'
+  },
+  spectate: {
+    watch: '👀 Смотреть',
+    status: '👀 {player} играет в {name} в прямом эфире.\nЗрителей: {count}',
+    open: 'Смотреть в эфире',
+    not_watched: 'Эта игра не открыта для зрителей.',
+    ended: 'Эта игра закончилась. Начните свою с помощью /newgame!'
+  },
+  challenge: {
+    no_games: 'Игры по запросу "{query}" не найдены. Попробуйте другое название.',
+    choose: 'Выберите игру, чтобы бросить вызов друзьям:',
+    button: 'Вызов: {game}',
+    custom: 'Создать свой вызов',
+    not_found: 'Вызов не найден. Попросите друга прислать новую ссылку!',
+    expired: 'Срок вызова истёк. Попросите друга прислать новый!',
+    own: 'Нельзя принять собственный вызов. Поделитесь ссылкой с другом!',
+    already_played: 'Вы уже сыграли этот вызов.',
+    a_friend: 'Друг',
+    target: {
+      one: 'Наберите больше *{count}* очка, чтобы победить!',
+      few: 'Наберите больше *{count}* очков, чтобы победить!',
+      many: 'Наберите больше *{count}* очков, чтобы победить!',
+      other: 'Наберите больше *{count}* очка, чтобы победить!'
+    },
+    target_open: 'Наберите наибольшее количество очков, чтобы победить!',
+    invitation: '⚔️ *{challenger} бросает вам вызов в игре {game}!*\n\n{target}',
+    challenger: 'Соперник',
+    result_title: '⚔️ *Результат вызова - {game}*',
+    result_line: {
+      one: '{name}: {count} очко',
+      few: '{name}: {count} очка',
+      many: '{name}: {count} очков',
+      other: '{name}: {count} очка'
+    },
+    result_winner: '🏆 Побеждает {name}!',
+    game_not_found: 'Игра не найдена. Выберите другую игру для вызова.',
+    invalid_target: 'Целевой результат должен быть числом не меньше 0.',
+    ready: 'Ваш вызов в игре {game} готов! Поделитесь этой ссылкой с друзьями:'
+  },
+  leaderboard: {
+    game_not_found: 'Игра "{query}" не найдена. Проверьте название и попробуйте снова.',
+    title_game: '🏆 Таблица лидеров {game}:',
+    title_global: '🏆 Общая таблица лидеров:',
+    title_friends: '🏆 Рейтинг друзей:',
+    empty: 'Результатов пока нет. Сыграйте первым!',
+    entry: {
+      one: '{medal} {name}: {count} очко',
+      few: '{medal} {name}: {count} очка',
+      many: '{medal} {name}: {count} очков',
+      other: '{medal} {name}: {count} очка'
+    },
+    view_full: 'Вся таблица лидеров',
+    periods: {
+      daily: 'Сегодня',
+      weekly: 'Эта неделя',
+      season: 'Этот сезон',
+      alltime: 'За всё время'
+    },
+    friends: 'Друзья',
+    my_ranking: 'Моё место'
+  },
+  ranking: {
+    none: 'Вы ещё не сыграли ни одной игры!',
+    none_period: 'У вас пока нет результатов за этот период. Сыграйте, чтобы попасть в рейтинг!',
+    game: 'Ваше место в {game}: {position} из {total}\nВаш лучший результат: {score}',
+    global: 'Ваше место в общем рейтинге: {position} из {total}\nВаш общий счёт: {score}'
+  },
+  daily: {
+    empty: 'У вас пока нет ежедневных заданий. Играйте, чтобы получить задания!',
+    title: '📋 Ваши ежедневные задания:',
+    reward: ' - Награда: {reward}',
+    ready: {
+      one: 'Наград к получению: {count} монета',
+      few: 'Наград к получению: {count} монеты',
+      many: 'Наград к получению: {count} монет',
+      other: 'Наград к получению: {count} монеты'
+    },
+    claim: 'Получить награды',
+    details: 'Подробнее о заданиях',
+    none_to_claim: 'Нет наград для получения',
+    quests: {
+      play_any: {
+        one: 'Сыграйте {target} игру',
+        few: 'Сыграйте {target} игры',
+        many: 'Сыграйте {target} игр',
+        other: 'Сыграйте {target} игры'
+      },
+      play_puzzle: {
+        one: 'Сыграйте {target} игру-головоломку',
+        few: 'Сыграйте {target} игры-головоломки',
+        many: 'Сыграйте {target} игр-головоломок',
+        other: 'Сыграйте {target} игры-головоломки'
+      },
+      play_arcade: {
+        one: 'Сыграйте {target} аркадную игру',
+        few: 'Сыграйте {target} аркадные игры',
+        many: 'Сыграйте {target} аркадных игр',
+        other: 'Сыграйте {target} аркадной игры'
+      },
+      play_trivia: {
+        one: 'Сыграйте {target} викторину',
+        few: 'Сыграйте {target} викторины',
+        many: 'Сыграйте {target} викторин',
+        other: 'Сыграйте {target} викторины'
+      },
+      play_strategy: {
+        one: 'Сыграйте {target} стратегическую игру',
+        few: 'Сыграйте {target} стратегические игры',
+        many: 'Сыграйте {target} стратегических игр',
+        other: 'Сыграйте {target} стратегической игры'
+      },
+      total_score: {
+        one: 'Наберите {target} очко в сумме',
+        few: 'Наберите {target} очка в сумме',
+        many: 'Наберите {target} очков в сумме',
+        other: 'Наберите {target} очка в сумме'
+      },
+      score_in_game: {
+        one: 'Наберите {target} очко в игре {game}',
+        few: 'Наберите {target} очка в игре {game}',
+        many: 'Наберите {target} очков в игре {game}',
+        other: 'Наберите {target} очка в игре {game}'
+      }
+    },
+    claimed: {
+      one: 'Вы получили {count} монету!',
+      few: 'Вы получили {count} монеты!',
+      many: 'Вы получили {count} монет!',
+      other: 'Вы получили {count} монеты!'
+    }
+  },
+  timezone: {
+    current: '🕒 Ваш часовой пояс: {timezone}',
+    default: 'по умолчанию ({timezone})',
+    usage: 'Ежедневные задания обновляются, а серия засчитывается в полночь по вашему часовому поясу. Измените его командой /timezone <Регион/Город>, например /timezone Europe/Moscow, или /timezone auto для пояса по умолчанию.',
+    invalid: '«{timezone}» - неизвестный часовой пояс. Используйте название вроде Europe/Moscow или Asia/Yekaterinburg.',
+    too_soon: 'Часовой пояс можно менять не чаще раза в 24 часа. Попробуйте позже.',
+    saved: '✅ Часовой пояс изменён на {timezone}. Ежедневные задания теперь обновляются в полночь по этому времени.'
+  },
+  profile: {
+    not_found: 'Профиль не найден. Сыграйте игру, чтобы создать профиль.',
+    title: '👤 *Профиль {name}*',
+    total_score: '🏆 Общий счёт: {value}',
+    games_played: '🎮 Сыграно игр: {value}',
+    victories: '🥇 Победы: {value}',
+    coins: '💰 Монеты: {value}',
+    achievements: '🎖 Достижения: {unlocked}/{total}',
+    streak: {
+      one: '🔥 Серия: {count} день',
+      few: '🔥 Серия: {count} дня',
+      many: '🔥 Серия: {count} дней',
+      other: '🔥 Серия: {count} дня'
+    },
+    full: 'Полный профиль',
+    achievements_button: 'Достижения'
+  },
+  wallet: {
+    title: '💰 Ваш кошелёк',
+    balance: {
+      one: 'Баланс: {count} монета',
+      few: 'Баланс: {count} монеты',
+      many: 'Баланс: {count} монет',
+      other: 'Баланс: {count} монеты'
+    },
+    recent: 'Последние операции:',
+    empty: 'Операций пока нет. Выполняйте задания и получайте достижения, чтобы заработать монеты!',
+    reasons: {
+      quest_reward: 'Награда за задание',
+      achievement: 'Достижение',
+      purchase: 'Покупка',
+      refund: 'Возврат',
+      competition_prize: 'Приз соревнования',
+      competition_stake: 'Приз соревнования от организатора',
+      competition_refund: 'Невостребованный приз соревнования',
+      adjustment: 'Корректировка',
+      admin_grant: 'Начислено администратором'
+    }
+  },
+  shop: {
+    title: '🛒 Магазин\n\nОплата в Telegram Stars ⭐. Выберите товар:',
+    product_button: '{title} - {stars} ⭐',
+    private_only: 'Покупки совершаются в личном чате с ботом. Нажмите кнопку ниже, чтобы открыть магазин.',
+    open: 'Открыть магазин',
+    unknown_product: 'Этот товар больше недоступен.',
+    checkout_failed: 'Этот заказ больше недействителен. Откройте /shop и попробуйте снова.',
+    fulfilled_coins: {
+      one: '✅ Оплата получена! В кошелёк зачислена {count} монета.',
+      few: '✅ Оплата получена! В кошелёк зачислено {count} монеты.',
+      many: '✅ Оплата получена! В кошелёк зачислено {count} монет.',
+      other: '✅ Оплата получена! В кошелёк зачислено {count} монеты.'
+    },
+    fulfilled_entitlement: '✅ Оплата получена! {title} активирован.',
+    refunded: '↩️ Оплата за «{title}» возвращена.',
+    locked: '🔒 Для этой игры нужен Premium или набор игр. Откройте /shop, чтобы разблокировать её.',
+    products: {
+      coins_small: {
+        title: '500 монет',
+        description: 'Набор из 500 монет для игр.'
+      },
+      coins_large: {
+        title: '3 000 монет',
+        description: 'Большой набор из 3 000 монет для игр.'
+      },
+      premium_month: {
+        title: 'Premium (30 дней)',
+        description: 'Открывает все премиум-игры на 30 дней.'
+      },
+      season_pass: {
+        title: 'Сезонный пропуск (90 дней)',
+        description: 'Доступ к сезонным наградам и событиям на 90 дней.'
+      }
+    }
+  },
+  achievements: {
+    title: '🎖 Ваши достижения ({unlocked}/{total})',
+    unlocked: 'Получены:',
+    locked: 'Не получены:',
+    reward: {
+      one: ' - Награда: {count} монета',
+      few: ' - Награда: {count} монеты',
+      many: ' - Награда: {count} монет',
+      other: ' - Награда: {count} монеты'
+    },
+    definitions: {
+      first_game: {
+        name: 'Первые шаги',
+        description: 'Завершите первую игру'
+      },
+      regular: {
+        name: 'Завсегдатай',
+        description: 'Завершите 50 игр'
+      },
+      veteran: {
+        name: 'Ветеран',
+        description: 'Завершите 500 игр'
+      },
+      high_scorer: {
+        name: 'Рекордсмен',
+        description: 'Наберите 1 000 очков за одну игру'
+      },
+      point_collector: {
+        name: 'Собиратель очков',
+        description: 'Наберите 10 000 очков в сумме'
+      },
+      streak_7: {
+        name: 'Упорство',
+        description: 'Играйте 7 дней подряд'
+      },
+      streak_30: {
+        name: 'Неудержимый',
+        description: 'Играйте 30 дней подряд'
+      },
+      first_victory: {
+        name: 'Чемпион',
+        description: 'Победите в вызове, комнате или турнире'
+      },
+      victories_25: {
+        name: 'Завоеватель',
+        description: 'Одержите 25 побед в вызовах, комнатах или турнирах'
+      }
+    },
+    button: 'Достижения'
+  },
+  tournament: {
+    group_only: 'Турниры проводятся только в группах. Добавьте меня в группу, чтобы начать!',
+    create_usage: 'Укажите игру, например /tournament create <название игры>',
+    created_hint: 'Присоединяйтесь командой /tournament join или кнопкой ниже. Создатель запускает турнир командой /tournament start.',
+    join_button: 'Участвовать',
+    joined: {
+      one: '{name} участвует в турнире! ({count} игрок)',
+      few: '{name} участвует в турнире! ({count} игрока)',
+      many: '{name} участвует в турнире! ({count} игроков)',
+      other: '{name} участвует в турнире! ({count} игрока)'
+    },
+    joined_self: {
+      one: 'Вы участвуете в турнире! ({count} игрок)',
+      few: 'Вы участвуете в турнире! ({count} игрока)',
+      many: 'Вы участвуете в турнире! ({count} игроков)',
+      other: 'Вы участвуете в турнире! ({count} игрока)'
+    },
+    none_active: 'В этом чате нет активного турнира. Создайте его командой /tournament create <название игры>',
+    match_link_sent: 'Ссылка на матч отправлена вам в личные сообщения.',
+    match_link_button: 'Получить ссылку на матч',
+    match: '🏟 Матч турнира: {game}\nРаунд {round}, соперник: {opponent}\n\nЗасчитывается ваша первая завершённая игра. Удачи!',
+    match_result: '⚔️ {winner} ({winnerScore}) победил(а) {loser} ({loserScore})',
+    did_not_play: 'не сыграл(а)',
+    champion: '🏆 {name} побеждает в турнире!',
+    round_started: '🏟 Начался раунд {round}! Сыграйте свой матч до {deadline}.',
+    bracket_title: '🏟 Турнир по игре {game}',
+    bracket_players: {
+      one: 'Зарегистрирован {count} игрок:',
+      few: 'Зарегистрировано {count} игрока:',
+      many: 'Зарегистрировано {count} игроков:',
+      other: 'Зарегистрировано {count} игрока:'
+    },
+    bracket_round: 'Раунд {round}:',
+    bracket_match: '{a} против {b}',
+    bye: 'свободный проход',
+    already_active: 'В этом чате уже идёт турнир. Посмотреть его можно командой /tournament status.',
+    registration_none: 'В этом чате нет турнира с открытой регистрацией.',
+    registration_closed: 'Регистрация на этот турнир закрыта.',
+    already_joined: 'Вы уже участвуете в этом турнире.',
+    full: 'В этом турнире нет свободных мест.',
+    start_none: 'В этом чате нет турнира, ожидающего запуска.',
+    creator_only: 'Запустить турнир может только его создатель.',
+    not_enough_players: 'Для запуска турнира нужно минимум 2 игрока.',
+    already_started: 'Этот турнир уже начался.',
+    not_running: 'Этот турнир сейчас не проводится.',
+    no_match: 'В этом раунде у вас нет матча.',
+    already_played: 'Вы уже сыграли этот матч. Ждём соперника!',
+    private_chat_needed: 'Сначала откройте со мной личный чат, затем снова нажмите кнопку.',
+    usage: 'Команды турнира:\n' +
+      '/tournament create <название игры> - Открыть новый турнир\n' +
+      '/tournament join - Присоединиться к открытому турниру\n' +
+      '/tournament start - Закрыть регистрацию и начать 1-й раунд\n' +
+      '/tournament status - Показать сетку'
+  },
+  competition: {
+    group_only: 'Соревнования проводятся только в группах. Добавьте меня в группу, чтобы начать!',
+    admin_only: 'Запускать и завершать соревнования могут только администраторы группы.',
+    usage: 'Команды соревнования:\n' +
+      '/compete start <длительность> <название игры> [| приз] - Начать сейчас, например /compete start 7d Puzzle Master | 500\n' +
+      '/compete schedule <задержка> <длительность> <название игры> [| приз] - Начать позже\n' +
+      '/compete status - Показать таблицу\n' +
+      '/compete end - Завершить соревнование сейчас\n\n' +
+      'Длительность указывается как 30m, 12h, 7d или 2w. Числовой приз выплачивается монетами, которые списываются с вашего баланса при создании соревнования.',
+    invalid_duration: 'Соревнование длится не больше {max} дней и должно начаться в течение {max} дней.',
+    already_active: 'В этом чате уже есть соревнование. Сначала завершите его командой /compete end.',
+    invalid_prize: 'Приз в монетах должен быть целым числом больше нуля.',
+    insufficient_coins: 'Призы в монетах выплачиваются с вашего баланса, а монет на нём не хватает. Ваш баланс: {balance}.',
+    none_active: 'В этом чате нет соревнования. Администраторы могут начать его командой /compete start.',
+    started: '🏁 Началось соревнование по игре {game}!\nПобеждает лучший результат в играх, начатых в этом чате. Окончание: {end}\n{prize}',
+    scheduled: '🗓 Запланировано соревнование по игре {game}!\nНачало: {start}\nОкончание: {end}\n{prize}',
+    standings: '📊 Таблица соревнования по игре {game} (окончание {end}):',
+    final_standings: '📊 Итоговая таблица по игре {game}:',
+    standings_empty: 'Результатов пока нет. Играйте через /newgame в этом чате, чтобы участвовать!',
+    prize_line: '🎁 Приз: {prize}',
+    prize_coins: {
+      one: '{count} монета',
+      few: '{count} монеты',
+      many: '{count} монет',
+      other: '{count} монеты'
+    },
+    finished: {
+      one: '🏆 Соревнование по игре {game} завершено! Побеждает {name} с результатом {count} очко.',
+      few: '🏆 Соревнование по игре {game} завершено! Побеждает {name} с результатом {count} очка.',
+      many: '🏆 Соревнование по игре {game} завершено! Побеждает {name} с результатом {count} очков.',
+      other: '🏆 Соревнование по игре {game} завершено! Побеждает {name} с результатом {count} очка.'
+    },
+    finished_empty: 'Соревнование по игре {game} завершено. Никто не прислал результат.',
+    prize_refunded: {
+      one: 'Приз в {count} монету вернулся организатору.',
+      few: 'Приз в {count} монеты вернулся организатору.',
+      many: 'Приз в {count} монет вернулся организатору.',
+      other: 'Приз в {count} монеты вернулся организатору.'
+    },
+    prize_awarded: {
+      one: '🎁 {name} получает {count} монету.',
+      few: '🎁 {name} получает {count} монеты.',
+      many: '🎁 {name} получает {count} монет.',
+      other: '🎁 {name} получает {count} монеты.'
+    }
+  },
+  completion: {
+    title: '🎮 *{game} - Игра окончена!*',
+    score: {
+      one: 'Ваш результат: *{count}* очко',
+      few: 'Ваш результат: *{count}* очка',
+      many: 'Ваш результат: *{count}* очков',
+      other: 'Ваш результат: *{count}* очка'
+    },
+    personal_best: '🎉 Новый личный рекорд!',
+    achievements: '🏆 *Новые достижения:*',
+    quests: '📋 *Прогресс заданий:*',
+    high_scores: '🎮 *Рекорды этого игрового сообщения:*',
+    play_again: 'Сыграть ещё',
+    view_leaderboard: 'Таблица лидеров',
+    quarantined: {
+      one: 'Ваш результат ({count} очко) проверяется и появится в таблицах лидеров после подтверждения.',
+      few: 'Ваш результат ({count} очка) проверяется и появится в таблицах лидеров после подтверждения.',
+      many: 'Ваш результат ({count} очков) проверяется и появится в таблицах лидеров после подтверждения.',
+      other: 'Ваш результат ({count} очка) проверяется и появится в таблицах лидеров после подтверждения.'
+    }
+  },
+  language: {
+    choose: '🌐 Выберите язык:',
+    choose_group: '🌐 Выберите язык для этой группы:',
+    updated: 'Язык изменён на русский.',
+    unsupported: 'Язык "{code}" не поддерживается. Доступны: {languages}',
+    admin_only: 'Только администраторы группы могут менять язык группы.'
+  },
+  settings: {
+    title: '⚙️ Настройки\n\nНажмите на настройку, чтобы изменить её.',
+    private_only: 'Настройки личные, меняйте их в личном чате со мной.',
+    open: 'Открыть настройки',
+    language: '🌐 Язык: {value}',
+    language_auto: 'Язык Telegram',
+    timezone: '🕒 Часовой пояс: {value}',
+    notifications: '🔔 Уведомления: {value}',
+    theme: '🎨 Тема: {value}',
+    themes: {
+      auto: 'Telegram',
+      light: 'Светлая',
+      dark: 'Тёмная'
+    },
+    leaderboards_shown: '🏆 Общие рейтинги: показывать',
+    leaderboards_hidden: '🙈 Общие рейтинги: скрывать',
+    spectators: '👀 Друзья могут смотреть игру: {value}',
+    game_options: '🎮 Настройки игр',
+    choose_game: 'Выберите игру, чтобы изменить её настройки:',
+    game_title: '🎮 Настройки {name}',
+    options: {
+      sound: '🔊 Звук',
+      vibration: '📳 Вибрация'
+    },
+    on: 'вкл',
+    off: 'выкл',
+    back: '« Назад',
+    saved: '✅ Настройки сохранены.',
+    invalid: 'Эти настройки недопустимы. Попробуйте ещё раз.'
+  },
+  stats: {
+    title: '📊 Статистика с {from} по {to}',
+    dau: 'Активные пользователи за день: {today} сегодня, в среднем {average}',
+    games: 'Игр начато: {started} · завершено: {completed} ({rate})',
+    funnel: 'Воронка (пользователи по дням):',
+    step: '{name}: {users} (−{dropOff})',
+    steps: {
+      active: 'Активны',
+      game_started: 'Начали игру',
+      game_completed: 'Завершили игру',
+      challenge_created: 'Бросили вызов другу'
+    },
+    unavailable: 'Для настроенных приёмников аналитики отчёт недоступен.',
+    admin_only: 'Статистику могут смотреть только администраторы бота.'
+  },
+  notifications: {
+    quest_reset: '🗓 Новые ежедневные задания готовы! Выполните их, чтобы получить монеты.',
+    streak_warning: {
+      one: '🔥 Ваша серия в {count} день прервётся в полночь! Сыграйте, чтобы её сохранить.',
+      few: '🔥 Ваша серия в {count} дня прервётся в полночь! Сыграйте, чтобы её сохранить.',
+      many: '🔥 Ваша серия в {count} дней прервётся в полночь! Сыграйте, чтобы её сохранить.',
+      other: '🔥 Ваша серия в {count} дня прервётся в полночь! Сыграйте, чтобы её сохранить.'
+    },
+    overtaken: {
+      one: '📉 {name} только что обогнал вас в {game} с {count} очком. Верните своё место!',
+      few: '📉 {name} только что обогнал вас в {game} с {count} очками. Верните своё место!',
+      many: '📉 {name} только что обогнал вас в {game} с {count} очками. Верните своё место!',
+      other: '📉 {name} только что обогнал вас в {game} с {count} очка. Верните своё место!'
+    },
+    play: '🎮 Играть',
+    footer: 'Уведомления можно отключить в /settings.'
+  },
+  admin: {
+    admin_only: 'Команда /admin доступна только администраторам бота.',
+    private_only: 'Используйте /admin в личном чате со мной.',
+    usage: 'Команды администратора:\n' +
+      '/admin ban <userId> [причина]\n' +
+      '/admin unban <userId>\n' +
+      '/admin wipe <userId> <gameId>\n' +
+      '/admin coins <userId> <сумма>\n' +
+      '/admin game <gameId> on|off\n' +
+      '/admin sessions <userId>\n' +
+      '/admin quarantine [approve|reject <id>]\n' +
+      '/admin refund <paymentId>\n' +
+      '/admin broadcast <текст>\n' +
+      '/admin audit [количество]',
+    user_not_found: 'Пользователь {userId} не найден.',
+    game_not_found: 'Игра {gameId} не найдена.',
+    invalid_amount: 'Сумма должна быть целым числом, отличным от 0.',
+    insufficient_funds: 'У пользователя {userId} всего {balance} монет.',
+    banned: 'Пользователь {userId} заблокирован.',
+    unbanned: 'Пользователь {userId} разблокирован.',
+    wiped: {
+      one: 'Удалён {count} результат пользователя {userId} в игре {game}.',
+      few: 'Удалено {count} результата пользователя {userId} в игре {game}.',
+      many: 'Удалено {count} результатов пользователя {userId} в игре {game}.',
+      other: 'Удалено {count} результата пользователя {userId} в игре {game}.'
+    },
+    coins_granted: 'Пользователю {userId} начислено {amount} монет. Новый баланс: {balance}.',
+    game_on: 'Игра {game} включена.',
+    game_off: 'Игра {game} отключена. Идущие турниры и вызовы можно доиграть.',
+    sessions_title: 'Сессии пользователя {userId}:',
+    session_line: '{game} · начата {started} · {status}',
+    session_playing: 'идёт игра',
+    session_offline: 'офлайн',
+    session_completed: 'завершена, результат {score}',
+    no_sessions: 'У пользователя {userId} нет сессий.',
+    broadcast_started: 'Ставлю объявление в очередь…',
+    broadcast_queued: {
+      one: 'Объявление поставлено в очередь для {count} пользователя.',
+      few: 'Объявление поставлено в очередь для {count} пользователей.',
+      many: 'Объявление поставлено в очередь для {count} пользователей.',
+      other: 'Объявление поставлено в очередь для {count} пользователя.'
+    },
+    quarantine_title: 'Результаты на проверке (/admin quarantine approve|reject <id>):',
+    quarantine_line: '{scoreId} · пользователь {userId} · {game} · результат {score} · {created}',
+    quarantine_empty: 'Результатов на проверке нет.',
+    score_approved: 'Результат {scoreId} одобрен и записан.',
+    score_rejected: 'Результат {scoreId} отклонён.',
+    score_not_found: 'Результат {scoreId} не найден на проверке или уже проверен.',
+    refunded: 'Платёж {paymentId} возвращён: {stars} ⭐ пользователю {userId}.',
+    payment_not_found: 'Платёж {paymentId} не найден.',
+    already_refunded: 'Платёж {paymentId} уже возвращён или возвращается.',
+    coins_spent: 'Монеты, купленные платежом {paymentId}, уже потрачены, поэтому его нельзя вернуть.',
+    refund_failed: 'Telegram не смог вернуть платёж {paymentId}. Ничего не списано; попробуйте позже.',
+    audit_title: 'Последние действия администраторов:',
+    audit_empty: 'Действий администраторов пока нет.'
+  },
+  help: {
+    text: '*Telegram Mini Game - Справка*\n\n' +
+      'Доступные команды:\n\n' +
+      '/newgame - Начать новую игру\n' +
+      '/challenge - Бросить вызов другу\n' +
+      '/leaderboard - Рейтинги (добавьте daily, weekly, season или friends)\n' +
+      '/daily - Ежедневные задания\n' +
+      '/timezone - Часовой пояс ежедневных заданий\n' +
+      '/profile - Ваш игровой профиль\n' +
+      '/achievements - Ваши достижения\n' +
+      '/wallet - Монеты и операции\n' +
+      '/shop - Монеты и Premium за Stars\n' +
+      '/tournament - Турнир в группе\n' +
+      '/compete - Соревнование на время в группе\n' +
+      '/language - Сменить язык бота\n' +
+      '/settings - Уведомления, тема, приватность и настройки игр\n' +
+      '/help - Показать эту справку\n\n' +
+      '*Как играть:*\n' +
+      '1. Выберите игру командой /newgame\n' +
+      '2. Играйте прямо в Telegram\n' +
+      '3. Результаты сохраняются автоматически\n' +
+      '4. Бросайте вызов друзьям командой /challenge\n' +
+      '5. Выполняйте ежедневные задания и получайте награды\n\n' +
+      '*Нужна помощь?*\n' +
+      'Нажмите кнопку ниже, чтобы перейти в канал поддержки',
+    support: 'Канал поддержки',
+    tutorials: 'Обучение'
+  },
+  welcome: {
+    group: 'Спасибо, что добавили меня в {title}!\n\n' +
+      'Я бот с мини-играми, в которые можно играть прямо в Telegram.\n\n' +
+      '*Команды для группы:*\n' +
+      '/newgame - Начать игру\n' +
+      '/challenge - Бросить вызов участникам группы\n' +
+      '/leaderboard - Рейтинг группы\n' +
+      '/language - Сменить язык группы\n\n' +
+      'Начните с команды /newgame!',
+    start_playing: 'Начать играть'
+  },
+  callback: {
+    unknown: 'Действие не распознано',
+    stale: 'Эта кнопка больше не действует. Используйте /newgame, чтобы начать заново.'
+  }
+};
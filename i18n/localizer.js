@@ -0,0 +1,131 @@
+/**
+ * Telegram Mini Game App - Localizer
+ * 
+ * Looks up bot texts in per-language catalogs. Catalogs are nested objects
+ * addressed with dotted keys ('help.text'). Texts may contain {placeholders},
+ * and a text given as an object of plural forms ({ one, few, many, other })
+ * is chosen with Intl.PluralRules from the `count` parameter.
+ */
+
+const en = require('./locales/en');
+const es = require('./locales/es');
+const ru = require('./locales/ru');
+
+const DEFAULT_CATALOGS = { en, es, ru };
+
+class Localizer {
+  /**
+   * @param {Object} options - Localizer options
+   * @param {Object} [options.catalogs] - Catalogs keyed by language code, merged over the defaults
+   * @param {string} [options.defaultLanguage] - Fallback language
+   */
+  constructor(options = {}) {
+    this.catalogs = { ...DEFAULT_CATALOGS, ...options.catalogs };
+    this.defaultLanguage = this.catalogs[options.defaultLanguage] ? options.defaultLanguage : 'en';
+    this.pluralRules = new Map();
+  }
+
+  /**
+   * Supported language codes
+   * @returns {Array<string>} Language codes
+   */
+  get languages() {
+    return Object.keys(this.catalogs);
+  }
+
+  /**
+   * Normalize a language code to a supported language
+   * 
+   * Region subtags fall back to the base language ('pt-BR' -> 'pt').
+   * @param {string} code - Language code
+   * @returns {string|null} Supported language or null
+   */
+  normalize(code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+    
+    const normalized = code.toLowerCase().replace('_', '-');
+    
+    if (this.catalogs[normalized]) {
+      return normalized;
+    }
+    
+    const base = normalized.split('-')[0];
+    return this.catalogs[base] ? base : null;
+  }
+
+  /**
+   * Pick the first supported language from candidates, in order of priority
+   * @param {...string} candidates - Language codes, possibly empty
+   * @returns {string} Supported language, or the default language
+   */
+  resolve(...candidates) {
+    for (const candidate of candidates) {
+      const language = this.normalize(candidate);
+      
+      if (language) {
+        return language;
+      }
+    }
+    
+    return this.defaultLanguage;
+  }
+
+  /**
+   * Translate a key
+   * @param {string} language - Language code
+   * @param {string} key - Dotted catalog key
+   * @param {Object} params - Interpolation parameters; `count` selects the plural form
+   * @returns {string} Translated text, or the key itself if missing everywhere
+   */
+  t(language, key, params = {}) {
+    const resolved = this.normalize(language) || this.defaultLanguage;
+    let value = lookup(this.catalogs[resolved], key);
+    let valueLanguage = resolved;
+    
+    if (value === undefined) {
+      value = lookup(this.catalogs[this.defaultLanguage], key);
+      valueLanguage = this.defaultLanguage;
+    }
+    
+    if (value === undefined) {
+      return key;
+    }
+    
+    if (typeof value === 'object') {
+      const category = this.getPluralRules(valueLanguage).select(Number(params.count) || 0);
+      value = value[category] !== undefined ? value[category] : value.other;
+    }
+    
+    return String(value).replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Get cached plural rules for a language
+   * @param {string} language - Language code
+   * @returns {Intl.PluralRules} Plural rules
+   */
+  getPluralRules(language) {
+    if (!this.pluralRules.has(language)) {
+      this.pluralRules.set(language, new Intl.PluralRules(language));
+    }
+    
+    return this.pluralRules.get(language);
+  }
+}
+
+/**
+ * Resolve a dotted key in a catalog
+ * @param {Object} catalog - Catalog
+ * @param {string} key - Dotted key
+ * @returns {string|Object|undefined} Text, plural forms, or undefined if missing
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) =>
+    node && typeof node === 'object' ? node[part] : undefined, catalog);
+}
+
+module.exports = { Localizer };
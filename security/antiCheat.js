@@ -0,0 +1,144 @@
+/**
+ * Telegram Mini Game App - Anti-Cheat Engine
+ * 
+ * Checks reported scores against per-game plausibility rules declared in
+ * the games config under `antiCheat`:
+ * 
+ *   antiCheat: {
+ *     maxScore: 100000,          // Hard ceiling for a single game
+ *     maxScorePerSecond: 40,     // Score rate over the server-measured duration
+ *     minDuration: 15,           // Minimum session length in seconds
+ *     requiredStats: ['moves'],  // gameStats fields that must be present
+ *     requireEventLog: true      // Completions must include an event log
+ *   }
+ * 
+ * Suspicious completions are quarantined rather than rejected, so they
+ * can be reviewed before reaching leaderboards.
+ */
+
+const VERDICTS = {
+  ACCEPT: 'accept',
+  QUARANTINE: 'quarantine'
+};
+
+const MAX_EVENT_LOG_LENGTH = 10000;
+const CLOCK_TOLERANCE = 2000; // ms allowed between client and server clocks
+
+class AntiCheatEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} [options.replayVerifiers] - Per-game event log verifiers, keyed by game ID.
+   *   Each is called with (eventLog, completion, session) and returns an array of violation reasons.
+   */
+  constructor(options = {}) {
+    this.replayVerifiers = options.replayVerifiers || {};
+  }
+
+  /**
+   * Evaluate a game completion
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game config
+   * @param {Object} session - Server-side session (startTime, ...)
+   * @param {Object} completion - Reported completion (score, gameStats, eventLog)
+   * @param {number} now - Completion timestamp
+   * @returns {Promise<Object>} { verdict, reasons }
+   */
+  async evaluate(gameId, game, session, completion, now = Date.now()) {
+    const rules = game.antiCheat || {};
+    const { score } = completion;
+    const gameStats = completion.gameStats || {};
+    const duration = (now - session.startTime) / 1000;
+    const reasons = [];
+    
+    if (rules.maxScore !== undefined && score > rules.maxScore) {
+      reasons.push(`score ${score} exceeds maximum ${rules.maxScore}`);
+    }
+    
+    if (rules.minDuration !== undefined && duration < rules.minDuration) {
+      reasons.push(`session lasted ${duration.toFixed(1)}s, minimum is ${rules.minDuration}s`);
+    }
+    
+    if (rules.maxScorePerSecond !== undefined && score / Math.max(duration, 1) > rules.maxScorePerSecond) {
+      reasons.push(`score rate ${(score / Math.max(duration, 1)).toFixed(1)}/s exceeds ${rules.maxScorePerSecond}/s`);
+    }
+    
+    (rules.requiredStats || []).forEach(field => {
+      if (gameStats[field] === undefined || gameStats[field] === null) {
+        reasons.push(`missing required stat "${field}"`);
+      }
+    });
+    
+    if (completion.eventLog !== undefined) {
+      reasons.push(...await this.verifyEventLog(gameId, session, completion, now));
+    } else if (rules.requireEventLog) {
+      reasons.push('missing event log');
+    }
+    
+    return {
+      verdict: reasons.length > 0 ? VERDICTS.QUARANTINE : VERDICTS.ACCEPT,
+      reasons
+    };
+  }
+
+  /**
+   * Verify a completion's event log
+   * 
+   * Events are { t, type, points } where t is milliseconds since the session
+   * started. Generic checks run for every game; a registered replay verifier
+   * can re-simulate the log for its game.
+   * @param {string} gameId - Game ID
+   * @param {Object} session - Server-side session
+   * @param {Object} completion - Reported completion
+   * @param {number} now - Completion timestamp
+   * @returns {Promise<Array<string>>} Violation reasons
+   */
+  async verifyEventLog(gameId, session, completion, now) {
+    const { eventLog, score } = completion;
+    
+    if (!Array.isArray(eventLog) || eventLog.length > MAX_EVENT_LOG_LENGTH) {
+      return ['malformed event log'];
+    }
+    
+    const reasons = [];
+    const maxOffset = now - session.startTime + CLOCK_TOLERANCE;
+    let lastOffset = 0;
+    let pointsTotal = 0;
+    let hasPoints = false;
+    
+    for (const event of eventLog) {
+      if (!event || !Number.isFinite(event.t) || event.t < lastOffset || event.t > maxOffset) {
+        reasons.push('event log timestamps are out of order or outside the session');
+        break;
+      }
+      
+      lastOffset = event.t;
+      
+      if (Number.isFinite(event.points)) {
+        hasPoints = true;
+        pointsTotal += event.points;
+      }
+    }
+    
+    if (hasPoints && pointsTotal !== score) {
+      reasons.push(`event log adds up to ${pointsTotal}, reported score is ${score}`);
+    }
+    
+    const verifier = this.replayVerifiers[gameId];
+    
+    if (verifier && reasons.length === 0) {
+      try {
+        reasons.push(...(await verifier(eventLog, completion, session) || []));
+      } catch (error) {
+        console.error(`Error verifying replay for ${gameId}:`, error);
+        reasons.push('replay verification failed');
+      }
+    }
+    
+    return reasons;
+  }
+}
+
+module.exports = {
+  AntiCheatEngine,
+  VERDICTS
+};
@@ -0,0 +1,71 @@
+/**
+ * Telegram Mini Game App - Web App initData Validation
+ * 
+ * Verifies the initData string Telegram passes to Web Apps, following
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_AGE = 24 * 60 * 60; // 24 hours, in seconds
+
+/**
+ * Verify Web App initData against the bot token
+ * @param {string} initData - Raw initData query string from Telegram.WebApp.initData
+ * @param {string} botToken - Bot token the Web App was opened with
+ * @param {Object} options - Validation options
+ * @param {number} [options.maxAge] - Maximum age of auth_date in seconds
+ * @returns {Object|null} Parsed fields (user, authDate, queryId, ...) or null if invalid
+ */
+function verifyInitData(initData, botToken, options = {}) {
+  if (typeof initData !== 'string' || !initData) {
+    return null;
+  }
+  
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  
+  if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+    return null;
+  }
+  
+  params.delete('hash');
+  
+  // Data-check-string is every remaining field sorted by key
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  
+  if (!crypto.timingSafeEqual(expectedHash, Buffer.from(hash, 'hex'))) {
+    return null;
+  }
+  
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const maxAge = options.maxAge || DEFAULT_MAX_AGE;
+  
+  if (!authDate || Date.now() / 1000 - authDate > maxAge) {
+    return null;
+  }
+  
+  let user = null;
+  try {
+    user = params.has('user') ? JSON.parse(params.get('user')) : null;
+  } catch (error) {
+    return null;
+  }
+  
+  return {
+    user,
+    authDate,
+    queryId: params.get('query_id'),
+    startParam: params.get('start_param'),
+    chatType: params.get('chat_type'),
+    chatInstance: params.get('chat_instance')
+  };
+}
+
+module.exports = { verifyInitData };
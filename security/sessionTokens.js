@@ -0,0 +1,115 @@
+/**
+ * Telegram Mini Game App - Session Tokens
+ * 
+ * HMAC-signed tokens handed to the Web App when a game session starts.
+ * The token carries the session, user, game, chat and start time, so a
+ * completion can be checked without trusting anything the client reports.
+ */
+
+const crypto = require('crypto');
+
+class SessionTokenService {
+  /**
+   * @param {string} secret - Signing secret
+   * @param {Object} options - Token options
+   * @param {number} [options.ttl] - Token lifetime in milliseconds
+   */
+  constructor(secret, options = {}) {
+    if (!secret) {
+      throw new Error('SessionTokenService requires a signing secret');
+    }
+    
+    // Derive a dedicated key so the raw secret (often the bot token) is never used directly
+    this.key = crypto.createHmac('sha256', 'SessionTokens').update(secret).digest();
+    this.ttl = options.ttl || 2 * 60 * 60 * 1000; // 2 hours
+  }
+
+  /**
+   * Generate an unguessable session ID
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return crypto.randomBytes(16).toString('base64url');
+  }
+
+  /**
+   * Sign a session token
+   * @param {Object} session - Session fields
+   * @param {string} session.sessionId - Session ID
+   * @param {number} session.userId - Owner's user ID
+   * @param {string} session.gameId - Game ID
+   * @param {number} session.chatId - Chat the session was started from
+   * @param {number} session.startTime - Start timestamp
+   * @param {number} [session.expiresAt] - Expiry timestamp, defaults to the start time plus the token lifetime
+   * @returns {string} Signed token
+   */
+  sign({ sessionId, userId, gameId, chatId, startTime, expiresAt }) {
+    const payload = Buffer.from(JSON.stringify({
+      sid: sessionId,
+      uid: userId,
+      gid: gameId,
+      cid: chatId,
+      iat: startTime,
+      exp: expiresAt || startTime + this.ttl
+    })).toString('base64url');
+    
+    return `${payload}.${this.signature(payload)}`;
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - Signed token
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} { sessionId, userId, gameId, chatId, startTime, expiresAt } or null if invalid
+   */
+  verify(token, now = Date.now()) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+    
+    const [payload, signature] = token.split('.');
+    
+    if (!payload || !signature) {
+      return null;
+    }
+    
+    const expected = Buffer.from(this.signature(payload));
+    const actual = Buffer.from(signature);
+    
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    
+    // Reject tokens issued in the future or past their lifetime
+    if (!Number.isFinite(claims.iat) || claims.iat > now || now > claims.exp) {
+      return null;
+    }
+    
+    return {
+      sessionId: claims.sid,
+      userId: claims.uid,
+      gameId: claims.gid,
+      chatId: claims.cid,
+      startTime: claims.iat,
+      expiresAt: claims.exp
+    };
+  }
+
+  /**
+   * Compute the signature of a token payload
+   * @param {string} payload - Encoded payload
+   * @returns {string} Encoded signature
+   */
+  signature(payload) {
+    return crypto.createHmac('sha256', this.key).update(payload).digest('base64url');
+  }
+}
+
+module.exports = { SessionTokenService };
@@ -0,0 +1,177 @@
+/**
+ * Telegram Mini Game App - Achievement Service
+ * 
+ * Rule-based achievement registry. Each definition has a condition that
+ * is evaluated after every completed game:
+ * 
+ *   { type: 'score', min, gameId? }            - Single game score
+ *   { type: 'games_played', min, gameId? }     - Games played, overall or in one game
+ *   { type: 'total_score', min }               - Cumulative score
+ *   { type: 'streak', min }                    - Daily play streak
+ *   { type: 'victories', min }                 - Challenge, room and tournament wins
+ *   { type: 'game_stat', stat, min, gameId? }  - Value reported in gameStats
+ *   { type: 'all', conditions: [...] }         - Every nested condition holds
+ * 
+ * A definition may instead provide `check(context)` for custom rules.
+ * Names and descriptions come from the 'achievements.definitions.<id>'
+ * locale keys unless a definition sets its own `name` and `description`.
+ */
+
+const DEFAULT_ACHIEVEMENTS = [
+  { id: 'first_game', condition: { type: 'games_played', min: 1 }, reward: 10 },
+  { id: 'regular', condition: { type: 'games_played', min: 50 }, reward: 100 },
+  { id: 'veteran', condition: { type: 'games_played', min: 500 }, reward: 500 },
+  { id: 'high_scorer', condition: { type: 'score', min: 1000 }, reward: 50 },
+  { id: 'point_collector', condition: { type: 'total_score', min: 10000 }, reward: 100 },
+  { id: 'streak_7', condition: { type: 'streak', min: 7 }, reward: 70 },
+  { id: 'streak_30', condition: { type: 'streak', min: 30 }, reward: 300 },
+  { id: 'first_victory', condition: { type: 'victories', min: 1 }, reward: 25 },
+  { id: 'victories_25', condition: { type: 'victories', min: 25 }, reward: 250 }
+];
+
+class AchievementService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Achievement options
+   * @param {Array} [options.definitions] - Achievement definitions
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.definitions = options.definitions || DEFAULT_ACHIEVEMENTS;
+  }
+
+  /**
+   * Number of achievements that can be unlocked
+   * @returns {number} Achievement count
+   */
+  get total() {
+    return this.definitions.length;
+  }
+
+  /**
+   * Localized achievement name
+   * @param {Object} achievement - Achievement definition
+   * @param {string} locale - Language code
+   * @returns {string} Name
+   */
+  getName(achievement, locale) {
+    return achievement.name || this.manager.t(locale, `achievements.definitions.${achievement.id}.name`);
+  }
+
+  /**
+   * Localized achievement description
+   * @param {Object} achievement - Achievement definition
+   * @param {string} locale - Language code
+   * @returns {string} Description
+   */
+  getDescription(achievement, locale) {
+    return achievement.description || this.manager.t(locale, `achievements.definitions.${achievement.id}.description`);
+  }
+
+  /**
+   * Evaluate every locked achievement after a game and persist new unlocks
+   * @param {number} userId - User ID
+   * @param {Object} result - Game result (gameId, score, gameStats)
+   * @returns {Promise<Array>} Newly unlocked achievement definitions
+   */
+  async evaluate(userId, result) {
+    const user = await this.repository.getUser(userId);
+    
+    if (!user) {
+      return [];
+    }
+    
+    const unlockedIds = new Set(user.achievements.map(entry => entry.id));
+    const context = {
+      user,
+      gameId: result.gameId,
+      score: result.score,
+      gameStats: result.gameStats || {},
+      streak: this.manager.quests.getCurrentStreak(user)
+    };
+    
+    const earned = this.definitions.filter(definition => {
+      if (unlockedIds.has(definition.id)) {
+        return false;
+      }
+      
+      try {
+        return definition.check ? Boolean(definition.check(context)) : evaluateCondition(definition.condition, context);
+      } catch (error) {
+        console.error(`Error evaluating achievement ${definition.id}:`, error);
+        return false;
+      }
+    });
+    
+    if (earned.length === 0) {
+      return [];
+    }
+    
+    // The repository skips achievements unlocked concurrently, so rewards are paid once
+    const now = Date.now();
+    const newIds = await this.repository.unlockAchievements(userId, earned.map(definition => ({
+      id: definition.id,
+      unlockedAt: now,
+      reward: definition.reward || 0
+    })));
+    
+    return earned.filter(definition => newIds.includes(definition.id));
+  }
+
+  /**
+   * List every achievement with the user's unlock state
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Definitions with unlocked and unlockedAt
+   */
+  async list(userId) {
+    const user = await this.repository.getUser(userId);
+    const unlocked = new Map(((user && user.achievements) || []).map(entry => [entry.id, entry]));
+    
+    return this.definitions.map(definition => ({
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      reward: definition.reward || 0,
+      unlocked: unlocked.has(definition.id),
+      unlockedAt: unlocked.has(definition.id) ? unlocked.get(definition.id).unlockedAt : null
+    }));
+  }
+}
+
+/**
+ * Evaluate a declarative achievement condition
+ * @param {Object} condition - Condition
+ * @param {Object} context - Evaluation context (user, gameId, score, gameStats, streak)
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, context) {
+  const { user, gameId, score, gameStats, streak } = context;
+  const appliesToGame = !condition.gameId || condition.gameId === gameId;
+  
+  switch (condition.type) {
+    case 'score':
+      return appliesToGame && score >= condition.min;
+    case 'games_played':
+      return condition.gameId
+        ? Boolean(user.gameStats[condition.gameId]) && user.gameStats[condition.gameId].plays >= condition.min
+        : user.gamesPlayed >= condition.min;
+    case 'total_score':
+      return user.totalScore >= condition.min;
+    case 'streak':
+      return streak >= condition.min;
+    case 'victories':
+      return user.victories >= condition.min;
+    case 'game_stat':
+      return appliesToGame && Number(gameStats[condition.stat]) >= condition.min;
+    case 'all':
+      return condition.conditions.every(nested => evaluateCondition(nested, context));
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  AchievementService,
+  DEFAULT_ACHIEVEMENTS
+};
@@ -0,0 +1,306 @@
+/**
+ * Telegram Mini Game App - Admin Service
+ * 
+ * Moderation and operations for bot admins (the `adminIds` config): bans,
+ * wiping scores, granting coins, switching games off without a redeploy,
+ * inspecting sessions, reviewing quarantined scores, refunding payments
+ * and broadcasting announcements. Every action, including read-only ones,
+ * is written to the audit log with the admin who took it.
+ */
+
+const crypto = require('crypto');
+const { COIN_REASONS } = require('../storage/gameRepository');
+const { NOTIFICATION_TYPES } = require('./notificationService');
+
+const ADMIN_ACTIONS = {
+  BAN: 'ban',
+  UNBAN: 'unban',
+  WIPE_SCORES: 'wipe_scores',
+  GRANT_COINS: 'grant_coins',
+  TOGGLE_GAME: 'toggle_game',
+  INSPECT_SESSIONS: 'inspect_sessions',
+  INSPECT_QUARANTINE: 'inspect_quarantine',
+  REVIEW_SCORE: 'review_score',
+  REFUND_PAYMENT: 'refund_payment',
+  BROADCAST: 'broadcast'
+};
+
+// Shop refund errors and the admin replies they map to
+const REFUND_ERRORS = {
+  payment_not_found: 'admin.payment_not_found',
+  already_refunded: 'admin.already_refunded',
+  coins_spent: 'admin.coins_spent',
+  refund_failed: 'admin.refund_failed'
+};
+
+class AdminService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Admin options
+   * @param {number} [options.sessionLimit] - Sessions shown when inspecting a user
+   * @param {number} [options.broadcastPageSize] - Users read per page while queuing a broadcast
+   * @param {number} [options.quarantineLimit] - Quarantined scores shown at once
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.sessionLimit = options.sessionLimit || 10;
+    this.broadcastPageSize = options.broadcastPageSize || 500;
+    this.quarantineLimit = options.quarantineLimit || 20;
+  }
+
+  /**
+   * Ban a user: they can't use the bot or submit scores and leave global leaderboards
+   * @param {number} adminId - Admin's user ID
+   * @param {number} userId - User to ban
+   * @param {string} reason - Reason recorded with the ban
+   * @returns {Promise<Object>} { user } or { error } with a locale key
+   */
+  async ban(adminId, userId, reason) {
+    const user = await this.repository.setUserBanned(userId, {
+      reason: reason || null,
+      bannedBy: adminId,
+      bannedAt: Date.now()
+    });
+    
+    if (!user) {
+      return { error: 'admin.user_not_found' };
+    }
+    
+    await this.repository.setLeaderboardHidden(userId, true);
+    await this.audit(adminId, ADMIN_ACTIONS.BAN, `user:${userId}`, { reason: reason || null });
+    
+    return { user };
+  }
+
+  /**
+   * Lift a user's ban
+   * @param {number} adminId - Admin's user ID
+   * @param {number} userId - User to unban
+   * @returns {Promise<Object>} { user } or { error } with a locale key
+   */
+  async unban(adminId, userId) {
+    const user = await this.repository.setUserBanned(userId, null);
+    
+    if (!user) {
+      return { error: 'admin.user_not_found' };
+    }
+    
+    // Back on the leaderboards unless the user chose to hide
+    await this.repository.setLeaderboardHidden(userId, this.manager.settings.resolve(user).hideFromLeaderboards);
+    await this.audit(adminId, ADMIN_ACTIONS.UNBAN, `user:${userId}`);
+    
+    return { user };
+  }
+
+  /**
+   * Remove all of a user's scores in a game
+   * @param {number} adminId - Admin's user ID
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} { count, total } or { error } with a locale key
+   */
+  async wipeScores(adminId, userId, gameId) {
+    if (!this.manager.games[gameId]) {
+      return { error: 'admin.game_not_found' };
+    }
+    
+    const result = await this.repository.wipeUserScores(userId, gameId);
+    
+    if (!result) {
+      return { error: 'admin.user_not_found' };
+    }
+    
+    await this.audit(adminId, ADMIN_ACTIONS.WIPE_SCORES, `user:${userId}`, { gameId, ...result });
+    
+    return result;
+  }
+
+  /**
+   * Add coins to a user's balance, or take them away with a negative amount
+   * @param {number} adminId - Admin's user ID
+   * @param {number} userId - User ID
+   * @param {number} amount - Whole number of coins, not 0
+   * @returns {Promise<Object>} { balance } or { error, balance } with a locale key
+   */
+  async grantCoins(adminId, userId, amount) {
+    if (!Number.isInteger(amount) || amount === 0) {
+      return { error: 'admin.invalid_amount' };
+    }
+    
+    const result = await this.manager.wallet.apply(userId, amount, COIN_REASONS.ADMIN_GRANT, {
+      metadata: { adminId }
+    });
+    
+    if (result.error) {
+      return {
+        error: result.error === 'insufficient_funds' ? 'admin.insufficient_funds' : 'admin.user_not_found',
+        balance: result.balance
+      };
+    }
+    
+    await this.audit(adminId, ADMIN_ACTIONS.GRANT_COINS, `user:${userId}`, { amount, balance: result.balance });
+    
+    return { balance: result.balance };
+  }
+
+  /**
+   * Switch a game on or off for every instance
+   * @param {number} adminId - Admin's user ID
+   * @param {string} gameId - Game ID
+   * @param {boolean} enabled - Whether the game can be started
+   * @returns {Promise<Object>} { game } or { error } with a locale key
+   */
+  async setGameEnabled(adminId, gameId, enabled) {
+    const game = this.manager.games[gameId];
+    
+    if (!game) {
+      return { error: 'admin.game_not_found' };
+    }
+    
+    await this.repository.setGameFlags(gameId, { enabled });
+    await this.manager.loadGameFlags();
+    await this.audit(adminId, ADMIN_ACTIONS.TOGGLE_GAME, `game:${gameId}`, { enabled });
+    
+    return { game };
+  }
+
+  /**
+   * Get a user's live sessions
+   * @param {number} adminId - Admin's user ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async getSessions(adminId, userId) {
+    const sessions = await this.manager.sessionStore.listByUser(userId, this.sessionLimit);
+    await this.audit(adminId, ADMIN_ACTIONS.INSPECT_SESSIONS, `user:${userId}`, { count: sessions.length });
+    
+    return sessions;
+  }
+
+  /**
+   * Get the scores the anti-cheat engine held back for review
+   * @param {number} adminId - Admin's user ID
+   * @returns {Promise<Array>} Pending scores, oldest first
+   */
+  async getQuarantinedScores(adminId) {
+    const scores = await this.manager.getQuarantinedScores(this.quarantineLimit);
+    await this.audit(adminId, ADMIN_ACTIONS.INSPECT_QUARANTINE, 'quarantine', { count: scores.length });
+    
+    return scores;
+  }
+
+  /**
+   * Approve a quarantined score, recording it, or reject it
+   * @param {number} adminId - Admin's user ID
+   * @param {string} scoreId - Quarantined score ID
+   * @param {boolean} approve - Whether the score is legitimate
+   * @returns {Promise<Object>} { score } or { error } with a locale key
+   */
+  async reviewScore(adminId, scoreId, approve) {
+    const score = await this.manager.reviewQuarantinedScore(scoreId, approve, adminId);
+    
+    if (!score) {
+      return { error: 'admin.score_not_found' };
+    }
+    
+    await this.audit(adminId, ADMIN_ACTIONS.REVIEW_SCORE, `score:${scoreId}`, {
+      approved: approve,
+      userId: score.userId,
+      gameId: score.gameId,
+      score: score.score
+    });
+    
+    return { score };
+  }
+
+  /**
+   * Refund a Stars payment, taking back what it bought
+   * @param {number} adminId - Admin's user ID
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object>} { payment } or { error } with a locale key
+   */
+  async refund(adminId, paymentId) {
+    const result = await this.manager.refundPayment(paymentId);
+    
+    if (result.error) {
+      return { error: REFUND_ERRORS[result.error] || 'admin.refund_failed' };
+    }
+    
+    const { payment } = result;
+    await this.audit(adminId, ADMIN_ACTIONS.REFUND_PAYMENT, `payment:${paymentId}`, {
+      userId: payment.userId,
+      productId: payment.product.id,
+      stars: payment.stars
+    });
+    
+    return { payment };
+  }
+
+  /**
+   * Queue an announcement for every user who gets notifications
+   * 
+   * Jobs are sent by the notification scheduler within its rate limit; the
+   * broadcast ID keeps a re-run of the same broadcast from queuing twice.
+   * @param {number} adminId - Admin's user ID
+   * @param {string} text - Announcement text
+   * @param {string} [broadcastId] - ID of the broadcast, new if omitted
+   * @returns {Promise<Object>} { broadcastId, queued }
+   */
+  async broadcast(adminId, text, broadcastId = crypto.randomBytes(6).toString('base64url')) {
+    await this.audit(adminId, ADMIN_ACTIONS.BROADCAST, `broadcast:${broadcastId}`, { text });
+    
+    let queued = 0;
+    let after = null;
+    let userIds;
+    
+    do {
+      userIds = await this.repository.getUserIds({ after, limit: this.broadcastPageSize });
+      
+      for (const userId of userIds) {
+        const job = await this.manager.notifications.schedule(userId, NOTIFICATION_TYPES.ANNOUNCEMENT, { text }, {
+          key: broadcastId
+        });
+        
+        if (job) {
+          queued += 1;
+        }
+      }
+      
+      after = userIds[userIds.length - 1];
+    } while (userIds.length === this.broadcastPageSize);
+    
+    return { broadcastId, queued };
+  }
+
+  /**
+   * Get recent audit log entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getAuditLog(limit) {
+    return this.repository.getAuditLog({ limit });
+  }
+
+  /**
+   * Record an admin action
+   * @param {number} adminId - Admin's user ID
+   * @param {string} action - One of ADMIN_ACTIONS
+   * @param {string} target - What the action applied to ('user:<id>', 'game:<id>', ...)
+   * @param {Object} details - Action details
+   */
+  async audit(adminId, action, target, details = {}) {
+    await this.repository.appendAuditEntry({
+      adminId,
+      action,
+      target,
+      details,
+      createdAt: Date.now()
+    });
+  }
+}
+
+module.exports = {
+  AdminService,
+  ADMIN_ACTIONS
+};
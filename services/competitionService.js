@@ -0,0 +1,454 @@
+/**
+ * Telegram Mini Game App - Competition Service
+ * 
+ * Timed "best score in game X" contests inside a group chat. Scores from
+ * sessions started in the group count while the competition runs. The
+ * maintenance loop starts scheduled competitions, posts standings at a
+ * fixed interval and announces the winner when the competition closes.
+ * Each of these events is claimed in a repository update, so it is posted
+ * once even with several bot instances.
+ * 
+ * Coin prizes are taken from the creator's balance when the competition is
+ * created and go back to them if nobody plays.
+ */
+
+const crypto = require('crypto');
+const { COIN_REASONS } = require('./walletService');
+
+const STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  FINISHED: 'finished'
+};
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+class CompetitionService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Competition options
+   * @param {number} [options.standingsInterval] - Time between standings posts, in milliseconds
+   * @param {number} [options.maxDuration] - Longest allowed competition, in milliseconds
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.standingsInterval = options.standingsInterval || DURATION_UNITS.d;
+    this.maxDuration = options.maxDuration || 30 * DURATION_UNITS.d;
+  }
+
+  /**
+   * Create a competition in a group chat
+   * @param {number} chatId - Group chat ID
+   * @param {Object} creator - Telegram user creating the competition
+   * @param {Object} options - Competition settings
+   * @param {string} options.gameId - Game ID
+   * @param {number} options.duration - Duration in milliseconds
+   * @param {number} [options.delay] - Time until the start, in milliseconds
+   * @param {string} [options.prize] - Prize text; a plain number is paid out in coins from the creator's balance
+   * @returns {Promise<Object>} { competition } or { error } with a locale key
+   */
+  async create(chatId, creator, options) {
+    const { gameId, duration, delay = 0, prize = '' } = options;
+    
+    if (!duration || duration > this.maxDuration || delay > this.maxDuration) {
+      return { error: 'competition.invalid_duration' };
+    }
+    
+    const coins = /^\d+$/.test(prize) ? Number(prize) : null;
+    
+    if (coins !== null && (!Number.isSafeInteger(coins) || coins <= 0)) {
+      return { error: 'competition.invalid_prize' };
+    }
+    
+    if (await this.repository.getActiveCompetition(chatId)) {
+      return { error: 'competition.already_active' };
+    }
+    
+    const now = Date.now();
+    const startsAt = now + delay;
+    
+    const competition = withNextEvent({
+      id: crypto.randomBytes(6).toString('base64url'),
+      chatId,
+      gameId,
+      creatorId: creator.id,
+      prize: { coins, text: coins === null && prize ? prize : null },
+      status: delay > 0 ? STATUS.SCHEDULED : STATUS.ACTIVE,
+      startsAt,
+      endsAt: startsAt + duration,
+      nextStandingsAt: startsAt + this.standingsInterval,
+      entries: {},
+      winnerId: null,
+      createdAt: now
+    });
+    
+    // The prize is held from the creator's balance so coins are never minted
+    if (coins !== null) {
+      const stake = await this.manager.wallet.debit(creator.id, coins, COIN_REASONS.COMPETITION_STAKE, {
+        idempotencyKey: `competition_stake:${competition.id}`,
+        metadata: { competitionId: competition.id, chatId }
+      });
+      
+      if (stake.error) {
+        return { error: 'competition.insufficient_coins', balance: stake.balance };
+      }
+    }
+    
+    try {
+      await this.repository.saveCompetition(competition);
+    } catch (error) {
+      await this.refundPrize(competition);
+      throw error;
+    }
+    
+    return { competition };
+  }
+
+  /**
+   * Get the scheduled or running competition of a chat
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getActive(chatId) {
+    return this.repository.getActiveCompetition(chatId);
+  }
+
+  /**
+   * Count a completed session towards its chat's competition
+   * @param {Object} session - Completed session
+   * @param {number} score - Final score
+   * @param {Object} user - Telegram user who played
+   */
+  async recordScore(session, score, user) {
+    // Sessions started in a private chat carry the user's ID as chat ID
+    if (!session.chatId || session.chatId === session.userId) {
+      return;
+    }
+    
+    const active = await this.repository.getActiveCompetition(session.chatId);
+    
+    if (!active || active.gameId !== session.gameId) {
+      return;
+    }
+    
+    const key = String(session.userId);
+    
+    await this.repository.updateCompetition(active.id, current => {
+      // The whole game must have been played inside the competition window
+      if (current.status !== STATUS.ACTIVE || session.startTime < current.startsAt ||
+        session.endTime > current.endsAt) {
+        return null;
+      }
+      
+      const entry = current.entries[key] || {
+        userId: session.userId,
+        username: user.username || user.first_name,
+        bestScore: null,
+        bestAt: null,
+        plays: 0
+      };
+      const isBest = entry.bestScore === null || score > entry.bestScore;
+      
+      return {
+        ...current,
+        entries: {
+          ...current.entries,
+          [key]: {
+            ...entry,
+            plays: entry.plays + 1,
+            bestScore: isBest ? score : entry.bestScore,
+            bestAt: isBest ? session.endTime : entry.bestAt
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Close a chat's competition now and announce the result
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object>} { competition } or { error } with a locale key
+   */
+  async end(chatId) {
+    const active = await this.repository.getActiveCompetition(chatId);
+    
+    if (!active) {
+      return { error: 'competition.none_active' };
+    }
+    
+    const now = Date.now();
+    await this.repository.updateCompetition(active.id, current => (
+      current.status === STATUS.FINISHED ? null : { ...current, endsAt: now, nextEventAt: now }
+    ));
+    
+    const competition = await this.processEvent(active.id, now);
+    return competition ? { competition } : { error: 'competition.none_active' };
+  }
+
+  /**
+   * Start, update and close competitions whose next event is due
+   * @param {number} now - Current timestamp
+   */
+  async runSchedule(now = Date.now()) {
+    const due = await this.repository.getDueCompetitions(now);
+    
+    for (const competition of due) {
+      await this.processEvent(competition.id, now);
+    }
+  }
+
+  /**
+   * Claim and announce the due event of a competition
+   * @param {string} competitionId - Competition ID
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Object|null>} Updated competition, or null if nothing was due
+   */
+  async processEvent(competitionId, now) {
+    let event = null;
+    
+    const competition = await this.repository.updateCompetition(competitionId, current => {
+      if (current.status === STATUS.FINISHED || current.nextEventAt > now) {
+        return null;
+      }
+      
+      if (current.endsAt <= now) {
+        event = 'finished';
+        const [winner] = rankEntries(current);
+        
+        return {
+          ...current,
+          status: STATUS.FINISHED,
+          winnerId: winner ? winner.userId : null,
+          finishedAt: now,
+          nextEventAt: null
+        };
+      }
+      
+      if (current.status === STATUS.SCHEDULED) {
+        event = 'started';
+        return withNextEvent({ ...current, status: STATUS.ACTIVE });
+      }
+      
+      event = 'standings';
+      return withNextEvent({ ...current, nextStandingsAt: now + this.standingsInterval });
+    });
+    
+    if (!competition) {
+      return null;
+    }
+    
+    if (event === 'finished') {
+      await this.finish(competition);
+    } else if (event === 'started') {
+      await this.announceStart(competition);
+    } else {
+      const locale = await this.manager.getChatLocale(competition.chatId);
+      await this.postToGroup(competition, this.formatStandings(competition, locale));
+    }
+    
+    return competition;
+  }
+
+  /**
+   * Announce a new or scheduled competition
+   * @param {Object} competition - Competition
+   */
+  async announceStart(competition) {
+    const locale = await this.manager.getChatLocale(competition.chatId);
+    const key = competition.status === STATUS.SCHEDULED ? 'competition.scheduled' : 'competition.started';
+    
+    await this.postToGroup(competition, this.manager.t(locale, key, {
+      game: this.getGameName(competition),
+      start: formatDate(competition.startsAt),
+      end: formatDate(competition.endsAt),
+      prize: this.formatPrize(competition, locale)
+    }));
+  }
+
+  /**
+   * Reward the winner and post the final standings
+   * @param {Object} competition - Finished competition
+   */
+  async finish(competition) {
+    const locale = await this.manager.getChatLocale(competition.chatId);
+    const [winner] = rankEntries(competition);
+    const game = this.getGameName(competition);
+    
+    if (!winner) {
+      let text = this.manager.t(locale, 'competition.finished_empty', { game });
+      
+      if (competition.prize.coins) {
+        await this.refundPrize(competition);
+        text += `\n${this.manager.t(locale, 'competition.prize_refunded', { count: competition.prize.coins })}`;
+      }
+      
+      await this.postToGroup(competition, text);
+      return;
+    }
+    
+    await this.repository.recordVictory(winner.userId);
+    
+    let text = `${this.manager.t(locale, 'competition.finished', {
+      game,
+      name: winner.username,
+      count: winner.bestScore
+    })}\n`;
+    
+    if (competition.prize.coins) {
+      await this.manager.wallet.credit(winner.userId, competition.prize.coins, COIN_REASONS.COMPETITION_PRIZE, {
+        idempotencyKey: `competition:${competition.id}`,
+        metadata: { competitionId: competition.id, chatId: competition.chatId }
+      });
+      text += `${this.manager.t(locale, 'competition.prize_awarded', {
+        name: winner.username,
+        count: competition.prize.coins
+      })}\n`;
+    } else if (competition.prize.text) {
+      text += `${this.manager.t(locale, 'competition.prize_line', { prize: competition.prize.text })}\n`;
+    }
+    
+    await this.postToGroup(competition, `${text}\n${this.formatStandings(competition, locale)}`);
+    
+    this.manager.trackEvent('competition_finished', {
+      competitionId: competition.id,
+      chatId: competition.chatId,
+      gameId: competition.gameId,
+      players: Object.keys(competition.entries).length
+    });
+  }
+
+  /**
+   * Return a held coin prize to the competition's creator
+   * @param {Object} competition - Competition with a coin prize
+   */
+  async refundPrize(competition) {
+    await this.manager.wallet.credit(competition.creatorId, competition.prize.coins, COIN_REASONS.COMPETITION_REFUND, {
+      idempotencyKey: `competition_refund:${competition.id}`,
+      metadata: { competitionId: competition.id, chatId: competition.chatId }
+    });
+  }
+
+  /**
+   * Format the standings of a competition
+   * @param {Object} competition - Competition
+   * @param {string} locale - Language code
+   * @param {number} limit - Number of entries shown
+   * @returns {string} Standings text
+   */
+  formatStandings(competition, locale, limit = 10) {
+    const key = competition.status === STATUS.FINISHED ? 'competition.final_standings' : 'competition.standings';
+    let text = `${this.manager.t(locale, key, {
+      game: this.getGameName(competition),
+      end: formatDate(competition.endsAt)
+    })}\n`;
+    
+    const entries = rankEntries(competition).slice(0, limit);
+    
+    if (entries.length === 0) {
+      return text + this.manager.t(locale, 'competition.standings_empty');
+    }
+    
+    entries.forEach((entry, index) => {
+      const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+      text += `${medal} ${entry.username}: ${entry.bestScore}\n`;
+    });
+    
+    const prize = this.formatPrize(competition, locale);
+    return prize && competition.status !== STATUS.FINISHED ? `${text}\n${prize}` : text;
+  }
+
+  /**
+   * Format the prize line of a competition
+   * @param {Object} competition - Competition
+   * @param {string} locale - Language code
+   * @returns {string} Prize line, empty when there is no prize
+   */
+  formatPrize(competition, locale) {
+    const { coins, text } = competition.prize;
+    
+    if (coins) {
+      return this.manager.t(locale, 'competition.prize_line', {
+        prize: this.manager.t(locale, 'competition.prize_coins', { count: coins })
+      });
+    }
+    
+    return text ? this.manager.t(locale, 'competition.prize_line', { prize: text }) : '';
+  }
+
+  /**
+   * Get the display name of a competition's game
+   * @param {Object} competition - Competition
+   * @returns {string} Game name
+   */
+  getGameName(competition) {
+    const game = this.manager.games[competition.gameId];
+    return game ? game.name : competition.gameId;
+  }
+
+  /**
+   * Send a message to the competition's group chat
+   * @param {Object} competition - Competition
+   * @param {string} text - Message text
+   */
+  async postToGroup(competition, text) {
+    try {
+      await this.manager.bot.telegram.sendMessage(competition.chatId, text);
+    } catch (error) {
+      console.error('Error posting competition update:', error);
+    }
+  }
+}
+
+/**
+ * Parse a duration such as 30m, 12h, 7d or 2w
+ * @param {string} value - Duration text
+ * @returns {number|null} Duration in milliseconds, or null if malformed
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value || '').toLowerCase());
+  return match && Number(match[1]) > 0 ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Set the time of the next scheduled event (start, standings post or end)
+ * @param {Object} competition - Competition
+ * @returns {Object} Competition with nextEventAt
+ */
+function withNextEvent(competition) {
+  const nextEventAt = competition.status === STATUS.SCHEDULED
+    ? competition.startsAt
+    : Math.min(competition.nextStandingsAt, competition.endsAt);
+  
+  return { ...competition, nextEventAt };
+}
+
+/**
+ * Rank entries by best score; earlier best scores win ties
+ * @param {Object} competition - Competition
+ * @returns {Array} Ranked entries
+ */
+function rankEntries(competition) {
+  return Object.values(competition.entries)
+    .sort((a, b) => b.bestScore - a.bestScore || a.bestAt - b.bestAt);
+}
+
+/**
+ * Format a timestamp for announcements
+ * @param {number} timestamp - Timestamp
+ * @returns {string} Date text
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toUTCString();
+}
+
+module.exports = {
+  CompetitionService,
+  COMPETITION_STATUS: STATUS,
+  parseDuration
+};
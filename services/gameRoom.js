@@ -0,0 +1,379 @@
+/**
+ * Telegram Mini Game App - Multiplayer Game Room
+ * 
+ * Transport-agnostic state machine for one multiplayer match:
+ * lobby (players join and mark ready) -> running (server-side ticks) ->
+ * finished. The server is authoritative: clients only send inputs, which
+ * are applied by the game's reducer once per tick and relayed to every
+ * connection together with the resulting state.
+ */
+
+const ROOM_STATUS = {
+  LOBBY: 'lobby',
+  RUNNING: 'running',
+  FINISHED: 'finished'
+};
+
+/**
+ * Build the default reducer: `score` inputs add points to the sending player,
+ * every other input is only relayed. Points a player gains per tick are capped
+ * by the game's anti-cheat score rate, and their total by its maximum score
+ * @param {Object} rules - Anti-cheat rules of the game (maxScore, maxScorePerSecond)
+ * @param {number} tickInterval - Time between ticks, in milliseconds
+ * @returns {Function} Reducer (state, inputs) => state
+ */
+function createDefaultReducer(rules, tickInterval) {
+  const maxPerTick = rules.maxScorePerSecond !== undefined ? rules.maxScorePerSecond * tickInterval / 1000 : Infinity;
+  const maxScore = rules.maxScore !== undefined ? rules.maxScore : Infinity;
+  
+  return (state, inputs) => {
+    const scores = { ...state.scores };
+    const gained = {};
+    
+    inputs.forEach(({ userId, input }) => {
+      if (input.type !== 'score' || !Number.isFinite(input.points) || input.points <= 0) {
+        return;
+      }
+      
+      const points = Math.min(input.points, maxPerTick - (gained[userId] || 0));
+      
+      if (points > 0) {
+        gained[userId] = (gained[userId] || 0) + points;
+        scores[userId] = Math.min((scores[userId] || 0) + points, maxScore);
+      }
+    });
+    
+    return { ...state, scores };
+  };
+}
+
+class GameRoom {
+  /**
+   * @param {Object} options - Room options
+   * @param {string} options.id - Room ID
+   * @param {string} options.gameId - Game ID
+   * @param {Object} options.game - Game config; `multiplayer` holds minPlayers, maxPlayers, duration (s) and tickRate
+   * @param {number} options.chatId - Group chat the room was created from
+   * @param {number} options.hostId - User ID of the creator
+   * @param {Function} [options.reducer] - Game reducer (state, inputs, tick) => state; `state.finished` ends the game
+   * @param {Function} options.send - Called with (message, connections) to deliver messages
+   * @param {Function} options.onStart - Called with the room when the game starts
+   * @param {Function} options.onFinish - Called with the room and results when the game ends
+   */
+  constructor(options) {
+    const settings = options.game.multiplayer || {};
+    
+    this.id = options.id;
+    this.gameId = options.gameId;
+    this.chatId = options.chatId;
+    this.hostId = options.hostId;
+    this.minPlayers = settings.minPlayers || 2;
+    this.maxPlayers = settings.maxPlayers || 8;
+    this.duration = (settings.duration || 120) * 1000;
+    this.tickInterval = 1000 / (settings.tickRate || 10);
+    this.reconnectGrace = options.reconnectGrace || 30 * 1000;
+    this.reducer = options.reducer || createDefaultReducer(options.game.antiCheat || {}, this.tickInterval);
+    this.send = options.send;
+    this.onStart = options.onStart;
+    this.onFinish = options.onFinish;
+    
+    this.status = ROOM_STATUS.LOBBY;
+    this.players = new Map();
+    this.spectators = new Set();
+    this.pendingInputs = [];
+    this.state = { scores: {} };
+    this.tick = 0;
+    this.startedAt = null;
+    this.timer = null;
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Add a player, or reattach a reconnecting one
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} connection - Transport connection
+   * @returns {Object} { ok } or { error } with a locale key
+   */
+  addPlayer(user, connection) {
+    const existing = this.players.get(user.id);
+    
+    if (existing) {
+      // Reconnect: replace the stale connection and resync
+      existing.connection = connection;
+      existing.connected = true;
+      existing.disconnectedAt = null;
+      existing.abandoned = false;
+      this.send(this.snapshot('resync'), [connection]);
+      this.broadcastLobby();
+      return { ok: true };
+    }
+    
+    if (this.status !== ROOM_STATUS.LOBBY) {
+      return { error: 'room.already_started' };
+    }
+    
+    if (this.players.size >= this.maxPlayers) {
+      return { error: 'room.full' };
+    }
+    
+    this.players.set(user.id, {
+      userId: user.id,
+      username: user.username || user.first_name,
+      user,
+      connection,
+      connected: true,
+      disconnectedAt: null,
+      ready: false,
+      sessionToken: null
+    });
+    
+    this.send(this.snapshot('joined'), [connection]);
+    this.broadcastLobby();
+    return { ok: true };
+  }
+
+  /**
+   * Add a spectator connection
+   * @param {Object} connection - Transport connection
+   * @returns {Object} { ok }
+   */
+  addSpectator(connection) {
+    this.spectators.add(connection);
+    this.send(this.snapshot('joined'), [connection]);
+    this.broadcastLobby();
+    return { ok: true };
+  }
+
+  /**
+   * Mark a player ready and start once everyone is
+   * @param {number} userId - User ID
+   * @param {boolean} ready - Ready flag
+   */
+  setReady(userId, ready) {
+    const player = this.players.get(userId);
+    
+    if (!player || this.status !== ROOM_STATUS.LOBBY) {
+      return;
+    }
+    
+    player.ready = Boolean(ready);
+    this.broadcastLobby();
+    
+    const players = Array.from(this.players.values());
+    if (players.length >= this.minPlayers && players.every(entry => entry.ready)) {
+      this.start().catch(error => {
+        console.error(`Error starting room ${this.id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Start the game and the tick loop; if starting fails the room goes back to the lobby
+   */
+  async start() {
+    this.status = ROOM_STATUS.RUNNING;
+    this.startedAt = Date.now();
+    
+    Array.from(this.players.keys()).forEach(userId => {
+      this.state.scores[userId] = 0;
+    });
+    
+    try {
+      await this.onStart(this);
+    } catch (error) {
+      // Players who left meanwhile lose their seat, the others ready up again
+      this.status = ROOM_STATUS.LOBBY;
+      this.startedAt = null;
+      this.state = { scores: {} };
+      this.players.forEach((player, userId) => {
+        if (player.connected) {
+          player.ready = false;
+        } else {
+          this.players.delete(userId);
+        }
+      });
+      this.broadcastLobby();
+      throw error;
+    }
+    
+    this.broadcast(this.snapshot('started'));
+    this.timer = setInterval(() => this.runTick(), this.tickInterval);
+  }
+
+  /**
+   * Queue a player input for the next tick
+   * @param {number} userId - User ID
+   * @param {Object} input - Input payload
+   */
+  queueInput(userId, input) {
+    const player = this.players.get(userId);
+    
+    if (!player || this.status !== ROOM_STATUS.RUNNING || !input || typeof input !== 'object') {
+      return;
+    }
+    
+    this.pendingInputs.push({ userId, input });
+  }
+
+  /**
+   * Apply queued inputs, relay the new state and check for the end of the game
+   */
+  runTick() {
+    const inputs = this.pendingInputs;
+    this.pendingInputs = [];
+    this.tick += 1;
+    
+    try {
+      this.state = this.reducer(this.state, inputs, this.tick);
+    } catch (error) {
+      console.error(`Error in reducer for room ${this.id}:`, error);
+    }
+    
+    this.broadcast({ type: 'tick', tick: this.tick, inputs, state: this.state });
+    
+    // Drop players whose reconnect grace period ran out
+    const now = Date.now();
+    this.players.forEach(player => {
+      if (!player.connected && now - player.disconnectedAt > this.reconnectGrace) {
+        player.abandoned = true;
+      }
+    });
+    
+    const everyoneGone = Array.from(this.players.values()).every(player => player.abandoned);
+    
+    if (this.state.finished || now - this.startedAt >= this.duration || everyoneGone) {
+      this.finish();
+    }
+  }
+
+  /**
+   * End the game and report the results
+   */
+  finish() {
+    if (this.status === ROOM_STATUS.FINISHED) {
+      return;
+    }
+    
+    clearInterval(this.timer);
+    this.status = ROOM_STATUS.FINISHED;
+    
+    const results = Array.from(this.players.values())
+      .map(player => ({
+        userId: player.userId,
+        username: player.username,
+        score: this.state.scores[player.userId] || 0,
+        abandoned: Boolean(player.abandoned)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map((result, index) => ({ ...result, placement: index + 1 }));
+    
+    this.broadcast({ type: 'finished', results });
+    
+    Promise.resolve(this.onFinish(this, results)).catch(error => {
+      console.error(`Error finishing room ${this.id}:`, error);
+    });
+  }
+
+  /**
+   * Stop the game without reporting results, e.g. when its tick loop is gone
+   */
+  abort() {
+    clearInterval(this.timer);
+    this.status = ROOM_STATUS.FINISHED;
+    this.broadcast({ type: 'aborted' });
+  }
+
+  /**
+   * Handle a closed connection
+   * @param {Object} connection - Transport connection
+   */
+  handleDisconnect(connection) {
+    if (this.spectators.delete(connection)) {
+      this.broadcastLobby();
+      return;
+    }
+    
+    const player = Array.from(this.players.values()).find(entry => entry.connection === connection);
+    
+    if (!player) {
+      return;
+    }
+    
+    if (this.status === ROOM_STATUS.LOBBY) {
+      this.players.delete(player.userId);
+    } else {
+      // Keep the seat for the reconnect grace period
+      player.connected = false;
+      player.disconnectedAt = Date.now();
+    }
+    
+    this.broadcastLobby();
+  }
+
+  /**
+   * Whether the room has no connections left
+   * @returns {boolean} True if nobody is connected
+   */
+  isEmpty() {
+    return this.spectators.size === 0 &&
+      Array.from(this.players.values()).every(player => !player.connected);
+  }
+
+  /**
+   * Send the lobby (player list, ready flags, viewer count) to everyone
+   */
+  broadcastLobby() {
+    this.broadcast(this.snapshot('lobby'));
+  }
+
+  /**
+   * Build a room snapshot message
+   * @param {string} type - Message type
+   * @returns {Object} Snapshot message
+   */
+  snapshot(type) {
+    return {
+      type,
+      room: {
+        id: this.id,
+        gameId: this.gameId,
+        status: this.status,
+        minPlayers: this.minPlayers,
+        maxPlayers: this.maxPlayers,
+        tick: this.tick,
+        players: Array.from(this.players.values()).map(player => ({
+          userId: player.userId,
+          username: player.username,
+          ready: player.ready,
+          connected: player.connected
+        })),
+        spectators: this.spectators.size,
+        state: this.status === ROOM_STATUS.LOBBY ? null : this.state
+      }
+    };
+  }
+
+  /**
+   * Get the connections of connected players and spectators
+   * @returns {Array} Transport connections
+   */
+  getConnections() {
+    return Array.from(this.players.values())
+      .filter(player => player.connected)
+      .map(player => player.connection)
+      .concat(Array.from(this.spectators));
+  }
+
+  /**
+   * Send a message to every connected player and spectator
+   * @param {Object} message - Message to send
+   */
+  broadcast(message) {
+    this.send(message, this.getConnections());
+  }
+}
+
+module.exports = {
+  GameRoom,
+  ROOM_STATUS
+};
@@ -0,0 +1,417 @@
+/**
+ * Telegram Mini Game App - Notification Service
+ * 
+ * Scheduler for messages the bot sends on its own: daily quest resets,
+ * streak warnings, leaderboard overtakes, challenge results and admin
+ * announcements. Jobs are stored in the repository before they are due,
+ * so a restart neither loses nor repeats them: each job has a deterministic
+ * ID, so scheduling the same reminder twice keeps one job, and a job is
+ * claimed before it is sent.
+ * A job whose send was interrupted by a crash is not retried, since the
+ * message may already have been delivered.
+ * 
+ * Sending stays below Telegram's broadcast limit (about 30 messages per
+ * second) and sends one message per user per tick. Users who turned
+ * notifications off are skipped when the job is due, and users who blocked
+ * the bot are marked so nothing more is scheduled for them.
+ */
+
+const { Markup } = require('telegraf');
+
+const NOTIFICATION_TYPES = {
+  QUEST_RESET: 'quest_reset',
+  STREAK_WARNING: 'streak_warning',
+  OVERTAKEN: 'overtaken',
+  CHALLENGE_RESULT: 'challenge_result',
+  ANNOUNCEMENT: 'announcement'
+};
+
+const NOTIFICATION_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+class NotificationService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Notification options
+   * @param {number} [options.ratePerSecond] - Messages sent per second at most
+   * @param {number} [options.interval] - Time between sending rounds, in milliseconds
+   * @param {number} [options.maxAttempts] - Sends tried before a job fails
+   * @param {number} [options.retryDelay] - Delay before the first retry, doubled for each further one, in milliseconds
+   * @param {number} [options.questReminderHour] - Local hour the quest reset reminder is sent at
+   * @param {number} [options.streakReminderHour] - Local hour the streak warning is sent at
+   * @param {number} [options.overtakenRanks] - Leaderboard places whose players are told they were overtaken
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.ratePerSecond = options.ratePerSecond || 25;
+    this.interval = options.interval || 1000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 60 * 1000; // 1 minute
+    this.questReminderHour = options.questReminderHour !== undefined ? options.questReminderHour : 9;
+    this.streakReminderHour = options.streakReminderHour !== undefined ? options.streakReminderHour : 19;
+    this.overtakenRanks = options.overtakenRanks || 10;
+    this.timer = null;
+    this.processing = false;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Start sending due notifications
+   */
+  start() {
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sending; jobs that are not due yet stay stored
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one sending round unless the previous one is still going
+   */
+  async tick() {
+    if (this.processing) {
+      return;
+    }
+    
+    this.processing = true;
+    
+    try {
+      await this.processDue();
+    } catch (error) {
+      console.error('Error sending notifications:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Schedule a notification unless the user can't or doesn't want to get it
+   * @param {number} userId - User ID
+   * @param {string} type - One of NOTIFICATION_TYPES
+   * @param {Object} params - Type-specific parameters
+   * @param {Object} options - Scheduling options
+   * @param {string} options.key - Distinguishes jobs of the same type for the user; scheduling an existing key keeps the first job
+   * @param {number} [options.sendAt] - Timestamp to send at, now if omitted
+   * @returns {Promise<Object|null>} Stored job or null if nothing was scheduled
+   */
+  async schedule(userId, type, params, options) {
+    const user = await this.repository.getUser(userId);
+    
+    if (!this.canNotify(user)) {
+      return null;
+    }
+    
+    const now = Date.now();
+    const { notification, created } = await this.repository.createNotification({
+      id: `${type}:${userId}:${options.key}`,
+      userId,
+      type,
+      params,
+      sendAt: options.sendAt || now,
+      status: NOTIFICATION_STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+    
+    return created ? notification : null;
+  }
+
+  /**
+   * Schedule the reminders for the day after a user played
+   * @param {number} userId - User ID
+   */
+  async scheduleDailyReminders(userId) {
+    const user = await this.repository.getUser(userId);
+    const nextDayStart = this.manager.quests.getNextDayStart(user);
+    const day = this.manager.quests.getUserDay(user, nextDayStart);
+    const hour = 60 * 60 * 1000;
+    
+    await this.schedule(userId, NOTIFICATION_TYPES.QUEST_RESET, { day }, {
+      key: day,
+      sendAt: nextDayStart + this.questReminderHour * hour
+    });
+    
+    await this.schedule(userId, NOTIFICATION_TYPES.STREAK_WARNING, { day }, {
+      key: day,
+      sendAt: nextDayStart + this.streakReminderHour * hour
+    });
+  }
+
+  /**
+   * Tell players at the top of a game's leaderboard that a new best score passed them
+   * @param {number} userId - Player who set the score
+   * @param {string} gameId - Game ID
+   * @param {number} score - New best score
+   * @param {number|null} previousBest - Player's best before, null if it is their first score
+   */
+  async notifyOvertaken(userId, gameId, score, previousBest) {
+    const user = await this.repository.getUser(userId);
+    
+    // Hidden players don't show up on the leaderboard, so they overtake nobody
+    if (!user || this.manager.settings.resolve(user).hideFromLeaderboards) {
+      return;
+    }
+    
+    const name = user.username || user.firstName;
+    const entries = await this.repository.getLeaderboard({ gameId, limit: this.overtakenRanks });
+    const day = new Date().toISOString().slice(0, 10);
+    
+    // Players that were ahead of or level with the old best and are now behind
+    const overtaken = entries.filter(entry => entry.userId !== userId &&
+      entry.score < score &&
+      (previousBest === null || entry.score >= previousBest));
+    
+    for (const entry of overtaken) {
+      await this.schedule(entry.userId, NOTIFICATION_TYPES.OVERTAKEN, { gameId, name, score }, {
+        key: `${gameId}:${day}`
+      });
+    }
+  }
+
+  /**
+   * Send the jobs that are due, within the rate limit
+   * @param {number} now - Timestamp
+   * @returns {Promise<number>} Number of jobs handled
+   */
+  async processDue(now = Date.now()) {
+    if (now < this.pausedUntil) {
+      return 0;
+    }
+    
+    const batchSize = Math.max(1, Math.floor(this.ratePerSecond * this.interval / 1000));
+    const jobs = await this.repository.getDueNotifications(now, batchSize);
+    const users = new Set();
+    let handled = 0;
+    
+    for (const job of jobs) {
+      // Telegram allows about one message per second to the same chat
+      if (users.has(job.userId)) {
+        continue;
+      }
+      
+      // A rate limit reply pauses the rest of the round
+      if (Date.now() < this.pausedUntil) {
+        break;
+      }
+      
+      users.add(job.userId);
+      await this.deliver(job);
+      handled += 1;
+    }
+    
+    return handled;
+  }
+
+  /**
+   * Claim and send one job
+   * @param {Object} job - Due job
+   */
+  async deliver(job) {
+    const claimed = await this.repository.updateNotification(job.id, current => {
+      if (current.status !== NOTIFICATION_STATUS.PENDING) {
+        return null;
+      }
+      
+      return {
+        ...current,
+        status: NOTIFICATION_STATUS.SENDING,
+        attempts: current.attempts + 1,
+        updatedAt: Date.now()
+      };
+    });
+    
+    // Another instance claimed it first
+    if (!claimed) {
+      return;
+    }
+    
+    const user = await this.repository.getUser(claimed.userId);
+    const reason = this.getSkipReason(claimed, user);
+    
+    if (reason) {
+      await this.finish(claimed, NOTIFICATION_STATUS.SKIPPED, { reason });
+      return;
+    }
+    
+    const locale = await this.manager.getUserLocale(claimed.userId);
+    const message = this.render(claimed, user, locale);
+    
+    try {
+      await this.manager.bot.telegram.sendMessage(claimed.userId, message.text, message.extra);
+    } catch (error) {
+      await this.handleSendError(claimed, error);
+      return;
+    }
+    
+    await this.finish(claimed, NOTIFICATION_STATUS.SENT);
+    
+    this.manager.trackUserAction(claimed.userId, 'notification_sent', {
+      type: claimed.type,
+      delay: Date.now() - claimed.sendAt
+    });
+  }
+
+  /**
+   * Check whether a user can be sent notifications at all
+   * @param {Object|null} user - User record
+   * @returns {boolean} Whether the user is known, reachable, not banned and opted in
+   */
+  canNotify(user) {
+    return Boolean(user && !user.botBlocked && !user.banned && this.manager.settings.resolve(user).notifications);
+  }
+
+  /**
+   * Decide whether a due job is no longer worth sending
+   * @param {Object} job - Claimed job
+   * @param {Object|null} user - User record
+   * @returns {string|null} Reason to skip, null to send
+   */
+  getSkipReason(job, user) {
+    if (!this.canNotify(user)) {
+      return 'unavailable';
+    }
+    
+    // Daily reminders are moot once the user played that day
+    if (job.type === NOTIFICATION_TYPES.QUEST_RESET || job.type === NOTIFICATION_TYPES.STREAK_WARNING) {
+      if (user.lastStreakDay === job.params.day) {
+        return 'played';
+      }
+    }
+    
+    if (job.type === NOTIFICATION_TYPES.STREAK_WARNING && this.manager.quests.getCurrentStreak(user) === 0) {
+      return 'no_streak';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Render a job in the user's language
+   * @param {Object} job - Job to send
+   * @param {Object} user - User record
+   * @param {string} locale - Language code
+   * @returns {Object} { text, extra } for sendMessage
+   */
+  render(job, user, locale) {
+    const t = (key, params) => this.manager.t(locale, key, params);
+    const footer = `\n\n${t('notifications.footer')}`;
+    const play = callbackData => Markup.inlineKeyboard([
+      [Markup.button.callback(t('notifications.play'), callbackData)]
+    ]);
+    
+    if (job.type === NOTIFICATION_TYPES.QUEST_RESET) {
+      return { text: t('notifications.quest_reset') + footer, extra: play('game_menu') };
+    }
+    
+    if (job.type === NOTIFICATION_TYPES.STREAK_WARNING) {
+      const count = this.manager.quests.getCurrentStreak(user);
+      return { text: t('notifications.streak_warning', { count }) + footer, extra: play('game_menu') };
+    }
+    
+    if (job.type === NOTIFICATION_TYPES.OVERTAKEN) {
+      const game = this.manager.games[job.params.gameId];
+      const text = t('notifications.overtaken', {
+        name: job.params.name,
+        game: game ? game.name : job.params.gameId,
+        count: job.params.score
+      });
+      
+      return { text: text + footer, extra: game ? play(`game:${job.params.gameId}`) : {} };
+    }
+    
+    if (job.type === NOTIFICATION_TYPES.ANNOUNCEMENT) {
+      return { text: job.params.text + footer, extra: {} };
+    }
+    
+    return {
+      text: this.manager.formatChallengeResult(locale, job.params) + footer,
+      extra: { parse_mode: 'Markdown' }
+    };
+  }
+
+  /**
+   * Settle a job after a failed send
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Error from the Bot API
+   */
+  async handleSendError(job, error) {
+    const code = error.code || (error.response && error.response.error_code);
+    
+    // The user blocked the bot or deleted their account
+    if (code === 403) {
+      await this.repository.setBotBlocked(job.userId, true);
+      await this.finish(job, NOTIFICATION_STATUS.CANCELLED, { reason: 'blocked' });
+      this.manager.trackUserAction(job.userId, 'notification_failed', { type: job.type, reason: 'blocked' });
+      return;
+    }
+    
+    // Flood control: wait as told and send the job again, without counting the attempt
+    if (code === 429) {
+      const parameters = (error.response && error.response.parameters) || {};
+      this.pausedUntil = Date.now() + (parameters.retry_after || 1) * 1000;
+      await this.release(job, { attempts: job.attempts - 1 });
+      return;
+    }
+    
+    // Other client errors (e.g. the chat was never opened) won't succeed on retry
+    const retryable = !code || code >= 500;
+    
+    if (retryable && job.attempts < this.maxAttempts) {
+      await this.release(job, { sendAt: Date.now() + this.retryDelay * 2 ** (job.attempts - 1) });
+      return;
+    }
+    
+    console.error(`Error sending ${job.type} notification to ${job.userId}:`, error.message);
+    await this.finish(job, NOTIFICATION_STATUS.FAILED, { reason: error.message });
+    this.manager.trackUserAction(job.userId, 'notification_failed', { type: job.type, reason: 'error' });
+  }
+
+  /**
+   * Return a claimed job to the queue
+   * @param {Object} job - Claimed job
+   * @param {Object} changes - Fields to change (sendAt, attempts)
+   */
+  async release(job, changes) {
+    await this.repository.updateNotification(job.id, current => ({
+      ...current,
+      ...changes,
+      status: NOTIFICATION_STATUS.PENDING,
+      updatedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Record the final status of a job
+   * @param {Object} job - Claimed job
+   * @param {string} status - One of NOTIFICATION_STATUS
+   * @param {Object} details - Extra fields to store (reason)
+   */
+  async finish(job, status, details = {}) {
+    await this.repository.updateNotification(job.id, current => ({
+      ...current,
+      ...details,
+      status,
+      updatedAt: Date.now()
+    }));
+  }
+}
+
+module.exports = {
+  NotificationService,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_STATUS
+};
@@ -0,0 +1,279 @@
+/**
+ * Telegram Mini Game App - Offline Sync Service
+ * 
+ * Lets games be played without a connection. While online, the Web App
+ * fetches a few offline session tokens per game; each one is a regular
+ * signed session with a longer lifetime, stored up front so it can only
+ * be redeemed once. Games finished offline are submitted later as a batch
+ * with the times they were played at, from whichever device played them.
+ * 
+ * Synced games resolve against what was recorded meanwhile the same way
+ * live games do: every game counts as a play, the best score is kept and
+ * the last score is the one played last. Start and end times come from
+ * the client, so they must fall within the token's lifetime before the
+ * usual anti-cheat rules are run on them.
+ */
+
+const { VERDICTS } = require('../security/antiCheat');
+
+const SYNC_STATUSES = {
+  ACCEPTED: 'accepted',
+  QUARANTINED: 'quarantined',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected'
+};
+
+class OfflineSyncService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Offline play options
+   * @param {number} [options.tokenTtl] - Offline token lifetime in milliseconds
+   * @param {number} [options.maxTokens] - Tokens issued per game and request
+   * @param {number} [options.maxBatchSize] - Completions accepted per sync
+   * @param {number} [options.clockTolerance] - Allowed drift of the device clock in milliseconds
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.sessionStore = manager.sessionStore;
+    this.tokenTtl = options.tokenTtl || 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.maxTokens = options.maxTokens || 10;
+    this.maxBatchSize = options.maxBatchSize || 50;
+    this.clockTolerance = options.clockTolerance || 5 * 60 * 1000; // 5 minutes
+  }
+
+  /**
+   * Issue offline session tokens for a game
+   * 
+   * The difficulty is recommended once for all tokens of the request.
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} count - Tokens wanted, capped at maxTokens
+   * @returns {Promise<Object>} { gameId, tokens, difficulty, expiresAt } or { error } with a locale key
+   */
+  async issueTokens(userId, gameId, count) {
+    const user = await this.repository.getUser(userId);
+    
+    if (!this.manager.isGameAvailable(gameId, user)) {
+      return { error: 'game.unavailable' };
+    }
+    
+    if (!this.manager.shop.canPlay(user, this.manager.games[gameId])) {
+      return { error: 'shop.locked' };
+    }
+    
+    const startTime = Date.now();
+    const expiresAt = startTime + this.tokenTtl;
+    const difficulty = await this.manager.skills.recommend(userId, gameId);
+    const total = Math.min(Math.max(Math.floor(count) || 1, 1), this.maxTokens);
+    const tokens = [];
+    
+    // Offline games are played alone, so results belong to the private chat
+    for (let i = 0; i < total; i++) {
+      const sessionId = this.manager.generateSessionId();
+      const session = { userId, gameId, chatId: userId, startTime, expiresAt };
+      
+      await this.sessionStore.create(sessionId, {
+        ...session,
+        score: 0,
+        completed: false,
+        offline: true,
+        difficulty
+      });
+      
+      tokens.push(this.manager.sessionTokens.sign({ sessionId, ...session }));
+    }
+    
+    this.manager.trackUserAction(userId, 'offline_tokens_issued', { gameId, count: total });
+    
+    return { gameId, tokens, difficulty, expiresAt };
+  }
+
+  /**
+   * Record a batch of games played offline
+   * @param {number} userId - User ID
+   * @param {Array} completions - Entries of { sessionToken, score, gameStats, eventLog, startedAt, endedAt }
+   * @returns {Promise<Object>} { results, gameStats } with one result per completion, or { error } with a locale key
+   */
+  async sync(userId, completions) {
+    if (!Array.isArray(completions) || completions.length === 0 || completions.length > this.maxBatchSize) {
+      return { error: 'errors.offline_batch' };
+    }
+    
+    const now = Date.now();
+    const results = new Array(completions.length);
+    
+    // Record in the order the games were played, so quests and ratings see them in sequence
+    const ordered = completions
+      .map((completion, index) => ({ completion: completion || {}, index }))
+      .sort((a, b) => (Number(a.completion.endedAt) || 0) - (Number(b.completion.endedAt) || 0));
+    
+    for (const { completion, index } of ordered) {
+      results[index] = await this.syncCompletion(userId, completion, now);
+    }
+    
+    const count = status => results.filter(result => result.status === status).length;
+    
+    this.manager.trackUserAction(userId, 'offline_synced', {
+      submitted: completions.length,
+      accepted: count(SYNC_STATUSES.ACCEPTED),
+      quarantined: count(SYNC_STATUSES.QUARANTINED),
+      duplicates: count(SYNC_STATUSES.DUPLICATE),
+      rejected: count(SYNC_STATUSES.REJECTED)
+    });
+    
+    // The merged stats let the device catch up with games played elsewhere
+    const user = await this.repository.getUser(userId);
+    
+    return { results, gameStats: user ? user.gameStats : {} };
+  }
+
+  /**
+   * Record one game played offline
+   * @param {number} userId - User ID
+   * @param {Object} completion - Completion (sessionToken, score, gameStats, eventLog, startedAt, endedAt)
+   * @param {number} now - Sync timestamp
+   * @returns {Promise<Object>} { sessionId, status } with the score and personal best when accepted, or an error locale key when rejected
+   */
+  async syncCompletion(userId, completion, now) {
+    const validation = await this.manager.validateCompletion(userId, completion);
+    
+    if (validation.error) {
+      return { status: SYNC_STATUSES.REJECTED, error: validation.error };
+    }
+    
+    const { session, sessionId } = validation;
+    
+    // Tokens of live sessions are completed through the live flow only
+    if (!session.offline) {
+      return { sessionId, status: SYNC_STATUSES.REJECTED, error: 'errors.session_invalid' };
+    }
+    
+    if (!this.isWithinTokenWindow(session, completion.startedAt, completion.endedAt, now)) {
+      return { sessionId, status: SYNC_STATUSES.REJECTED, error: 'errors.offline_timing' };
+    }
+    
+    // Completed offline sessions live until the token expires, so a resent game is recognized
+    const result = await this.sessionStore.complete(sessionId, {
+      score: completion.score,
+      gameStats: completion.gameStats || {},
+      startedAt: completion.startedAt,
+      endTime: completion.endedAt,
+      syncedAt: now,
+      progress: {}
+    });
+    
+    if (!result) {
+      return { sessionId, status: SYNC_STATUSES.REJECTED, error: 'errors.session_invalid' };
+    }
+    
+    // A game whose recording failed part way is resumed like a live completion
+    const recorded = result.session;
+    
+    if (result.alreadyCompleted && (!recorded.progress || recorded.progress.recorded)) {
+      return { sessionId, status: SYNC_STATUSES.DUPLICATE };
+    }
+    
+    // A resent game is recorded as first submitted
+    const { score, gameStats, startedAt, endTime: endedAt } = recorded;
+    const game = this.manager.games[session.gameId];
+    const played = { ...recorded, startTime: startedAt };
+    const check = await this.manager.runCompletionStep(recorded, 'check', async () => {
+      const { verdict, reasons } = await this.manager.antiCheat.evaluate(session.gameId, game, played, {
+        ...completion,
+        score,
+        gameStats
+      }, endedAt);
+      
+      return { verdict, reasons };
+    });
+    
+    if (check.verdict === VERDICTS.QUARANTINE) {
+      await this.manager.runCompletionStep(recorded, 'quarantine', async () => {
+        await this.repository.quarantineScore({
+          userId,
+          gameId: session.gameId,
+          chatId: session.chatId,
+          score,
+          gameStats,
+          reasons: check.reasons,
+          startTime: startedAt,
+          endTime: endedAt
+        });
+      });
+      await this.sessionStore.recordProgress(sessionId, 'recorded', true);
+      
+      this.manager.trackUserAction(userId, 'score_quarantined', {
+        gameId: session.gameId,
+        score,
+        reasons: check.reasons,
+        offline: true
+      });
+      
+      return { sessionId, status: SYNC_STATUSES.QUARANTINED };
+    }
+    
+    const saved = await this.manager.runCompletionStep(recorded, 'score', async () => {
+      const { isPersonalBest, previousBest } = await this.manager.saveGameScore(userId, session.gameId, score, gameStats, {
+        chatId: session.chatId,
+        playedAt: endedAt
+      });
+      
+      return { isPersonalBest: Boolean(isPersonalBest), previousBest: previousBest === undefined ? null : previousBest };
+    });
+    
+    if (saved.isPersonalBest) {
+      await this.manager.runCompletionStep(recorded, 'overtaken', async () => {
+        await this.manager.notifications.notifyOvertaken(userId, session.gameId, score, saved.previousBest);
+      });
+    }
+    
+    await this.manager.runCompletionStep(recorded, 'skill', async () => {
+      await this.manager.skills.recordResult(played, score);
+    });
+    
+    // Quests and streaks are daily, so only games played today count towards them
+    const user = await this.repository.getUser(userId);
+    const quests = this.manager.quests;
+    
+    if (quests.getUserDay(user, endedAt) === quests.getUserDay(user, now)) {
+      await this.manager.runCompletionStep(recorded, 'quests', async () => {
+        await this.manager.updateQuestProgress(userId, { gameId: session.gameId, score, gameStats });
+      });
+    }
+    
+    await this.manager.checkForUnlockedAchievements(userId, session.gameId, score, gameStats);
+    await this.sessionStore.recordProgress(sessionId, 'recorded', true);
+    
+    this.manager.trackUserAction(userId, 'game_completed', {
+      gameId: session.gameId,
+      score,
+      duration: endedAt - startedAt,
+      offline: true
+    });
+    
+    return { sessionId, status: SYNC_STATUSES.ACCEPTED, score, isPersonalBest: saved.isPersonalBest };
+  }
+
+  /**
+   * Check that reported play times fall within the token's lifetime
+   * @param {Object} session - Offline session (startTime, expiresAt)
+   * @param {number} startedAt - Reported start timestamp
+   * @param {number} endedAt - Reported end timestamp
+   * @param {number} now - Sync timestamp
+   * @returns {boolean} Whether the times are plausible
+   */
+  isWithinTokenWindow(session, startedAt, endedAt, now) {
+    if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt) || startedAt > endedAt) {
+      return false;
+    }
+    
+    return startedAt >= session.startTime - this.clockTolerance &&
+      endedAt <= Math.min(session.expiresAt, now + this.clockTolerance);
+  }
+}
+
+module.exports = {
+  OfflineSyncService,
+  SYNC_STATUSES
+};
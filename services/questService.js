@@ -0,0 +1,404 @@
+/**
+ * Telegram Mini Game App - Daily Quest Service
+ * 
+ * Assigns quests from declarative templates once per user per day, in
+ * the user's timezone, and tracks progress and daily play streaks.
+ * 
+ * Template fields:
+ *   id          - Unique template ID
+ *   description - Optional text with {target} and {game} placeholders, defaults
+ *                 to the 'daily.quests.<id>' locale key
+ *   metric      - 'games_played' (count games), 'total_score' (sum of scores)
+ *                 or 'best_score' (highest single score)
+ *   filter      - Optional { gameType, gameId } restricting counted games
+ *   pickGame    - Pick a random game (matching filter.gameType) at assignment
+ *   target      - Progress needed to complete the quest
+ *   reward      - Coins paid out when claimed
+ */
+
+const crypto = require('crypto');
+
+const METRICS = {
+  GAMES_PLAYED: 'games_played',
+  TOTAL_SCORE: 'total_score',
+  BEST_SCORE: 'best_score'
+};
+
+const DEFAULT_TEMPLATES = [
+  { id: 'play_any', metric: METRICS.GAMES_PLAYED, target: 3, reward: 30 },
+  { id: 'play_puzzle', metric: METRICS.GAMES_PLAYED, filter: { gameType: 'puzzle' }, target: 2, reward: 40 },
+  { id: 'play_arcade', metric: METRICS.GAMES_PLAYED, filter: { gameType: 'arcade' }, target: 2, reward: 40 },
+  { id: 'play_trivia', metric: METRICS.GAMES_PLAYED, filter: { gameType: 'trivia' }, target: 2, reward: 40 },
+  { id: 'play_strategy', metric: METRICS.GAMES_PLAYED, filter: { gameType: 'strategy' }, target: 1, reward: 40 },
+  { id: 'total_score', metric: METRICS.TOTAL_SCORE, target: 500, reward: 50 },
+  { id: 'score_in_game', metric: METRICS.BEST_SCORE, pickGame: true, target: 100, reward: 60 }
+];
+
+class QuestService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Quest options
+   * @param {Array} [options.templates] - Quest templates
+   * @param {number} [options.questsPerDay] - Number of quests assigned each day
+   * @param {string} [options.defaultTimezone] - IANA timezone for users without one
+   * @param {number} [options.timezoneChangeInterval] - Minimum time between timezone changes (ms)
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.templates = options.templates || DEFAULT_TEMPLATES;
+    this.questsPerDay = options.questsPerDay || 3;
+    this.defaultTimezone = options.defaultTimezone || 'UTC';
+    this.timezoneChangeInterval = options.timezoneChangeInterval || 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the calendar day in a timezone
+   * @param {string} timezone - IANA timezone
+   * @param {number} now - Timestamp
+   * @returns {string} Day key (YYYY-MM-DD)
+   */
+  getDayKey(timezone, now = Date.now()) {
+    try {
+      return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(now);
+    } catch (error) {
+      // Unknown timezone, fall back to the default
+      return new Intl.DateTimeFormat('en-CA', { timeZone: this.defaultTimezone }).format(now);
+    }
+  }
+
+  /**
+   * Localized quest description
+   * @param {Object} quest - Quest
+   * @param {string} locale - Language code
+   * @returns {string} Description
+   */
+  getDescription(quest, locale) {
+    return quest.description || this.manager.t(locale, `daily.quests.${quest.templateId}`, {
+      target: quest.target,
+      count: quest.target,
+      game: quest.gameName
+    });
+  }
+
+  /**
+   * Get the calendar day of a user
+   * @param {Object|null} user - User record
+   * @param {number} now - Timestamp
+   * @returns {string} Day key (YYYY-MM-DD)
+   */
+  getUserDay(user, now = Date.now()) {
+    return this.getDayKey((user && user.timezone) || this.defaultTimezone, now);
+  }
+
+  /**
+   * Change the timezone a user's quest days and streaks follow. Changes are
+   * limited to one per interval, since each one can start a new quest day
+   * @param {number} userId - User ID
+   * @param {string|null} timezone - IANA timezone name, null or 'auto' for the default timezone
+   * @returns {Promise<Object>} { timezone } with the canonical name (null for the default), or { error } with a locale key
+   */
+  async setTimezone(userId, timezone) {
+    const normalized = timezone === null || timezone === 'auto' ? null : normalizeTimezone(timezone);
+    
+    if (normalized === undefined) {
+      return { error: 'timezone.invalid' };
+    }
+    
+    const user = await this.repository.getUser(userId);
+    const current = (user && user.timezone) || null;
+    
+    if (normalized === current) {
+      return { timezone: normalized };
+    }
+    
+    const now = Date.now();
+    
+    if (user && user.timezoneChangedAt && now - user.timezoneChangedAt < this.timezoneChangeInterval) {
+      return { error: 'timezone.too_soon' };
+    }
+    
+    await this.repository.setUserTimezone(userId, normalized, now);
+    return { timezone: normalized };
+  }
+
+  /**
+   * Get today's quests for a user, assigning them on the first request of the day
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Quests
+   */
+  async getQuests(userId) {
+    const user = await this.repository.getUser(userId);
+    const day = this.getUserDay(user);
+    
+    const record = await this.repository.updateDailyQuests(userId, day, current => {
+      return current ? null : {
+        userId,
+        day,
+        quests: this.assignQuests(userId, day, user),
+        lastUpdatedIds: []
+      };
+    });
+    
+    if (record) {
+      return record.quests;
+    }
+    
+    const existing = await this.repository.getDailyQuests(userId, day);
+    return existing ? existing.quests : [];
+  }
+
+  /**
+   * Apply a completed game to today's quests and the play streak
+   * @param {number} userId - User ID
+   * @param {Object} result - Game result (gameId, score, gameStats)
+   * @returns {Promise<Array>} Quests whose progress changed
+   */
+  async recordGame(userId, result) {
+    await this.getQuests(userId);
+    
+    const user = await this.repository.getUser(userId);
+    const now = Date.now();
+    const day = this.getUserDay(user, now);
+    const game = this.manager.games[result.gameId] || {};
+    
+    const record = await this.repository.updateDailyQuests(userId, day, current => {
+      if (!current) {
+        return null;
+      }
+      
+      const lastUpdatedIds = [];
+      const quests = current.quests.map(quest => {
+        if (quest.completed || !matchesFilter(quest.filter, result.gameId, game)) {
+          return quest;
+        }
+        
+        const progress = Math.min(quest.target, nextProgress(quest, result.score));
+        
+        if (progress === quest.progress) {
+          return quest;
+        }
+        
+        lastUpdatedIds.push(quest.id);
+        return { ...quest, progress, completed: progress >= quest.target };
+      });
+      
+      return { ...current, quests, lastUpdatedIds };
+    });
+    
+    // Any completed game keeps the daily streak going
+    await this.repository.recordStreakDay(userId, day, this.previousDay(day));
+    
+    return record ? record.quests.filter(quest => record.lastUpdatedIds.includes(quest.id)) : [];
+  }
+
+  /**
+   * Get quests whose progress changed with the user's last game
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Updated quests
+   */
+  async getUpdatedQuests(userId) {
+    const user = await this.repository.getUser(userId);
+    const record = await this.repository.getDailyQuests(userId, this.getUserDay(user));
+    
+    if (!record) {
+      return [];
+    }
+    
+    return record.quests.filter(quest => record.lastUpdatedIds.includes(quest.id));
+  }
+
+  /**
+   * Claim completed quests and credit their rewards in one atomic step
+   * @param {number} userId - User ID
+   * @param {Array<string>} questIds - Quests to claim
+   * @returns {Promise<number>} Coins credited, 0 if nothing was claimable
+   */
+  async claim(userId, questIds) {
+    const user = await this.repository.getUser(userId);
+    return this.repository.claimDailyQuests(userId, this.getUserDay(user), questIds);
+  }
+
+  /**
+   * Get a user's streak, taking days missed since the last game into account
+   * @param {Object} user - User record
+   * @param {number} now - Timestamp
+   * @returns {number} Current streak in days
+   */
+  getCurrentStreak(user, now = Date.now()) {
+    if (!user || !user.lastStreakDay) {
+      return 0;
+    }
+    
+    const today = this.getUserDay(user, now);
+    const alive = user.lastStreakDay === today || user.lastStreakDay === this.previousDay(today);
+    
+    return alive ? user.currentStreak : 0;
+  }
+
+  /**
+   * Get the day before a day key
+   * @param {string} day - Day key (YYYY-MM-DD)
+   * @returns {string} Previous day key
+   */
+  previousDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - 1);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the moment the user's next calendar day starts
+   * @param {Object|null} user - User record
+   * @param {number} now - Timestamp
+   * @returns {number} Timestamp of the next local midnight, to the minute
+   */
+  getNextDayStart(user, now = Date.now()) {
+    const today = this.getUserDay(user, now);
+    const minute = 60 * 1000;
+    
+    // Days last 23 to 25 hours around DST changes, so search the next 26 hours
+    let low = Math.floor(now / minute);
+    let high = low + 26 * 60;
+    
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      
+      if (this.getUserDay(user, middle * minute) === today) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    
+    return high * minute;
+  }
+
+  /**
+   * Pick the day's quests for a user, deterministically per user and day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Object|null} user - User record, for the games offered to them
+   * @returns {Array} Quests
+   */
+  assignQuests(userId, day, user = null) {
+    const random = seededRandom(`${userId}:${day}`);
+    const games = this.manager.getAvailableGames(user);
+    
+    // Only offer templates that can be completed with the current catalog
+    const candidates = this.templates
+      .map(template => ({
+        template,
+        games: games.filter(([gameId, game]) => matchesFilter(template.filter, gameId, game))
+      }))
+      .filter(candidate => candidate.games.length > 0);
+    
+    const quests = [];
+    
+    while (quests.length < this.questsPerDay && candidates.length > 0) {
+      const { template, games: matchingGames } = candidates.splice(Math.floor(random() * candidates.length), 1)[0];
+      let filter = template.filter || null;
+      let gameName = '';
+      
+      if (template.pickGame) {
+        const [gameId, game] = matchingGames[Math.floor(random() * matchingGames.length)];
+        filter = { ...filter, gameId };
+        gameName = game.name;
+      }
+      
+      quests.push({
+        id: `${day}_${template.id}`,
+        templateId: template.id,
+        // Default quests are translated when shown, custom text is stored as is
+        description: template.description
+          ? template.description.replace('{target}', template.target).replace('{game}', gameName)
+          : null,
+        gameName,
+        metric: template.metric,
+        filter,
+        target: template.target,
+        progress: 0,
+        reward: template.reward,
+        completed: false,
+        claimed: false
+      });
+    }
+    
+    return quests;
+  }
+}
+
+/**
+ * Check whether a game counts for a quest filter
+ * @param {Object|null} filter - Quest filter ({ gameType, gameId })
+ * @param {string} gameId - Game ID
+ * @param {Object} game - Game config
+ * @returns {boolean} Whether the game matches
+ */
+function matchesFilter(filter, gameId, game) {
+  if (!filter) {
+    return true;
+  }
+  
+  return (!filter.gameId || filter.gameId === gameId) &&
+    (!filter.gameType || filter.gameType === game.type);
+}
+
+/**
+ * Compute quest progress after a game
+ * @param {Object} quest - Quest
+ * @param {number} score - Game score
+ * @returns {number} New progress
+ */
+function nextProgress(quest, score) {
+  if (quest.metric === METRICS.GAMES_PLAYED) {
+    return quest.progress + 1;
+  }
+  
+  if (quest.metric === METRICS.TOTAL_SCORE) {
+    return quest.progress + score;
+  }
+  
+  return Math.max(quest.progress, score);
+}
+
+/**
+ * Deterministic pseudo-random generator seeded from a string
+ * @param {string} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  const digest = crypto.createHash('sha256').update(seed).digest();
+  let offset = 0;
+  
+  return () => {
+    const value = digest.readUInt32BE(offset % (digest.length - 3));
+    offset += 4;
+    return value / 0x100000000;
+  };
+}
+
+/**
+ * Normalize an IANA timezone name
+ * @param {*} value - Requested timezone, e.g. 'europe/madrid'
+ * @returns {string|undefined} Canonical name ('Europe/Madrid'), undefined if unknown
+ */
+function normalizeTimezone(value) {
+  // Offsets like '+02:00' are accepted by Intl too, but do not follow daylight saving time
+  if (typeof value !== 'string' || !/^[A-Za-z][\w+-]*(\/[\w+-]+)*$/.test(value)) {
+    return undefined;
+  }
+  
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  QuestService,
+  QUEST_METRICS: METRICS,
+  DEFAULT_QUEST_TEMPLATES: DEFAULT_TEMPLATES,
+  normalizeTimezone
+};
@@ -0,0 +1,196 @@
+/**
+ * Telegram Mini Game App - Recommendation Service
+ * 
+ * Ranks the game catalog for a user from four signals:
+ *   similar  - Share of the user's plays in games of the same type or tags
+ *   favorite - How often the user played the game compared to their most played game
+ *   popular  - Plays of the game across all users (log scaled)
+ *   new      - How recently the game was added (its `addedAt` date in the games config)
+ * 
+ * Each signal is between 0 and 1 and is multiplied by its weight. The
+ * signal contributing most to a game's score is reported as the reason it
+ * was recommended, so analytics can measure click-through per reason.
+ */
+
+const RECOMMENDATION_REASONS = {
+  SIMILAR: 'similar',
+  FAVORITE: 'favorite',
+  POPULAR: 'popular',
+  NEW: 'new'
+};
+
+const DEFAULT_WEIGHTS = {
+  [RECOMMENDATION_REASONS.SIMILAR]: 3,
+  [RECOMMENDATION_REASONS.FAVORITE]: 1,
+  [RECOMMENDATION_REASONS.POPULAR]: 1.5,
+  [RECOMMENDATION_REASONS.NEW]: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecommendationService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Recommendation options
+   * @param {Object} [options.weights] - Weight per reason, merged over the defaults
+   * @param {number} [options.newGameDays] - Days a game counts as new after its addedAt date
+   * @param {number} [options.statsTtl] - Milliseconds the game popularity is cached
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.newGameDays = options.newGameDays || 30;
+    this.statsTtl = options.statsTtl || 5 * 60 * 1000;
+    this.statsCache = null;
+  }
+
+  /**
+   * Rank every game in the catalog for a user
+   * @param {Object|null} user - User record, null for unknown users
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>} Entries of { gameId, score, reason, signals }, best first
+   */
+  async rank(user, now = Date.now()) {
+    const popularity = await this.getPopularity(now);
+    const profile = buildProfile(this.manager.games, user);
+    
+    const ranked = this.manager.getAvailableGames(user).map(([gameId, game]) => {
+      const signals = {
+        [RECOMMENDATION_REASONS.SIMILAR]: profile.plays[gameId] ? 0 : similarity(profile, game),
+        [RECOMMENDATION_REASONS.FAVORITE]: profile.maxPlays ? (profile.plays[gameId] || 0) / profile.maxPlays : 0,
+        [RECOMMENDATION_REASONS.POPULAR]: popularity[gameId] || 0,
+        [RECOMMENDATION_REASONS.NEW]: this.newness(game, now)
+      };
+      
+      let score = 0;
+      let reason = null;
+      let best = 0;
+      
+      Object.entries(signals).forEach(([name, value]) => {
+        const contribution = value * (this.weights[name] || 0);
+        score += contribution;
+        
+        if (contribution > best) {
+          best = contribution;
+          reason = name;
+        }
+      });
+      
+      return { gameId, score: Math.round(score * 1000) / 1000, reason, signals };
+    });
+    
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Pick the games to recommend to a user
+   * @param {Object|null} user - User record
+   * @param {Object} options - Recommendation options
+   * @param {number} [options.limit] - Maximum number of games
+   * @param {Function} [options.filter] - Receives a game ID, returns whether it may be recommended
+   * @returns {Promise<Array>} Entries of { gameId, score, reason, signals }
+   */
+  async recommend(user, { limit = 3, filter = null } = {}) {
+    const ranked = await this.rank(user);
+    
+    return ranked
+      .filter(entry => entry.score > 0 && (!filter || filter(entry.gameId)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get each game's popularity from 0 to 1, cached for statsTtl
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} Popularity keyed by game ID
+   */
+  async getPopularity(now) {
+    if (this.statsCache && now - this.statsCache.fetchedAt < this.statsTtl) {
+      return this.statsCache.popularity;
+    }
+    
+    const stats = await this.repository.getAllGameStats();
+    const maxPlays = Math.max(0, ...stats.map(game => game.plays || 0));
+    const popularity = {};
+    
+    // Log scale so a few hit games do not flatten everyone else to zero
+    stats.forEach(game => {
+      popularity[game.gameId] = maxPlays > 0 ? Math.log1p(game.plays || 0) / Math.log1p(maxPlays) : 0;
+    });
+    
+    this.statsCache = { fetchedAt: now, popularity };
+    return popularity;
+  }
+
+  /**
+   * Get how new a game is, from 1 on its addedAt date down to 0 after newGameDays
+   * @param {Object} game - Game config
+   * @param {number} now - Timestamp
+   * @returns {number} Newness between 0 and 1
+   */
+  newness(game, now) {
+    const addedAt = game.addedAt ? new Date(game.addedAt).getTime() : NaN;
+    
+    if (Number.isNaN(addedAt) || addedAt > now) {
+      return 0;
+    }
+    
+    return Math.max(0, 1 - (now - addedAt) / (this.newGameDays * DAY_MS));
+  }
+}
+
+/**
+ * Summarize a user's play history by game, type and tag
+ * @param {Object} games - Game catalog
+ * @param {Object|null} user - User record
+ * @returns {Object} { plays, maxPlays, totalPlays, types, tags }
+ */
+function buildProfile(games, user) {
+  const profile = { plays: {}, maxPlays: 0, totalPlays: 0, types: {}, tags: {} };
+  
+  Object.entries((user && user.gameStats) || {}).forEach(([gameId, stats]) => {
+    const game = games[gameId];
+    
+    if (!game || !stats.plays) {
+      return;
+    }
+    
+    profile.plays[gameId] = stats.plays;
+    profile.maxPlays = Math.max(profile.maxPlays, stats.plays);
+    profile.totalPlays += stats.plays;
+    profile.types[game.type] = (profile.types[game.type] || 0) + stats.plays;
+    (game.tags || []).forEach(tag => {
+      profile.tags[tag] = (profile.tags[tag] || 0) + stats.plays;
+    });
+  });
+  
+  return profile;
+}
+
+/**
+ * Get how close a game is to the user's play history, from 0 to 1
+ * 
+ * Half comes from the share of plays in the game's type, half from the
+ * average share of plays in games carrying each of its tags.
+ * @param {Object} profile - Play history from buildProfile
+ * @param {Object} game - Game config
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(profile, game) {
+  if (!profile.totalPlays) {
+    return 0;
+  }
+  
+  const tags = game.tags || [];
+  const typeShare = (profile.types[game.type] || 0) / profile.totalPlays;
+  const tagShare = tags.length
+    ? tags.reduce((sum, tag) => sum + (profile.tags[tag] || 0), 0) / (tags.length * profile.totalPlays)
+    : typeShare;
+  
+  return (typeShare + tagShare) / 2;
+}
+
+module.exports = {
+  RecommendationService,
+  RECOMMENDATION_REASONS
+};
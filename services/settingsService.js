@@ -0,0 +1,274 @@
+/**
+ * Telegram Mini Game App - Settings Service
+ * 
+ * Validated user settings, stored in the user record's `preferences`
+ * next to the language picked with /language, so every feature reads the
+ * same values. Settings that were never changed resolve to their default.
+ * The timezone is the one /timezone sets, kept on the user record where
+ * daily quests read it.
+ * 
+ * Per-game options are stored under `games.<gameId>`. Every game has the
+ * standard options below; a game can declare more in its config as
+ * `options: { <name>: { type: 'boolean' } | { type: 'enum', values: [...] }, default }`.
+ */
+
+const { normalizeTimezone } = require('./questService');
+
+const SETTING_TYPES = {
+  BOOLEAN: 'boolean',
+  ENUM: 'enum',
+  LANGUAGE: 'language',
+  TIMEZONE: 'timezone'
+};
+
+const THEMES = ['auto', 'light', 'dark'];
+
+// Language null follows the user's Telegram language, timezone null the bot's default timezone
+const SETTINGS = {
+  language: { type: SETTING_TYPES.LANGUAGE, default: null },
+  timezone: { type: SETTING_TYPES.TIMEZONE, default: null },
+  notifications: { type: SETTING_TYPES.BOOLEAN, default: true },
+  theme: { type: SETTING_TYPES.ENUM, values: THEMES, default: 'auto' },
+  hideFromLeaderboards: { type: SETTING_TYPES.BOOLEAN, default: false },
+  allowSpectators: { type: SETTING_TYPES.BOOLEAN, default: true }
+};
+
+const STANDARD_GAME_OPTIONS = {
+  sound: { type: SETTING_TYPES.BOOLEAN, default: true },
+  vibration: { type: SETTING_TYPES.BOOLEAN, default: true }
+};
+
+class SettingsService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.repository = manager.repository;
+  }
+
+  /**
+   * Get a user's settings
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Settings with defaults filled in
+   */
+  async get(userId) {
+    return this.resolve(await this.repository.getUser(userId));
+  }
+
+  /**
+   * Resolve the settings of a user record
+   * @param {Object|null} user - User record
+   * @returns {Object} Settings with defaults filled in, per-game options only for games that have been changed
+   */
+  resolve(user) {
+    const preferences = (user && user.preferences) || {};
+    const settings = {};
+    
+    Object.entries(SETTINGS).forEach(([name, definition]) => {
+      settings[name] = preferences[name] !== undefined ? preferences[name] : definition.default;
+    });
+    settings.timezone = (user && user.timezone) || SETTINGS.timezone.default;
+    
+    settings.games = {};
+    Object.keys(preferences.games || {}).forEach(gameId => {
+      if (this.manager.games[gameId]) {
+        settings.games[gameId] = this.resolveGameOptions(user, gameId);
+      }
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Resolve a user's options for one game
+   * @param {Object|null} user - User record
+   * @param {string} gameId - Game ID
+   * @returns {Object} Options with defaults filled in
+   */
+  resolveGameOptions(user, gameId) {
+    const stored = (((user && user.preferences) || {}).games || {})[gameId] || {};
+    const options = {};
+    
+    Object.entries(this.getGameOptionDefinitions(gameId)).forEach(([name, definition]) => {
+      options[name] = stored[name] !== undefined ? stored[name] : definition.default;
+    });
+    
+    return options;
+  }
+
+  /**
+   * Get the option definitions of a game
+   * @param {string} gameId - Game ID
+   * @returns {Object} Definitions keyed by option name
+   */
+  getGameOptionDefinitions(gameId) {
+    const game = this.manager.games[gameId] || {};
+    return { ...STANDARD_GAME_OPTIONS, ...game.options };
+  }
+
+  /**
+   * Validate and save setting changes
+   * @param {number} userId - User ID
+   * @param {Object} changes - Settings to change, with per-game options under games.<gameId>
+   * @returns {Promise<Object>} { settings } or { error } with a locale key
+   */
+  async update(userId, changes) {
+    const validation = this.validate(changes);
+    
+    if (validation.error) {
+      return validation;
+    }
+    
+    const user = await this.repository.getUser(userId);
+    
+    if (!user) {
+      return { error: 'settings.invalid' };
+    }
+    
+    const { games, timezone, ...settings } = validation.changes;
+    
+    // The timezone goes first so a rejected change leaves the other settings unsaved
+    if (timezone !== undefined) {
+      const result = await this.manager.quests.setTimezone(userId, timezone);
+      
+      if (result.error) {
+        return result;
+      }
+    }
+    
+    const preferences = { ...settings };
+    
+    // Per-game options are merged into the options saved before
+    if (games) {
+      const savedGames = (user.preferences && user.preferences.games) || {};
+      preferences.games = { ...savedGames };
+      Object.entries(games).forEach(([gameId, options]) => {
+        preferences.games[gameId] = { ...savedGames[gameId], ...options };
+      });
+    }
+    
+    // Banned users stay hidden whatever they choose
+    if (settings.hideFromLeaderboards !== undefined) {
+      await this.repository.setLeaderboardHidden(userId, settings.hideFromLeaderboards || Boolean(user.banned));
+    }
+    
+    // Games already being watched stop streaming right away
+    if (settings.allowSpectators === false) {
+      this.manager.spectators.endUserChannels(userId);
+    }
+    
+    const saved = await this.repository.updateUserPreferences(userId, preferences);
+    return {
+      settings: this.resolve({ preferences: saved, timezone: timezone !== undefined ? timezone : user.timezone })
+    };
+  }
+
+  /**
+   * Check setting changes against their definitions
+   * @param {Object} changes - Settings to change
+   * @returns {Object} { changes } with normalized values, or { error } with a locale key
+   */
+  validate(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { error: 'settings.invalid' };
+    }
+    
+    const normalized = {};
+    
+    for (const [name, value] of Object.entries(changes)) {
+      if (name === 'games') {
+        const games = this.validateGames(value);
+        
+        if (!games) {
+          return { error: 'settings.invalid' };
+        }
+        
+        normalized.games = games;
+        continue;
+      }
+      
+      if (!SETTINGS[name]) {
+        return { error: 'settings.invalid' };
+      }
+      
+      const valid = this.validateValue(SETTINGS[name], value);
+      
+      if (valid === undefined) {
+        return { error: 'settings.invalid' };
+      }
+      
+      normalized[name] = valid;
+    }
+    
+    return { changes: normalized };
+  }
+
+  /**
+   * Check per-game option changes
+   * @param {Object} games - Options keyed by game ID
+   * @returns {Object|null} Normalized options, or null if any is invalid
+   */
+  validateGames(games) {
+    if (!games || typeof games !== 'object' || Array.isArray(games)) {
+      return null;
+    }
+    
+    const normalized = {};
+    
+    for (const [gameId, options] of Object.entries(games)) {
+      if (!this.manager.games[gameId] || !options || typeof options !== 'object') {
+        return null;
+      }
+      
+      const definitions = this.getGameOptionDefinitions(gameId);
+      normalized[gameId] = {};
+      
+      for (const [name, value] of Object.entries(options)) {
+        const valid = definitions[name] ? this.validateValue(definitions[name], value) : undefined;
+        
+        if (valid === undefined) {
+          return null;
+        }
+        
+        normalized[gameId][name] = valid;
+      }
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Check one value against its definition
+   * @param {Object} definition - Setting definition
+   * @param {*} value - Requested value
+   * @returns {*} Normalized value, undefined if invalid
+   */
+  validateValue(definition, value) {
+    if (definition.type === SETTING_TYPES.BOOLEAN) {
+      return typeof value === 'boolean' ? value : undefined;
+    }
+    
+    if (definition.type === SETTING_TYPES.LANGUAGE) {
+      // null or 'auto' goes back to following Telegram
+      if (value === null || value === 'auto') {
+        return null;
+      }
+      
+      return (typeof value === 'string' && this.manager.i18n.normalize(value)) || undefined;
+    }
+    
+    if (definition.type === SETTING_TYPES.TIMEZONE) {
+      return value === null || value === 'auto' ? null : normalizeTimezone(value);
+    }
+    
+    return definition.values.includes(value) ? value : undefined;
+  }
+}
+
+module.exports = {
+  SettingsService,
+  SETTINGS,
+  SETTING_TYPES,
+  THEMES
+};
@@ -0,0 +1,402 @@
+/**
+ * Telegram Mini Game App - Shop Service
+ * 
+ * Sells coin packs and entitlements (premium, season pass, game bundles)
+ * for Telegram Stars. Fulfillment is keyed by Telegram's payment charge ID,
+ * so a redelivered payment update never credits twice. Entitlements keep
+ * one grant per payment, which lets a refund revoke exactly what it paid for.
+ */
+
+const { Markup } = require('telegraf');
+const crypto = require('crypto');
+const { COIN_REASONS } = require('./walletService');
+
+const CURRENCY = 'XTR'; // Telegram Stars
+
+const PRODUCT_TYPES = {
+  COINS: 'coins',
+  ENTITLEMENT: 'entitlement'
+};
+
+const PAYMENT_STATUS = {
+  PAID: 'paid',
+  FULFILLED: 'fulfilled',
+  REFUNDED: 'refunded'
+};
+
+// Entitlement that unlocks every premium game
+const PREMIUM = 'premium';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PRODUCTS = [
+  { id: 'coins_small', type: PRODUCT_TYPES.COINS, coins: 500, stars: 50 },
+  { id: 'coins_large', type: PRODUCT_TYPES.COINS, coins: 3000, stars: 250 },
+  { id: 'premium_month', type: PRODUCT_TYPES.ENTITLEMENT, entitlement: PREMIUM, duration: 30 * DAY, stars: 300 },
+  { id: 'season_pass', type: PRODUCT_TYPES.ENTITLEMENT, entitlement: 'season_pass', duration: 90 * DAY, stars: 400 }
+];
+
+class ShopService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Shop options
+   * @param {Array} [options.products] - Products ({ id, type, stars, coins | entitlement, duration, title, description })
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.products = options.products || DEFAULT_PRODUCTS;
+  }
+
+  /**
+   * Find a product
+   * @param {string} productId - Product ID
+   * @returns {Object|null} Product or null
+   */
+  getProduct(productId) {
+    return this.products.find(product => product.id === productId) || null;
+  }
+
+  /**
+   * Localized product title
+   * @param {Object} product - Product
+   * @param {string} locale - Language code
+   * @returns {string} Title
+   */
+  getTitle(product, locale) {
+    return product.title || this.manager.t(locale, `shop.products.${product.id}.title`);
+  }
+
+  /**
+   * Localized product description
+   * @param {Object} product - Product
+   * @param {string} locale - Language code
+   * @returns {string} Description
+   */
+  getDescription(product, locale) {
+    return product.description || this.manager.t(locale, `shop.products.${product.id}.description`);
+  }
+
+  /**
+   * Build the shop keyboard, one button per product
+   * @param {string} locale - Language code
+   * @returns {Object} Inline keyboard markup
+   */
+  getShopButtons(locale) {
+    return Markup.inlineKeyboard(this.products.map(product => [
+      Markup.button.callback(
+        this.manager.t(locale, 'shop.product_button', { title: this.getTitle(product, locale), stars: product.stars }),
+        `shop:${product.id}`
+      )
+    ]));
+  }
+
+  /**
+   * Send a Stars invoice for a product
+   * @param {Object} ctx - Telegram context
+   * @param {string} productId - Product ID
+   * @param {string} locale - Language code
+   * @returns {Promise<boolean>} Whether the product exists
+   */
+  async sendInvoice(ctx, productId, locale) {
+    const product = this.getProduct(productId);
+    
+    if (!product) {
+      return false;
+    }
+    
+    const title = this.getTitle(product, locale);
+    
+    // The payload binds the invoice to its buyer; it is checked again at pre-checkout
+    await ctx.replyWithInvoice({
+      title,
+      description: this.getDescription(product, locale),
+      payload: `${product.id}:${ctx.from.id}:${crypto.randomBytes(6).toString('base64url')}`,
+      provider_token: '',
+      currency: CURRENCY,
+      prices: [{ label: title, amount: product.stars }]
+    });
+    
+    return true;
+  }
+
+  /**
+   * Check a pre-checkout query before Telegram charges the user
+   * @param {Object} query - Telegram pre_checkout_query
+   * @returns {boolean} Whether the order can be charged
+   */
+  validateCheckout(query) {
+    const order = parsePayload(query.invoice_payload);
+    const product = order && this.getProduct(order.productId);
+    
+    return Boolean(product) &&
+      order.userId === query.from.id &&
+      query.currency === CURRENCY &&
+      query.total_amount === product.stars;
+  }
+
+  /**
+   * Record and fulfill a successful payment
+   * @param {Object} from - Telegram user who paid
+   * @param {Object} payment - Telegram successful_payment
+   * @returns {Promise<Object>} { payment, duplicate } or { error }
+   */
+  async handleSuccessfulPayment(from, payment) {
+    const order = parsePayload(payment.invoice_payload);
+    const product = order && this.getProduct(order.productId);
+    const paymentId = payment.telegram_payment_charge_id;
+    
+    if (!product) {
+      // Stars were taken for a product that no longer exists; leave it for a refund
+      console.error(`Payment ${paymentId} references unknown product`, payment.invoice_payload);
+      return { error: 'unknown_product' };
+    }
+    
+    // The product is copied onto the payment so refunds don't depend on the current catalog
+    const { payment: record } = await this.repository.createPayment({
+      id: paymentId,
+      userId: from.id,
+      productId: product.id,
+      product: { ...product },
+      stars: payment.total_amount,
+      currency: payment.currency,
+      status: PAYMENT_STATUS.PAID,
+      createdAt: Date.now()
+    });
+    
+    if (record.status !== PAYMENT_STATUS.PAID) {
+      return { payment: record, duplicate: true };
+    }
+    
+    // Each step is idempotent per payment, so a retry after a crash completes the order
+    await this.fulfill(record);
+    
+    const fulfilled = await this.repository.updatePayment(paymentId, current =>
+      current.status === PAYMENT_STATUS.PAID
+        ? { ...current, status: PAYMENT_STATUS.FULFILLED, fulfilledAt: Date.now() }
+        : null
+    );
+    
+    return { payment: fulfilled || record, duplicate: false };
+  }
+
+  /**
+   * Grant what a payment bought
+   * @param {Object} payment - Payment record
+   */
+  async fulfill(payment) {
+    const { product } = payment;
+    
+    if (product.type === PRODUCT_TYPES.COINS) {
+      await this.manager.wallet.credit(payment.userId, product.coins, COIN_REASONS.PURCHASE, {
+        idempotencyKey: `purchase:${payment.id}`,
+        metadata: { paymentId: payment.id, productId: product.id }
+      });
+    } else {
+      await this.repository.updateUserEntitlements(payment.userId, entitlements =>
+        grantEntitlement(entitlements, product.entitlement, {
+          id: payment.id,
+          grantedAt: payment.createdAt,
+          duration: product.duration || null
+        })
+      );
+    }
+  }
+
+  /**
+   * Refund a payment in Stars and take back what it bought
+   * 
+   * Coins are debited before Telegram is asked to refund, so spent coins
+   * block the refund instead of leaving a negative balance.
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object>} { payment } or { error }
+   */
+  async refund(paymentId) {
+    // Flag the payment first so concurrent refunds of the same payment can't both proceed
+    const payment = await this.repository.updatePayment(paymentId, current =>
+      current.status === PAYMENT_STATUS.REFUNDED || current.refundStartedAt
+        ? null
+        : { ...current, refundStartedAt: Date.now() }
+    );
+    
+    if (!payment) {
+      const existing = await this.repository.getPayment(paymentId);
+      return { error: existing ? 'already_refunded' : 'payment_not_found' };
+    }
+    
+    const { product } = payment;
+    
+    if (product.type === PRODUCT_TYPES.COINS) {
+      const debit = await this.manager.wallet.debit(payment.userId, product.coins, COIN_REASONS.REFUND, {
+        idempotencyKey: `refund:${payment.id}:${payment.refundStartedAt}`,
+        metadata: { paymentId: payment.id, productId: product.id }
+      });
+      
+      if (debit.error) {
+        await this.clearRefund(paymentId);
+        return { error: debit.error === 'insufficient_funds' ? 'coins_spent' : debit.error };
+      }
+    } else {
+      await this.repository.updateUserEntitlements(payment.userId, entitlements =>
+        revokeEntitlement(entitlements, product.entitlement, payment.id)
+      );
+    }
+    
+    try {
+      await this.manager.bot.telegram.callApi('refundStarPayment', {
+        user_id: payment.userId,
+        telegram_payment_charge_id: payment.id
+      });
+    } catch (error) {
+      console.error(`Error refunding payment ${payment.id}:`, error);
+      await this.restore(payment);
+      await this.clearRefund(paymentId);
+      return { error: 'refund_failed' };
+    }
+    
+    const refunded = await this.repository.updatePayment(paymentId, current => ({
+      ...current,
+      status: PAYMENT_STATUS.REFUNDED,
+      refundedAt: Date.now()
+    }));
+    
+    return { payment: refunded };
+  }
+
+  /**
+   * Clear the in-progress flag of a refund that did not go through
+   * @param {string} paymentId - Telegram payment charge ID
+   */
+  async clearRefund(paymentId) {
+    await this.repository.updatePayment(paymentId, current => {
+      const { refundStartedAt, ...rest } = current;
+      return rest;
+    });
+  }
+
+  /**
+   * Give back what a failed refund took away
+   * @param {Object} payment - Payment record
+   */
+  async restore(payment) {
+    const { product } = payment;
+    
+    if (product.type === PRODUCT_TYPES.COINS) {
+      await this.manager.wallet.credit(payment.userId, product.coins, COIN_REASONS.ADJUSTMENT, {
+        idempotencyKey: `refund_failed:${payment.id}:${payment.refundStartedAt}`,
+        metadata: { paymentId: payment.id, productId: product.id }
+      });
+    } else {
+      await this.fulfill(payment);
+    }
+  }
+
+  /**
+   * Check whether a user holds an active entitlement
+   * @param {Object} user - User record
+   * @param {string} name - Entitlement name
+   * @param {number} now - Current timestamp
+   * @returns {boolean} Whether the entitlement is active
+   */
+  hasEntitlement(user, name, now = Date.now()) {
+    const entitlement = user && user.entitlements && user.entitlements[name];
+    return Boolean(entitlement) && (entitlement.expiresAt === null || entitlement.expiresAt > now);
+  }
+
+  /**
+   * Check whether a user may play a game
+   * 
+   * Games marked `premium` need the premium entitlement; games with an
+   * `entitlement` (e.g. a bundle) need that entitlement or premium.
+   * @param {Object} user - User record
+   * @param {Object} game - Game configuration
+   * @returns {boolean} Whether the game is unlocked
+   */
+  canPlay(user, game) {
+    if (!game.premium && !game.entitlement) {
+      return true;
+    }
+    
+    return this.hasEntitlement(user, PREMIUM) ||
+      (Boolean(game.entitlement) && this.hasEntitlement(user, game.entitlement));
+  }
+}
+
+/**
+ * Parse an invoice payload (<productId>:<userId>:<nonce>)
+ * @param {string} payload - Invoice payload
+ * @returns {Object|null} { productId, userId } or null if malformed
+ */
+function parsePayload(payload) {
+  const [productId, userId] = String(payload || '').split(':');
+  const parsedUserId = Number(userId);
+  
+  return productId && Number.isInteger(parsedUserId) ? { productId, userId: parsedUserId } : null;
+}
+
+/**
+ * Add a grant to an entitlement
+ * @param {Object} entitlements - User's entitlements
+ * @param {string} name - Entitlement name
+ * @param {Object} grant - Grant ({ id, grantedAt, duration }), duration null for permanent
+ * @returns {Object|null} Updated entitlements, or null if the grant was already applied
+ */
+function grantEntitlement(entitlements, name, grant) {
+  const current = entitlements[name] || { grants: [] };
+  
+  if (current.grants.some(existing => existing.id === grant.id)) {
+    return null;
+  }
+  
+  const grants = [...current.grants, grant];
+  return { ...entitlements, [name]: { grants, expiresAt: computeExpiry(grants) } };
+}
+
+/**
+ * Remove a grant from an entitlement
+ * @param {Object} entitlements - User's entitlements
+ * @param {string} name - Entitlement name
+ * @param {string} grantId - Grant ID (payment charge ID)
+ * @returns {Object|null} Updated entitlements, or null if the grant is missing
+ */
+function revokeEntitlement(entitlements, name, grantId) {
+  const current = entitlements[name];
+  
+  if (!current || !current.grants.some(grant => grant.id === grantId)) {
+    return null;
+  }
+  
+  const grants = current.grants.filter(grant => grant.id !== grantId);
+  const updated = { ...entitlements };
+  
+  if (grants.length === 0) {
+    delete updated[name];
+  } else {
+    updated[name] = { grants, expiresAt: computeExpiry(grants) };
+  }
+  
+  return updated;
+}
+
+/**
+ * Compute when an entitlement ends by stacking its grants in order
+ * @param {Array} grants - Grants
+ * @returns {number|null} Expiry timestamp, or null if any grant is permanent
+ */
+function computeExpiry(grants) {
+  if (grants.some(grant => grant.duration === null)) {
+    return null;
+  }
+  
+  // A grant bought before the previous one ran out extends it
+  return [...grants]
+    .sort((a, b) => a.grantedAt - b.grantedAt)
+    .reduce((expiresAt, grant) => Math.max(expiresAt, grant.grantedAt) + grant.duration, 0);
+}
+
+module.exports = {
+  ShopService,
+  PRODUCT_TYPES,
+  PAYMENT_STATUS,
+  DEFAULT_PRODUCTS
+};
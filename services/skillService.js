@@ -0,0 +1,130 @@
+/**
+ * Telegram Mini Game App - Skill Service
+ * 
+ * Keeps an Elo-style skill rating per user and game and turns it into a
+ * recommended difficulty level for new sessions.
+ * 
+ * Each completed game counts as a match between the player and the
+ * difficulty level that was played. The player's performance is the score
+ * relative to the game's reference score (the `parScore` from the games
+ * config, or the mean score of all players): scoring exactly the reference
+ * counts as a draw, higher scores approach a win. Beating the expected
+ * result for a level raises the rating until the next level is recommended.
+ */
+
+// Levels in ascending order; `rating` is the level's own rating and
+// `below` the player rating under which it is still recommended
+const DIFFICULTY_LEVELS = [
+  { id: 'easy', rating: 1000, below: 1100 },
+  { id: 'normal', rating: 1200, below: 1300 },
+  { id: 'hard', rating: 1375, below: 1450 },
+  { id: 'expert', rating: 1525, below: 1600 },
+  { id: 'master', rating: 1675, below: Infinity }
+];
+
+const INITIAL_RATING = 1200;
+const STANDARD_DIFFICULTY = 'normal';
+
+class SkillService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Rating options
+   * @param {number} [options.kFactor] - Maximum rating change per game
+   * @param {number} [options.provisionalKFactor] - Maximum change while the rating is provisional
+   * @param {number} [options.provisionalPlays] - Games played before the rating settles
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.kFactor = options.kFactor || 24;
+    this.provisionalKFactor = options.provisionalKFactor || 48;
+    this.provisionalPlays = options.provisionalPlays || 10;
+  }
+
+  /**
+   * Get a user's skill in a game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} { rating, plays, difficulty, provisional }
+   */
+  async getSkill(userId, gameId) {
+    const user = await this.repository.getUser(userId);
+    const skill = user && user.skills && user.skills[gameId];
+    
+    return this.describe(skill || { rating: INITIAL_RATING, plays: 0 });
+  }
+
+  /**
+   * Get the recommended difficulty for a user's next game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<string>} Difficulty level ID
+   */
+  async recommend(userId, gameId) {
+    const { difficulty } = await this.getSkill(userId, gameId);
+    return difficulty;
+  }
+
+  /**
+   * Update the player's rating after a recorded score
+   * @param {Object} session - Completed session (userId, gameId, difficulty)
+   * @param {number} score - Final score
+   * @returns {Promise<Object|null>} Updated skill, or null if the user is missing
+   */
+  async recordResult(session, score) {
+    const game = this.manager.games[session.gameId] || {};
+    const stats = await this.repository.getGameStats(session.gameId);
+    const reference = game.parScore ||
+      (stats && stats.plays > 0 ? stats.totalScore / stats.plays : 0);
+    
+    // Without a reference score there is nothing to compare against
+    const performance = reference > 0 ? score / (score + reference) : 0.5;
+    const level = getLevel(session.difficulty);
+    const now = Date.now();
+    
+    const skill = await this.repository.updateUserSkill(session.userId, session.gameId, current => {
+      const rating = current ? current.rating : INITIAL_RATING;
+      const plays = current ? current.plays : 0;
+      const expected = 1 / (1 + 10 ** ((level.rating - rating) / 400));
+      const kFactor = plays < this.provisionalPlays ? this.provisionalKFactor : this.kFactor;
+      
+      return {
+        rating: Math.round(rating + kFactor * (performance - expected)),
+        plays: plays + 1,
+        updatedAt: now
+      };
+    });
+    
+    return skill ? this.describe(skill) : null;
+  }
+
+  /**
+   * Add the derived fields to a stored skill
+   * @param {Object} skill - Stored skill (rating, plays)
+   * @returns {Object} { rating, plays, difficulty, provisional }
+   */
+  describe(skill) {
+    return {
+      rating: skill.rating,
+      plays: skill.plays,
+      difficulty: DIFFICULTY_LEVELS.find(level => skill.rating < level.below).id,
+      provisional: skill.plays < this.provisionalPlays
+    };
+  }
+}
+
+/**
+ * Get a difficulty level by ID, the standard level if unknown
+ * @param {string} difficulty - Difficulty level ID
+ * @returns {Object} Difficulty level
+ */
+function getLevel(difficulty) {
+  return DIFFICULTY_LEVELS.find(level => level.id === difficulty) ||
+    DIFFICULTY_LEVELS.find(level => level.id === STANDARD_DIFFICULTY);
+}
+
+module.exports = {
+  SkillService,
+  DIFFICULTY_LEVELS,
+  STANDARD_DIFFICULTY
+};
@@ -0,0 +1,220 @@
+/**
+ * Telegram Mini Game App - Spectator Channel
+ * 
+ * Transport-agnostic relay for watching one solo game session live. The
+ * player's client streams state snapshots; the channel forwards at most
+ * one per snapshot interval to spectators, always the latest, so a chatty
+ * client can't flood viewers. Spectators see the viewer count and can send
+ * reactions from a fixed set, which reach the player and everyone watching.
+ */
+
+const CHANNEL_STATUS = {
+  LIVE: 'live',
+  ENDED: 'ended'
+};
+
+const REACTIONS = ['👏', '🔥', '😮', '😂', '❤️'];
+
+class SpectatorChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.id - Watch ID
+   * @param {string} options.sessionId - Game session being watched
+   * @param {number} options.userId - Player's user ID
+   * @param {string} options.player - Player's display name
+   * @param {string} options.gameId - Game ID
+   * @param {number} options.chatId - Chat the session was started from
+   * @param {number} [options.snapshotInterval] - Minimum time between relayed snapshots, in milliseconds
+   * @param {number} [options.reactionInterval] - Minimum time between one spectator's reactions, in milliseconds
+   * @param {Function} options.send - Called with (message, connections) to deliver messages
+   */
+  constructor(options) {
+    this.id = options.id;
+    this.sessionId = options.sessionId;
+    this.userId = options.userId;
+    this.player = options.player;
+    this.gameId = options.gameId;
+    this.chatId = options.chatId;
+    this.snapshotInterval = options.snapshotInterval || 500;
+    this.reactionInterval = options.reactionInterval || 1000;
+    this.send = options.send;
+    
+    this.status = CHANNEL_STATUS.LIVE;
+    this.playerConnection = null;
+    this.spectators = new Map();
+    this.state = null;
+    this.pendingState = null;
+    this.lastRelayAt = 0;
+    this.timer = null;
+    this.peakViewers = 0;
+    this.reactions = 0;
+    this.createdAt = Date.now();
+    this.updatedAt = this.createdAt;
+  }
+
+  /**
+   * Attach the player's streaming connection, replacing a stale one
+   * @param {Object} connection - Transport connection
+   * @returns {Object} { ok } or { error } with a locale key
+   */
+  attachPlayer(connection) {
+    if (this.status === CHANNEL_STATUS.ENDED) {
+      return { error: 'spectate.ended' };
+    }
+    
+    this.playerConnection = connection;
+    this.send({ type: 'streaming', watchId: this.id, viewers: this.spectators.size }, [connection]);
+    return { ok: true };
+  }
+
+  /**
+   * Add a spectator connection
+   * @param {Object} connection - Transport connection
+   * @param {Object} user - Verified Telegram user
+   * @returns {Object} { ok } or { error } with a locale key
+   */
+  addSpectator(connection, user) {
+    if (this.status === CHANNEL_STATUS.ENDED) {
+      return { error: 'spectate.ended' };
+    }
+    
+    this.spectators.set(connection, { userId: user.id, lastReactionAt: 0 });
+    this.peakViewers = Math.max(this.peakViewers, this.spectators.size);
+    
+    this.send({
+      type: 'watching',
+      watchId: this.id,
+      gameId: this.gameId,
+      player: this.player,
+      viewers: this.spectators.size,
+      reactions: REACTIONS,
+      state: this.state
+    }, [connection]);
+    
+    this.broadcastViewers();
+    return { ok: true };
+  }
+
+  /**
+   * Take a snapshot from the player and relay it, throttled
+   * @param {Object} state - Game state snapshot
+   */
+  publish(state) {
+    if (this.status === CHANNEL_STATUS.ENDED || !state || typeof state !== 'object') {
+      return;
+    }
+    
+    this.updatedAt = Date.now();
+    this.pendingState = state;
+    
+    const wait = this.lastRelayAt + this.snapshotInterval - this.updatedAt;
+    
+    if (wait <= 0) {
+      this.relay();
+    } else if (!this.timer) {
+      // Snapshots arriving meanwhile replace the pending one
+      this.timer = setTimeout(() => this.relay(), wait);
+    }
+  }
+
+  /**
+   * Send the latest pending snapshot to the spectators
+   */
+  relay() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (!this.pendingState) {
+      return;
+    }
+    
+    this.state = this.pendingState;
+    this.pendingState = null;
+    this.lastRelayAt = Date.now();
+    this.send({ type: 'snapshot', state: this.state, at: this.lastRelayAt }, Array.from(this.spectators.keys()));
+  }
+
+  /**
+   * Relay a spectator's reaction to the player and the other spectators
+   * @param {Object} connection - Spectator's transport connection
+   * @param {string} reaction - One of REACTIONS
+   */
+  react(connection, reaction) {
+    const spectator = this.spectators.get(connection);
+    const now = Date.now();
+    
+    if (!spectator || !REACTIONS.includes(reaction) || now - spectator.lastReactionAt < this.reactionInterval) {
+      return;
+    }
+    
+    spectator.lastReactionAt = now;
+    this.reactions += 1;
+    this.broadcast({ type: 'reaction', reaction });
+  }
+
+  /**
+   * End the channel once the session is over
+   * @param {number|null} score - Recorded final score, null if none was recorded
+   */
+  end(score) {
+    if (this.status === CHANNEL_STATUS.ENDED) {
+      return;
+    }
+    
+    // Viewers get the last snapshot before the result
+    this.relay();
+    this.status = CHANNEL_STATUS.ENDED;
+    this.updatedAt = Date.now();
+    this.broadcast({ type: 'ended', score });
+  }
+
+  /**
+   * Handle a closed connection
+   * @param {Object} connection - Transport connection
+   */
+  handleDisconnect(connection) {
+    if (this.spectators.delete(connection)) {
+      this.broadcastViewers();
+      return;
+    }
+    
+    if (this.playerConnection === connection) {
+      this.playerConnection = null;
+    }
+  }
+
+  /**
+   * Whether the channel has no connections left
+   * @returns {boolean} True if nobody is connected
+   */
+  isEmpty() {
+    return this.spectators.size === 0 && !this.playerConnection;
+  }
+
+  /**
+   * Send the viewer count to everyone
+   */
+  broadcastViewers() {
+    this.broadcast({ type: 'viewers', viewers: this.spectators.size });
+  }
+
+  /**
+   * Send a message to the player and every spectator
+   * @param {Object} message - Message to send
+   */
+  broadcast(message) {
+    const connections = Array.from(this.spectators.keys());
+    
+    if (this.playerConnection) {
+      connections.push(this.playerConnection);
+    }
+    
+    this.send(message, connections);
+  }
+}
+
+module.exports = {
+  SpectatorChannel,
+  CHANNEL_STATUS,
+  REACTIONS
+};
@@ -0,0 +1,601 @@
+/**
+ * Telegram Mini Game App - Tournament Service
+ * 
+ * Single-elimination tournaments run inside a group chat. Players are
+ * seeded from their ranking in the tournament game, byes go to the top
+ * seeds, and each match is played as a regular game session per player.
+ * Rounds advance automatically once every match in them is decided, or
+ * when the round deadline passes.
+ */
+
+const { Markup } = require('telegraf');
+const crypto = require('crypto');
+
+const STATUS = {
+  REGISTRATION: 'registration',
+  RUNNING: 'running',
+  FINISHED: 'finished'
+};
+
+const MATCH_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done'
+};
+
+class TournamentService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Tournament options
+   * @param {number} [options.roundDuration] - Time players get to play a round, in milliseconds
+   * @param {number} [options.maxPlayers] - Maximum number of players per tournament
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.roundDuration = options.roundDuration || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxPlayers = options.maxPlayers || 64;
+  }
+
+  /**
+   * Create a tournament in a group chat
+   * @param {number} chatId - Group chat ID
+   * @param {string} gameId - Game ID
+   * @param {Object} creator - Telegram user creating the tournament
+   * @returns {Promise<Object>} { tournament } or { error } with a locale key
+   */
+  async create(chatId, gameId, creator) {
+    const active = await this.repository.getActiveTournament(chatId);
+    
+    if (active) {
+      return { error: 'tournament.already_active' };
+    }
+    
+    const tournament = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      chatId,
+      gameId,
+      creatorId: creator.id,
+      status: STATUS.REGISTRATION,
+      players: [playerEntry(creator)],
+      matches: [],
+      currentRound: null,
+      roundDeadline: null,
+      winnerId: null,
+      createdAt: Date.now()
+    };
+    
+    await this.repository.saveTournament(tournament);
+    return { tournament };
+  }
+
+  /**
+   * Join the open tournament of a chat
+   * @param {number} chatId - Group chat ID
+   * @param {Object} user - Telegram user joining
+   * @returns {Promise<Object>} { tournament } or { error } with a locale key
+   */
+  async join(chatId, user) {
+    const active = await this.repository.getActiveTournament(chatId);
+    
+    if (!active || active.status !== STATUS.REGISTRATION) {
+      return { error: 'tournament.registration_none' };
+    }
+    
+    let error = null;
+    const tournament = await this.repository.updateTournament(active.id, current => {
+      if (current.status !== STATUS.REGISTRATION) {
+        error = 'tournament.registration_closed';
+        return null;
+      }
+      
+      if (current.players.some(player => player.userId === user.id)) {
+        error = 'tournament.already_joined';
+        return null;
+      }
+      
+      if (current.players.length >= this.maxPlayers) {
+        error = 'tournament.full';
+        return null;
+      }
+      
+      return { ...current, players: [...current.players, playerEntry(user)] };
+    });
+    
+    return error ? { error } : { tournament };
+  }
+
+  /**
+   * Close registration, seed players and start the first round
+   * @param {number} chatId - Group chat ID
+   * @param {number} userId - User starting the tournament, must be its creator
+   * @returns {Promise<Object>} { tournament } or { error } with a locale key
+   */
+  async start(chatId, userId) {
+    const active = await this.repository.getActiveTournament(chatId);
+    
+    if (!active || active.status !== STATUS.REGISTRATION) {
+      return { error: 'tournament.start_none' };
+    }
+    
+    if (active.creatorId !== userId) {
+      return { error: 'tournament.creator_only' };
+    }
+    
+    if (active.players.length < 2) {
+      return { error: 'tournament.not_enough_players' };
+    }
+    
+    // Seed by ranking in the tournament game, unranked players last
+    const rankings = await Promise.all(active.players.map(player =>
+      this.manager.getUserRanking(player.userId, active.gameId)
+    ));
+    const seeded = active.players
+      .map((player, index) => ({ ...player, score: rankings[index] ? rankings[index].score : -1 }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ score, ...player }, index) => ({ ...player, seed: index + 1 }));
+    
+    const now = Date.now();
+    const tournament = await this.repository.updateTournament(active.id, current => {
+      if (current.status !== STATUS.REGISTRATION) {
+        return null;
+      }
+      
+      return advance({
+        ...current,
+        status: STATUS.RUNNING,
+        players: seeded,
+        matches: createFirstRound(seeded),
+        currentRound: 0,
+        roundDeadline: now + this.roundDuration
+      }, now, this.roundDuration);
+    });
+    
+    if (!tournament) {
+      return { error: 'tournament.already_started' };
+    }
+    
+    await this.announceRound(tournament);
+    return { tournament };
+  }
+
+  /**
+   * Get the active tournament of a chat
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getActive(chatId) {
+    return this.repository.getActiveTournament(chatId);
+  }
+
+  /**
+   * Record a completed match session and advance the bracket
+   * @param {Object} session - Completed session with tournamentId and matchId
+   * @param {number} score - Final score
+   */
+  async recordMatchScore(session, score) {
+    const now = Date.now();
+    const before = await this.repository.getTournament(session.tournamentId);
+    
+    const tournament = await this.repository.updateTournament(session.tournamentId, current => {
+      const match = current.matches.find(entry => entry.id === session.matchId);
+      
+      // Only the session issued for the match counts, and only once
+      if (!match || match.status === MATCH_STATUS.DONE || current.currentRound !== match.round ||
+        !match.players.includes(session.userId) || match.scores[session.userId] !== undefined ||
+        (match.sessions || {})[session.userId] !== session.sessionId) {
+        return null;
+      }
+      
+      const matches = current.matches.map(entry => (entry.id !== match.id ? entry : {
+        ...entry,
+        scores: { ...entry.scores, [session.userId]: score }
+      }));
+      
+      return advance({ ...current, matches }, now, this.roundDuration);
+    });
+    
+    if (tournament) {
+      await this.announceProgress(before, tournament);
+    }
+  }
+
+  /**
+   * Decide every match of rounds whose deadline has passed
+   * @param {number} now - Current timestamp
+   */
+  async expireOverdueRounds(now = Date.now()) {
+    const overdue = await this.repository.getOverdueTournaments(now);
+    
+    for (const before of overdue) {
+      const tournament = await this.repository.updateTournament(before.id, current => {
+        if (current.status !== STATUS.RUNNING || current.roundDeadline > now) {
+          return null;
+        }
+        
+        return advance(current, now, this.roundDuration, true);
+      });
+      
+      if (tournament) {
+        await this.announceProgress(before, tournament);
+      }
+    }
+  }
+
+  /**
+   * Send a player the game link for their current match
+   * @param {string} tournamentId - Tournament ID
+   * @param {number} userId - Player's user ID
+   * @returns {Promise<Object>} { ok } or { error } with a locale key
+   */
+  async sendMatchLink(tournamentId, userId) {
+    const tournament = await this.repository.getTournament(tournamentId);
+    
+    if (!tournament || tournament.status !== STATUS.RUNNING) {
+      return { error: 'tournament.not_running' };
+    }
+    
+    const match = tournament.matches.find(entry =>
+      entry.round === tournament.currentRound &&
+      entry.status === MATCH_STATUS.PENDING &&
+      entry.players.includes(userId)
+    );
+    
+    if (!match) {
+      return { error: 'tournament.no_match' };
+    }
+    
+    if (match.scores[userId] !== undefined) {
+      return { error: 'tournament.already_played' };
+    }
+    
+    // Players keep their place when a game is switched off or they lose access,
+    // but can't play their match until it is back
+    const user = await this.repository.getUser(userId);
+    const game = this.manager.games[tournament.gameId];
+    
+    if (!this.manager.isGameAvailable(tournament.gameId, user)) {
+      return { error: 'game.unavailable' };
+    }
+    
+    if (!this.manager.shop.canPlay(user, game)) {
+      return { error: 'shop.locked' };
+    }
+    
+    const opponentId = match.players.find(playerId => playerId !== userId);
+    const opponent = tournament.players.find(player => player.userId === opponentId);
+    
+    // Asking again resends the issued session until it is played or expires
+    let gameUrl = await this.manager.getOpenSessionUrl((match.sessions || {})[userId]);
+    
+    if (!gameUrl) {
+      // Results go to the player's private chat; bracket updates go to the group
+      const created = await this.manager.createGameSession(userId, tournament.gameId, userId, {
+        tournamentId: tournament.id,
+        matchId: match.id
+      });
+      gameUrl = created.gameUrl;
+      
+      await this.repository.updateTournament(tournament.id, current => ({
+        ...current,
+        matches: current.matches.map(entry => (entry.id !== match.id ? entry : {
+          ...entry,
+          sessions: { ...entry.sessions, [userId]: created.sessionId }
+        }))
+      }));
+    }
+    
+    const locale = await this.manager.getUserLocale(userId);
+    
+    try {
+      await this.manager.bot.telegram.sendMessage(
+        userId,
+        this.manager.t(locale, 'tournament.match', {
+          game: game.name,
+          round: match.round + 1,
+          opponent: opponent.username
+        }),
+        this.manager.getGameButtons(tournament.gameId, gameUrl, locale)
+      );
+    } catch (error) {
+      return { error: 'tournament.private_chat_needed' };
+    }
+    
+    return { ok: true };
+  }
+
+  /**
+   * Post match results, new rounds and the champion to the group
+   * @param {Object} before - Tournament before the update
+   * @param {Object} after - Tournament after the update
+   */
+  async announceProgress(before, after) {
+    const decided = after.matches.filter(match => {
+      const previous = before.matches.find(entry => entry.id === match.id);
+      return match.status === MATCH_STATUS.DONE && match.players.every(Boolean) &&
+        (!previous || previous.status !== MATCH_STATUS.DONE);
+    });
+    
+    const locale = await this.manager.getChatLocale(after.chatId);
+    
+    for (const match of decided) {
+      const winner = findPlayer(after, match.winnerId);
+      const loserId = match.players.find(playerId => playerId !== match.winnerId);
+      const loser = findPlayer(after, loserId);
+      
+      await this.postToGroup(after, this.manager.t(locale, 'tournament.match_result', {
+        winner: winner.username,
+        winnerScore: this.formatScore(match.scores[winner.userId], locale),
+        loser: loser.username,
+        loserScore: this.formatScore(match.scores[loserId], locale)
+      }));
+    }
+    
+    if (after.status === STATUS.FINISHED) {
+      const champion = findPlayer(after, after.winnerId);
+      await this.repository.recordVictory(champion.userId);
+      await this.postToGroup(after,
+        `${this.manager.t(locale, 'tournament.champion', { name: champion.username })}\n\n` +
+        this.formatBracket(after, locale)
+      );
+      
+      this.manager.trackEvent('tournament_finished', {
+        tournamentId: after.id,
+        gameId: after.gameId,
+        players: after.players.length
+      });
+    } else if (after.currentRound !== before.currentRound) {
+      await this.announceRound(after);
+    }
+  }
+
+  /**
+   * Post the bracket for the current round with a button to get match links
+   * @param {Object} tournament - Running tournament
+   */
+  async announceRound(tournament) {
+    const locale = await this.manager.getChatLocale(tournament.chatId);
+    const deadline = new Date(tournament.roundDeadline).toUTCString();
+    
+    await this.postToGroup(
+      tournament,
+      `${this.manager.t(locale, 'tournament.round_started', { round: tournament.currentRound + 1, deadline })}\n\n` +
+        this.formatBracket(tournament, locale),
+      Markup.inlineKeyboard([
+        [Markup.button.callback(this.manager.t(locale, 'tournament.match_link_button'), `tournament_play:${tournament.id}`)]
+      ])
+    );
+    
+    // Try to send every player their link directly; players without a private chat use the button
+    const matches = tournament.matches.filter(match =>
+      match.round === tournament.currentRound && match.status === MATCH_STATUS.PENDING
+    );
+    
+    for (const match of matches) {
+      for (const playerId of match.players) {
+        await this.sendMatchLink(tournament.id, playerId);
+      }
+    }
+  }
+
+  /**
+   * Format the bracket as plain text
+   * @param {Object} tournament - Tournament
+   * @param {string} locale - Language code
+   * @returns {string} Bracket text
+   */
+  formatBracket(tournament, locale) {
+    const game = this.manager.games[tournament.gameId];
+    let text = `${this.manager.t(locale, 'tournament.bracket_title', { game: game ? game.name : tournament.gameId })}\n`;
+    
+    if (tournament.status === STATUS.REGISTRATION) {
+      text += `\n${this.manager.t(locale, 'tournament.bracket_players', { count: tournament.players.length })}\n`;
+      tournament.players.forEach(player => {
+        text += `- ${player.username}\n`;
+      });
+      return text;
+    }
+    
+    const rounds = Math.max(...tournament.matches.map(match => match.round)) + 1;
+    
+    for (let round = 0; round < rounds; round++) {
+      text += `\n${this.manager.t(locale, 'tournament.bracket_round', { round: round + 1 })}\n`;
+      
+      tournament.matches
+        .filter(match => match.round === round)
+        .forEach(match => {
+          const [a, b] = match.players.map(playerId => {
+            const player = findPlayer(tournament, playerId);
+            if (!player) {
+              return this.manager.t(locale, 'tournament.bye');
+            }
+            
+            const score = match.scores[playerId];
+            const marker = match.winnerId === playerId ? ' ✅' : '';
+            return `${player.username}${score !== undefined ? ` (${score})` : ''}${marker}`;
+          });
+          
+          text += `- ${this.manager.t(locale, 'tournament.bracket_match', { a, b })}\n`;
+        });
+    }
+    
+    return text;
+  }
+
+  /**
+   * Format a match score for announcements
+   * @param {number|undefined} score - Score, undefined if the match was not played
+   * @param {string} locale - Language code
+   * @returns {string} Formatted score
+   */
+  formatScore(score, locale) {
+    return score === undefined ? this.manager.t(locale, 'tournament.did_not_play') : `${score}`;
+  }
+
+  /**
+   * Send a message to the tournament's group chat
+   * @param {Object} tournament - Tournament
+   * @param {string} text - Message text
+   * @param {Object} extra - Extra message options
+   */
+  async postToGroup(tournament, text, extra = {}) {
+    try {
+      await this.manager.bot.telegram.sendMessage(tournament.chatId, text, extra);
+    } catch (error) {
+      console.error('Error posting tournament update:', error);
+    }
+  }
+}
+
+/**
+ * Build a tournament player entry from a Telegram user
+ * @param {Object} user - Telegram user
+ * @returns {Object} Player entry
+ */
+function playerEntry(user) {
+  return {
+    userId: user.id,
+    username: user.username || user.first_name,
+    seed: null
+  };
+}
+
+/**
+ * Find a tournament player by user ID
+ * @param {Object} tournament - Tournament
+ * @param {number} userId - User ID
+ * @returns {Object|undefined} Player entry
+ */
+function findPlayer(tournament, userId) {
+  return tournament.players.find(player => player.userId === userId);
+}
+
+/**
+ * Bracket slot order for a power-of-two bracket, so seed 1 meets the
+ * lowest seed and the top two seeds can only meet in the final
+ * @param {number} size - Bracket size
+ * @returns {Array<number>} Seeds in slot order
+ */
+function seedOrder(size) {
+  let order = [1];
+  
+  while (order.length < size) {
+    const total = order.length * 2;
+    order = order.flatMap(seed => [seed, total + 1 - seed]);
+  }
+  
+  return order;
+}
+
+/**
+ * Create first round matches; empty slots become byes for the top seeds
+ * @param {Array} players - Players sorted by seed
+ * @returns {Array} Matches
+ */
+function createFirstRound(players) {
+  let size = 2;
+  while (size < players.length) {
+    size *= 2;
+  }
+  
+  const slots = seedOrder(size).map(seed => (players[seed - 1] ? players[seed - 1].userId : null));
+  const matches = [];
+  
+  for (let index = 0; index < slots.length / 2; index++) {
+    matches.push(createMatch(0, index, [slots[index * 2], slots[index * 2 + 1]]));
+  }
+  
+  return matches;
+}
+
+/**
+ * Create a match
+ * @param {number} round - Round index
+ * @param {number} index - Match index within the round
+ * @param {Array} players - The two user IDs, null for a bye
+ * @returns {Object} Match
+ */
+function createMatch(round, index, players) {
+  return {
+    id: `${round}-${index}`,
+    round,
+    index,
+    players,
+    scores: {},
+    sessions: {},
+    winnerId: null,
+    status: MATCH_STATUS.PENDING
+  };
+}
+
+/**
+ * Decide finished matches of the current round and start the next round
+ * once every match is decided
+ * @param {Object} tournament - Running tournament
+ * @param {number} now - Current timestamp
+ * @param {number} roundDuration - Duration of the next round
+ * @param {boolean} force - Decide unplayed matches too (deadline passed)
+ * @returns {Object} Updated tournament
+ */
+function advance(tournament, now, roundDuration, force = false) {
+  const seeds = {};
+  tournament.players.forEach(player => {
+    seeds[player.userId] = player.seed;
+  });
+  
+  const matches = tournament.matches.map(match => {
+    if (match.round !== tournament.currentRound || match.status === MATCH_STATUS.DONE) {
+      return match;
+    }
+    
+    const [a, b] = match.players;
+    const played = match.players.filter(playerId => playerId !== null && match.scores[playerId] !== undefined);
+    
+    // Byes advance straight away; real matches wait for both scores unless forced
+    if (a !== null && b !== null && played.length < 2 && !force) {
+      return match;
+    }
+    
+    const scoreOf = playerId => (match.scores[playerId] !== undefined ? match.scores[playerId] : -1);
+    const contenders = match.players.filter(playerId => playerId !== null);
+    const winnerId = contenders.sort((x, y) => scoreOf(y) - scoreOf(x) || seeds[x] - seeds[y])[0];
+    
+    return { ...match, winnerId, status: MATCH_STATUS.DONE };
+  });
+  
+  const currentMatches = matches.filter(match => match.round === tournament.currentRound);
+  
+  if (currentMatches.some(match => match.status !== MATCH_STATUS.DONE)) {
+    return { ...tournament, matches };
+  }
+  
+  const winners = currentMatches
+    .sort((x, y) => x.index - y.index)
+    .map(match => match.winnerId);
+  
+  if (winners.length === 1) {
+    return {
+      ...tournament,
+      matches,
+      status: STATUS.FINISHED,
+      winnerId: winners[0],
+      roundDeadline: null
+    };
+  }
+  
+  const nextRound = tournament.currentRound + 1;
+  for (let index = 0; index < winners.length / 2; index++) {
+    matches.push(createMatch(nextRound, index, [winners[index * 2], winners[index * 2 + 1]]));
+  }
+  
+  return {
+    ...tournament,
+    matches,
+    currentRound: nextRound,
+    roundDeadline: now + roundDuration
+  };
+}
+
+module.exports = {
+  TournamentService,
+  TOURNAMENT_STATUS: STATUS
+};
@@ -0,0 +1,94 @@
+/**
+ * Telegram Mini Game App - Wallet Service
+ * 
+ * Coin balance changes go through the repository's ledger so every change
+ * is recorded with its reason. Callers pass an idempotency key describing
+ * the change (e.g. 'purchase:<paymentId>'), so a retried request can never
+ * credit or debit twice.
+ */
+
+const crypto = require('crypto');
+const { COIN_REASONS } = require('../storage/gameRepository');
+
+class WalletService {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Wallet options
+   * @param {number} [options.historyLimit] - Entries shown by /wallet
+   */
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.repository = manager.repository;
+    this.historyLimit = options.historyLimit || 10;
+  }
+
+  /**
+   * Add coins to a user's balance
+   * @param {number} userId - User ID
+   * @param {number} amount - Positive amount
+   * @param {string} reason - One of COIN_REASONS
+   * @param {Object} options - Ledger options (idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async credit(userId, amount, reason, options = {}) {
+    return this.apply(userId, Math.abs(amount), reason, options);
+  }
+
+  /**
+   * Remove coins from a user's balance, refusing to go below zero
+   * @param {number} userId - User ID
+   * @param {number} amount - Positive amount
+   * @param {string} reason - One of COIN_REASONS
+   * @param {Object} options - Ledger options (idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async debit(userId, amount, reason, options = {}) {
+    return this.apply(userId, -Math.abs(amount), reason, options);
+  }
+
+  /**
+   * Apply a signed balance change
+   * @param {number} userId - User ID
+   * @param {number} amount - Amount to add, negative to subtract
+   * @param {string} reason - One of COIN_REASONS
+   * @param {Object} options - Ledger options (idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async apply(userId, amount, reason, options = {}) {
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw new Error(`Invalid coin amount: ${amount}`);
+    }
+    
+    if (!Object.values(COIN_REASONS).includes(reason)) {
+      throw new Error(`Unknown coin transaction reason: ${reason}`);
+    }
+    
+    return this.repository.applyCoinTransaction(userId, {
+      amount,
+      reason,
+      // Without a key the change is treated as unique
+      idempotencyKey: options.idempotencyKey || `${reason}:${crypto.randomBytes(12).toString('base64url')}`,
+      metadata: options.metadata || {}
+    });
+  }
+
+  /**
+   * Get a user's balance and recent ledger entries
+   * @param {number} userId - User ID
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Promise<Object|null>} { balance, transactions } or null if not registered
+   */
+  async getStatement(userId, limit = this.historyLimit) {
+    const [user, transactions] = await Promise.all([
+      this.repository.getUser(userId),
+      this.repository.getCoinTransactions(userId, { limit })
+    ]);
+    
+    return user ? { balance: user.coins, transactions } : null;
+  }
+}
+
+module.exports = {
+  WalletService,
+  COIN_REASONS
+};
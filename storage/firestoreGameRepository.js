@@ -0,0 +1,1250 @@
+/**
+ * Telegram Mini Game App - Firestore Game Repository
+ * 
+ * Firestore storage backend. Scores are written in a transaction together
+ * with the user's aggregates so leaderboards can be served from the
+ * users collection, per-group member documents and per-period leaderboard
+ * entries without scanning scores.
+ */
+
+const admin = require('firebase-admin');
+const {
+  GameRepository,
+  createUserRecord,
+  applyScoreToGameStats,
+  applyStreakDay,
+  applyQuestClaim,
+  coinTransactionId,
+  createCoinTransaction,
+  questClaimEntry,
+  achievementRewardEntry,
+  leaderboardBoardId,
+  scoreLeaderboardBoards,
+  applyScoreToLeaderboardEntry,
+  planScoreWipe,
+  LEADERBOARD_PERIODS
+} = require('./gameRepository');
+
+const { FieldPath, FieldValue } = admin.firestore;
+
+const DELETE_BATCH_SIZE = 400;
+
+class FirestoreGameRepository extends GameRepository {
+  /**
+   * @param {Object} db - Firestore instance
+   */
+  constructor(db) {
+    super();
+    
+    this.db = db;
+    this.usersCollection = db.collection('users');
+    this.gamesCollection = db.collection('games');
+    this.scoresCollection = db.collection('scores');
+    this.leaderboardsCollection = db.collection('leaderboardEntries');
+    this.hiddenPlayersCollection = db.collection('hiddenPlayers');
+    this.groupsCollection = db.collection('groups');
+    this.challengesCollection = db.collection('challenges');
+    this.quarantineCollection = db.collection('quarantinedScores');
+    this.tournamentsCollection = db.collection('tournaments');
+    this.competitionsCollection = db.collection('competitions');
+    this.dailyQuestsCollection = db.collection('dailyQuests');
+    this.coinTransactionsCollection = db.collection('coinTransactions');
+    this.paymentsCollection = db.collection('payments');
+    this.notificationsCollection = db.collection('notifications');
+    this.gameFlagsCollection = db.collection('gameFlags');
+    this.auditLogCollection = db.collection('auditLog');
+  }
+
+  /**
+   * Get a user record
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async getUser(userId) {
+    const doc = await this.usersCollection.doc(String(userId)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Create a user record if missing, otherwise refresh profile fields
+   * @param {number} userId - User ID
+   * @param {Object} profile - Profile fields
+   * @returns {Promise<Object>} Stored user record
+   */
+  async registerUser(userId, profile) {
+    const userRef = this.usersCollection.doc(String(userId));
+    const now = Date.now();
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        const user = createUserRecord(userId, profile, now);
+        transaction.set(userRef, user);
+        return user;
+      }
+      
+      const updates = { lastActiveAt: now };
+      Object.entries(profile).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          updates[key] = value;
+        }
+      });
+      
+      transaction.update(userRef, updates);
+      return { ...doc.data(), ...updates };
+    });
+  }
+
+  /**
+   * Persist a game score and update aggregates in one transaction
+   * @param {Object} record - Score record
+   * @returns {Promise<Object>} { scoreId, isPersonalBest, previousBest }
+   */
+  async saveScore(record) {
+    const { userId, gameId, score, gameStats, chatId } = record;
+    const userRef = this.usersCollection.doc(String(userId));
+    const scoreRef = this.scoresCollection.doc();
+    const memberRef = chatId ? this.groupMemberRef(chatId, userId) : null;
+    const now = Date.now();
+    const playedAt = record.playedAt || now;
+    const boards = scoreLeaderboardBoards(gameId, playedAt);
+    const entryRefs = boards.map(board => this.leaderboardEntryRef(board, userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const memberDoc = memberRef ? await transaction.get(memberRef) : null;
+      const entryDocs = await transaction.getAll(...entryRefs);
+      
+      const user = userDoc.exists ? userDoc.data() : createUserRecord(userId, {}, now);
+      const result = applyScoreToGameStats((user.gameStats || {})[gameId], score, playedAt);
+      
+      transaction.set(userRef, {
+        ...user,
+        totalScore: (user.totalScore || 0) + score,
+        gamesPlayed: (user.gamesPlayed || 0) + 1,
+        gameStats: { ...user.gameStats, [gameId]: result.stats },
+        lastActiveAt: now
+      });
+      
+      transaction.set(scoreRef, {
+        userId,
+        username: user.username,
+        gameId,
+        chatId: chatId || null,
+        score,
+        gameStats: gameStats || {},
+        createdAt: playedAt
+      });
+      
+      transaction.set(this.gamesCollection.doc(gameId), {
+        gameId,
+        plays: FieldValue.increment(1),
+        totalScore: FieldValue.increment(score),
+        lastPlayedAt: now
+      }, { merge: true });
+      
+      if (memberRef) {
+        const member = memberDoc.exists ? memberDoc.data() : { userId, totalScore: 0, gameStats: {} };
+        transaction.set(memberRef, {
+          userId,
+          username: user.username,
+          totalScore: member.totalScore + score,
+          gameStats: {
+            ...member.gameStats,
+            [gameId]: applyScoreToGameStats(member.gameStats[gameId], score, playedAt).stats
+          }
+        });
+      }
+      
+      entryDocs.forEach((doc, index) => {
+        const entry = applyScoreToLeaderboardEntry(doc.exists ? doc.data() : null, boards[index], user, score, playedAt);
+        transaction.set(entryRefs[index], entry);
+      });
+      
+      return {
+        scoreId: scoreRef.id,
+        isPersonalBest: result.isPersonalBest,
+        previousBest: result.previousBest
+      };
+    });
+  }
+
+  /**
+   * Get the play aggregates of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} Game aggregates or null
+   */
+  async getGameStats(gameId) {
+    const doc = await this.gamesCollection.doc(gameId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Get the play aggregates of every game that was played
+   * @returns {Promise<Array>} Game aggregates
+   */
+  async getAllGameStats() {
+    const snapshot = await this.gamesCollection.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Get leaderboard entries ordered by score
+   * @param {Object} options - Leaderboard options
+   * @returns {Promise<Array>} Entries of { userId, username, score }
+   */
+  async getLeaderboard({ gameId = null, chatId = null, period = LEADERBOARD_PERIODS.ALL_TIME, userIds = null, limit = 10 } = {}) {
+    // Windowed boards in a group rank the group's players
+    if (chatId && period !== LEADERBOARD_PERIODS.ALL_TIME) {
+      userIds = await this.getGroupMemberIds(chatId);
+    }
+    
+    if (userIds) {
+      return (await this.getEntriesForUsers(userIds, gameId, period)).slice(0, limit);
+    }
+    
+    // Hidden players are few, so reading that many extra entries still fills the page
+    const hidden = chatId ? new Set() : new Set(await this.getHiddenPlayerIds());
+    const visible = entries => entries.filter(entry => !hidden.has(entry.userId)).slice(0, limit);
+    
+    if (period !== LEADERBOARD_PERIODS.ALL_TIME) {
+      const snapshot = await this.leaderboardsCollection
+        .where('board', '==', leaderboardBoardId(period, Date.now(), gameId))
+        .orderBy('score', 'desc')
+        .limit(limit + hidden.size)
+        .get();
+      
+      return visible(snapshot.docs.map(doc => {
+        const { userId, username, score } = doc.data();
+        return { userId, username, score };
+      }));
+    }
+    
+    const field = this.scoreField(gameId);
+    const collection = chatId
+      ? this.groupsCollection.doc(String(chatId)).collection('members')
+      : this.usersCollection;
+    
+    const snapshot = await collection
+      .where(field, '>', 0)
+      .orderBy(field, 'desc')
+      .limit(limit + hidden.size)
+      .get();
+    
+    return visible(snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        userId: data.userId,
+        username: data.username,
+        score: gameId ? data.gameStats[gameId].bestScore : data.totalScore
+      };
+    }));
+  }
+
+  /**
+   * Get a user's leaderboard position
+   * @param {number} userId - User ID
+   * @param {string} [gameId] - Game ID
+   * @param {Object} [options] - Ranking options (period, userIds)
+   * @returns {Promise<Object|null>} { position, totalPlayers, score } or null
+   */
+  async getUserRanking(userId, gameId = null, { period = LEADERBOARD_PERIODS.ALL_TIME, userIds = null } = {}) {
+    if (userIds) {
+      const entries = await this.getEntriesForUsers(userIds, gameId, period);
+      const index = entries.findIndex(entry => entry.userId === userId);
+      
+      return index === -1
+        ? null
+        : { position: index + 1, totalPlayers: entries.length, score: entries[index].score };
+    }
+    
+    let score;
+    let ranked;
+    
+    if (period !== LEADERBOARD_PERIODS.ALL_TIME) {
+      const board = leaderboardBoardId(period, Date.now(), gameId);
+      const doc = await this.leaderboardEntryRef(board, userId).get();
+      score = doc.exists ? doc.data().score : 0;
+      ranked = this.leaderboardsCollection.where('board', '==', board);
+    } else {
+      const user = await this.getUser(userId);
+      score = !user ? 0 : gameId
+        ? (user.gameStats && user.gameStats[gameId] ? user.gameStats[gameId].bestScore : 0)
+        : user.totalScore;
+      ranked = this.usersCollection;
+    }
+    
+    if (!score) {
+      return null;
+    }
+    
+    const field = period !== LEADERBOARD_PERIODS.ALL_TIME ? 'score' : this.scoreField(gameId);
+    const hiddenIds = (await this.getHiddenPlayerIds()).filter(id => id !== userId);
+    const [ahead, total, hiddenEntries] = await Promise.all([
+      ranked.where(field, '>', score).count().get(),
+      ranked.where(field, '>', 0).count().get(),
+      this.getEntriesForUsers(hiddenIds, gameId, period)
+    ]);
+    
+    // Hidden players are counted by the queries, take them back out
+    const hiddenAhead = hiddenEntries.filter(entry => entry.score > score).length;
+    
+    return {
+      position: ahead.data().count - hiddenAhead + 1,
+      totalPlayers: total.data().count - hiddenEntries.length,
+      score
+    };
+  }
+
+  /**
+   * Hide a user from global leaderboards, or show them again
+   * @param {number} userId - User ID
+   * @param {boolean} hidden - Whether the user is hidden
+   */
+  async setLeaderboardHidden(userId, hidden) {
+    const ref = this.hiddenPlayersCollection.doc(String(userId));
+    
+    if (hidden) {
+      await ref.set({ userId, hiddenAt: Date.now() });
+    } else {
+      await ref.delete();
+    }
+  }
+
+  /**
+   * IDs of the users hidden from global leaderboards
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async getHiddenPlayerIds() {
+    const snapshot = await this.hiddenPlayersCollection.select('userId').get();
+    return snapshot.docs.map(doc => doc.data().userId);
+  }
+
+  /**
+   * Record that users played together; each becomes a friend of the others
+   * @param {Array<number>} userIds - Users of a challenge or room
+   */
+  async addFriends(userIds) {
+    const docs = await this.db.getAll(...userIds.map(userId => this.usersCollection.doc(String(userId))));
+    const batch = this.db.batch();
+    
+    docs.forEach((doc, index) => {
+      if (doc.exists) {
+        const others = userIds.filter(id => id !== userIds[index]);
+        batch.update(doc.ref, { friends: FieldValue.arrayUnion(...others) });
+      }
+    });
+    
+    await batch.commit();
+  }
+
+  /**
+   * Sorted leaderboard entries of a set of users, read by document ID
+   * @param {Array<number>} userIds - User IDs
+   * @param {string|null} gameId - Game ID or null for total score
+   * @param {string} period - Leaderboard period
+   * @returns {Promise<Array>} Entries of { userId, username, score }
+   */
+  async getEntriesForUsers(userIds, gameId, period) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    
+    const allTime = period === LEADERBOARD_PERIODS.ALL_TIME;
+    const board = allTime ? null : leaderboardBoardId(period, Date.now(), gameId);
+    const refs = userIds.map(userId => (allTime
+      ? this.usersCollection.doc(String(userId))
+      : this.leaderboardEntryRef(board, userId)));
+    
+    const docs = await this.db.getAll(...refs);
+    
+    return docs
+      .filter(doc => doc.exists)
+      .map(doc => {
+        const data = doc.data();
+        const score = !allTime
+          ? data.score
+          : gameId ? ((data.gameStats || {})[gameId] || {}).bestScore || 0 : data.totalScore;
+        
+        return { userId: data.userId, username: data.username, score };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * IDs of the users who have played in a group
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async getGroupMemberIds(chatId) {
+    const snapshot = await this.groupsCollection
+      .doc(String(chatId))
+      .collection('members')
+      .select('userId')
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data().userId);
+  }
+
+  /**
+   * Change a user's balance and append the change to the coin ledger in one transaction
+   * @param {number} userId - User ID
+   * @param {Object} entry - Ledger entry (amount, reason, idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async applyCoinTransaction(userId, entry) {
+    const userRef = this.usersCollection.doc(String(userId));
+    const ledgerRef = this.coinTransactionsCollection.doc(coinTransactionId(userId, entry.idempotencyKey));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const [userDoc, ledgerDoc] = await Promise.all([
+        transaction.get(userRef),
+        transaction.get(ledgerRef)
+      ]);
+      
+      if (!userDoc.exists) {
+        return { error: 'user_not_found', balance: 0 };
+      }
+      
+      const coins = userDoc.data().coins || 0;
+      
+      if (ledgerDoc.exists) {
+        return { transaction: ledgerDoc.data(), balance: coins, duplicate: true };
+      }
+      
+      if (coins + entry.amount < 0) {
+        return { error: 'insufficient_funds', balance: coins };
+      }
+      
+      const record = this.appendCoinTransaction(transaction, userRef, userId, entry, coins + entry.amount);
+      return { transaction: record, balance: record.balance, duplicate: false };
+    });
+  }
+
+  /**
+   * Get a user's coin ledger entries
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options (limit)
+   * @returns {Promise<Array>} Ledger entries, newest first
+   */
+  async getCoinTransactions(userId, options = {}) {
+    const { limit = 20 } = options;
+    
+    const snapshot = await this.coinTransactionsCollection
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Set the new balance and write its ledger entry within a transaction
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} userRef - User document reference
+   * @param {number} userId - User ID
+   * @param {Object} entry - Entry fields
+   * @param {number} balance - Balance after the change
+   * @returns {Object} Ledger entry
+   */
+  appendCoinTransaction(transaction, userRef, userId, entry, balance) {
+    const record = createCoinTransaction(userId, entry, balance, Date.now());
+    
+    transaction.update(userRef, { coins: balance });
+    transaction.set(this.coinTransactionsCollection.doc(record.id), record);
+    return record;
+  }
+
+  /**
+   * Increment a user's victory count
+   * @param {number} userId - User ID
+   */
+  async recordVictory(userId) {
+    await this.usersCollection.doc(String(userId)).update({
+      victories: FieldValue.increment(1)
+    });
+  }
+
+  /**
+   * Persist a new challenge
+   * @param {Object} challenge - Challenge record
+   */
+  async saveChallenge(challenge) {
+    await this.challengesCollection.doc(challenge.id).set(challenge);
+  }
+
+  /**
+   * Get a challenge
+   * @param {string} challengeId - Challenge ID
+   * @returns {Promise<Object|null>} Challenge record or null
+   */
+  async getChallenge(challengeId) {
+    const doc = await this.challengesCollection.doc(challengeId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Create or replace a user's attempt at a challenge
+   * @param {string} challengeId - Challenge ID
+   * @param {number} userId - Challenged user's ID
+   * @param {Object} attempt - Attempt data
+   */
+  async saveChallengeAttempt(challengeId, userId, attempt) {
+    await this.challengesCollection.doc(challengeId).update(
+      new FieldPath('attempts', String(userId)),
+      attempt
+    );
+  }
+
+  /**
+   * Add a suspicious score to the review queue
+   * @param {Object} record - Score record
+   * @returns {Promise<string>} Quarantined score ID
+   */
+  async quarantineScore(record) {
+    const ref = await this.quarantineCollection.add({
+      ...record,
+      status: 'pending',
+      createdAt: Date.now()
+    });
+    return ref.id;
+  }
+
+  /**
+   * Get scores waiting for review
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Pending scores, oldest first
+   */
+  async getQuarantinedScores({ limit = 20 } = {}) {
+    const snapshot = await this.quarantineCollection
+      .where('status', '==', 'pending')
+      .orderBy('createdAt')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Resolve a pending quarantined score
+   * @param {string} scoreId - Quarantined score ID
+   * @param {Object} resolution - { status, reviewerId }
+   * @returns {Promise<Object|null>} The score record, or null
+   */
+  async resolveQuarantinedScore(scoreId, resolution) {
+    const ref = this.quarantineCollection.doc(scoreId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      
+      if (!doc.exists || doc.data().status !== 'pending') {
+        return null;
+      }
+      
+      const updates = { ...resolution, reviewedAt: Date.now() };
+      transaction.update(ref, updates);
+      return { id: doc.id, ...doc.data(), ...updates };
+    });
+  }
+
+  /**
+   * Persist a new tournament
+   * @param {Object} tournament - Tournament record
+   */
+  async saveTournament(tournament) {
+    await this.tournamentsCollection.doc(tournament.id).set(tournament);
+  }
+
+  /**
+   * Get a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getTournament(tournamentId) {
+    const doc = await this.tournamentsCollection.doc(tournamentId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Get the tournament of a chat that is open for registration or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getActiveTournament(chatId) {
+    const snapshot = await this.tournamentsCollection
+      .where('chatId', '==', chatId)
+      .where('status', 'in', ['registration', 'running'])
+      .limit(1)
+      .get();
+    
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  /**
+   * Get running tournaments whose round deadline has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Tournaments
+   */
+  async getOverdueTournaments(now) {
+    const snapshot = await this.tournamentsCollection
+      .where('status', '==', 'running')
+      .where('roundDeadline', '<=', now)
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Atomically update a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {Function} mutator - Returns the updated tournament or null
+   * @returns {Promise<Object|null>} Updated tournament or null
+   */
+  async updateTournament(tournamentId, mutator) {
+    const ref = this.tournamentsCollection.doc(tournamentId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const updated = doc.exists ? mutator(doc.data()) : null;
+      
+      if (updated) {
+        transaction.set(ref, updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Persist a new group competition
+   * @param {Object} competition - Competition record
+   */
+  async saveCompetition(competition) {
+    await this.competitionsCollection.doc(competition.id).set(competition);
+  }
+
+  /**
+   * Get a competition
+   * @param {string} competitionId - Competition ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getCompetition(competitionId) {
+    const doc = await this.competitionsCollection.doc(competitionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Get the competition of a chat that is scheduled or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getActiveCompetition(chatId) {
+    const snapshot = await this.competitionsCollection
+      .where('chatId', '==', chatId)
+      .where('status', 'in', ['scheduled', 'active'])
+      .limit(1)
+      .get();
+    
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  /**
+   * Get unfinished competitions whose next event is due. Finished
+   * competitions have no nextEventAt and never match.
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Competitions
+   */
+  async getDueCompetitions(now) {
+    const snapshot = await this.competitionsCollection
+      .where('nextEventAt', '<=', now)
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Atomically update a competition
+   * @param {string} competitionId - Competition ID
+   * @param {Function} mutator - Returns the updated competition or null
+   * @returns {Promise<Object|null>} Updated competition or null
+   */
+  async updateCompetition(competitionId, mutator) {
+    const ref = this.competitionsCollection.doc(competitionId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const updated = doc.exists ? mutator(doc.data()) : null;
+      
+      if (updated) {
+        transaction.set(ref, updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Get a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @returns {Promise<Object|null>} Quest record or null
+   */
+  async getDailyQuests(userId, day) {
+    const doc = await this.dailyQuestsCollection.doc(`${userId}_${day}`).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Atomically create or update a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Function} mutator - Returns the new record or null
+   * @returns {Promise<Object|null>} Updated record or null
+   */
+  async updateDailyQuests(userId, day, mutator) {
+    const ref = this.dailyQuestsCollection.doc(`${userId}_${day}`);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const updated = mutator(doc.exists ? doc.data() : null);
+      
+      if (updated) {
+        transaction.set(ref, updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Mark completed quests claimed and credit their rewards in one transaction
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Array<string>} questIds - Quests to claim
+   * @returns {Promise<number>} Coins credited
+   */
+  async claimDailyQuests(userId, day, questIds) {
+    const questsRef = this.dailyQuestsCollection.doc(`${userId}_${day}`);
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const [doc, userDoc] = await Promise.all([
+        transaction.get(questsRef),
+        transaction.get(userRef)
+      ]);
+      
+      if (!doc.exists || !userDoc.exists) {
+        return 0;
+      }
+      
+      const { quests, amount, claimedIds } = applyQuestClaim(doc.data().quests, questIds);
+      
+      if (amount > 0) {
+        const balance = (userDoc.data().coins || 0) + amount;
+        
+        transaction.update(questsRef, { quests });
+        this.appendCoinTransaction(transaction, userRef, userId, questClaimEntry(day, claimedIds, amount), balance);
+      }
+      
+      return amount;
+    });
+  }
+
+  /**
+   * Count a day towards the user's play streak
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {string} previousDay - Day key of the day before
+   * @returns {Promise<number>} Current streak
+   */
+  async recordStreakDay(userId, day, previousDay) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        return 0;
+      }
+      
+      const updates = applyStreakDay(doc.data(), day, previousDay);
+      
+      if (updates) {
+        transaction.update(userRef, updates);
+        return updates.currentStreak;
+      }
+      
+      return doc.data().currentStreak;
+    });
+  }
+
+  /**
+   * Set the timezone a user's quest days and streaks follow
+   * @param {number} userId - User ID
+   * @param {string|null} timezone - IANA timezone, null for the default timezone
+   * @param {number} changedAt - Timestamp of the change
+   */
+  async setUserTimezone(userId, timezone, changedAt) {
+    await this.usersCollection.doc(String(userId)).update({ timezone, timezoneChangedAt: changedAt });
+  }
+
+  /**
+   * Store a payment unless one with the same ID exists
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} { payment, created }
+   */
+  async createPayment(payment) {
+    const ref = this.paymentsCollection.doc(payment.id);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      
+      if (doc.exists) {
+        return { payment: doc.data(), created: false };
+      }
+      
+      transaction.set(ref, payment);
+      return { payment, created: true };
+    });
+  }
+
+  /**
+   * Get a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object|null>} Payment or null
+   */
+  async getPayment(paymentId) {
+    const doc = await this.paymentsCollection.doc(paymentId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Atomically update a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @param {Function} mutator - Returns the new payment or null to skip
+   * @returns {Promise<Object|null>} Updated payment or null
+   */
+  async updatePayment(paymentId, mutator) {
+    const ref = this.paymentsCollection.doc(paymentId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const updated = doc.exists ? mutator(doc.data()) : null;
+      
+      if (updated) {
+        transaction.set(ref, updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Store a scheduled notification unless it exists
+   * @param {Object} notification - Notification job
+   * @returns {Promise<Object>} { notification, created }
+   */
+  async createNotification(notification) {
+    const ref = this.notificationsCollection.doc(notification.id);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      
+      if (doc.exists) {
+        return { notification: doc.data(), created: false };
+      }
+      
+      transaction.set(ref, notification);
+      return { notification, created: true };
+    });
+  }
+
+  /**
+   * Get pending notifications whose send time has come
+   * @param {number} now - Current timestamp
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs, earliest first
+   */
+  async getDueNotifications(now, limit) {
+    const snapshot = await this.notificationsCollection
+      .where('status', '==', 'pending')
+      .where('sendAt', '<=', now)
+      .orderBy('sendAt')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Atomically update a notification job
+   * @param {string} notificationId - Notification ID
+   * @param {Function} mutator - Returns the updated job or null
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  async updateNotification(notificationId, mutator) {
+    const ref = this.notificationsCollection.doc(notificationId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const updated = doc.exists ? mutator(doc.data()) : null;
+      
+      if (updated) {
+        transaction.set(ref, updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Record whether a user has blocked the bot
+   * @param {number} userId - User ID
+   * @param {boolean} blocked - Blocked flag
+   */
+  async setBotBlocked(userId, blocked) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (doc.exists) {
+        transaction.update(userRef, { botBlocked: blocked });
+      }
+    });
+  }
+
+  /**
+   * Atomically update a user's entitlements
+   * @param {number} userId - User ID
+   * @param {Function} mutator - Returns new entitlements or null to skip
+   * @returns {Promise<Object|null>} Updated entitlements or null
+   */
+  async updateUserEntitlements(userId, mutator) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      const updated = doc.exists ? mutator(doc.data().entitlements || {}) : null;
+      
+      if (updated) {
+        transaction.update(userRef, { entitlements: updated });
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Merge preferences into a user's record
+   * @param {number} userId - User ID
+   * @param {Object} preferences - Preference fields to set
+   * @returns {Promise<Object|null>} Updated preferences or null
+   */
+  async updateUserPreferences(userId, preferences) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const merged = { ...doc.data().preferences, ...preferences };
+      transaction.update(userRef, { preferences: merged });
+      return merged;
+    });
+  }
+
+  /**
+   * Atomically update a user's skill rating in a game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {Function} mutator - Receives the current skill, returns the new one or null to skip
+   * @returns {Promise<Object|null>} Updated skill or null
+   */
+  async updateUserSkill(userId, gameId, mutator) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      const skills = doc.data().skills || {};
+      const updated = mutator(skills[gameId] || null);
+      
+      if (updated) {
+        transaction.update(userRef, new FieldPath('skills', gameId), updated);
+      }
+      
+      return updated;
+    });
+  }
+
+  /**
+   * Add achievements to a user and credit their rewards in one transaction
+   * @param {number} userId - User ID
+   * @param {Array} achievements - Entries of { id, unlockedAt, reward }
+   * @returns {Promise<Array<string>>} Newly unlocked IDs
+   */
+  async unlockAchievements(userId, achievements) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        return [];
+      }
+      
+      const existing = doc.data().achievements || [];
+      const fresh = achievements.filter(entry => !existing.some(unlocked => unlocked.id === entry.id));
+      let balance = doc.data().coins || 0;
+      
+      if (fresh.length > 0) {
+        transaction.update(userRef, {
+          achievements: [...existing, ...fresh.map(entry => ({ id: entry.id, unlockedAt: entry.unlockedAt }))]
+        });
+      }
+      
+      fresh.filter(entry => entry.reward > 0).forEach(entry => {
+        balance += entry.reward;
+        this.appendCoinTransaction(transaction, userRef, userId, achievementRewardEntry(entry), balance);
+      });
+      
+      return fresh.map(entry => entry.id);
+    });
+  }
+
+  /**
+   * Get a page of registered user IDs
+   * @param {Object} options - Page options (after, limit)
+   * @returns {Promise<Array<number>>} User IDs in ascending order
+   */
+  async getUserIds({ after = null, limit }) {
+    let query = this.usersCollection.orderBy('userId').select('userId');
+    
+    if (after !== null) {
+      query = query.startAfter(after);
+    }
+    
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => doc.data().userId);
+  }
+
+  /**
+   * Ban a user or lift their ban
+   * @param {number} userId - User ID
+   * @param {Object|null} ban - Ban details, null to lift it
+   * @returns {Promise<Object|null>} Updated user or null
+   */
+  async setUserBanned(userId, ban) {
+    const userRef = this.usersCollection.doc(String(userId));
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      
+      if (!doc.exists) {
+        return null;
+      }
+      
+      transaction.update(userRef, { banned: ban });
+      return { ...doc.data(), banned: ban };
+    });
+  }
+
+  /**
+   * Delete a user's scores in a game and take them out of all aggregates
+   * 
+   * Aggregates are corrected in one transaction; the score documents are
+   * deleted afterwards in batches, since a user can have more of them than
+   * a transaction can write.
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} { count, total } or null
+   */
+  async wipeUserScores(userId, gameId) {
+    const snapshot = await this.scoresCollection
+      .where('userId', '==', userId)
+      .where('gameId', '==', gameId)
+      .get();
+    
+    const plan = planScoreWipe(gameId, snapshot.docs.map(doc => doc.data()));
+    const userRef = this.usersCollection.doc(String(userId));
+    const chatIds = Array.from(plan.chats.keys());
+    const memberRefs = chatIds.map(chatId => this.groupMemberRef(chatId, userId));
+    const boards = Array.from(plan.boards.keys());
+    const entryRefs = boards.map(board => this.leaderboardEntryRef(board, userId));
+    
+    const result = await this.db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const memberDocs = memberRefs.length > 0 ? await transaction.getAll(...memberRefs) : [];
+      const entryDocs = entryRefs.length > 0 ? await transaction.getAll(...entryRefs) : [];
+      
+      if (!userDoc.exists) {
+        return null;
+      }
+      
+      const user = userDoc.data();
+      
+      transaction.update(userRef,
+        'totalScore', Math.max(0, (user.totalScore || 0) - plan.total),
+        'gamesPlayed', Math.max(0, (user.gamesPlayed || 0) - plan.count),
+        new FieldPath('gameStats', gameId), FieldValue.delete()
+      );
+      
+      if (plan.count > 0) {
+        transaction.set(this.gamesCollection.doc(gameId), {
+          plays: FieldValue.increment(-plan.count),
+          totalScore: FieldValue.increment(-plan.total)
+        }, { merge: true });
+      }
+      
+      memberDocs.forEach((doc, index) => {
+        if (doc.exists) {
+          transaction.update(doc.ref,
+            'totalScore', Math.max(0, doc.data().totalScore - plan.chats.get(chatIds[index])),
+            new FieldPath('gameStats', gameId), FieldValue.delete()
+          );
+        }
+      });
+      
+      // Game boards only held these scores; boards across games keep the rest
+      entryDocs.forEach((doc, index) => {
+        if (!doc.exists) {
+          return;
+        }
+        
+        const remaining = doc.data().score - plan.boards.get(boards[index]);
+        
+        if (boards[index].endsWith(':*') && remaining > 0) {
+          transaction.update(doc.ref, { score: remaining });
+        } else {
+          transaction.delete(doc.ref);
+        }
+      });
+      
+      return { count: plan.count, total: plan.total };
+    });
+    
+    if (result) {
+      for (let i = 0; i < snapshot.docs.length; i += DELETE_BATCH_SIZE) {
+        const batch = this.db.batch();
+        snapshot.docs.slice(i, i + DELETE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Get the runtime flags of games
+   * @returns {Promise<Object>} Flags keyed by game ID
+   */
+  async getGameFlags() {
+    const snapshot = await this.gameFlagsCollection.get();
+    return Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]));
+  }
+
+  /**
+   * Set runtime flags of a game
+   * @param {string} gameId - Game ID
+   * @param {Object} flags - Flags to set
+   */
+  async setGameFlags(gameId, flags) {
+    await this.gameFlagsCollection.doc(gameId).set({ ...flags, updatedAt: Date.now() }, { merge: true });
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} entry - Entry
+   */
+  async appendAuditEntry(entry) {
+    const ref = this.auditLogCollection.doc();
+    await ref.set({ id: ref.id, ...entry });
+  }
+
+  /**
+   * Get recent admin audit log entries
+   * @param {Object} options - Query options (limit)
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getAuditLog({ limit = 20 } = {}) {
+    const snapshot = await this.auditLogCollection
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+    
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Create or update a group chat record
+   * @param {number} chatId - Chat ID
+   * @param {Object} data - Group fields
+   */
+  async saveGroup(chatId, data) {
+    const groupRef = this.groupsCollection.doc(String(chatId));
+    const doc = await groupRef.get();
+    const now = Date.now();
+    
+    await groupRef.set({
+      chatId,
+      ...data,
+      ...(doc.exists ? {} : { createdAt: now }),
+      updatedAt: now
+    }, { merge: true });
+  }
+
+  /**
+   * Get a group chat record
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Group record or null
+   */
+  async getGroup(chatId) {
+    const doc = await this.groupsCollection.doc(String(chatId)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  /**
+   * Reference to a user's member document within a group
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @returns {Object} Document reference
+   */
+  groupMemberRef(chatId, userId) {
+    return this.groupsCollection
+      .doc(String(chatId))
+      .collection('members')
+      .doc(String(userId));
+  }
+
+  /**
+   * Reference to a user's entry on a windowed leaderboard
+   * @param {string} board - Board ID
+   * @param {number} userId - User ID
+   * @returns {Object} Document reference
+   */
+  leaderboardEntryRef(board, userId) {
+    return this.leaderboardsCollection.doc(`${board}:${userId}`);
+  }
+
+  /**
+   * Field holding the ranked score for a leaderboard scope
+   * @param {string|null} gameId - Game ID or null for total score
+   * @returns {FieldPath|string} Field path
+   */
+  scoreField(gameId) {
+    return gameId ? new FieldPath('gameStats', gameId, 'bestScore') : 'totalScore';
+  }
+}
+
+module.exports = { FirestoreGameRepository };
@@ -0,0 +1,126 @@
+/**
+ * Telegram Mini Game App - Firestore Session Store
+ * 
+ * Session store shared by every bot instance. Completions run in a
+ * transaction and the sweeper deletes with an update-time precondition,
+ * so concurrent instances never double-count or double-report a session.
+ */
+
+const { SessionStore } = require('./sessionStore');
+
+const SWEEP_BATCH_SIZE = 200;
+
+class FirestoreSessionStore extends SessionStore {
+  /**
+   * @param {Object} db - Firestore instance
+   */
+  constructor(db) {
+    super();
+    
+    this.db = db;
+    this.sessionsCollection = db.collection('sessions');
+  }
+
+  /**
+   * Store a new session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session fields
+   */
+  async create(sessionId, session) {
+    await this.sessionsCollection.doc(sessionId).set({ ...session, sessionId });
+  }
+
+  /**
+   * Get a live session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(sessionId) {
+    const doc = await this.sessionsCollection.doc(sessionId).get();
+    
+    if (!doc.exists || doc.data().expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    return doc.data();
+  }
+
+  /**
+   * Mark a session completed, once
+   * @param {string} sessionId - Session ID
+   * @param {Object} completion - Fields to store with the completion
+   * @returns {Promise<Object|null>} { session, alreadyCompleted } or null
+   */
+  async complete(sessionId, completion) {
+    const ref = this.sessionsCollection.doc(sessionId);
+    
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      
+      if (!doc.exists || doc.data().expiresAt <= Date.now()) {
+        return null;
+      }
+      
+      const session = doc.data();
+      
+      if (session.completed) {
+        return { session, alreadyCompleted: true };
+      }
+      
+      const updates = { ...completion, completed: true };
+      transaction.update(ref, updates);
+      return { session: { ...session, ...updates }, alreadyCompleted: false };
+    });
+  }
+
+  /**
+   * Record that a step of a session's completion has run
+   * @param {string} sessionId - Session ID
+   * @param {string} step - Step name
+   * @param {*} value - Result of the step
+   */
+  async recordProgress(sessionId, step, value) {
+    await this.sessionsCollection.doc(sessionId).update({ [`progress.${step}`]: value });
+  }
+
+  /**
+   * Get a user's live sessions
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of sessions
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async listByUser(userId, limit) {
+    const snapshot = await this.sessionsCollection
+      .where('userId', '==', userId)
+      .orderBy('startTime', 'desc')
+      .limit(limit)
+      .get();
+    
+    const now = Date.now();
+    return snapshot.docs.map(doc => doc.data()).filter(session => session.expiresAt > now);
+  }
+
+  /**
+   * Delete sessions whose expiry has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Deleted sessions that were never completed
+   */
+  async sweepExpired(now) {
+    const snapshot = await this.sessionsCollection
+      .where('expiresAt', '<=', now)
+      .limit(SWEEP_BATCH_SIZE)
+      .get();
+    
+    // Another instance may sweep the same documents; only report our own deletions
+    const results = await Promise.allSettled(snapshot.docs.map(async doc => {
+      await doc.ref.delete({ lastUpdateTime: doc.updateTime });
+      return doc.data();
+    }));
+    
+    return results
+      .filter(result => result.status === 'fulfilled' && !result.value.completed)
+      .map(result => result.value);
+  }
+}
+
+module.exports = { FirestoreSessionStore };
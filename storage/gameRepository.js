@@ -0,0 +1,855 @@
+/**
+ * Telegram Mini Game App - Game Repository
+ * 
+ * Storage interface used by the game manager. Concrete backends
+ * (Firestore, in-memory) extend this class and implement every method.
+ */
+
+const crypto = require('crypto');
+
+// Reasons recorded on coin ledger entries
+const COIN_REASONS = {
+  QUEST_REWARD: 'quest_reward',
+  ACHIEVEMENT: 'achievement',
+  PURCHASE: 'purchase',
+  REFUND: 'refund',
+  COMPETITION_PRIZE: 'competition_prize',
+  COMPETITION_STAKE: 'competition_stake',
+  COMPETITION_REFUND: 'competition_refund',
+  ADJUSTMENT: 'adjustment',
+  ADMIN_GRANT: 'admin_grant'
+};
+
+// Time windows leaderboards are bucketed by (UTC days, ISO weeks, calendar quarters)
+const LEADERBOARD_PERIODS = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  SEASON: 'season',
+  ALL_TIME: 'alltime'
+};
+
+class GameRepository {
+  /**
+   * Get a user record
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} User record or null if not registered
+   */
+  async getUser(userId) {
+    throw this.notImplemented('getUser');
+  }
+
+  /**
+   * Create a user record if missing, otherwise refresh profile fields
+   * @param {number} userId - User ID
+   * @param {Object} profile - Profile fields (username, firstName, lastName, languageCode)
+   * @returns {Promise<Object>} Stored user record
+   */
+  async registerUser(userId, profile) {
+    throw this.notImplemented('registerUser');
+  }
+
+  /**
+   * Persist a game score and update the user's aggregates
+   * @param {Object} record - Score record
+   * @param {number} record.userId - User ID
+   * @param {string} record.gameId - Game ID
+   * @param {number} record.score - Final score
+   * @param {Object} [record.gameStats] - Game specific statistics
+   * @param {number} [record.chatId] - Chat the session was started from
+   * @param {number} [record.playedAt] - When the game ended, for completions synced after offline play
+   * @returns {Promise<Object>} { scoreId, isPersonalBest, previousBest }
+   */
+  async saveScore(record) {
+    throw this.notImplemented('saveScore');
+  }
+
+  /**
+   * Get the play aggregates of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} { gameId, plays, totalScore, lastPlayedAt } or null if never played
+   */
+  async getGameStats(gameId) {
+    throw this.notImplemented('getGameStats');
+  }
+
+  /**
+   * Get the play aggregates of every game that was played
+   * @returns {Promise<Array>} Entries of { gameId, plays, totalScore, lastPlayedAt }
+   */
+  async getAllGameStats() {
+    throw this.notImplemented('getAllGameStats');
+  }
+
+  /**
+   * Get leaderboard entries ordered by score
+   * 
+   * Windowed periods are served from per-bucket entries that saveScore keeps
+   * up to date: the best score for a game, or the summed score across games.
+   * Global leaderboards (no chatId or userIds) leave out hidden players.
+   * @param {Object} options - Leaderboard options
+   * @param {string} [options.gameId] - Game ID, global total score if omitted
+   * @param {number} [options.chatId] - Restrict to players of a group chat
+   * @param {string} [options.period] - One of LEADERBOARD_PERIODS, all time if omitted
+   * @param {Array<number>} [options.userIds] - Restrict to these users (e.g. friends)
+   * @param {number} [options.limit] - Maximum number of entries
+   * @returns {Promise<Array>} Entries of { userId, username, score }
+   */
+  async getLeaderboard(options) {
+    throw this.notImplemented('getLeaderboard');
+  }
+
+  /**
+   * Get a user's leaderboard position
+   * 
+   * Global rankings do not count hidden players, except the user themselves.
+   * @param {number} userId - User ID
+   * @param {string} [gameId] - Game ID, global total score if omitted
+   * @param {Object} [options] - Ranking options
+   * @param {string} [options.period] - One of LEADERBOARD_PERIODS, all time if omitted
+   * @param {Array<number>} [options.userIds] - Rank among these users only
+   * @returns {Promise<Object|null>} { position, totalPlayers, score } or null if unranked
+   */
+  async getUserRanking(userId, gameId, options) {
+    throw this.notImplemented('getUserRanking');
+  }
+
+  /**
+   * Hide a user from global leaderboards, or show them again
+   * @param {number} userId - User ID
+   * @param {boolean} hidden - Whether the user is hidden
+   */
+  async setLeaderboardHidden(userId, hidden) {
+    throw this.notImplemented('setLeaderboardHidden');
+  }
+
+  /**
+   * Record that users played together; each becomes a friend of the others
+   * @param {Array<number>} userIds - Users of a challenge or room
+   */
+  async addFriends(userIds) {
+    throw this.notImplemented('addFriends');
+  }
+
+  /**
+   * Change a user's balance and append the change to the coin ledger in one transaction
+   * 
+   * A repeated idempotency key returns the original entry without changing
+   * the balance again. Debits that would make the balance negative are refused.
+   * @param {number} userId - User ID
+   * @param {Object} entry - Ledger entry
+   * @param {number} entry.amount - Amount to add, negative to subtract
+   * @param {string} entry.reason - One of COIN_REASONS
+   * @param {string} entry.idempotencyKey - Unique key of the change for this user
+   * @param {Object} [entry.metadata] - Context for support (quest IDs, product, ...)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async applyCoinTransaction(userId, entry) {
+    throw this.notImplemented('applyCoinTransaction');
+  }
+
+  /**
+   * Get a user's coin ledger entries
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options
+   * @param {number} [options.limit] - Maximum number of entries
+   * @returns {Promise<Array>} Ledger entries, newest first
+   */
+  async getCoinTransactions(userId, options = {}) {
+    throw this.notImplemented('getCoinTransactions');
+  }
+
+  /**
+   * Create or update a group chat record
+   * @param {number} chatId - Chat ID
+   * @param {Object} data - Group fields (title, ...)
+   */
+  async saveGroup(chatId, data) {
+    throw this.notImplemented('saveGroup');
+  }
+
+  /**
+   * Get a group chat record
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Group record or null
+   */
+  async getGroup(chatId) {
+    throw this.notImplemented('getGroup');
+  }
+
+  /**
+   * Increment a user's victory count
+   * @param {number} userId - User ID
+   */
+  async recordVictory(userId) {
+    throw this.notImplemented('recordVictory');
+  }
+
+  /**
+   * Persist a new challenge
+   * @param {Object} challenge - Challenge record (id, challengerId, gameId, targetScore, expiresAt, ...)
+   */
+  async saveChallenge(challenge) {
+    throw this.notImplemented('saveChallenge');
+  }
+
+  /**
+   * Get a challenge
+   * @param {string} challengeId - Challenge ID
+   * @returns {Promise<Object|null>} Challenge record or null
+   */
+  async getChallenge(challengeId) {
+    throw this.notImplemented('getChallenge');
+  }
+
+  /**
+   * Create or replace a user's attempt at a challenge
+   * @param {string} challengeId - Challenge ID
+   * @param {number} userId - Challenged user's ID
+   * @param {Object} attempt - Attempt data (sessionId, score, completedAt, ...)
+   */
+  async saveChallengeAttempt(challengeId, userId, attempt) {
+    throw this.notImplemented('saveChallengeAttempt');
+  }
+
+  /**
+   * Add a suspicious score to the review queue
+   * @param {Object} record - Score record (userId, gameId, chatId, score, gameStats, reasons, ...)
+   * @returns {Promise<string>} Quarantined score ID
+   */
+  async quarantineScore(record) {
+    throw this.notImplemented('quarantineScore');
+  }
+
+  /**
+   * Get scores waiting for review
+   * @param {Object} options - Query options
+   * @param {number} [options.limit] - Maximum number of scores
+   * @returns {Promise<Array>} Pending scores, oldest first
+   */
+  async getQuarantinedScores(options) {
+    throw this.notImplemented('getQuarantinedScores');
+  }
+
+  /**
+   * Resolve a pending quarantined score
+   * @param {string} scoreId - Quarantined score ID
+   * @param {Object} resolution - { status: 'approved'|'rejected', reviewerId }
+   * @returns {Promise<Object|null>} The score record, or null if missing or already resolved
+   */
+  async resolveQuarantinedScore(scoreId, resolution) {
+    throw this.notImplemented('resolveQuarantinedScore');
+  }
+
+  /**
+   * Persist a new tournament
+   * @param {Object} tournament - Tournament record
+   */
+  async saveTournament(tournament) {
+    throw this.notImplemented('saveTournament');
+  }
+
+  /**
+   * Get a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getTournament(tournamentId) {
+    throw this.notImplemented('getTournament');
+  }
+
+  /**
+   * Get the tournament of a chat that is open for registration or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getActiveTournament(chatId) {
+    throw this.notImplemented('getActiveTournament');
+  }
+
+  /**
+   * Get running tournaments whose round deadline has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Tournaments
+   */
+  async getOverdueTournaments(now) {
+    throw this.notImplemented('getOverdueTournaments');
+  }
+
+  /**
+   * Atomically update a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {Function} mutator - Receives the current tournament and returns the
+   *   updated one, or null to leave it unchanged. May be called more than once.
+   * @returns {Promise<Object|null>} Updated tournament, or null if unchanged or missing
+   */
+  async updateTournament(tournamentId, mutator) {
+    throw this.notImplemented('updateTournament');
+  }
+
+  /**
+   * Persist a new group competition
+   * @param {Object} competition - Competition record
+   */
+  async saveCompetition(competition) {
+    throw this.notImplemented('saveCompetition');
+  }
+
+  /**
+   * Get a competition
+   * @param {string} competitionId - Competition ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getCompetition(competitionId) {
+    throw this.notImplemented('getCompetition');
+  }
+
+  /**
+   * Get the competition of a chat that is scheduled or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getActiveCompetition(chatId) {
+    throw this.notImplemented('getActiveCompetition');
+  }
+
+  /**
+   * Get unfinished competitions whose next event (start, standings, end) is due
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Competitions
+   */
+  async getDueCompetitions(now) {
+    throw this.notImplemented('getDueCompetitions');
+  }
+
+  /**
+   * Atomically update a competition
+   * @param {string} competitionId - Competition ID
+   * @param {Function} mutator - Receives the current competition and returns the
+   *   updated one, or null to leave it unchanged. May be called more than once.
+   * @returns {Promise<Object|null>} Updated competition, or null if unchanged or missing
+   */
+  async updateCompetition(competitionId, mutator) {
+    throw this.notImplemented('updateCompetition');
+  }
+
+  /**
+   * Get a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key (YYYY-MM-DD) in the user's timezone
+   * @returns {Promise<Object|null>} { userId, day, quests, lastUpdatedIds } or null
+   */
+  async getDailyQuests(userId, day) {
+    throw this.notImplemented('getDailyQuests');
+  }
+
+  /**
+   * Atomically create or update a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Function} mutator - Receives the current record (or null) and returns the
+   *   new one, or null to leave it unchanged. May be called more than once.
+   * @returns {Promise<Object|null>} Updated record, or null if unchanged
+   */
+  async updateDailyQuests(userId, day, mutator) {
+    throw this.notImplemented('updateDailyQuests');
+  }
+
+  /**
+   * Mark completed quests claimed and credit their rewards in one transaction,
+   * recording the credit in the coin ledger
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Array<string>} questIds - Quests to claim
+   * @returns {Promise<number>} Coins credited
+   */
+  async claimDailyQuests(userId, day, questIds) {
+    throw this.notImplemented('claimDailyQuests');
+  }
+
+  /**
+   * Count a day towards the user's play streak
+   * @param {number} userId - User ID
+   * @param {string} day - Day key of the activity
+   * @param {string} previousDay - Day key of the day before
+   * @returns {Promise<number>} Current streak
+   */
+  async recordStreakDay(userId, day, previousDay) {
+    throw this.notImplemented('recordStreakDay');
+  }
+
+  /**
+   * Set the timezone a user's quest days and streaks follow
+   * @param {number} userId - User ID
+   * @param {string|null} timezone - IANA timezone, null for the default timezone
+   * @param {number} changedAt - Timestamp of the change
+   */
+  async setUserTimezone(userId, timezone, changedAt) {
+    throw this.notImplemented('setUserTimezone');
+  }
+
+  /**
+   * Store a payment unless one with the same ID exists
+   * @param {Object} payment - Payment record, keyed by Telegram's charge ID
+   * @returns {Promise<Object>} { payment, created } with the stored record
+   */
+  async createPayment(payment) {
+    throw this.notImplemented('createPayment');
+  }
+
+  /**
+   * Get a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object|null>} Payment or null
+   */
+  async getPayment(paymentId) {
+    throw this.notImplemented('getPayment');
+  }
+
+  /**
+   * Atomically update a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @param {Function} mutator - Receives the current payment, returns the new one or null to skip
+   * @returns {Promise<Object|null>} Updated payment or null
+   */
+  async updatePayment(paymentId, mutator) {
+    throw this.notImplemented('updatePayment');
+  }
+
+  /**
+   * Store a scheduled notification unless one with the same ID exists
+   * @param {Object} notification - Notification job (id, userId, type, params, sendAt, status, ...)
+   * @returns {Promise<Object>} { notification, created } with the stored job
+   */
+  async createNotification(notification) {
+    throw this.notImplemented('createNotification');
+  }
+
+  /**
+   * Get pending notifications whose send time has come
+   * @param {number} now - Current timestamp
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs, earliest first
+   */
+  async getDueNotifications(now, limit) {
+    throw this.notImplemented('getDueNotifications');
+  }
+
+  /**
+   * Atomically update a notification job
+   * @param {string} notificationId - Notification ID
+   * @param {Function} mutator - Receives the current job, returns the new one or null to skip
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  async updateNotification(notificationId, mutator) {
+    throw this.notImplemented('updateNotification');
+  }
+
+  /**
+   * Record whether a user has blocked the bot
+   * @param {number} userId - User ID
+   * @param {boolean} blocked - Whether private messages to the user fail
+   */
+  async setBotBlocked(userId, blocked) {
+    throw this.notImplemented('setBotBlocked');
+  }
+
+  /**
+   * Atomically update a user's entitlements
+   * @param {number} userId - User ID
+   * @param {Function} mutator - Receives the current entitlements, returns new ones or null to skip
+   * @returns {Promise<Object|null>} Updated entitlements or null
+   */
+  async updateUserEntitlements(userId, mutator) {
+    throw this.notImplemented('updateUserEntitlements');
+  }
+
+  /**
+   * Merge preferences (e.g. language) into a user's record
+   * @param {number} userId - User ID
+   * @param {Object} preferences - Preference fields to set
+   * @returns {Promise<Object|null>} Updated preferences, or null if the user is missing
+   */
+  async updateUserPreferences(userId, preferences) {
+    throw this.notImplemented('updateUserPreferences');
+  }
+
+  /**
+   * Atomically update a user's skill rating in a game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {Function} mutator - Receives the current skill (or null), returns the new one or null to skip
+   * @returns {Promise<Object|null>} Updated skill, or null if skipped or the user is missing
+   */
+  async updateUserSkill(userId, gameId, mutator) {
+    throw this.notImplemented('updateUserSkill');
+  }
+
+  /**
+   * Add achievements to a user and credit their rewards in one transaction,
+   * recording each reward in the coin ledger
+   * @param {number} userId - User ID
+   * @param {Array} achievements - Entries of { id, unlockedAt, reward }
+   * @returns {Promise<Array<string>>} IDs that were not unlocked before
+   */
+  async unlockAchievements(userId, achievements) {
+    throw this.notImplemented('unlockAchievements');
+  }
+
+  /**
+   * Get a page of registered user IDs, e.g. to broadcast to every user
+   * @param {Object} options - Page options
+   * @param {number|null} [options.after] - Last ID of the previous page
+   * @param {number} options.limit - Maximum number of IDs
+   * @returns {Promise<Array<number>>} User IDs in ascending order
+   */
+  async getUserIds(options) {
+    throw this.notImplemented('getUserIds');
+  }
+
+  /**
+   * Ban a user or lift their ban
+   * @param {number} userId - User ID
+   * @param {Object|null} ban - Ban details (reason, bannedBy, bannedAt), null to lift it
+   * @returns {Promise<Object|null>} Updated user or null if not registered
+   */
+  async setUserBanned(userId, ban) {
+    throw this.notImplemented('setUserBanned');
+  }
+
+  /**
+   * Delete every score of a user in a game and take them out of all aggregates:
+   * the user's totals and game stats, group members, game stats and windowed boards
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} { count, total } of the removed scores, or null if not registered
+   */
+  async wipeUserScores(userId, gameId) {
+    throw this.notImplemented('wipeUserScores');
+  }
+
+  /**
+   * Get the flags operators set on games at runtime
+   * @returns {Promise<Object>} Flags ({ enabled }) keyed by game ID
+   */
+  async getGameFlags() {
+    throw this.notImplemented('getGameFlags');
+  }
+
+  /**
+   * Set runtime flags of a game
+   * @param {string} gameId - Game ID
+   * @param {Object} flags - Flags to set ({ enabled })
+   */
+  async setGameFlags(gameId, flags) {
+    throw this.notImplemented('setGameFlags');
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} entry - Entry (adminId, action, target, details, createdAt)
+   */
+  async appendAuditEntry(entry) {
+    throw this.notImplemented('appendAuditEntry');
+  }
+
+  /**
+   * Get recent admin audit log entries
+   * @param {Object} options - Query options (limit)
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getAuditLog(options) {
+    throw this.notImplemented('getAuditLog');
+  }
+
+  /**
+   * Build the error thrown by unimplemented methods
+   * @param {string} method - Method name
+   * @returns {Error} Error describing the missing method
+   */
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+/**
+ * Build a new user record with default aggregates
+ * @param {number} userId - User ID
+ * @param {Object} profile - Profile fields
+ * @param {number} now - Creation timestamp
+ * @returns {Object} User record
+ */
+function createUserRecord(userId, profile, now) {
+  return {
+    userId,
+    username: profile.username || `player${userId}`,
+    firstName: profile.firstName || null,
+    lastName: profile.lastName || null,
+    languageCode: profile.languageCode || null,
+    totalScore: 0,
+    gamesPlayed: 0,
+    victories: 0,
+    coins: 0,
+    achievements: [],
+    currentStreak: 0,
+    longestStreak: 0,
+    lastStreakDay: null,
+    timezone: null,
+    gameStats: {},
+    friends: [],
+    skills: {},
+    preferences: {},
+    entitlements: {},
+    createdAt: now,
+    lastActiveAt: now
+  };
+}
+
+/**
+ * Bucket key of a timestamp for a windowed leaderboard period
+ * @param {string} period - One of LEADERBOARD_PERIODS except ALL_TIME
+ * @param {number} timestamp - Timestamp
+ * @returns {string} Bucket key, e.g. 2025-06-01, 2025-W22 or 2025-Q2
+ */
+function leaderboardBucket(period, timestamp) {
+  const date = new Date(timestamp);
+  const year = date.getUTCFullYear();
+  
+  if (period === LEADERBOARD_PERIODS.DAILY) {
+    return date.toISOString().slice(0, 10);
+  }
+  
+  if (period === LEADERBOARD_PERIODS.SEASON) {
+    return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+  }
+  
+  // ISO weeks belong to the year of their Thursday
+  const thursday = new Date(Date.UTC(year, date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const weekYear = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * ID of a windowed leaderboard: period, bucket and game ('*' for all games)
+ * @param {string} period - Leaderboard period
+ * @param {number} timestamp - Timestamp within the bucket
+ * @param {string|null} gameId - Game ID or null for total score
+ * @returns {string} Board ID
+ */
+function leaderboardBoardId(period, timestamp, gameId) {
+  return `${period}:${leaderboardBucket(period, timestamp)}:${gameId || '*'}`;
+}
+
+/**
+ * Windowed boards a score counts towards, per game and across games
+ * @param {string} gameId - Game ID
+ * @param {number} now - Score timestamp
+ * @returns {Array<string>} Board IDs
+ */
+function scoreLeaderboardBoards(gameId, now) {
+  return Object.values(LEADERBOARD_PERIODS)
+    .filter(period => period !== LEADERBOARD_PERIODS.ALL_TIME)
+    .flatMap(period => [leaderboardBoardId(period, now, gameId), leaderboardBoardId(period, now, null)]);
+}
+
+/**
+ * Sum up what removing scores takes out of the aggregates
+ * @param {string} gameId - Game ID of the scores
+ * @param {Array} scores - Score records (score, chatId, createdAt)
+ * @returns {Object} { count, total, chats, boards } with the score sums per chat ID and per windowed board
+ */
+function planScoreWipe(gameId, scores) {
+  const plan = { count: scores.length, total: 0, chats: new Map(), boards: new Map() };
+  
+  scores.forEach(record => {
+    plan.total += record.score;
+    
+    if (record.chatId) {
+      plan.chats.set(record.chatId, (plan.chats.get(record.chatId) || 0) + record.score);
+    }
+    
+    scoreLeaderboardBoards(gameId, record.createdAt).forEach(board => {
+      plan.boards.set(board, (plan.boards.get(board) || 0) + record.score);
+    });
+  });
+  
+  return plan;
+}
+
+/**
+ * Update a user's entry on a windowed board after a new score
+ * @param {Object|null} entry - Current entry
+ * @param {string} board - Board ID
+ * @param {Object} user - User record
+ * @param {number} score - New score
+ * @param {number} now - Score timestamp
+ * @returns {Object} Updated entry
+ */
+function applyScoreToLeaderboardEntry(entry, board, user, score, now) {
+  const previous = entry ? entry.score : 0;
+  const isGameBoard = !board.endsWith(':*');
+  
+  return {
+    board,
+    userId: user.userId,
+    username: user.username,
+    score: isGameBoard ? Math.max(previous, score) : previous + score,
+    updatedAt: now
+  };
+}
+
+/**
+ * Compute streak fields after activity on a day
+ * @param {Object} user - User record
+ * @param {string} day - Day key of the activity
+ * @param {string} previousDay - Day key of the day before
+ * @returns {Object|null} Updated streak fields, or null if the day was already counted
+ */
+function applyStreakDay(user, day, previousDay) {
+  if (user.lastStreakDay === day) {
+    return null;
+  }
+  
+  const currentStreak = user.lastStreakDay === previousDay ? (user.currentStreak || 0) + 1 : 1;
+  
+  return {
+    currentStreak,
+    longestStreak: Math.max(user.longestStreak || 0, currentStreak),
+    lastStreakDay: day
+  };
+}
+
+/**
+ * Mark claimable quests as claimed
+ * @param {Array} quests - Quests
+ * @param {Array<string>} questIds - Quests to claim
+ * @returns {Object} { quests, amount, claimedIds }
+ */
+function applyQuestClaim(quests, questIds) {
+  let amount = 0;
+  const claimedIds = [];
+  
+  const updated = quests.map(quest => {
+    if (!questIds.includes(quest.id) || !quest.completed || quest.claimed) {
+      return quest;
+    }
+    
+    amount += quest.reward || 0;
+    claimedIds.push(quest.id);
+    return { ...quest, claimed: true };
+  });
+  
+  return { quests: updated, amount, claimedIds };
+}
+
+/**
+ * Derive the ledger entry ID from the user and idempotency key
+ * 
+ * Keys are hashed so any string is safe to use as a document ID.
+ * @param {number} userId - User ID
+ * @param {string} idempotencyKey - Idempotency key
+ * @returns {string} Ledger entry ID
+ */
+function coinTransactionId(userId, idempotencyKey) {
+  const hash = crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 32);
+  return `${userId}_${hash}`;
+}
+
+/**
+ * Build a coin ledger entry
+ * @param {number} userId - User ID
+ * @param {Object} entry - Entry fields (amount, reason, idempotencyKey, metadata)
+ * @param {number} balance - Balance after the change
+ * @param {number} now - Entry timestamp
+ * @returns {Object} Ledger entry
+ */
+function createCoinTransaction(userId, entry, balance, now) {
+  return {
+    id: coinTransactionId(userId, entry.idempotencyKey),
+    userId,
+    amount: entry.amount,
+    balance,
+    reason: entry.reason,
+    idempotencyKey: entry.idempotencyKey,
+    metadata: entry.metadata || {},
+    createdAt: now
+  };
+}
+
+/**
+ * Ledger entry for claimed quest rewards
+ * @param {string} day - Day key of the quests
+ * @param {Array<string>} questIds - Claimed quest IDs
+ * @param {number} amount - Coins credited
+ * @returns {Object} Ledger entry fields
+ */
+function questClaimEntry(day, questIds, amount) {
+  return {
+    amount,
+    reason: COIN_REASONS.QUEST_REWARD,
+    idempotencyKey: `quests:${day}:${questIds.join(',')}`,
+    metadata: { day, questIds }
+  };
+}
+
+/**
+ * Ledger entry for an achievement reward
+ * @param {Object} achievement - Unlocked achievement (id, reward)
+ * @returns {Object} Ledger entry fields
+ */
+function achievementRewardEntry(achievement) {
+  return {
+    amount: achievement.reward,
+    reason: COIN_REASONS.ACHIEVEMENT,
+    idempotencyKey: `achievement:${achievement.id}`,
+    metadata: { achievementId: achievement.id }
+  };
+}
+
+/**
+ * Compute the per-game stats entry after a new score
+ * @param {Object} [current] - Existing stats for the game
+ * @param {number} score - New score
+ * @param {number} now - Score timestamp
+ * @returns {Object} Updated stats with the previous best
+ */
+function applyScoreToGameStats(current, score, now) {
+  const previousBest = current ? current.bestScore : null;
+  const isPersonalBest = previousBest === null || score > previousBest;
+  
+  // A score synced from offline play can be older than the last one recorded;
+  // it still counts as a play and can set the best, but the last score stays
+  const isLatest = !current || now >= current.lastPlayedAt;
+  
+  return {
+    previousBest,
+    isPersonalBest,
+    stats: {
+      plays: (current ? current.plays : 0) + 1,
+      bestScore: isPersonalBest ? score : previousBest,
+      lastScore: isLatest ? score : current.lastScore,
+      lastScoreWasBest: isLatest ? isPersonalBest : current.lastScoreWasBest && !isPersonalBest,
+      lastPlayedAt: isLatest ? now : current.lastPlayedAt
+    }
+  };
+}
+
+module.exports = {
+  GameRepository,
+  createUserRecord,
+  applyScoreToGameStats,
+  applyStreakDay,
+  applyQuestClaim,
+  coinTransactionId,
+  createCoinTransaction,
+  questClaimEntry,
+  achievementRewardEntry,
+  leaderboardBoardId,
+  scoreLeaderboardBoards,
+  applyScoreToLeaderboardEntry,
+  planScoreWipe,
+  COIN_REASONS,
+  LEADERBOARD_PERIODS
+};
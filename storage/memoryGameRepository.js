@@ -0,0 +1,985 @@
+/**
+ * Telegram Mini Game App - In-Memory Game Repository
+ * 
+ * Process-local storage backend. Used when no Firebase credentials are
+ * configured, e.g. for local development and end-to-end tests.
+ */
+
+const {
+  GameRepository,
+  createUserRecord,
+  applyScoreToGameStats,
+  applyStreakDay,
+  applyQuestClaim,
+  coinTransactionId,
+  createCoinTransaction,
+  questClaimEntry,
+  achievementRewardEntry,
+  leaderboardBoardId,
+  scoreLeaderboardBoards,
+  applyScoreToLeaderboardEntry,
+  planScoreWipe,
+  LEADERBOARD_PERIODS
+} = require('./gameRepository');
+
+class InMemoryGameRepository extends GameRepository {
+  constructor() {
+    super();
+    
+    this.users = new Map();
+    this.scores = [];
+    this.leaderboardEntries = new Map();
+    this.hiddenPlayers = new Set();
+    this.games = new Map();
+    this.groups = new Map();
+    this.groupMembers = new Map();
+    this.challenges = new Map();
+    this.quarantine = new Map();
+    this.tournaments = new Map();
+    this.competitions = new Map();
+    this.dailyQuests = new Map();
+    this.coinTransactions = new Map();
+    this.payments = new Map();
+    this.notifications = new Map();
+    this.gameFlags = new Map();
+    this.auditLog = [];
+  }
+
+  /**
+   * Get a user record
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async getUser(userId) {
+    const user = this.users.get(userId);
+    return user ? clone(user) : null;
+  }
+
+  /**
+   * Create a user record if missing, otherwise refresh profile fields
+   * @param {number} userId - User ID
+   * @param {Object} profile - Profile fields
+   * @returns {Promise<Object>} Stored user record
+   */
+  async registerUser(userId, profile) {
+    const now = Date.now();
+    let user = this.users.get(userId);
+    
+    if (!user) {
+      user = createUserRecord(userId, profile, now);
+      this.users.set(userId, user);
+    } else {
+      Object.entries(profile).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          user[key] = value;
+        }
+      });
+      user.lastActiveAt = now;
+    }
+    
+    return clone(user);
+  }
+
+  /**
+   * Persist a game score and update aggregates
+   * @param {Object} record - Score record
+   * @returns {Promise<Object>} { scoreId, isPersonalBest, previousBest }
+   */
+  async saveScore(record) {
+    const { userId, gameId, score, gameStats, chatId } = record;
+    const now = Date.now();
+    const playedAt = record.playedAt || now;
+    
+    let user = this.users.get(userId);
+    if (!user) {
+      user = createUserRecord(userId, {}, now);
+      this.users.set(userId, user);
+    }
+    
+    const result = applyScoreToGameStats(user.gameStats[gameId], score, playedAt);
+    user.gameStats[gameId] = result.stats;
+    user.totalScore += score;
+    user.gamesPlayed += 1;
+    user.lastActiveAt = now;
+    
+    const scoreId = `score_${this.scores.length + 1}`;
+    this.scores.push({
+      id: scoreId,
+      userId,
+      username: user.username,
+      gameId,
+      chatId: chatId || null,
+      score,
+      gameStats: gameStats || {},
+      createdAt: playedAt
+    });
+    
+    const game = this.games.get(gameId) || { gameId, plays: 0, totalScore: 0 };
+    game.plays += 1;
+    game.totalScore += score;
+    game.lastPlayedAt = now;
+    this.games.set(gameId, game);
+    
+    if (chatId) {
+      this.updateGroupMember(chatId, user, gameId, score, playedAt);
+    }
+    
+    scoreLeaderboardBoards(gameId, playedAt).forEach(board => {
+      const id = `${board}:${userId}`;
+      this.leaderboardEntries.set(id, applyScoreToLeaderboardEntry(this.leaderboardEntries.get(id), board, user, score, playedAt));
+    });
+    
+    return {
+      scoreId,
+      isPersonalBest: result.isPersonalBest,
+      previousBest: result.previousBest
+    };
+  }
+
+  /**
+   * Get the play aggregates of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} Game aggregates or null
+   */
+  async getGameStats(gameId) {
+    const game = this.games.get(gameId);
+    return game ? clone(game) : null;
+  }
+
+  /**
+   * Get the play aggregates of every game that was played
+   * @returns {Promise<Array>} Game aggregates
+   */
+  async getAllGameStats() {
+    return Array.from(this.games.values()).map(game => clone(game));
+  }
+
+  /**
+   * Update a group member's aggregates after a score
+   * @param {number} chatId - Chat ID
+   * @param {Object} user - User record
+   * @param {string} gameId - Game ID
+   * @param {number} score - New score
+   * @param {number} now - Score timestamp
+   */
+  updateGroupMember(chatId, user, gameId, score, now) {
+    if (!this.groupMembers.has(chatId)) {
+      this.groupMembers.set(chatId, new Map());
+    }
+    
+    const members = this.groupMembers.get(chatId);
+    const member = members.get(user.userId) || {
+      userId: user.userId,
+      totalScore: 0,
+      gameStats: {}
+    };
+    
+    member.username = user.username;
+    member.totalScore += score;
+    member.gameStats[gameId] = applyScoreToGameStats(member.gameStats[gameId], score, now).stats;
+    members.set(user.userId, member);
+  }
+
+  /**
+   * Get leaderboard entries ordered by score
+   * @param {Object} options - Leaderboard options
+   * @returns {Promise<Array>} Entries of { userId, username, score }
+   */
+  async getLeaderboard({ gameId = null, chatId = null, period, userIds = null, limit = 10 } = {}) {
+    const global = !chatId && !userIds;
+    return this.rankedEntries({ gameId, chatId, period, userIds, excludeHidden: global }).slice(0, limit);
+  }
+
+  /**
+   * Get a user's leaderboard position
+   * @param {number} userId - User ID
+   * @param {string} [gameId] - Game ID
+   * @param {Object} [options] - Ranking options (period, userIds)
+   * @returns {Promise<Object|null>} { position, totalPlayers, score } or null
+   */
+  async getUserRanking(userId, gameId = null, { period, userIds = null } = {}) {
+    const entries = this.rankedEntries({ gameId, period, userIds, excludeHidden: !userIds, viewerId: userId });
+    const index = entries.findIndex(entry => entry.userId === userId);
+    
+    if (index === -1) {
+      return null;
+    }
+    
+    return {
+      position: index + 1,
+      totalPlayers: entries.length,
+      score: entries[index].score
+    };
+  }
+
+  /**
+   * Hide a user from global leaderboards, or show them again
+   * @param {number} userId - User ID
+   * @param {boolean} hidden - Whether the user is hidden
+   */
+  async setLeaderboardHidden(userId, hidden) {
+    if (hidden) {
+      this.hiddenPlayers.add(userId);
+    } else {
+      this.hiddenPlayers.delete(userId);
+    }
+  }
+
+  /**
+   * Record that users played together; each becomes a friend of the others
+   * @param {Array<number>} userIds - Users of a challenge or room
+   */
+  async addFriends(userIds) {
+    userIds.forEach(userId => {
+      const user = this.users.get(userId);
+      
+      if (user) {
+        const others = userIds.filter(id => id !== userId && !user.friends.includes(id));
+        user.friends = [...user.friends, ...others];
+      }
+    });
+  }
+
+  /**
+   * Build sorted leaderboard entries for a scope
+   * @param {Object} scope - Leaderboard scope
+   * @param {string|null} [scope.gameId] - Game ID or null for total score
+   * @param {number|null} [scope.chatId] - Chat ID or null for global
+   * @param {string} [scope.period] - Leaderboard period, all time if omitted
+   * @param {Array<number>|null} [scope.userIds] - Restrict to these users
+   * @param {boolean} [scope.excludeHidden] - Leave out players hidden from global leaderboards
+   * @param {number} [scope.viewerId] - User kept even when hidden
+   * @returns {Array} Sorted entries
+   */
+  rankedEntries({ gameId = null, chatId = null, period = LEADERBOARD_PERIODS.ALL_TIME, userIds = null, excludeHidden = false, viewerId = null }) {
+    let entries;
+    
+    if (period === LEADERBOARD_PERIODS.ALL_TIME) {
+      const source = chatId
+        ? Array.from((this.groupMembers.get(chatId) || new Map()).values())
+        : Array.from(this.users.values());
+      
+      entries = source.map(record => ({
+        userId: record.userId,
+        username: record.username,
+        score: gameId
+          ? (record.gameStats[gameId] ? record.gameStats[gameId].bestScore : 0)
+          : record.totalScore
+      }));
+    } else {
+      // Windowed boards in a group rank the group's players
+      if (chatId) {
+        userIds = Array.from((this.groupMembers.get(chatId) || new Map()).keys());
+      }
+      
+      const board = leaderboardBoardId(period, Date.now(), gameId);
+      entries = Array.from(this.leaderboardEntries.values())
+        .filter(entry => entry.board === board)
+        .map(({ userId, username, score }) => ({ userId, username, score }));
+    }
+    
+    if (excludeHidden) {
+      entries = entries.filter(entry => entry.userId === viewerId || !this.hiddenPlayers.has(entry.userId));
+    }
+    
+    return entries
+      .filter(entry => entry.score > 0 && (!userIds || userIds.includes(entry.userId)))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Change a user's balance and append the change to the coin ledger
+   * @param {number} userId - User ID
+   * @param {Object} entry - Ledger entry (amount, reason, idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async applyCoinTransaction(userId, entry) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return { error: 'user_not_found', balance: 0 };
+    }
+    
+    const existing = this.coinTransactions.get(coinTransactionId(userId, entry.idempotencyKey));
+    
+    if (existing) {
+      return { transaction: clone(existing), balance: user.coins, duplicate: true };
+    }
+    
+    if (user.coins + entry.amount < 0) {
+      return { error: 'insufficient_funds', balance: user.coins };
+    }
+    
+    user.coins += entry.amount;
+    const transaction = this.appendCoinTransaction(userId, entry, user.coins);
+    
+    return { transaction: clone(transaction), balance: user.coins, duplicate: false };
+  }
+
+  /**
+   * Get a user's coin ledger entries
+   * @param {number} userId - User ID
+   * @param {Object} options - Query options (limit)
+   * @returns {Promise<Array>} Ledger entries, newest first
+   */
+  async getCoinTransactions(userId, options = {}) {
+    const { limit = 20 } = options;
+    
+    return [...this.coinTransactions.values()]
+      .filter(transaction => transaction.userId === userId)
+      .reverse()
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  /**
+   * Append an entry to the coin ledger
+   * @param {number} userId - User ID
+   * @param {Object} entry - Entry fields
+   * @param {number} balance - Balance after the change
+   * @returns {Object} Stored ledger entry
+   */
+  appendCoinTransaction(userId, entry, balance) {
+    const transaction = createCoinTransaction(userId, entry, balance, Date.now());
+    this.coinTransactions.set(transaction.id, transaction);
+    return transaction;
+  }
+
+  /**
+   * Increment a user's victory count
+   * @param {number} userId - User ID
+   */
+  async recordVictory(userId) {
+    const user = this.users.get(userId);
+    
+    if (user) {
+      user.victories += 1;
+    }
+  }
+
+  /**
+   * Persist a new challenge
+   * @param {Object} challenge - Challenge record
+   */
+  async saveChallenge(challenge) {
+    this.challenges.set(challenge.id, clone(challenge));
+  }
+
+  /**
+   * Get a challenge
+   * @param {string} challengeId - Challenge ID
+   * @returns {Promise<Object|null>} Challenge record or null
+   */
+  async getChallenge(challengeId) {
+    const challenge = this.challenges.get(challengeId);
+    return challenge ? clone(challenge) : null;
+  }
+
+  /**
+   * Create or replace a user's attempt at a challenge
+   * @param {string} challengeId - Challenge ID
+   * @param {number} userId - Challenged user's ID
+   * @param {Object} attempt - Attempt data
+   */
+  async saveChallengeAttempt(challengeId, userId, attempt) {
+    const challenge = this.challenges.get(challengeId);
+    
+    if (challenge) {
+      challenge.attempts[userId] = clone(attempt);
+    }
+  }
+
+  /**
+   * Add a suspicious score to the review queue
+   * @param {Object} record - Score record
+   * @returns {Promise<string>} Quarantined score ID
+   */
+  async quarantineScore(record) {
+    const id = `quarantine_${this.quarantine.size + 1}`;
+    this.quarantine.set(id, {
+      ...clone(record),
+      id,
+      status: 'pending',
+      createdAt: Date.now()
+    });
+    return id;
+  }
+
+  /**
+   * Get scores waiting for review
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Pending scores, oldest first
+   */
+  async getQuarantinedScores({ limit = 20 } = {}) {
+    return Array.from(this.quarantine.values())
+      .filter(record => record.status === 'pending')
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  /**
+   * Resolve a pending quarantined score
+   * @param {string} scoreId - Quarantined score ID
+   * @param {Object} resolution - { status, reviewerId }
+   * @returns {Promise<Object|null>} The score record, or null
+   */
+  async resolveQuarantinedScore(scoreId, resolution) {
+    const record = this.quarantine.get(scoreId);
+    
+    if (!record || record.status !== 'pending') {
+      return null;
+    }
+    
+    Object.assign(record, resolution, { reviewedAt: Date.now() });
+    return clone(record);
+  }
+
+  /**
+   * Persist a new tournament
+   * @param {Object} tournament - Tournament record
+   */
+  async saveTournament(tournament) {
+    this.tournaments.set(tournament.id, clone(tournament));
+  }
+
+  /**
+   * Get a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    return tournament ? clone(tournament) : null;
+  }
+
+  /**
+   * Get the tournament of a chat that is open for registration or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Tournament or null
+   */
+  async getActiveTournament(chatId) {
+    const tournament = Array.from(this.tournaments.values())
+      .find(entry => entry.chatId === chatId && entry.status !== 'finished');
+    return tournament ? clone(tournament) : null;
+  }
+
+  /**
+   * Get running tournaments whose round deadline has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Tournaments
+   */
+  async getOverdueTournaments(now) {
+    return Array.from(this.tournaments.values())
+      .filter(entry => entry.status === 'running' && entry.roundDeadline <= now)
+      .map(clone);
+  }
+
+  /**
+   * Atomically update a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {Function} mutator - Returns the updated tournament or null
+   * @returns {Promise<Object|null>} Updated tournament or null
+   */
+  async updateTournament(tournamentId, mutator) {
+    const current = this.tournaments.get(tournamentId);
+    const updated = current ? mutator(clone(current)) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    this.tournaments.set(tournamentId, clone(updated));
+    return clone(updated);
+  }
+
+  /**
+   * Persist a new group competition
+   * @param {Object} competition - Competition record
+   */
+  async saveCompetition(competition) {
+    this.competitions.set(competition.id, clone(competition));
+  }
+
+  /**
+   * Get a competition
+   * @param {string} competitionId - Competition ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getCompetition(competitionId) {
+    const competition = this.competitions.get(competitionId);
+    return competition ? clone(competition) : null;
+  }
+
+  /**
+   * Get the competition of a chat that is scheduled or running
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<Object|null>} Competition or null
+   */
+  async getActiveCompetition(chatId) {
+    const competition = Array.from(this.competitions.values())
+      .find(entry => entry.chatId === chatId && entry.status !== 'finished');
+    return competition ? clone(competition) : null;
+  }
+
+  /**
+   * Get unfinished competitions whose next event is due
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Competitions
+   */
+  async getDueCompetitions(now) {
+    return Array.from(this.competitions.values())
+      .filter(entry => entry.nextEventAt !== null && entry.nextEventAt <= now)
+      .map(clone);
+  }
+
+  /**
+   * Atomically update a competition
+   * @param {string} competitionId - Competition ID
+   * @param {Function} mutator - Returns the updated competition or null
+   * @returns {Promise<Object|null>} Updated competition or null
+   */
+  async updateCompetition(competitionId, mutator) {
+    const current = this.competitions.get(competitionId);
+    const updated = current ? mutator(clone(current)) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    this.competitions.set(competitionId, clone(updated));
+    return clone(updated);
+  }
+
+  /**
+   * Get a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @returns {Promise<Object|null>} Quest record or null
+   */
+  async getDailyQuests(userId, day) {
+    const record = this.dailyQuests.get(`${userId}_${day}`);
+    return record ? clone(record) : null;
+  }
+
+  /**
+   * Atomically create or update a user's quests for a day
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Function} mutator - Returns the new record or null
+   * @returns {Promise<Object|null>} Updated record or null
+   */
+  async updateDailyQuests(userId, day, mutator) {
+    const key = `${userId}_${day}`;
+    const current = this.dailyQuests.get(key);
+    const updated = mutator(current ? clone(current) : null);
+    
+    if (!updated) {
+      return null;
+    }
+    
+    this.dailyQuests.set(key, clone(updated));
+    return clone(updated);
+  }
+
+  /**
+   * Mark completed quests claimed and credit their rewards
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {Array<string>} questIds - Quests to claim
+   * @returns {Promise<number>} Coins credited
+   */
+  async claimDailyQuests(userId, day, questIds) {
+    const record = this.dailyQuests.get(`${userId}_${day}`);
+    
+    if (!record) {
+      return 0;
+    }
+    
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return 0;
+    }
+    
+    const { quests, amount, claimedIds } = applyQuestClaim(record.quests, questIds);
+    record.quests = quests;
+    
+    if (amount > 0) {
+      user.coins += amount;
+      this.appendCoinTransaction(userId, questClaimEntry(day, claimedIds, amount), user.coins);
+    }
+    
+    return amount;
+  }
+
+  /**
+   * Count a day towards the user's play streak
+   * @param {number} userId - User ID
+   * @param {string} day - Day key
+   * @param {string} previousDay - Day key of the day before
+   * @returns {Promise<number>} Current streak
+   */
+  async recordStreakDay(userId, day, previousDay) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return 0;
+    }
+    
+    Object.assign(user, applyStreakDay(user, day, previousDay));
+    return user.currentStreak;
+  }
+
+  /**
+   * Set the timezone a user's quest days and streaks follow
+   * @param {number} userId - User ID
+   * @param {string|null} timezone - IANA timezone, null for the default timezone
+   * @param {number} changedAt - Timestamp of the change
+   */
+  async setUserTimezone(userId, timezone, changedAt) {
+    const user = this.users.get(userId);
+    
+    if (user) {
+      user.timezone = timezone;
+      user.timezoneChangedAt = changedAt;
+    }
+  }
+
+  /**
+   * Store a payment unless one with the same ID exists
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} { payment, created }
+   */
+  async createPayment(payment) {
+    const existing = this.payments.get(payment.id);
+    
+    if (existing) {
+      return { payment: clone(existing), created: false };
+    }
+    
+    this.payments.set(payment.id, clone(payment));
+    return { payment: clone(payment), created: true };
+  }
+
+  /**
+   * Get a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object|null>} Payment or null
+   */
+  async getPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    return payment ? clone(payment) : null;
+  }
+
+  /**
+   * Update a payment
+   * @param {string} paymentId - Telegram payment charge ID
+   * @param {Function} mutator - Returns the new payment or null to skip
+   * @returns {Promise<Object|null>} Updated payment or null
+   */
+  async updatePayment(paymentId, mutator) {
+    const current = this.payments.get(paymentId);
+    const updated = current ? mutator(clone(current)) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    this.payments.set(paymentId, clone(updated));
+    return clone(updated);
+  }
+
+  /**
+   * Store a scheduled notification unless it exists
+   * @param {Object} notification - Notification job
+   * @returns {Promise<Object>} { notification, created }
+   */
+  async createNotification(notification) {
+    const existing = this.notifications.get(notification.id);
+    
+    if (existing) {
+      return { notification: clone(existing), created: false };
+    }
+    
+    this.notifications.set(notification.id, clone(notification));
+    return { notification: clone(notification), created: true };
+  }
+
+  /**
+   * Get pending notifications whose send time has come
+   * @param {number} now - Current timestamp
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs, earliest first
+   */
+  async getDueNotifications(now, limit) {
+    return Array.from(this.notifications.values())
+      .filter(entry => entry.status === 'pending' && entry.sendAt <= now)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  /**
+   * Atomically update a notification job
+   * @param {string} notificationId - Notification ID
+   * @param {Function} mutator - Returns the updated job or null
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  async updateNotification(notificationId, mutator) {
+    const current = this.notifications.get(notificationId);
+    const updated = current ? mutator(clone(current)) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    this.notifications.set(notificationId, clone(updated));
+    return clone(updated);
+  }
+
+  /**
+   * Record whether a user has blocked the bot
+   * @param {number} userId - User ID
+   * @param {boolean} blocked - Blocked flag
+   */
+  async setBotBlocked(userId, blocked) {
+    const user = this.users.get(userId);
+    
+    if (user) {
+      user.botBlocked = blocked;
+    }
+  }
+
+  /**
+   * Update a user's entitlements
+   * @param {number} userId - User ID
+   * @param {Function} mutator - Returns new entitlements or null to skip
+   * @returns {Promise<Object|null>} Updated entitlements or null
+   */
+  async updateUserEntitlements(userId, mutator) {
+    const user = this.users.get(userId);
+    const updated = user ? mutator(clone(user.entitlements || {})) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    user.entitlements = clone(updated);
+    return clone(updated);
+  }
+
+  /**
+   * Merge preferences into a user's record
+   * @param {number} userId - User ID
+   * @param {Object} preferences - Preference fields to set
+   * @returns {Promise<Object|null>} Updated preferences or null
+   */
+  async updateUserPreferences(userId, preferences) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return null;
+    }
+    
+    user.preferences = { ...user.preferences, ...preferences };
+    return clone(user.preferences);
+  }
+
+  /**
+   * Atomically update a user's skill rating in a game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {Function} mutator - Receives the current skill, returns the new one or null to skip
+   * @returns {Promise<Object|null>} Updated skill or null
+   */
+  async updateUserSkill(userId, gameId, mutator) {
+    const user = this.users.get(userId);
+    const skills = user ? user.skills || {} : {};
+    const updated = user ? mutator(skills[gameId] ? clone(skills[gameId]) : null) : null;
+    
+    if (!updated) {
+      return null;
+    }
+    
+    user.skills = { ...skills, [gameId]: clone(updated) };
+    return clone(updated);
+  }
+
+  /**
+   * Add achievements to a user and credit their rewards
+   * @param {number} userId - User ID
+   * @param {Array} achievements - Entries of { id, unlockedAt, reward }
+   * @returns {Promise<Array<string>>} Newly unlocked IDs
+   */
+  async unlockAchievements(userId, achievements) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return [];
+    }
+    
+    const fresh = achievements.filter(entry => !user.achievements.some(existing => existing.id === entry.id));
+    
+    fresh.forEach(entry => {
+      user.achievements.push({ id: entry.id, unlockedAt: entry.unlockedAt });
+      
+      if (entry.reward > 0) {
+        user.coins += entry.reward;
+        this.appendCoinTransaction(userId, achievementRewardEntry(entry), user.coins);
+      }
+    });
+    
+    return fresh.map(entry => entry.id);
+  }
+
+  /**
+   * Get a page of registered user IDs
+   * @param {Object} options - Page options (after, limit)
+   * @returns {Promise<Array<number>>} User IDs in ascending order
+   */
+  async getUserIds({ after = null, limit }) {
+    return Array.from(this.users.keys())
+      .filter(userId => after === null || userId > after)
+      .sort((a, b) => a - b)
+      .slice(0, limit);
+  }
+
+  /**
+   * Ban a user or lift their ban
+   * @param {number} userId - User ID
+   * @param {Object|null} ban - Ban details, null to lift it
+   * @returns {Promise<Object|null>} Updated user or null
+   */
+  async setUserBanned(userId, ban) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return null;
+    }
+    
+    user.banned = ban;
+    return clone(user);
+  }
+
+  /**
+   * Delete a user's scores in a game and take them out of all aggregates
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} { count, total } or null
+   */
+  async wipeUserScores(userId, gameId) {
+    const user = this.users.get(userId);
+    
+    if (!user) {
+      return null;
+    }
+    
+    const wiped = this.scores.filter(record => record.userId === userId && record.gameId === gameId);
+    const plan = planScoreWipe(gameId, wiped);
+    
+    this.scores = this.scores.filter(record => !wiped.includes(record));
+    
+    user.totalScore = Math.max(0, user.totalScore - plan.total);
+    user.gamesPlayed = Math.max(0, user.gamesPlayed - plan.count);
+    delete user.gameStats[gameId];
+    
+    const game = this.games.get(gameId);
+    if (game) {
+      game.plays -= plan.count;
+      game.totalScore -= plan.total;
+    }
+    
+    plan.chats.forEach((total, chatId) => {
+      const member = (this.groupMembers.get(chatId) || new Map()).get(userId);
+      
+      if (member) {
+        member.totalScore = Math.max(0, member.totalScore - total);
+        delete member.gameStats[gameId];
+      }
+    });
+    
+    // Game boards only held these scores; boards across games keep the rest
+    plan.boards.forEach((total, board) => {
+      const id = `${board}:${userId}`;
+      const entry = this.leaderboardEntries.get(id);
+      
+      if (!entry) {
+        return;
+      }
+      
+      if (board.endsWith(':*') && entry.score > total) {
+        entry.score -= total;
+      } else {
+        this.leaderboardEntries.delete(id);
+      }
+    });
+    
+    return { count: plan.count, total: plan.total };
+  }
+
+  /**
+   * Get the runtime flags of games
+   * @returns {Promise<Object>} Flags keyed by game ID
+   */
+  async getGameFlags() {
+    return clone(Object.fromEntries(this.gameFlags));
+  }
+
+  /**
+   * Set runtime flags of a game
+   * @param {string} gameId - Game ID
+   * @param {Object} flags - Flags to set
+   */
+  async setGameFlags(gameId, flags) {
+    this.gameFlags.set(gameId, { ...this.gameFlags.get(gameId), ...flags, updatedAt: Date.now() });
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} entry - Entry
+   */
+  async appendAuditEntry(entry) {
+    this.auditLog.push({ id: `audit_${this.auditLog.length + 1}`, ...clone(entry) });
+  }
+
+  /**
+   * Get recent admin audit log entries
+   * @param {Object} options - Query options (limit)
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getAuditLog({ limit = 20 } = {}) {
+    return this.auditLog.slice(-limit).reverse().map(clone);
+  }
+
+  /**
+   * Create or update a group chat record
+   * @param {number} chatId - Chat ID
+   * @param {Object} data - Group fields
+   */
+  async saveGroup(chatId, data) {
+    const now = Date.now();
+    const existing = this.groups.get(chatId) || { chatId, createdAt: now };
+    this.groups.set(chatId, { ...existing, ...data, updatedAt: now });
+  }
+
+  /**
+   * Get a group chat record
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Group record or null
+   */
+  async getGroup(chatId) {
+    const group = this.groups.get(chatId);
+    return group ? clone(group) : null;
+  }
+}
+
+/**
+ * Deep copy a stored record so callers cannot mutate repository state
+ * @param {Object} value - Record to copy
+ * @returns {Object} Copy of the record
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { InMemoryGameRepository };
@@ -0,0 +1,112 @@
+/**
+ * Telegram Mini Game App - In-Memory Session Store
+ * 
+ * Process-local session store for single-instance deployments and tests.
+ */
+
+const { SessionStore } = require('./sessionStore');
+
+class InMemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  /**
+   * Store a new session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session fields
+   */
+  async create(sessionId, session) {
+    this.sessions.set(sessionId, { ...session, sessionId });
+  }
+
+  /**
+   * Get a live session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    return { ...session };
+  }
+
+  /**
+   * Mark a session completed, once
+   * @param {string} sessionId - Session ID
+   * @param {Object} completion - Fields to store with the completion
+   * @returns {Promise<Object|null>} { session, alreadyCompleted } or null
+   */
+  async complete(sessionId, completion) {
+    const session = this.sessions.get(sessionId);
+    
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    if (session.completed) {
+      return { session: { ...session }, alreadyCompleted: true };
+    }
+    
+    Object.assign(session, completion, { completed: true });
+    return { session: { ...session }, alreadyCompleted: false };
+  }
+
+  /**
+   * Record that a step of a session's completion has run
+   * @param {string} sessionId - Session ID
+   * @param {string} step - Step name
+   * @param {*} value - Result of the step
+   */
+  async recordProgress(sessionId, step, value) {
+    const session = this.sessions.get(sessionId);
+    
+    if (session) {
+      session.progress = { ...session.progress, [step]: value };
+    }
+  }
+
+  /**
+   * Get a user's live sessions
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of sessions
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async listByUser(userId, limit) {
+    const now = Date.now();
+    
+    return Array.from(this.sessions.values())
+      .filter(session => session.userId === userId && session.expiresAt > now)
+      .sort((a, b) => b.startTime - a.startTime)
+      .slice(0, limit)
+      .map(session => ({ ...session }));
+  }
+
+  /**
+   * Delete sessions whose expiry has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Deleted sessions that were never completed
+   */
+  async sweepExpired(now) {
+    const abandoned = [];
+    
+    this.sessions.forEach((session, sessionId) => {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+        
+        if (!session.completed) {
+          abandoned.push(session);
+        }
+      }
+    });
+    
+    return abandoned;
+  }
+}
+
+module.exports = { InMemorySessionStore };
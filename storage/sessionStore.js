@@ -0,0 +1,82 @@
+/**
+ * Telegram Mini Game App - Session Store
+ * 
+ * Storage interface for game sessions. Sessions carry an `expiresAt`
+ * timestamp; expired sessions are invisible to `get` and removed by
+ * `sweepExpired`. Backends must make `complete` atomic so a retried
+ * completion is never recorded twice, even across bot instances.
+ * 
+ * Recording a completion takes several steps (score, quests, brackets...).
+ * Each finished step is saved under the session's `progress`, so a retry
+ * after a failure picks up where the last attempt stopped.
+ */
+
+class SessionStore {
+  /**
+   * Store a new session
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session fields (userId, gameId, chatId, startTime, expiresAt, ...)
+   */
+  async create(sessionId, session) {
+    throw this.notImplemented('create');
+  }
+
+  /**
+   * Get a live session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null if missing or expired
+   */
+  async get(sessionId) {
+    throw this.notImplemented('get');
+  }
+
+  /**
+   * Mark a session completed, once
+   * @param {string} sessionId - Session ID
+   * @param {Object} completion - Fields to store with the completion (score, gameStats, endTime, expiresAt)
+   * @returns {Promise<Object|null>} { session, alreadyCompleted } or null if missing or expired
+   */
+  async complete(sessionId, completion) {
+    throw this.notImplemented('complete');
+  }
+
+  /**
+   * Record that a step of a session's completion has run
+   * @param {string} sessionId - Session ID
+   * @param {string} step - Step name
+   * @param {*} value - Result of the step to keep for retries
+   */
+  async recordProgress(sessionId, step, value) {
+    throw this.notImplemented('recordProgress');
+  }
+
+  /**
+   * Get a user's live sessions, e.g. for an operator to inspect
+   * @param {number} userId - User ID
+   * @param {number} limit - Maximum number of sessions
+   * @returns {Promise<Array>} Sessions, most recently started first
+   */
+  async listByUser(userId, limit) {
+    throw this.notImplemented('listByUser');
+  }
+
+  /**
+   * Delete sessions whose expiry has passed
+   * @param {number} now - Current timestamp
+   * @returns {Promise<Array>} Deleted sessions that were never completed
+   */
+  async sweepExpired(now) {
+    throw this.notImplemented('sweepExpired');
+  }
+
+  /**
+   * Build the error thrown by unimplemented methods
+   * @param {string} method - Method name
+   * @returns {Error} Error describing the missing method
+   */
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = { SessionStore };
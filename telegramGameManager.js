@@ -10,15 +10,40 @@ const { Markup } = require('telegraf');
 const admin = require('firebase-admin');
 const axios = require('axios');
 const crypto = require('crypto');
-
-// Game types supported by the platform
-const GAME_TYPES = {
-  PUZZLE: 'puzzle',
-  ARCADE: 'arcade',
-  STRATEGY: 'strategy',
-  TRIVIA: 'trivia',
-  MULTIPLAYER: 'multiplayer'
-};
+const { FirestoreGameRepository } = require('./storage/firestoreGameRepository');
+const { InMemoryGameRepository } = require('./storage/memoryGameRepository');
+const { LEADERBOARD_PERIODS } = require('./storage/gameRepository');
+const { FirestoreSessionStore } = require('./storage/firestoreSessionStore');
+const { InMemorySessionStore } = require('./storage/memorySessionStore');
+const { SessionTokenService } = require('./security/sessionTokens');
+const { AntiCheatEngine, VERDICTS } = require('./security/antiCheat');
+const { WebAppServer } = require('./web/webAppServer');
+const { MultiplayerServer } = require('./web/multiplayerServer');
+const { SpectatorServer } = require('./web/spectatorServer');
+const { TournamentService } = require('./services/tournamentService');
+const { CompetitionService, parseDuration } = require('./services/competitionService');
+const { ROOM_STATUS } = require('./services/gameRoom');
+const { CHANNEL_STATUS } = require('./services/spectatorChannel');
+const { QuestService } = require('./services/questService');
+const { AchievementService } = require('./services/achievementService');
+const { WalletService } = require('./services/walletService');
+const { ShopService } = require('./services/shopService');
+const { SkillService, STANDARD_DIFFICULTY } = require('./services/skillService');
+const { RecommendationService, RECOMMENDATION_REASONS } = require('./services/recommendationService');
+const { SettingsService, SETTINGS, SETTING_TYPES, THEMES } = require('./services/settingsService');
+const { OfflineSyncService } = require('./services/offlineSyncService');
+const { AdminService } = require('./services/adminService');
+const { NotificationService, NOTIFICATION_TYPES } = require('./services/notificationService');
+const { Localizer } = require('./i18n/localizer');
+const { AnalyticsPipeline } = require('./analytics/analyticsPipeline');
+const { FirestoreAnalyticsSink } = require('./analytics/firestoreAnalyticsSink');
+const { InMemoryAnalyticsSink } = require('./analytics/memoryAnalyticsSink');
+const { JsonlAnalyticsSink } = require('./analytics/jsonlAnalyticsSink');
+const { HttpAnalyticsSink } = require('./analytics/httpAnalyticsSink');
+const { CallbackRouter } = require('./bot/callbackRouter');
+const { GameCatalog, GAME_TYPES } = require('./catalog/gameCatalog');
+const { FileCatalogSource } = require('./catalog/fileCatalogSource');
+const { FirestoreCatalogSource } = require('./catalog/firestoreCatalogSource');
 
 class TelegramGameManager {
   /**
@@ -41,30 +66,313 @@ class TelegramGameManager {
       this.scoresCollection = this.db.collection('scores');
     }
     
-    // Game configuration
-    this.games = config.games || {};
+    // Storage backend, in-memory when Firebase is not configured
+    this.repository = config.repository || (this.db
+      ? new FirestoreGameRepository(this.db)
+      : new InMemoryGameRepository());
+    
+    // Session store, shared between bot instances when backed by Firestore
+    this.sessionStore = config.sessionStore || (this.db
+      ? new FirestoreSessionStore(this.db)
+      : new InMemorySessionStore());
+    
+    // Game catalog, reloaded from its source while running and with flags operators
+    // change at runtime (see reloadCatalog); without a source the games config is the catalog
+    const catalogOptions = config.catalog || {};
+    this.catalog = new GameCatalog(this.createCatalogSource(catalogOptions), {
+      betaTesterIds: [...(config.adminIds || []), ...(catalogOptions.betaTesterIds || [])]
+    });
+    
+    if (!this.catalog.source) {
+      this.catalog.apply(config.games || {});
+    }
+    
     this.defaultLanguage = config.defaultLanguage || 'en';
+    
+    // Locale catalogs for bot texts
+    this.i18n = new Localizer({ catalogs: config.locales, defaultLanguage: this.defaultLanguage });
     this.webAppUrl = config.webAppUrl || 'https://telegram-mini-game.app';
+    this.challengeTtl = config.challengeTtl || 24 * 60 * 60 * 1000; // 24 hours
+    this.sessionTtl = config.sessionTtl || 2 * 60 * 60 * 1000; // 2 hours
+    this.completedSessionTtl = config.completedSessionTtl || 10 * 60 * 1000; // 10 minutes
+    this.maintenanceInterval = config.maintenanceInterval || 60 * 1000; // 1 minute
+    this.maintenanceTimer = null;
+    
+    // Telegram user IDs allowed to use bot-wide admin commands such as /stats
+    this.adminIds = new Set(config.adminIds || []);
+    
+    // Batched analytics events, aggregated for /stats in Firestore or in memory
+    this.analytics = this.createAnalyticsPipeline(config.analytics || {});
+    
+    // Signed session tokens, keyed with a dedicated secret when configured
+    this.sessionTokens = new SessionTokenService(config.sessionSecret || config.botToken, {
+      ttl: this.sessionTtl
+    });
+    
+    // Score plausibility checks, using per-game rules from the games config
+    this.antiCheat = new AntiCheatEngine({ replayVerifiers: config.replayVerifiers });
+    
+    // Daily quests and play streaks
+    this.quests = new QuestService(this, config.quests);
+    
+    // Coin balances and their ledger
+    this.wallet = new WalletService(this, config.wallet);
+    
+    // Telegram Stars purchases and entitlements
+    this.shop = new ShopService(this, config.shop);
+    
+    // Achievement definitions and unlocks
+    this.achievements = new AchievementService(this, config.achievements);
     
-    // Cache for active sessions
-    this.activeSessions = new Map();
-    this.userPreferences = new Map();
+    // Elimination tournaments run in group chats
+    this.tournaments = new TournamentService(this, config.tournaments);
+    
+    // Timed best-score competitions run in group chats
+    this.competitions = new CompetitionService(this, config.competitions);
+    
+    // Per-game skill ratings and recommended difficulty
+    this.skills = new SkillService(this, config.skills);
+    
+    // Personalized game ranking for /newgame and inline queries
+    this.recommendations = new RecommendationService(this, config.recommendations);
+    
+    // Validated user settings stored in the user's preferences
+    this.settings = new SettingsService(this);
+    
+    // Pre-issued sessions for games played offline and synced later
+    this.offline = new OfflineSyncService(this, config.offline);
+    
+    // Opt-in reminders and results sent as scheduled jobs, within broadcast limits
+    this.notifications = new NotificationService(this, config.notifications);
+    
+    // Moderation and operations for bot admins, recorded in the audit log
+    this.admin = new AdminService(this, config.admin);
+    
+    // Backend for the Web App, only started when a port is configured
+    this.webAppServer = config.webAppPort
+      ? new WebAppServer(this, {
+        port: config.webAppPort,
+        botToken: config.botToken,
+        allowedOrigin: new URL(this.webAppUrl).origin
+      })
+      : null;
+    
+    // Real-time rooms for multiplayer games, served over the Web App backend
+    this.multiplayer = new MultiplayerServer(this, {
+      botToken: config.botToken,
+      reducers: config.roomReducers,
+      reconnectGrace: config.reconnectGrace
+    });
+    
+    // Live watch links for solo games, relayed over the Web App backend
+    this.spectators = new SpectatorServer(this, {
+      botToken: config.botToken,
+      ...config.spectators
+    });
+    
+    // Deep link handlers, keyed by payload prefix (/start <prefix>_<argument>)
+    this.startPayloadHandlers = {
+      challenge: (ctx, challengeId) => this.acceptChallenge(ctx, challengeId),
+      room: (ctx, roomId) => this.openRoom(ctx, roomId, 'player'),
+      watch: (ctx, roomId) => this.openRoom(ctx, roomId, 'spectator'),
+      spectate: (ctx, watchId) => this.openSpectatorView(ctx, watchId),
+      shop: (ctx) => this.handleShopCommand(ctx),
+      settings: (ctx) => this.handleSettingsCommand(ctx)
+    };
+    
+    // Inline button actions, keyed by callback data prefix (<action>:<params>)
+    this.callbacks = this.createCallbackRouter();
     
     // Initialize bot commands and handlers
     this.setupBotCommands();
   }
 
+  /**
+   * Start the Web App backend and the bot
+   */
+  async launch() {
+    await this.reloadCatalog();
+    
+    if (this.webAppServer) {
+      await this.webAppServer.start();
+      this.multiplayer.attach(this.webAppServer);
+      this.spectators.attach(this.webAppServer);
+    }
+    
+    // Periodic background work (session cleanup, tournament deadlines, competitions)
+    this.maintenanceTimer = setInterval(() => this.runMaintenance(), this.maintenanceInterval);
+    this.maintenanceTimer.unref();
+    this.analytics.start();
+    this.notifications.start();
+    
+    await this.bot.launch();
+  }
+
+  /**
+   * Stop the bot and the Web App backend
+   * @param {string} reason - Stop reason passed to Telegraf
+   */
+  async stop(reason) {
+    this.bot.stop(reason);
+    clearInterval(this.maintenanceTimer);
+    this.notifications.stop();
+    this.multiplayer.close();
+    this.spectators.close();
+    
+    if (this.webAppServer) {
+      await this.webAppServer.stop();
+    }
+    
+    // Events tracked while shutting down are written too
+    await this.analytics.shutdown();
+  }
+
+  /**
+   * Create the analytics pipeline and its sinks
+   * @param {Object} options - Analytics options, passed on to the pipeline
+   * @param {string} [options.jsonlPath] - Also append events to this JSONL file
+   * @param {string} [options.httpEndpoint] - Also post events to this HTTP collector
+   * @param {Object} [options.httpHeaders] - Headers sent to the HTTP collector
+   * @returns {AnalyticsPipeline} Pipeline reporting from the Firestore or in-memory sink
+   */
+  createAnalyticsPipeline(options) {
+    const reportSink = this.db ? new FirestoreAnalyticsSink(this.db) : new InMemoryAnalyticsSink();
+    const sinks = [reportSink];
+    
+    if (options.jsonlPath) {
+      sinks.push(new JsonlAnalyticsSink(options.jsonlPath));
+    }
+    
+    if (options.httpEndpoint) {
+      sinks.push(new HttpAnalyticsSink(options.httpEndpoint, { headers: options.httpHeaders }));
+    }
+    
+    return new AnalyticsPipeline(sinks, { ...options, reportSink });
+  }
+
+  /**
+   * Run periodic background tasks, isolating failures of each task
+   */
+  async runMaintenance() {
+    const tasks = {
+      'sweeping sessions': () => this.sweepSessions(),
+      'expiring tournament rounds': () => this.tournaments.expireOverdueRounds(),
+      'running competitions': () => this.competitions.runSchedule(),
+      'sweeping multiplayer rooms': () => this.multiplayer.sweepRooms(),
+      'sweeping spectator channels': () => this.spectators.sweepChannels(),
+      'reloading game catalog': () => this.catalog.reload(),
+      'refreshing game flags': () => this.loadGameFlags()
+    };
+    
+    for (const [name, task] of Object.entries(tasks)) {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`Error ${name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Create the source the game catalog is loaded from
+   * @param {Object} options - Catalog options (source: 'file' with path, or 'firestore')
+   * @returns {Object|null} Catalog source, null to use the games config
+   */
+  createCatalogSource(options) {
+    if (options.source === 'file') {
+      return new FileCatalogSource(options.path);
+    }
+    
+    if (options.source === 'firestore' && this.db) {
+      return new FirestoreCatalogSource(this.db);
+    }
+    
+    return null;
+  }
+
+  /**
+   * Games of the catalog, keyed by game ID, with runtime flags applied
+   * @returns {Object} Games
+   */
+  get games() {
+    return this.catalog.games;
+  }
+
+  /**
+   * Load the game catalog from its source and the runtime game flags
+   */
+  async reloadCatalog() {
+    await this.catalog.reload();
+    await this.loadGameFlags();
+  }
+
+  /**
+   * Load the game flags set with /admin, so every instance follows them
+   */
+  async loadGameFlags() {
+    this.catalog.setFlags(await this.repository.getGameFlags());
+  }
+
+  /**
+   * Check whether a game exists and can be started
+   * @param {string} gameId - Game ID
+   * @returns {boolean} Whether the game is in the catalog, switched on and within an availability window
+   */
+  isGameEnabled(gameId) {
+    return this.catalog.isEnabled(gameId);
+  }
+
+  /**
+   * Check whether a game is offered to a user
+   * @param {string} gameId - Game ID
+   * @param {Object|null} user - User record
+   * @returns {boolean} Whether the game is enabled and open to the user (beta and region flags)
+   */
+  isGameAvailable(gameId, user) {
+    return this.catalog.isAvailableTo(gameId, user);
+  }
+
+  /**
+   * Get the games that can be started
+   * @returns {Array} Entries of [gameId, game]
+   */
+  getEnabledGames() {
+    return this.catalog.getEnabled();
+  }
+
+  /**
+   * Get the games offered to a user
+   * @param {Object|null} user - User record, null for unknown users
+   * @returns {Array} Entries of [gameId, game]
+   */
+  getAvailableGames(user) {
+    return this.catalog.getAvailableTo(user);
+  }
+
   /**
    * Set up bot commands and handlers
    */
   setupBotCommands() {
+    // Banned users are ignored before any handler runs
+    this.bot.use((ctx, next) => this.filterBannedUsers(ctx, next));
+    
+    // Command sent when a user opens the bot, including deep links
+    this.bot.start(async (ctx) => {
+      try {
+        await this.handleStartCommand(ctx);
+      } catch (error) {
+        console.error('Error handling start command:', error);
+        await this.replyWithError(ctx, 'start');
+      }
+    });
+    
     // Command to start a new game session
     this.bot.command('newgame', async (ctx) => {
       try {
         await this.handleNewGameCommand(ctx);
       } catch (error) {
         console.error('Error handling newgame command:', error);
-        await ctx.reply('Sorry, there was an error starting the game. Please try again later.');
+        await this.replyWithError(ctx, 'newgame');
       }
     });
     
@@ -74,7 +382,7 @@ class TelegramGameManager {
         await this.handleChallengeCommand(ctx);
       } catch (error) {
         console.error('Error handling challenge command:', error);
-        await ctx.reply('Sorry, there was an error creating the challenge. Please try again later.');
+        await this.replyWithError(ctx, 'challenge');
       }
     });
     
@@ -84,7 +392,7 @@ class TelegramGameManager {
         await this.handleLeaderboardCommand(ctx);
       } catch (error) {
         console.error('Error handling leaderboard command:', error);
-        await ctx.reply('Sorry, there was an error retrieving the leaderboard. Please try again later.');
+        await this.replyWithError(ctx, 'leaderboard');
       }
     });
     
@@ -94,7 +402,17 @@ class TelegramGameManager {
         await this.handleDailyQuestsCommand(ctx);
       } catch (error) {
         console.error('Error handling daily quests command:', error);
-        await ctx.reply('Sorry, there was an error retrieving your daily quests. Please try again later.');
+        await this.replyWithError(ctx, 'daily');
+      }
+    });
+    
+    // Command to set the timezone daily quests reset in
+    this.bot.command('timezone', async (ctx) => {
+      try {
+        await this.handleTimezoneCommand(ctx);
+      } catch (error) {
+        console.error('Error handling timezone command:', error);
+        await this.replyWithError(ctx, 'timezone');
       }
     });
     
@@ -104,7 +422,97 @@ class TelegramGameManager {
         await this.handleProfileCommand(ctx);
       } catch (error) {
         console.error('Error handling profile command:', error);
-        await ctx.reply('Sorry, there was an error retrieving your profile. Please try again later.');
+        await this.replyWithError(ctx, 'profile');
+      }
+    });
+    
+    // Command to view coin balance and recent transactions
+    this.bot.command('wallet', async (ctx) => {
+      try {
+        await this.handleWalletCommand(ctx);
+      } catch (error) {
+        console.error('Error handling wallet command:', error);
+        await this.replyWithError(ctx, 'wallet');
+      }
+    });
+    
+    // Command to buy coins and entitlements with Telegram Stars
+    this.bot.command('shop', async (ctx) => {
+      try {
+        await this.handleShopCommand(ctx);
+      } catch (error) {
+        console.error('Error handling shop command:', error);
+        await this.replyWithError(ctx, 'shop');
+      }
+    });
+    
+    // Command to list achievements
+    this.bot.command('achievements', async (ctx) => {
+      try {
+        await this.handleAchievementsCommand(ctx);
+      } catch (error) {
+        console.error('Error handling achievements command:', error);
+        await this.replyWithError(ctx, 'achievements');
+      }
+    });
+    
+    // Command to change the bot language
+    this.bot.command('language', async (ctx) => {
+      try {
+        await this.handleLanguageCommand(ctx);
+      } catch (error) {
+        console.error('Error handling language command:', error);
+        await this.replyWithError(ctx, 'language');
+      }
+    });
+    
+    // Command to run tournaments in group chats
+    this.bot.command('tournament', async (ctx) => {
+      try {
+        await this.handleTournamentCommand(ctx);
+      } catch (error) {
+        console.error('Error handling tournament command:', error);
+        await this.replyWithError(ctx, 'tournament');
+      }
+    });
+    
+    // Command to run timed competitions in group chats
+    this.bot.command('compete', async (ctx) => {
+      try {
+        await this.handleCompeteCommand(ctx);
+      } catch (error) {
+        console.error('Error handling compete command:', error);
+        await this.replyWithError(ctx, 'compete');
+      }
+    });
+    
+    // Command to change user settings
+    this.bot.command('settings', async (ctx) => {
+      try {
+        await this.handleSettingsCommand(ctx);
+      } catch (error) {
+        console.error('Error handling settings command:', error);
+        await this.replyWithError(ctx, 'settings');
+      }
+    });
+    
+    // Command for bot admins to view usage stats
+    this.bot.command('stats', async (ctx) => {
+      try {
+        await this.handleStatsCommand(ctx);
+      } catch (error) {
+        console.error('Error handling stats command:', error);
+        await this.replyWithError(ctx, 'stats');
+      }
+    });
+    
+    // Commands for bot admins to moderate users and operate games
+    this.bot.command('admin', async (ctx) => {
+      try {
+        await this.handleAdminCommand(ctx);
+      } catch (error) {
+        console.error('Error handling admin command:', error);
+        await this.replyWithError(ctx, 'admin');
       }
     });
     
@@ -114,7 +522,17 @@ class TelegramGameManager {
         await this.handleHelpCommand(ctx);
       } catch (error) {
         console.error('Error handling help command:', error);
-        await ctx.reply('Sorry, there was an error retrieving help information. Please try again later.');
+        await this.replyWithError(ctx, 'help');
+      }
+    });
+    
+    // Handle Play buttons of game messages; game queries are callback queries
+    // too, so this must come before the callback query handler
+    this.bot.gameQuery(async (ctx) => {
+      try {
+        await this.handleGameQuery(ctx);
+      } catch (error) {
+        console.error('Error handling game query:', error);
       }
     });
     
@@ -124,16 +542,27 @@ class TelegramGameManager {
         await this.handleCallbackQuery(ctx);
       } catch (error) {
         console.error('Error handling callback query:', error);
-        await ctx.answerCbQuery('An error occurred. Please try again.');
+        await ctx.answerCbQuery(this.t(await this.getLocale(ctx), 'errors.callback'));
       }
     });
     
-    // Handle game score submissions
-    this.bot.on('game_query', async (ctx) => {
+    // Confirm Stars orders before Telegram charges the user
+    this.bot.on('pre_checkout_query', async (ctx) => {
       try {
-        await this.handleGameQuery(ctx);
+        await this.handlePreCheckoutQuery(ctx);
       } catch (error) {
-        console.error('Error handling game query:', error);
+        console.error('Error handling pre-checkout query:', error);
+        await ctx.answerPreCheckoutQuery(false, this.t(await this.getLocale(ctx), 'shop.checkout_failed'));
+      }
+    });
+    
+    // Deliver paid orders
+    this.bot.on('successful_payment', async (ctx) => {
+      try {
+        await this.handleSuccessfulPayment(ctx);
+      } catch (error) {
+        console.error('Error handling successful payment:', error);
+        await this.replyWithError(ctx, 'payment');
       }
     });
     
@@ -143,7 +572,7 @@ class TelegramGameManager {
         await this.handleWebAppData(ctx);
       } catch (error) {
         console.error('Error handling web app data:', error);
-        await ctx.reply('Sorry, there was an error processing your game data. Please try again later.');
+        await this.replyWithError(ctx, 'web_app_data');
       }
     });
     
@@ -164,6 +593,47 @@ class TelegramGameManager {
         console.error('Error handling new members:', error);
       }
     });
+    
+    // Track users blocking and unblocking the bot
+    this.bot.on('my_chat_member', async (ctx) => {
+      try {
+        await this.handleMyChatMember(ctx);
+      } catch (error) {
+        console.error('Error handling chat member update:', error);
+      }
+    });
+  }
+
+  /**
+   * Handle start command and route deep link payloads
+   * @param {Object} ctx - Telegram context
+   */
+  async handleStartCommand(ctx) {
+    const userId = ctx.from.id;
+    const payload = (ctx.message.text.split(' ')[1] || '').trim();
+    
+    await this.ensureUserRegistered(userId, ctx.from);
+    
+    if (!payload) {
+      await this.handleHelpCommand(ctx);
+      return;
+    }
+    
+    // Payloads are formatted as <prefix>_<argument>
+    const separatorIndex = payload.indexOf('_');
+    const prefix = separatorIndex === -1 ? payload : payload.slice(0, separatorIndex);
+    const argument = separatorIndex === -1 ? '' : payload.slice(separatorIndex + 1);
+    const handler = this.startPayloadHandlers[prefix];
+    
+    if (!handler) {
+      await ctx.reply(this.t(await this.getLocale(ctx), 'start.invalid_link'));
+      return;
+    }
+    
+    await handler(ctx, argument);
+    
+    // Track analytics
+    this.trackUserAction(userId, 'deep_link_opened', { type: prefix });
   }
 
   /**
@@ -175,14 +645,29 @@ class TelegramGameManager {
     const chatId = ctx.chat.id;
     
     // Check if user exists in database, register if not
-    await this.ensureUserRegistered(userId, ctx.from);
+    const user = await this.ensureUserRegistered(userId, ctx.from);
+    const locale = await this.getLocale(ctx);
     
     // Generate game options keyboard
     const gameOptions = [];
     
+    // Recommended games come first, their buttons carry the reason for click-through analytics
+    const recommended = await this.recommendations.recommend(user, {
+      filter: gameId => this.shop.canPlay(user, this.games[gameId])
+    });
+    
+    if (recommended.length > 0) {
+      gameOptions.push(recommended.map(({ gameId, reason }) =>
+        Markup.button.callback(
+          this.t(locale, 'newgame.recommended', { name: this.games[gameId].name }),
+          `game:${gameId}:${reason}`
+        )
+      ));
+    }
+    
     // Group games by type
     const gamesByType = {};
-    Object.entries(this.games).forEach(([gameId, game]) => {
+    this.getAvailableGames(user).forEach(([gameId, game]) => {
       if (!gamesByType[game.type]) {
         gamesByType[game.type] = [];
       }
@@ -192,18 +677,26 @@ class TelegramGameManager {
     // Create buttons for each game type
     Object.entries(gamesByType).forEach(([type, games]) => {
       const row = games.slice(0, 3).map(game => 
-        Markup.button.callback(game.name, `game:${game.id}`)
+        Markup.button.callback(
+          this.shop.canPlay(user, game) ? game.name : this.t(locale, 'newgame.locked', { name: game.name }),
+          `game:${game.id}`
+        )
       );
       gameOptions.push(row);
     });
     
     // Add a "More Games" button if needed
-    gameOptions.push([Markup.button.webApp('More Games', `${this.webAppUrl}/games`)]);
+    gameOptions.push([Markup.button.webApp(this.t(locale, 'newgame.more_games'), `${this.webAppUrl}/games`)]);
+    
+    const text = recommended.length > 0
+      ? `${this.t(locale, 'newgame.choose')}\n\n${this.t(locale, 'newgame.recommended_hint')}`
+      : this.t(locale, 'newgame.choose');
     
-    await ctx.reply('Choose a game to play:', Markup.inlineKeyboard(gameOptions));
+    await ctx.reply(text, Markup.inlineKeyboard(gameOptions));
     
     // Track analytics for command usage
     this.trackUserAction(userId, 'command_used', { command: 'newgame' });
+    this.trackRecommendations(userId, 'newgame', recommended);
   }
 
   /**
@@ -212,46 +705,47 @@ class TelegramGameManager {
    */
   async handleChallengeCommand(ctx) {
     const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
     
     // Parse command arguments to see if a game was specified
     const args = ctx.message.text.split(' ').slice(1);
     const specifiedGame = args.join(' ').trim();
     
     // Get list of games for challenge
+    const games = this.getAvailableGames(await this.repository.getUser(userId));
     let gamesList;
     if (specifiedGame) {
       // Find games matching the specified name
-      gamesList = Object.entries(this.games)
+      gamesList = games
         .filter(([_, game]) => game.name.toLowerCase().includes(specifiedGame.toLowerCase()))
         .map(([id, game]) => ({ id, ...game }));
       
       if (gamesList.length === 0) {
-        await ctx.reply(`No games found matching "${specifiedGame}". Please try another game name.`);
+        await ctx.reply(this.t(locale, 'challenge.no_games', { query: specifiedGame }));
         return;
       }
     } else {
       // Show popular multiplayer games
-      gamesList = Object.entries(this.games)
+      gamesList = games
         .filter(([_, game]) => game.type === GAME_TYPES.MULTIPLAYER)
         .map(([id, game]) => ({ id, ...game }))
         .slice(0, 5);  // Limit to top 5
     }
     
     // Create a challenge link for each game
-    const challengeOptions = gamesList.map(game => {
-      const challengeId = this.generateChallengeId(userId, game.id);
-      const challengeUrl = `https://t.me/${this.botUsername}?start=challenge_${challengeId}`;
+    const challengeOptions = await Promise.all(gamesList.map(async game => {
+      const challenge = await this.createChallenge(userId, game.id, { chatId: ctx.chat.id });
       
-      return [Markup.button.url(`Challenge: ${game.name}`, challengeUrl)];
-    });
+      return [Markup.button.url(this.t(locale, 'challenge.button', { game: game.name }), this.getChallengeUrl(challenge.id))];
+    }));
     
     // Add button to create custom challenge
     challengeOptions.push([
-      Markup.button.webApp('Create Custom Challenge', `${this.webAppUrl}/challenge/create`)
+      Markup.button.webApp(this.t(locale, 'challenge.custom'), `${this.webAppUrl}/challenge/create`)
     ]);
     
     await ctx.reply(
-      'Choose a game to challenge your friends:',
+      this.t(locale, 'challenge.choose'),
       Markup.inlineKeyboard(challengeOptions)
     );
     
@@ -260,21 +754,34 @@ class TelegramGameManager {
   }
 
   /**
-   * Handle leaderboard command
+   * Handle leaderboard command (/leaderboard [daily|weekly|season|alltime] [friends] [game name])
    * @param {Object} ctx - Telegram context
    */
   async handleLeaderboardCommand(ctx) {
     const userId = ctx.from.id;
-    const chatId = ctx.chat.id;
+    const locale = await this.getLocale(ctx);
     
-    // Check if this is a group chat
-    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    // Parse the optional period and friends scope, then the game name
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const periods = Object.values(LEADERBOARD_PERIODS);
+    let period = LEADERBOARD_PERIODS.ALL_TIME;
+    let friends = false;
     
-    // Parse command arguments to see if a game was specified
-    const args = ctx.message.text.split(' ').slice(1);
-    const specifiedGame = args.join(' ').trim();
+    while (args.length > 0) {
+      const keyword = args[0].toLowerCase();
+      
+      if (periods.includes(keyword)) {
+        period = keyword;
+      } else if (keyword === 'friends') {
+        friends = true;
+      } else {
+        break;
+      }
+      
+      args.shift();
+    }
     
-    let leaderboardText = '';
+    const specifiedGame = args.join(' ').trim();
     let gameId = null;
     
     if (specifiedGame) {
@@ -283,44 +790,84 @@ class TelegramGameManager {
         .find(([_, game]) => game.name.toLowerCase() === specifiedGame.toLowerCase());
       
       if (!gameEntry) {
-        await ctx.reply(`No game found matching "${specifiedGame}". Please check the game name and try again.`);
+        await ctx.reply(this.t(locale, 'leaderboard.game_not_found', { query: specifiedGame }));
         return;
       }
       
       gameId = gameEntry[0];
-      leaderboardText = `🏆 Leaderboard for ${gameEntry[1].name}:\n\n`;
-    } else {
-      leaderboardText = '🏆 Global Leaderboard:\n\n';
     }
     
-    // Fetch leaderboard data
+    const leaderboardText = await this.formatLeaderboard(ctx, locale, { gameId, period, friends });
+    
+    if (!leaderboardText) {
+      await ctx.reply(this.t(locale, 'leaderboard.empty'));
+      return;
+    }
+    
+    // Add button to view full leaderboard
+    const query = new URLSearchParams({ period, ...(gameId ? { game: gameId } : {}) });
+    const scope = friends ? 'friends' : 'global';
+    const leaderboardButtons = [
+      [Markup.button.webApp(this.t(locale, 'leaderboard.view_full'), `${this.webAppUrl}/leaderboard?${query}`)],
+      [Markup.button.callback(this.t(locale, 'leaderboard.my_ranking'), `myrank:${period}:${scope}${gameId ? `:${gameId}` : ''}`)]
+    ];
+    
+    await ctx.reply(leaderboardText, Markup.inlineKeyboard(leaderboardButtons));
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'leaderboard', gameId, period, friends });
+  }
+
+  /**
+   * Format a leaderboard for the current chat
+   * 
+   * Group chats rank the group's players unless the friends scope is asked for.
+   * @param {Object} ctx - Telegram context
+   * @param {string} locale - Language code
+   * @param {Object} options - Leaderboard options
+   * @param {string|null} [options.gameId] - Game ID, total score if omitted
+   * @param {string} [options.period] - Leaderboard period
+   * @param {boolean} [options.friends] - Limit the board to the user's friends
+   * @returns {Promise<string|null>} Leaderboard text, or null if nobody has scored
+   */
+  async formatLeaderboard(ctx, locale, { gameId = null, period = LEADERBOARD_PERIODS.ALL_TIME, friends = false }) {
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    
     const leaderboard = await this.getLeaderboard({
       gameId,
-      chatId: isGroup ? chatId : null,
+      chatId: isGroup && !friends ? ctx.chat.id : null,
+      period,
+      userIds: friends ? await this.getFriendIds(ctx.from.id) : null,
       limit: 10
     });
     
     if (leaderboard.length === 0) {
-      await ctx.reply('No scores recorded yet. Be the first to play!');
-      return;
+      return null;
     }
     
-    // Format leaderboard text
+    const title = gameId
+      ? this.t(locale, 'leaderboard.title_game', { game: this.games[gameId].name })
+      : this.t(locale, friends ? 'leaderboard.title_friends' : 'leaderboard.title_global');
+    let text = `${title}\n${this.formatLeaderboardScope(locale, period, friends)}\n\n`;
+    
     leaderboard.forEach((entry, index) => {
       const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-      leaderboardText += `${medal} ${entry.username}: ${entry.score} points\n`;
+      text += `${this.t(locale, 'leaderboard.entry', { medal, name: entry.username, count: entry.score })}\n`;
     });
     
-    // Add button to view full leaderboard
-    const leaderboardButtons = [
-      [Markup.button.webApp('View Full Leaderboard', `${this.webAppUrl}/leaderboard${gameId ? `?game=${gameId}` : ''}`)],
-      [Markup.button.callback('My Ranking', `myrank${gameId ? `:${gameId}` : ''}`)]
-    ];
-    
-    await ctx.reply(leaderboardText, Markup.inlineKeyboard(leaderboardButtons));
-    
-    // Track analytics
-    this.trackUserAction(userId, 'command_used', { command: 'leaderboard', gameId });
+    return text;
+  }
+
+  /**
+   * Format the period and scope line shown under leaderboard titles
+   * @param {string} locale - Language code
+   * @param {string} period - Leaderboard period
+   * @param {boolean} friends - Whether the board is limited to friends
+   * @returns {string} Scope line
+   */
+  formatLeaderboardScope(locale, period, friends) {
+    const label = `📅 ${this.t(locale, `leaderboard.periods.${period}`)}`;
+    return friends ? `${label} · 👥 ${this.t(locale, 'leaderboard.friends')}` : label;
   }
 
   /**
@@ -329,31 +876,32 @@ class TelegramGameManager {
    */
   async handleDailyQuestsCommand(ctx) {
     const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
     
     // Fetch user's daily quests
     const quests = await this.getUserDailyQuests(userId);
     
     if (!quests || quests.length === 0) {
-      await ctx.reply('You don\'t have any active daily quests yet. Start playing games to receive quests!');
+      await ctx.reply(this.t(locale, 'daily.empty'));
       return;
     }
     
     // Format quests text
-    let questsText = '📋 Your Daily Quests:\n\n';
+    let questsText = `${this.t(locale, 'daily.title')}\n\n`;
     
     quests.forEach((quest, index) => {
       const progress = quest.completed ? '✅' : `${quest.progress}/${quest.target}`;
-      const reward = quest.reward ? ` - Reward: ${quest.reward}` : '';
-      questsText += `${index + 1}. ${quest.description} [${progress}]${reward}\n`;
+      const reward = quest.reward ? this.t(locale, 'daily.reward', { reward: quest.reward }) : '';
+      questsText += `${index + 1}. ${this.quests.getDescription(quest, locale)} [${progress}]${reward}\n`;
     });
     
     // Add total rewards text
     const totalRewards = quests
-      .filter(quest => quest.completed)
+      .filter(quest => quest.completed && !quest.claimed)
       .reduce((sum, quest) => sum + parseInt(quest.reward || '0'), 0);
     
     if (totalRewards > 0) {
-      questsText += `\nTotal rewards ready to claim: ${totalRewards} coins`;
+      questsText += `\n${this.t(locale, 'daily.ready', { count: totalRewards })}`;
     }
     
     // Add buttons for quest actions
@@ -361,10 +909,10 @@ class TelegramGameManager {
     const anyCompletedUnclaimed = quests.some(q => q.completed && !q.claimed);
     
     if (anyCompletedUnclaimed) {
-      questButtons.push([Markup.button.callback('Claim Rewards', 'claim_rewards')]);
+      questButtons.push([Markup.button.callback(this.t(locale, 'daily.claim'), 'claim_rewards')]);
     }
     
-    questButtons.push([Markup.button.webApp('Quest Details', `${this.webAppUrl}/quests`)]);
+    questButtons.push([Markup.button.webApp(this.t(locale, 'daily.details'), `${this.webAppUrl}/quests`)]);
     
     await ctx.reply(questsText, Markup.inlineKeyboard(questButtons));
     
@@ -373,463 +921,2542 @@ class TelegramGameManager {
   }
 
   /**
-   * Handle profile command
+   * Handle timezone command (/timezone [Region/City|auto])
    * @param {Object} ctx - Telegram context
    */
-  async handleProfileCommand(ctx) {
+  async handleTimezoneCommand(ctx) {
     const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    const timezone = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const user = await this.ensureUserRegistered(userId, ctx.from);
     
-    // Fetch user profile data
-    const userProfile = await this.getUserProfile(userId);
-    
-    if (!userProfile) {
-      await ctx.reply('Profile not found. Please start a game first to create your profile.');
+    if (!timezone) {
+      const current = user.timezone || this.t(locale, 'timezone.default', { timezone: this.quests.defaultTimezone });
+      await ctx.reply(`${this.t(locale, 'timezone.current', { timezone: current })}\n\n${this.t(locale, 'timezone.usage')}`);
       return;
     }
     
-    // Format profile text
-    let profileText = `👤 *${userProfile.username}'s Profile*\n\n`;
-    profileText += `🏆 Total Score: ${userProfile.totalScore}\n`;
-    profileText += `🎮 Games Played: ${userProfile.gamesPlayed}\n`;
-    profileText += `🥇 Victories: ${userProfile.victories}\n`;
-    profileText += `💰 Coins: ${userProfile.coins}\n`;
-    profileText += `🎖 Achievements: ${userProfile.achievements.length}/${userProfile.totalAchievements}\n`;
+    const result = await this.quests.setTimezone(userId, timezone);
     
-    if (userProfile.currentStreak > 0) {
-      profileText += `🔥 Daily Streak: ${userProfile.currentStreak} days\n`;
+    if (result.error) {
+      await ctx.reply(this.t(locale, result.error, { timezone }));
+      return;
     }
     
-    // Add buttons for profile actions
-    const profileButtons = [
-      [Markup.button.webApp('Full Profile', `${this.webAppUrl}/profile`)],
-      [Markup.button.webApp('Achievements', `${this.webAppUrl}/achievements`)]
-    ];
-    
-    // Send profile with markdown formatting
-    await ctx.replyWithMarkdown(profileText, Markup.inlineKeyboard(profileButtons));
+    await ctx.reply(this.t(locale, 'timezone.saved', { timezone: result.timezone || this.quests.defaultTimezone }));
     
     // Track analytics
-    this.trackUserAction(userId, 'command_used', { command: 'profile' });
+    this.trackUserAction(userId, 'command_used', { command: 'timezone' });
   }
 
   /**
-   * Handle help command
+   * Handle profile command
    * @param {Object} ctx - Telegram context
    */
-  async handleHelpCommand(ctx) {
-    const helpText = `
-*Telegram Mini Game - Help*
-
-Here are the available commands:
-
-/newgame - Start a new game session
-/challenge - Challenge a friend
-/leaderboard - View global rankings
-/daily - Check your daily quests
-/profile - View your gaming profile
-/help - Show this help message
-
-*How to Play:*
-1. Use /newgame to select a game
-2. Play the game in Telegram
-3. Your scores will be automatically recorded
-4. Challenge friends with /challenge
-5. Complete daily quests for rewards
-
-*Need More Help?*
-Tap the button below to visit our support channel
-    `;
+  async handleProfileCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
     
-    const helpButtons = [
-      [Markup.button.url('Support Channel', 'https://t.me/MiniGameSupport')],
-      [Markup.button.webApp('Game Tutorials', `${this.webAppUrl}/tutorials`)]
+    // Fetch user profile data
+    const userProfile = await this.getUserProfile(userId);
+    
+    if (!userProfile) {
+      await ctx.reply(this.t(locale, 'profile.not_found'));
+      return;
+    }
+    
+    // Format profile text
+    let profileText = `${this.t(locale, 'profile.title', { name: escapeMarkdown(userProfile.username) })}\n\n`;
+    profileText += `${this.t(locale, 'profile.total_score', { value: userProfile.totalScore })}\n`;
+    profileText += `${this.t(locale, 'profile.games_played', { value: userProfile.gamesPlayed })}\n`;
+    profileText += `${this.t(locale, 'profile.victories', { value: userProfile.victories })}\n`;
+    profileText += `${this.t(locale, 'profile.coins', { value: userProfile.coins })}\n`;
+    profileText += `${this.t(locale, 'profile.achievements', {
+      unlocked: userProfile.achievements.length,
+      total: userProfile.totalAchievements
+    })}\n`;
+    
+    if (userProfile.currentStreak > 0) {
+      profileText += `${this.t(locale, 'profile.streak', { count: userProfile.currentStreak })}\n`;
+    }
+    
+    // Add buttons for profile actions
+    const profileButtons = [
+      [Markup.button.webApp(this.t(locale, 'profile.full'), `${this.webAppUrl}/profile`)],
+      [Markup.button.webApp(this.t(locale, 'profile.achievements_button'), `${this.webAppUrl}/achievements`)]
     ];
     
-    await ctx.replyWithMarkdown(helpText, Markup.inlineKeyboard(helpButtons));
+    // Send profile with markdown formatting
+    await ctx.replyWithMarkdown(profileText, Markup.inlineKeyboard(profileButtons));
     
     // Track analytics
-    this.trackUserAction(ctx.from.id, 'command_used', { command: 'help' });
+    this.trackUserAction(userId, 'command_used', { command: 'profile' });
   }
 
   /**
-   * Handle callback query from inline buttons
+   * Handle tournament command (/tournament create|join|start|status)
    * @param {Object} ctx - Telegram context
    */
-  async handleCallbackQuery(ctx) {
-    const callbackData = ctx.callbackQuery.data;
+  async handleTournamentCommand(ctx) {
     const userId = ctx.from.id;
+    const chatId = ctx.chat.id;
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    const locale = await this.getLocale(ctx);
+    
+    if (!isGroup) {
+      await ctx.reply(this.t(locale, 'tournament.group_only'));
+      return;
+    }
+    
+    // Parse subcommand and its arguments
+    const args = ctx.message.text.split(' ').slice(1);
+    const subcommand = (args[0] || '').toLowerCase();
+    const argument = args.slice(1).join(' ').trim();
     
-    // Parse callback data
-    if (callbackData.startsWith('game:')) {
-      // Handle game selection
-      const gameId = callbackData.split(':')[1];
-      await this.startGame(ctx, gameId);
-    } else if (callbackData.startsWith('myrank')) {
-      // Handle "My Ranking" button
-      const gameId = callbackData.includes(':') ? callbackData.split(':')[1] : null;
-      await this.showUserRanking(ctx, userId, gameId);
-    } else if (callbackData === 'claim_rewards') {
-      // Handle reward claiming
-      await this.claimQuestRewards(ctx, userId);
+    let result;
+    
+    if (subcommand === 'create') {
+      // Group games must be open to every member, so no beta or region-limited games
+      const gameEntry = this.getAvailableGames(null)
+        .find(([_, game]) => game.name.toLowerCase() === argument.toLowerCase());
+      
+      if (!gameEntry) {
+        await ctx.reply(this.t(locale, 'tournament.create_usage'));
+        return;
+      }
+      
+      await this.ensureUserRegistered(userId, ctx.from);
+      result = await this.tournaments.create(chatId, gameEntry[0], ctx.from);
+      
+      if (result.tournament) {
+        await ctx.reply(
+          `${this.tournaments.formatBracket(result.tournament, locale)}\n${this.t(locale, 'tournament.created_hint')}`,
+          Markup.inlineKeyboard([[Markup.button.callback(this.t(locale, 'tournament.join_button'), 'tournament_join')]])
+        );
+      }
+    } else if (subcommand === 'join') {
+      await this.ensureUserRegistered(userId, ctx.from);
+      result = await this.tournaments.join(chatId, ctx.from);
+      
+      if (result.tournament) {
+        await ctx.reply(this.t(locale, 'tournament.joined', {
+          name: ctx.from.username || ctx.from.first_name,
+          count: result.tournament.players.length
+        }));
+      }
+    } else if (subcommand === 'start') {
+      // The bracket is posted to the chat by the tournament service
+      result = await this.tournaments.start(chatId, userId);
+    } else if (subcommand === 'status') {
+      const tournament = await this.tournaments.getActive(chatId);
+      result = tournament
+        ? { tournament }
+        : { error: 'tournament.none_active' };
+      
+      if (tournament) {
+        await ctx.reply(this.tournaments.formatBracket(tournament, locale));
+      }
     } else {
-      // Handle other callback queries
-      await ctx.answerCbQuery('Action not recognized');
+      await ctx.reply(this.t(locale, 'tournament.usage'));
+      return;
+    }
+    
+    if (result.error) {
+      await ctx.reply(this.t(locale, result.error));
+      return;
     }
     
     // Track analytics
-    this.trackUserAction(userId, 'button_clicked', { callbackData });
+    this.trackUserAction(userId, 'command_used', { command: 'tournament', subcommand });
   }
 
   /**
-   * Start a game for a user
+   * Handle competition command (/compete start|schedule|status|end)
+   * 
+   * start <duration> <game> [| prize] and schedule <delay> <duration> <game> [| prize]
+   * are limited to group admins, as is ending a competition early. A prize
+   * that is a plain number is paid out to the winner in coins, held from the
+   * admin's balance until then.
    * @param {Object} ctx - Telegram context
-   * @param {string} gameId - ID of the game to start
    */
-  async startGame(ctx, gameId) {
+  async handleCompeteCommand(ctx) {
     const userId = ctx.from.id;
-    const chatId = ctx.callbackQuery.message.chat.id;
+    const chatId = ctx.chat.id;
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    const locale = await this.getLocale(ctx);
     
-    // Check if the game exists
-    if (!this.games[gameId]) {
-      await ctx.answerCbQuery('Game not found');
+    if (!isGroup) {
+      await ctx.reply(this.t(locale, 'competition.group_only'));
       return;
     }
     
-    const game = this.games[gameId];
+    // Parse subcommand, its arguments and the optional prize after '|'
+    const [command, prize = ''] = ctx.message.text.split('|');
+    const args = command.split(' ').slice(1).filter(Boolean);
+    const subcommand = (args[0] || '').toLowerCase();
     
-    // Create a new game session
-    const sessionId = this.generateSessionId(userId, gameId);
+    if (subcommand === 'status') {
+      const competition = await this.competitions.getActive(chatId);
+      
+      await ctx.reply(competition
+        ? this.competitions.formatStandings(competition, locale)
+        : this.t(locale, 'competition.none_active'));
+      return;
+    }
     
-    // Set up webapp URL with parameters
-    const gameUrl = `${this.webAppUrl}/play?game=${gameId}&session=${sessionId}`;
+    if (!['start', 'schedule', 'end'].includes(subcommand)) {
+      await ctx.reply(this.t(locale, 'competition.usage'));
+      return;
+    }
     
-    // Create button to open the game
-    const gameButtons = Markup.inlineKeyboard([
-      [Markup.button.webApp('Play Now', gameUrl)],
-      [Markup.button.callback('How to Play', `howtoplay:${gameId}`)]
-    ]);
+    if (!(await this.isChatAdmin(ctx, userId))) {
+      await ctx.reply(this.t(locale, 'competition.admin_only'));
+      return;
+    }
     
-    // Store session info
-    this.activeSessions.set(sessionId, {
-      userId,
-      gameId,
-      chatId,
-      startTime: Date.now(),
-      score: 0,
-      completed: false
-    });
+    let result;
     
-    // Send game invitation message
-    await ctx.editMessageText(
-      `🎮 *${game.name}*\n\n${game.description}\n\nTap the button below to start playing!`,
-      { parse_mode: 'Markdown', ...gameButtons }
-    );
+    if (subcommand === 'end') {
+      // The final standings are posted to the chat by the competition service
+      result = await this.competitions.end(chatId);
+    } else {
+      const scheduled = subcommand === 'schedule';
+      const delay = scheduled ? parseDuration(args[1]) : 0;
+      const duration = parseDuration(args[scheduled ? 2 : 1]);
+      const gameName = args.slice(scheduled ? 3 : 2).join(' ').toLowerCase();
+      
+      // Group games must be open to every member, so no beta or region-limited games
+      const gameEntry = this.getAvailableGames(null)
+        .find(([_, game]) => game.name.toLowerCase() === gameName);
+      
+      if (!gameEntry || delay === null || duration === null) {
+        await ctx.reply(this.t(locale, 'competition.usage'));
+        return;
+      }
+      
+      result = await this.competitions.create(chatId, ctx.from, {
+        gameId: gameEntry[0],
+        duration,
+        delay,
+        prize: prize.trim()
+      });
+      
+      if (result.competition) {
+        await this.competitions.announceStart(result.competition);
+      }
+    }
     
-    // Track game start
-    this.trackUserAction(userId, 'game_started', { gameId });
+    if (result.error) {
+      await ctx.reply(this.t(locale, result.error, {
+        max: Math.round(this.competitions.maxDuration / (24 * 60 * 60 * 1000)),
+        balance: result.balance
+      }));
+      return;
+    }
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'compete', subcommand });
   }
 
   /**
-   * Show user's ranking
+   * Join a tournament from the "Join Tournament" button
    * @param {Object} ctx - Telegram context
-   * @param {number} userId - User ID
-   * @param {string} gameId - Game ID (optional)
    */
-  async showUserRanking(ctx, userId, gameId) {
-    // Get user's ranking
-    const ranking = await this.getUserRanking(userId, gameId);
+  async joinTournamentFromButton(ctx) {
+    const chatId = ctx.callbackQuery.message.chat.id;
     
-    if (!ranking) {
-      await ctx.answerCbQuery('You haven\'t played any games yet!', { show_alert: true });
-      return;
-    }
+    await this.ensureUserRegistered(ctx.from.id, ctx.from);
+    const result = await this.tournaments.join(chatId, ctx.from);
     
-    let rankingText = '';
+    const locale = await this.getLocale(ctx);
     
-    if (gameId && this.games[gameId]) {
-      rankingText = `Your ranking in ${this.games[gameId].name}: ${ranking.position} out of ${ranking.totalPlayers} players\nYour best score: ${ranking.score}`;
-    } else {
-      rankingText = `Your global ranking: ${ranking.position} out of ${ranking.totalPlayers} players\nYour total score: ${ranking.score}`;
+    if (result.error) {
+      await ctx.answerCbQuery(this.t(locale, result.error), { show_alert: true });
+      return;
     }
     
-    await ctx.answerCbQuery(rankingText, { show_alert: true });
+    await ctx.answerCbQuery(this.t(locale, 'tournament.joined_self', {
+      count: result.tournament.players.length
+    }));
   }
 
   /**
-   * Claim quest rewards for a user
+   * Handle wallet command
    * @param {Object} ctx - Telegram context
-   * @param {number} userId - User ID
    */
-  async claimQuestRewards(ctx, userId) {
-    // Get completed quests
-    const quests = await this.getUserDailyQuests(userId);
-    const completedUnclaimed = quests.filter(q => q.completed && !q.claimed);
+  async handleWalletCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
     
-    if (completedUnclaimed.length === 0) {
-      await ctx.answerCbQuery('No rewards to claim', { show_alert: true });
+    const statement = await this.wallet.getStatement(userId);
+    
+    if (!statement) {
+      await ctx.reply(this.t(locale, 'profile.not_found'));
       return;
     }
     
-    // Calculate total rewards
-    const totalRewards = completedUnclaimed.reduce(
-      (sum, quest) => sum + parseInt(quest.reward || '0'), 0
-    );
-    
-    // Update user's coins and mark quests as claimed
-    await this.updateUserCoins(userId, totalRewards);
-    await this.markQuestsAsClaimed(userId, completedUnclaimed.map(q => q.id));
+    // Format wallet text
+    let walletText = `${this.t(locale, 'wallet.title')}\n`;
+    walletText += `${this.t(locale, 'wallet.balance', { count: statement.balance })}\n\n`;
     
-    // Update the quests message
-    await this.handleDailyQuestsCommand(ctx);
+    if (statement.transactions.length === 0) {
+      walletText += this.t(locale, 'wallet.empty');
+    } else {
+      walletText += `${this.t(locale, 'wallet.recent')}\n`;
+      statement.transactions.forEach(transaction => {
+        const amount = transaction.amount > 0 ? `+${transaction.amount}` : `${transaction.amount}`;
+        const date = new Date(transaction.createdAt).toISOString().slice(0, 10);
+        walletText += `${amount} · ${this.t(locale, `wallet.reasons.${transaction.reason}`)} · ${date}\n`;
+      });
+    }
     
-    await ctx.answerCbQuery(`You've claimed ${totalRewards} coins!`, { show_alert: true });
+    await ctx.reply(walletText);
     
     // Track analytics
-    this.trackUserAction(userId, 'rewards_claimed', { amount: totalRewards });
+    this.trackUserAction(userId, 'command_used', { command: 'wallet' });
   }
 
   /**
-   * Handle game query
+   * Handle shop command
+   * 
+   * Invoices are only sent in private chats, so the buyer is always the
+   * user who opened the shop.
    * @param {Object} ctx - Telegram context
    */
-  async handleGameQuery(ctx) {
-    // Implementation for handling game queries
-    // This would handle the Telegram game platform's queries
-    await ctx.answerGameQuery(`${this.webAppUrl}/play`);
+  async handleShopCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    if (ctx.chat.type !== 'private') {
+      await ctx.reply(
+        this.t(locale, 'shop.private_only'),
+        Markup.inlineKeyboard([[Markup.button.url(this.t(locale, 'shop.open'), `https://t.me/${this.botUsername}?start=shop`)]])
+      );
+      return;
+    }
+    
+    await this.ensureUserRegistered(userId, ctx.from);
+    await ctx.reply(this.t(locale, 'shop.title'), this.shop.getShopButtons(locale));
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'shop' });
   }
 
   /**
-   * Handle Web App data
+   * Send the invoice for a product picked in the shop
    * @param {Object} ctx - Telegram context
+   * @param {string} productId - Product ID
    */
-  async handleWebAppData(ctx) {
-    const userId = ctx.from.id;
-    const data = ctx.webAppData.data;
+  async sendShopInvoice(ctx, productId) {
+    const locale = await this.getLocale(ctx);
     
-    try {
-      // Parse the data from the Web App
-      const parsedData = JSON.parse(data);
-      
-      if (parsedData.type === 'game_completed') {
-        // Handle game completion
-        await this.handleGameCompletion(ctx, userId, parsedData);
-      } else if (parsedData.type === 'challenge_created') {
-        // Handle challenge creation
-        await this.handleChallengeCreation(ctx, userId, parsedData);
-      } else if (parsedData.type === 'settings_update') {
-        // Handle settings update
-        await this.handleSettingsUpdate(ctx, userId, parsedData);
-      }
-    } catch (error) {
-      console.error('Error parsing Web App data:', error);
-      await ctx.reply('There was an error processing your game data. Please try again.');
+    if (ctx.callbackQuery.message.chat.type !== 'private') {
+      await ctx.answerCbQuery(this.t(locale, 'shop.private_only'), { show_alert: true });
+      return;
+    }
+    
+    if (!(await this.shop.sendInvoice(ctx, productId, locale))) {
+      await ctx.answerCbQuery(this.t(locale, 'shop.unknown_product'), { show_alert: true });
+      return;
     }
+    
+    await ctx.answerCbQuery();
+    
+    // Track analytics
+    this.trackUserAction(ctx.from.id, 'invoice_sent', { productId });
   }
 
   /**
-   * Handle game completion data from Web App
+   * Approve or reject a Stars order before the charge
    * @param {Object} ctx - Telegram context
-   * @param {number} userId - User ID
-   * @param {Object} data - Game completion data
    */
-  async handleGameCompletion(ctx, userId, data) {
-    const { sessionId, score, gameStats } = data;
-    
-    // Validate the session
-    if (!this.activeSessions.has(sessionId)) {
-      await ctx.reply('Game session expired or invalid. Please start a new game.');
+  async handlePreCheckoutQuery(ctx) {
+    if (this.shop.validateCheckout(ctx.preCheckoutQuery)) {
+      await ctx.answerPreCheckoutQuery(true);
       return;
     }
     
-    const session = this.activeSessions.get(sessionId);
+    await ctx.answerPreCheckoutQuery(false, this.t(await this.getLocale(ctx), 'shop.checkout_failed'));
+  }
+
+  /**
+   * Fulfill a paid order and confirm it to the buyer
+   * @param {Object} ctx - Telegram context
+   */
+  async handleSuccessfulPayment(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    const result = await this.shop.handleSuccessfulPayment(ctx.from, ctx.message.successful_payment);
+    
+    if (result.error) {
+      await this.replyWithError(ctx, 'payment');
+      return;
+    }
     
-    if (session.userId !== userId) {
-      await ctx.reply('Invalid session owner. Please start your own game.');
+    // Telegram may deliver the same payment twice; it was confirmed the first time
+    if (result.duplicate) {
       return;
     }
     
-    // Update session data
-    session.score = score;
-    session.completed = true;
-    session.endTime = Date.now();
-    session.gameStats = gameStats;
+    const { product } = result.payment;
     
-    // Save the score to the database
-    await this.saveGameScore(userId, session.gameId, score, gameStats);
+    await ctx.reply(product.coins
+      ? this.t(locale, 'shop.fulfilled_coins', { count: product.coins })
+      : this.t(locale, 'shop.fulfilled_entitlement', { title: this.shop.getTitle(product, locale) }));
     
-    // Check for quest progress
-    await this.updateQuestProgress(userId, {
-      gameId: session.gameId,
-      score,
-      gameStats
+    // Track analytics
+    this.trackUserAction(userId, 'purchase_completed', {
+      productId: product.id,
+      stars: result.payment.stars
     });
+  }
+
+  /**
+   * Refund a Stars payment and notify the buyer
+   * @param {string} paymentId - Telegram payment charge ID
+   * @returns {Promise<Object>} { payment } or { error }
+   */
+  async refundPayment(paymentId) {
+    const result = await this.shop.refund(paymentId);
     
-    // Get game details
-    const game = this.games[session.gameId];
-    
-    // Check if score is a personal best
-    const isPersonalBest = await this.isPersonalBest(userId, session.gameId, score);
+    if (result.error) {
+      return result;
+    }
     
-    // Prepare result message
-    let resultMessage = `🎮 *${game.name} - Game Completed!*\n\n`;
-    resultMessage += `Your score: *${score}* points\n`;
+    const { userId, product } = result.payment;
     
-    if (isPersonalBest) {
-      resultMessage += '🎉 New personal best!\n';
+    try {
+      const locale = await this.getUserLocale(userId);
+      await this.bot.telegram.sendMessage(userId, this.t(locale, 'shop.refunded', {
+        title: this.shop.getTitle(product, locale)
+      }));
+    } catch (error) {
+      console.error('Error notifying refunded user:', error);
     }
     
-    // Add any achievement unlocked
-    const unlockedAchievements = await this.checkForUnlockedAchievements(userId, session.gameId, score, gameStats);
-    
-    if (unlockedAchievements.length > 0) {
-      resultMessage += '\n🏆 *Achievements Unlocked:*\n';
-      unlockedAchievements.forEach(achievement => {
-        resultMessage += `- ${achievement.name}: ${achievement.description}\n`;
+    return result;
+  }
+
+  /**
+   * Handle achievements command
+   * @param {Object} ctx - Telegram context
+   */
+  async handleAchievementsCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    const achievements = await this.achievements.list(userId);
+    const unlocked = achievements.filter(achievement => achievement.unlocked);
+    const locked = achievements.filter(achievement => !achievement.unlocked);
+    
+    // Format achievements text
+    let achievementsText = `${this.t(locale, 'achievements.title', {
+      unlocked: unlocked.length,
+      total: achievements.length
+    })}\n`;
+    
+    if (unlocked.length > 0) {
+      achievementsText += `\n${this.t(locale, 'achievements.unlocked')}\n`;
+      unlocked.forEach(achievement => {
+        const date = new Date(achievement.unlockedAt).toISOString().slice(0, 10);
+        achievementsText += `🏆 ${this.achievements.getName(achievement, locale)} - ${this.achievements.getDescription(achievement, locale)} (${date})\n`;
       });
     }
     
-    // Add quest progress
-    const questsUpdated = await this.getUpdatedQuests(userId);
-    
-    if (questsUpdated.length > 0) {
-      resultMessage += '\n📋 *Quest Progress:*\n';
-      questsUpdated.forEach(quest => {
-        resultMessage += `- ${quest.description}: ${quest.progress}/${quest.target}\n`;
+    if (locked.length > 0) {
+      achievementsText += `\n${this.t(locale, 'achievements.locked')}\n`;
+      locked.forEach(achievement => {
+        const reward = achievement.reward ? this.t(locale, 'achievements.reward', { count: achievement.reward }) : '';
+        achievementsText += `🔒 ${this.achievements.getName(achievement, locale)} - ${this.achievements.getDescription(achievement, locale)}${reward}\n`;
       });
     }
     
-    // Buttons for result message
-    const resultButtons = Markup.inlineKeyboard([
-      [Markup.button.callback('Play Again', `game:${session.gameId}`)],
-      [Markup.button.callback('View Leaderboard', `leaderboard:${session.gameId}`)]
-    ]);
-    
-    // Send result message
-    await ctx.replyWithMarkdown(resultMessage, resultButtons);
-    
-    // Clear session after processing
-    setTimeout(() => {
-      this.activeSessions.delete(sessionId);
-    }, 60000); // Keep session for 1 minute for potential retries
+    await ctx.reply(
+      achievementsText,
+      Markup.inlineKeyboard([[Markup.button.webApp(this.t(locale, 'achievements.button'), `${this.webAppUrl}/achievements`)]])
+    );
     
     // Track analytics
-    this.trackUserAction(userId, 'game_completed', {
-      gameId: session.gameId,
-      score,
-      duration: session.endTime - session.startTime
-    });
+    this.trackUserAction(userId, 'command_used', { command: 'achievements' });
   }
 
   /**
-   * Handle inline query for sharing games
+   * Handle help command
    * @param {Object} ctx - Telegram context
    */
-  async handleInlineQuery(ctx) {
-    const query = ctx.inlineQuery.query.toLowerCase();
-    const userId = ctx.from.id;
-    
-    // Filter games based on query
-    const filteredGames = Object.entries(this.games)
-      .filter(([_, game]) => 
-        !query || 
-        game.name.toLowerCase().includes(query) || 
-        game.tags.some(tag => tag.toLowerCase().includes(query))
-      )
-      .map(([id, game]) => ({
-        id,
-        ...game
-      }))
-      .slice(0, 50); // Limit to 50 results
+  async handleHelpCommand(ctx) {
+    const locale = await this.getLocale(ctx);
     
-    // Create inline query results
-    const results = filteredGames.map(game => ({
-      type: 'game',
-      id: game.id,
-      game_short_name: game.shortName,
-      reply_markup: Markup.inlineKeyboard([
-        [Markup.button.callback('Play Now', `game:${game.id}`)]
-      ])
-    }));
+    const helpButtons = [
+      [Markup.button.url(this.t(locale, 'help.support'), 'https://t.me/MiniGameSupport')],
+      [Markup.button.webApp(this.t(locale, 'help.tutorials'), `${this.webAppUrl}/tutorials`)]
+    ];
     
-    // Answer inline query
-    await ctx.answerInlineQuery(results, {
-      cache_time: 300,
-      is_personal: true
-    });
+    await ctx.replyWithMarkdown(this.t(locale, 'help.text'), Markup.inlineKeyboard(helpButtons));
     
     // Track analytics
-    this.trackUserAction(userId, 'inline_query', { query });
+    this.trackUserAction(ctx.from.id, 'command_used', { command: 'help' });
   }
 
   /**
-   * Handle new members in chat
+   * Handle language command (/language [code])
+   * 
+   * In private chats this sets the user's language; in groups admins set
+   * the language used for the whole group.
    * @param {Object} ctx - Telegram context
    */
-  async handleNewMembers(ctx) {
-    const newMembers = ctx.message.new_chat_members;
+  async handleLanguageCommand(ctx) {
+    const userId = ctx.from.id;
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    const locale = await this.getLocale(ctx);
+    const requested = ctx.message.text.split(' ')[1];
+    
+    if (isGroup && !(await this.isChatAdmin(ctx, userId))) {
+      await ctx.reply(this.t(locale, 'language.admin_only'));
+      return;
+    }
+    
+    if (!requested) {
+      // Offer every supported language, labelled in its own language
+      const languageButtons = this.i18n.languages.map(language => [
+        Markup.button.callback(this.t(language, 'meta.name'), `language:${language}`)
+      ]);
+      
+      await ctx.reply(
+        this.t(locale, isGroup ? 'language.choose_group' : 'language.choose'),
+        Markup.inlineKeyboard(languageButtons)
+      );
+      return;
+    }
+    
+    const language = this.i18n.normalize(requested);
+    
+    if (!language) {
+      await ctx.reply(this.t(locale, 'language.unsupported', {
+        code: requested,
+        languages: this.i18n.languages.join(', ')
+      }));
+      return;
+    }
+    
+    await this.setLanguage(ctx, language);
+    await ctx.reply(this.t(language, 'language.updated'));
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'language', language });
+  }
+
+  /**
+   * Set the language picked from the /language keyboard
+   * @param {Object} ctx - Telegram context
+   * @param {string} requested - Language code from the button
+   */
+  async setLanguageFromButton(ctx, requested) {
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    const language = this.i18n.normalize(requested);
+    
+    if (!language) {
+      await ctx.answerCbQuery(this.t(await this.getLocale(ctx), 'callback.unknown'));
+      return;
+    }
+    
+    // Anyone can press the button, so the admin check is repeated here
+    if (isGroup && !(await this.isChatAdmin(ctx, ctx.from.id))) {
+      await ctx.answerCbQuery(this.t(await this.getLocale(ctx), 'language.admin_only'), { show_alert: true });
+      return;
+    }
+    
+    await this.setLanguage(ctx, language);
+    await ctx.editMessageText(this.t(language, 'language.updated'));
+    await ctx.answerCbQuery();
+  }
+
+  /**
+   * Persist a language for the current chat (groups) or user (private chats)
+   * @param {Object} ctx - Telegram context
+   * @param {string} language - Supported language code
+   */
+  async setLanguage(ctx, language) {
+    const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+    
+    if (isGroup) {
+      await this.repository.saveGroup(ctx.chat.id, { language });
+    } else {
+      await this.ensureUserRegistered(ctx.from.id, ctx.from);
+      await this.repository.updateUserPreferences(ctx.from.id, { language });
+    }
+    
+    ctx.state.locale = language;
+  }
+
+  /**
+   * Handle settings command, in private chats only since the menu shows personal settings
+   * @param {Object} ctx - Telegram context
+   */
+  async handleSettingsCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    if (ctx.chat.type !== 'private') {
+      await ctx.reply(
+        this.t(locale, 'settings.private_only'),
+        Markup.inlineKeyboard([[Markup.button.url(this.t(locale, 'settings.open'), `https://t.me/${this.botUsername}?start=settings`)]])
+      );
+      return;
+    }
+    
+    const user = await this.ensureUserRegistered(userId, ctx.from);
+    const { text, keyboard } = this.buildSettingsMenu(locale, this.settings.resolve(user));
+    
+    await ctx.reply(text, keyboard);
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'settings' });
+  }
+
+  /**
+   * Show the settings menu on the message a button was pressed on
+   * @param {Object} ctx - Telegram context
+   */
+  async showSettingsMenu(ctx) {
+    const locale = await this.getLocale(ctx);
+    const { text, keyboard } = this.buildSettingsMenu(locale, await this.settings.get(ctx.from.id));
+    
+    await ctx.answerCbQuery();
+    await this.editCallbackMessage(ctx, text, keyboard);
+  }
+
+  /**
+   * Explain how to set the timezone when its menu button is pressed, since
+   * timezones have too many values to cycle through
+   * @param {Object} ctx - Telegram context
+   */
+  async showTimezoneHelp(ctx) {
+    await ctx.answerCbQuery(this.t(await this.getLocale(ctx), 'timezone.usage'), { show_alert: true });
+  }
+
+  /**
+   * Build the settings menu, each button switching its setting to the next value
+   * @param {string} locale - Language code
+   * @param {Object} settings - Resolved settings
+   * @returns {Object} { text, keyboard }
+   */
+  buildSettingsMenu(locale, settings) {
+    const onOff = value => this.t(locale, value ? 'settings.on' : 'settings.off');
+    const languages = ['auto', ...this.i18n.languages];
+    const language = settings.language || 'auto';
+    const nextLanguage = languages[(languages.indexOf(language) + 1) % languages.length];
+    const nextTheme = THEMES[(THEMES.indexOf(settings.theme) + 1) % THEMES.length];
+    
+    const buttons = [
+      [Markup.button.callback(
+        this.t(locale, 'settings.language', {
+          value: settings.language ? this.t(settings.language, 'meta.name') : this.t(locale, 'settings.language_auto')
+        }),
+        `settings:language:${nextLanguage}`
+      )],
+      [Markup.button.callback(
+        this.t(locale, 'settings.timezone', {
+          value: settings.timezone || this.t(locale, 'timezone.default', { timezone: this.quests.defaultTimezone })
+        }),
+        'settings_timezone'
+      )],
+      [Markup.button.callback(
+        this.t(locale, 'settings.notifications', { value: onOff(settings.notifications) }),
+        `settings:notifications:${settings.notifications ? 'off' : 'on'}`
+      )],
+      [Markup.button.callback(
+        this.t(locale, 'settings.theme', { value: this.t(locale, `settings.themes.${settings.theme}`) }),
+        `settings:theme:${nextTheme}`
+      )],
+      [Markup.button.callback(
+        this.t(locale, settings.hideFromLeaderboards ? 'settings.leaderboards_hidden' : 'settings.leaderboards_shown'),
+        `settings:hideFromLeaderboards:${settings.hideFromLeaderboards ? 'off' : 'on'}`
+      )],
+      [Markup.button.callback(
+        this.t(locale, 'settings.spectators', { value: onOff(settings.allowSpectators) }),
+        `settings:allowSpectators:${settings.allowSpectators ? 'off' : 'on'}`
+      )],
+      [Markup.button.callback(this.t(locale, 'settings.game_options'), 'settings_games')]
+    ];
+    
+    return { text: this.t(locale, 'settings.title'), keyboard: Markup.inlineKeyboard(buttons) };
+  }
+
+  /**
+   * Change a setting from a settings menu button and redraw the menu
+   * @param {Object} ctx - Telegram context
+   * @param {string} name - Setting name
+   * @param {string} value - Value from the button ('on'/'off' for switches)
+   */
+  async changeSettingFromButton(ctx, name, value) {
+    const definition = SETTINGS[name];
+    const parsed = definition.type === SETTING_TYPES.BOOLEAN ? parseSwitch(value) : value;
+    const result = await this.settings.update(ctx.from.id, { [name]: parsed });
+    
+    if (result.error) {
+      await ctx.answerCbQuery(this.t(await this.getLocale(ctx), result.error));
+      return;
+    }
+    
+    // The menu is redrawn in the new language
+    ctx.state.locale = null;
+    await this.showSettingsMenu(ctx);
+  }
+
+  /**
+   * List the games whose options can be changed
+   * @param {Object} ctx - Telegram context
+   */
+  async showGameSettingsList(ctx) {
+    const locale = await this.getLocale(ctx);
+    const buttons = Object.entries(this.games).map(([gameId, game]) => [
+      Markup.button.callback(game.name, `settings_game:${gameId}`)
+    ]);
+    buttons.push([Markup.button.callback(this.t(locale, 'settings.back'), 'settings')]);
+    
+    await ctx.answerCbQuery();
+    await this.editCallbackMessage(ctx, this.t(locale, 'settings.choose_game'), Markup.inlineKeyboard(buttons));
+  }
+
+  /**
+   * Show a game's options, changing one first when the button carries a value
+   * @param {Object} ctx - Telegram context
+   * @param {string} gameId - Game ID
+   * @param {string} [option] - Option to change
+   * @param {string} [value] - New value ('on'/'off' for switches)
+   */
+  async showGameSettings(ctx, gameId, option, value) {
+    const locale = await this.getLocale(ctx);
+    const definitions = this.settings.getGameOptionDefinitions(gameId);
+    
+    if (option && value) {
+      const definition = definitions[option];
+      const parsed = definition && definition.type === SETTING_TYPES.BOOLEAN ? parseSwitch(value) : value;
+      const result = await this.settings.update(ctx.from.id, { games: { [gameId]: { [option]: parsed } } });
+      
+      if (result.error) {
+        await ctx.answerCbQuery(this.t(locale, result.error));
+        return;
+      }
+    }
+    
+    const options = this.settings.resolveGameOptions(await this.repository.getUser(ctx.from.id), gameId);
+    const buttons = Object.entries(definitions).map(([name, definition]) => {
+      const current = options[name];
+      const label = definition.label || this.t(locale, `settings.options.${name}`);
+      
+      if (definition.type === SETTING_TYPES.BOOLEAN) {
+        return [Markup.button.callback(
+          `${label}: ${this.t(locale, current ? 'settings.on' : 'settings.off')}`,
+          `settings_game:${gameId}:${name}:${current ? 'off' : 'on'}`
+        )];
+      }
+      
+      const next = definition.values[(definition.values.indexOf(current) + 1) % definition.values.length];
+      return [Markup.button.callback(`${label}: ${current}`, `settings_game:${gameId}:${name}:${next}`)];
+    });
+    buttons.push([Markup.button.callback(this.t(locale, 'settings.back'), 'settings_games')]);
+    
+    await ctx.answerCbQuery();
+    await this.editCallbackMessage(
+      ctx,
+      this.t(locale, 'settings.game_title', { name: this.games[gameId].name }),
+      Markup.inlineKeyboard(buttons)
+    );
+  }
+
+  /**
+   * Handle settings sent from the Web App
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   * @param {Object} data - Web App data with the changed settings under `settings`
+   */
+  async handleSettingsUpdate(ctx, userId, data) {
+    await this.ensureUserRegistered(userId, ctx.from);
+    const result = await this.settings.update(userId, data.settings);
+    
+    // A changed language applies to the confirmation already
+    ctx.state.locale = null;
+    await ctx.reply(this.t(await this.getLocale(ctx), result.error || 'settings.saved'));
+    
+    // Track analytics
+    this.trackUserAction(userId, 'settings_updated', {
+      source: 'web_app',
+      settings: result.error ? [] : Object.keys(data.settings)
+    });
+  }
+
+  /**
+   * Handle stats command (/stats [days]), for bot admins only
+   * @param {Object} ctx - Telegram context
+   */
+  async handleStatsCommand(ctx) {
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    if (!this.isAdmin(userId)) {
+      await ctx.reply(this.t(locale, 'stats.admin_only'));
+      return;
+    }
+    
+    const requested = parseInt(ctx.message.text.split(' ')[1], 10);
+    const days = Number.isInteger(requested) && requested > 0 ? Math.min(requested, 90) : 7;
+    const report = await this.analytics.getReport(days);
+    
+    if (!report) {
+      await ctx.reply(this.t(locale, 'stats.unavailable'));
+      return;
+    }
+    
+    await ctx.reply(this.formatStatsReport(locale, report));
+    
+    // Track analytics
+    this.trackUserAction(userId, 'command_used', { command: 'stats' });
+  }
+
+  /**
+   * Format the analytics report for /stats
+   * @param {string} locale - Language code
+   * @param {Object} report - Report from AnalyticsPipeline.getReport
+   * @returns {string} Report text
+   */
+  formatStatsReport(locale, report) {
+    const percent = value => `${Math.round(value * 100)}%`;
+    const completionRate = report.gamesStarted > 0 ? report.gamesCompleted / report.gamesStarted : 0;
+    
+    let text = `${this.t(locale, 'stats.title', { from: report.from, to: report.to })}\n\n`;
+    text += `${this.t(locale, 'stats.dau', {
+      today: report.activeUsersToday,
+      average: Math.round(report.averageActiveUsers * 10) / 10
+    })}\n`;
+    text += `${this.t(locale, 'stats.games', {
+      started: report.gamesStarted,
+      completed: report.gamesCompleted,
+      rate: percent(completionRate)
+    })}\n\n`;
+    text += `${this.t(locale, 'stats.funnel')}\n`;
+    
+    report.funnel.forEach((step, index) => {
+      const name = this.t(locale, `stats.steps.${step.step}`);
+      text += index === 0
+        ? `${index + 1}. ${name}: ${step.users}\n`
+        : `${index + 1}. ${this.t(locale, 'stats.step', { name, users: step.users, dropOff: percent(step.dropOff) })}\n`;
+    });
+    
+    return text;
+  }
+
+  /**
+   * Handle admin command (/admin ban|unban|wipe|coins|game|sessions|broadcast|audit), for bot admins only
+   * @param {Object} ctx - Telegram context
+   */
+  async handleAdminCommand(ctx) {
+    const adminId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    if (!this.isAdmin(adminId)) {
+      await ctx.reply(this.t(locale, 'admin.admin_only'));
+      return;
+    }
+    
+    // Replies show user IDs and session details, so they stay out of groups
+    if (ctx.chat.type !== 'private') {
+      await ctx.reply(this.t(locale, 'admin.private_only'));
+      return;
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1);
+    const subcommand = (args[0] || '').toLowerCase();
+    const userId = Number(args[1]);
+    const gameId = subcommand === 'game' ? args[1] : args[2];
+    const game = this.games[gameId];
+    const params = { userId, gameId, game: game ? game.name : gameId };
+    const userCommands = ['ban', 'unban', 'wipe', 'coins', 'sessions'];
+    
+    if (userCommands.includes(subcommand) && !Number.isInteger(userId)) {
+      await ctx.reply(this.t(locale, 'admin.usage'));
+      return;
+    }
+    
+    let text;
+    
+    if (subcommand === 'ban') {
+      const result = await this.admin.ban(adminId, userId, args.slice(2).join(' ').trim());
+      text = this.t(locale, result.error || 'admin.banned', params);
+    } else if (subcommand === 'unban') {
+      const result = await this.admin.unban(adminId, userId);
+      text = this.t(locale, result.error || 'admin.unbanned', params);
+    } else if (subcommand === 'wipe') {
+      const result = await this.admin.wipeScores(adminId, userId, gameId);
+      text = this.t(locale, result.error || 'admin.wiped', { ...params, count: result.count });
+    } else if (subcommand === 'coins') {
+      const amount = Number(args[2]);
+      const result = await this.admin.grantCoins(adminId, userId, amount);
+      text = this.t(locale, result.error || 'admin.coins_granted', { ...params, amount, balance: result.balance });
+    } else if (subcommand === 'game' && ['on', 'off'].includes(args[2])) {
+      const result = await this.admin.setGameEnabled(adminId, gameId, args[2] === 'on');
+      text = this.t(locale, result.error || `admin.game_${args[2]}`, params);
+    } else if (subcommand === 'sessions') {
+      text = this.formatAdminSessions(locale, userId, await this.admin.getSessions(adminId, userId));
+    } else if (subcommand === 'broadcast' && args.slice(1).join(' ').trim()) {
+      // Queuing pages through every user, so it runs on after the reply and reports back when done
+      this.admin.broadcast(adminId, args.slice(1).join(' ').trim())
+        .then(result => ctx.reply(this.t(locale, 'admin.broadcast_queued', { count: result.queued })))
+        .catch(error => console.error('Error queuing broadcast:', error));
+      
+      text = this.t(locale, 'admin.broadcast_started');
+    } else if (subcommand === 'quarantine' && ['approve', 'reject'].includes(args[1]) && args[2]) {
+      const approve = args[1] === 'approve';
+      const result = await this.admin.reviewScore(adminId, args[2], approve);
+      text = this.t(locale, result.error || (approve ? 'admin.score_approved' : 'admin.score_rejected'), { scoreId: args[2] });
+    } else if (subcommand === 'refund' && args[1]) {
+      const result = await this.admin.refund(adminId, args[1]);
+      text = this.t(locale, result.error || 'admin.refunded', {
+        paymentId: args[1],
+        userId: result.payment ? result.payment.userId : null,
+        stars: result.payment ? result.payment.stars : null
+      });
+    } else if (subcommand === 'quarantine' && !args[1]) {
+      text = this.formatQuarantine(locale, await this.admin.getQuarantinedScores(adminId));
+    } else if (subcommand === 'audit') {
+      const requested = parseInt(args[1], 10);
+      const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, 50) : 10;
+      text = this.formatAuditLog(locale, await this.admin.getAuditLog(limit));
+    } else {
+      text = this.t(locale, 'admin.usage');
+    }
+    
+    await ctx.reply(text);
+    
+    // Track analytics
+    this.trackUserAction(adminId, 'command_used', { command: 'admin', subcommand: subcommand || null });
+  }
+
+  /**
+   * Format a user's live sessions for /admin sessions
+   * @param {string} locale - Language code
+   * @param {number} userId - User ID
+   * @param {Array} sessions - Sessions, newest first
+   * @returns {string} Sessions text
+   */
+  formatAdminSessions(locale, userId, sessions) {
+    if (sessions.length === 0) {
+      return this.t(locale, 'admin.no_sessions', { userId });
+    }
+    
+    let text = `${this.t(locale, 'admin.sessions_title', { userId })}\n`;
+    
+    sessions.forEach(session => {
+      const game = this.games[session.gameId];
+      let status = this.t(locale, session.offline ? 'admin.session_offline' : 'admin.session_playing');
+      
+      if (session.completed) {
+        status = this.t(locale, 'admin.session_completed', { score: session.score });
+      }
+      
+      text += `- ${this.t(locale, 'admin.session_line', {
+        game: game ? game.name : session.gameId,
+        started: formatTimestamp(session.startTime),
+        status
+      })}\n`;
+    });
+    
+    return text;
+  }
+
+  /**
+   * Format quarantined scores for /admin quarantine
+   * @param {string} locale - Language code
+   * @param {Array} scores - Pending scores, oldest first
+   * @returns {string} Quarantine text
+   */
+  formatQuarantine(locale, scores) {
+    if (scores.length === 0) {
+      return this.t(locale, 'admin.quarantine_empty');
+    }
+    
+    let text = `${this.t(locale, 'admin.quarantine_title')}\n`;
+    
+    scores.forEach(record => {
+      const game = this.games[record.gameId];
+      text += `- ${this.t(locale, 'admin.quarantine_line', {
+        scoreId: record.id,
+        userId: record.userId,
+        game: game ? game.name : record.gameId,
+        score: record.score,
+        created: formatTimestamp(record.createdAt)
+      })}\n  ${(record.reasons || []).join('; ')}\n`;
+    });
+    
+    return text;
+  }
+
+  /**
+   * Format audit log entries for /admin audit
+   * @param {string} locale - Language code
+   * @param {Array} entries - Entries, newest first
+   * @returns {string} Audit log text
+   */
+  formatAuditLog(locale, entries) {
+    if (entries.length === 0) {
+      return this.t(locale, 'admin.audit_empty');
+    }
+    
+    let text = `${this.t(locale, 'admin.audit_title')}\n`;
+    
+    entries.forEach(entry => {
+      const details = Object.keys(entry.details || {}).length > 0 ? ` ${JSON.stringify(entry.details)}` : '';
+      text += `- ${formatTimestamp(entry.createdAt)} · ${entry.adminId} · ${entry.action} ${entry.target}${details}\n`;
+    });
+    
+    return text;
+  }
+
+  /**
+   * Middleware that stops updates from banned users before any handler runs
+   * @param {Object} ctx - Telegram context
+   * @param {Function} next - Next middleware
+   */
+  async filterBannedUsers(ctx, next) {
+    let user = null;
+    
+    try {
+      user = ctx.from ? await this.repository.getUser(ctx.from.id) : null;
+    } catch (error) {
+      // Without storage the handlers fail and report it themselves
+      console.error('Error checking ban:', error);
+    }
+    
+    // Payments already charged are still delivered
+    if (!user || !user.banned || (ctx.message && ctx.message.successful_payment)) {
+      return next();
+    }
+    
+    try {
+      const text = this.t(await this.getLocale(ctx), 'errors.banned');
+      
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery(text, { show_alert: true });
+      } else if (ctx.preCheckoutQuery) {
+        await ctx.answerPreCheckoutQuery(false, text);
+      } else if (ctx.message && ctx.chat.type === 'private') {
+        await ctx.reply(text);
+      }
+    } catch (error) {
+      console.error('Error answering banned user:', error);
+    }
+  }
+
+  /**
+   * Check whether a user is a bot admin
+   * @param {number} userId - User ID
+   * @returns {boolean} Whether the user is listed in the adminIds config
+   */
+  isAdmin(userId) {
+    return this.adminIds.has(userId);
+  }
+
+  /**
+   * Check whether a user administers the current chat
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} Whether the user is an admin or the creator
+   */
+  async isChatAdmin(ctx, userId) {
+    const member = await ctx.getChatMember(userId);
+    return member.status === 'creator' || member.status === 'administrator';
+  }
+
+  /**
+   * Declare the inline button actions handled by the bot
+   * @returns {CallbackRouter} Router with every callback route
+   */
+  createCallbackRouter() {
+    const game = { name: 'gameId', test: gameId => Boolean(this.games[gameId]) };
+    const period = { name: 'period', test: value => Object.values(LEADERBOARD_PERIODS).includes(value) };
+    
+    return new CallbackRouter()
+      // Recommended games carry the reason they were recommended
+      .register('game', {
+        params: [game, { name: 'reason', test: reason => Object.values(RECOMMENDATION_REASONS).includes(reason), optional: true }],
+        handler: (ctx, { gameId, reason }) => this.startGame(ctx, gameId, reason || null)
+      })
+      .register('howtoplay', {
+        params: [game],
+        handler: (ctx, { gameId }) => this.showHowToPlay(ctx, gameId)
+      })
+      .register('leaderboard', {
+        params: [game, { ...period, optional: true }],
+        handler: (ctx, params) => this.showLeaderboardInPlace(ctx, params.gameId, params.period || undefined)
+      })
+      .register('game_menu', {
+        handler: (ctx) => this.openGameMenu(ctx)
+      })
+      .register('myrank', {
+        params: [period, { name: 'scope', test: /^(global|friends)$/ }, { ...game, optional: true }],
+        handler: (ctx, params) => this.showUserRanking(ctx, ctx.from.id, params.gameId, params.period, params.scope === 'friends')
+      })
+      // Buttons sent before leaderboard periods existed carry only the game ID
+      .register('myrank', {
+        params: [{ ...game, optional: true }],
+        handler: (ctx, { gameId }) => this.showUserRanking(ctx, ctx.from.id, gameId)
+      })
+      .register('claim_rewards', {
+        handler: (ctx) => this.claimQuestRewards(ctx, ctx.from.id)
+      })
+      .register('tournament_join', {
+        handler: (ctx) => this.joinTournamentFromButton(ctx)
+      })
+      .register('tournament_play', {
+        params: [{ name: 'tournamentId', test: /^[\w-]+$/ }],
+        handler: (ctx, { tournamentId }) => this.requestMatchLink(ctx, tournamentId)
+      })
+      .register('shop', {
+        params: [{ name: 'productId', test: productId => Boolean(this.shop.getProduct(productId)) }],
+        handler: (ctx, { productId }) => this.sendShopInvoice(ctx, productId)
+      })
+      .register('language', {
+        params: [{ name: 'language', test: code => Boolean(this.i18n.normalize(code)) }],
+        handler: (ctx, { language }) => this.setLanguageFromButton(ctx, language)
+      })
+      .register('settings', {
+        handler: (ctx) => this.showSettingsMenu(ctx)
+      })
+      .register('settings', {
+        params: [{ name: 'name', test: name => Boolean(SETTINGS[name]) }, { name: 'value', test: /^[\w-]+$/ }],
+        handler: (ctx, { name, value }) => this.changeSettingFromButton(ctx, name, value)
+      })
+      .register('settings_timezone', {
+        handler: (ctx) => this.showTimezoneHelp(ctx)
+      })
+      .register('settings_games', {
+        handler: (ctx) => this.showGameSettingsList(ctx)
+      })
+      .register('settings_game', {
+        params: [game, { name: 'option', test: /^\w+$/, optional: true }, { name: 'value', test: /^[\w-]+$/, optional: true }],
+        handler: (ctx, { gameId, option, value }) => this.showGameSettings(ctx, gameId, option, value)
+      });
+  }
+
+  /**
+   * Handle callback query from inline buttons
+   * @param {Object} ctx - Telegram context
+   */
+  async handleCallbackQuery(ctx) {
+    const callbackData = ctx.callbackQuery.data;
+    const userId = ctx.from.id;
+    const match = this.callbacks.match(callbackData);
+    
+    // Unknown actions and buttons that outlived their game or format get a notice
+    if (match.error) {
+      await ctx.answerCbQuery(this.t(await this.getLocale(ctx), `callback.${match.error}`), {
+        show_alert: match.error === 'stale'
+      });
+    } else {
+      await match.route.handler(ctx, match.params);
+    }
+    
+    // Track analytics
+    this.trackUserAction(userId, 'button_clicked', { callbackData, error: match.error || null });
+  }
+
+  /**
+   * Send the tournament match link requested from a bracket post
+   * @param {Object} ctx - Telegram context
+   * @param {string} tournamentId - Tournament ID
+   */
+  async requestMatchLink(ctx, tournamentId) {
+    const result = await this.tournaments.sendMatchLink(tournamentId, ctx.from.id);
+    
+    await ctx.answerCbQuery(this.t(await this.getLocale(ctx), result.error || 'tournament.match_link_sent'), {
+      show_alert: Boolean(result.error)
+    });
+  }
+
+  /**
+   * Show a game's tutorial in place of its invitation
+   * 
+   * Steps come from the game's howToPlay config (a list of steps, or lists
+   * keyed by language), falling back to generic steps for the game type.
+   * @param {Object} ctx - Telegram context
+   * @param {string} gameId - Game ID
+   */
+  async showHowToPlay(ctx, gameId) {
+    const game = this.games[gameId];
+    const locale = await this.getLocale(ctx);
+    
+    let text = `${this.t(locale, 'tutorial.title', { name: game.name })}\n\n${game.description}\n\n`;
+    this.getTutorialSteps(game, locale).forEach((step, index) => {
+      text += `${index + 1}. ${step}\n`;
+    });
+    
+    // Keep the invitation's buttons so the session can still be played
+    await this.editCallbackMessage(ctx, text, {
+      parse_mode: 'Markdown',
+      reply_markup: ctx.callbackQuery.message.reply_markup
+    });
+    await ctx.answerCbQuery();
+  }
+
+  /**
+   * Get the tutorial steps of a game
+   * @param {Object} game - Game config
+   * @param {string} locale - Language code
+   * @returns {Array<string>} Steps
+   */
+  getTutorialSteps(game, locale) {
+    const { howToPlay } = game;
+    const steps = howToPlay && typeof howToPlay === 'object' && !Array.isArray(howToPlay)
+      ? howToPlay[locale] || howToPlay[this.i18n.defaultLanguage]
+      : howToPlay;
+    
+    if (steps && steps.length > 0) {
+      return [].concat(steps);
+    }
+    
+    const key = Object.values(GAME_TYPES).includes(game.type) ? `tutorial.types.${game.type}` : 'tutorial.default';
+    return this.t(locale, key).split('\n');
+  }
+
+  /**
+   * Show a game's leaderboard in place of the message the button is on
+   * @param {Object} ctx - Telegram context
+   * @param {string} gameId - Game ID
+   * @param {string} period - Leaderboard period
+   */
+  async showLeaderboardInPlace(ctx, gameId, period = LEADERBOARD_PERIODS.ALL_TIME) {
+    const locale = await this.getLocale(ctx);
+    const text = await this.formatLeaderboard(ctx, locale, { gameId, period }) ||
+      `${this.t(locale, 'leaderboard.title_game', { game: this.games[gameId].name })}\n\n${this.t(locale, 'leaderboard.empty')}`;
+    
+    // One button per period; the current one is marked
+    const periodButtons = Object.values(LEADERBOARD_PERIODS).map(value => Markup.button.callback(
+      `${value === period ? '• ' : ''}${this.t(locale, `leaderboard.periods.${value}`)}`,
+      `leaderboard:${gameId}:${value}`
+    ));
+    
+    await this.editCallbackMessage(ctx, text, Markup.inlineKeyboard([
+      periodButtons,
+      [
+        Markup.button.callback(this.t(locale, 'completion.play_again'), `game:${gameId}`),
+        Markup.button.callback(this.t(locale, 'leaderboard.my_ranking'), `myrank:${period}:global:${gameId}`)
+      ]
+    ]));
+    await ctx.answerCbQuery();
+  }
+
+  /**
+   * Open the game menu from a button, e.g. the group welcome message
+   * @param {Object} ctx - Telegram context
+   */
+  async openGameMenu(ctx) {
+    await ctx.answerCbQuery();
+    await this.handleNewGameCommand(ctx);
+  }
+
+  /**
+   * Edit the message a button was pressed on
+   * @param {Object} ctx - Telegram context
+   * @param {string} text - New text
+   * @param {Object} extra - Message options
+   */
+  async editCallbackMessage(ctx, text, extra) {
+    try {
+      await ctx.editMessageText(text, extra);
+    } catch (error) {
+      // Pressing the same button again renders identical content
+      if (!String(error.description || error.message).includes('message is not modified')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Start a game for a user
+   * @param {Object} ctx - Telegram context
+   * @param {string} gameId - ID of the game to start
+   * @param {string|null} recommendation - Reason the game was recommended, if started from a recommendation
+   */
+  async startGame(ctx, gameId, recommendation = null) {
+    const userId = ctx.from.id;
+    const chatId = ctx.callbackQuery.message.chat.id;
+    const locale = await this.getLocale(ctx);
+    
+    // Check if the game exists
+    if (!this.games[gameId]) {
+      await ctx.answerCbQuery(this.t(locale, 'game.not_found'));
+      return;
+    }
+    
+    const game = this.games[gameId];
+    const user = await this.repository.getUser(userId);
+    
+    // Buttons sent before a game was switched off or its window closed still arrive
+    if (!this.isGameAvailable(gameId, user)) {
+      await ctx.answerCbQuery(this.t(locale, 'game.unavailable'), { show_alert: true });
+      return;
+    }
+    
+    // Premium games and bundles need a purchased entitlement
+    if (!this.shop.canPlay(user, game)) {
+      await ctx.answerCbQuery(this.t(locale, 'shop.locked'), { show_alert: true });
+      return;
+    }
+    
+    // Multiplayer games are played in a shared room instead of a personal session
+    if (game.type === GAME_TYPES.MULTIPLAYER) {
+      await this.createMultiplayerRoom(ctx, gameId);
+      return;
+    }
+    
+    // Friends in a group can watch the game live unless the player opted out
+    const watchId = chatId !== userId && this.settings.resolve(user).allowSpectators
+      ? this.spectators.generateWatchId()
+      : null;
+    
+    // Create a new game session
+    const { sessionId, gameUrl } = await this.createGameSession(userId, gameId, chatId, { watchId });
+    
+    if (watchId) {
+      this.spectators.openChannel(watchId, {
+        sessionId,
+        userId,
+        gameId,
+        chatId,
+        player: ctx.from.first_name
+      });
+    }
+    
+    // Send game invitation message
+    await ctx.editMessageText(
+      this.t(locale, 'game.invitation', { name: game.name, description: game.description }),
+      { parse_mode: 'Markdown', ...this.getGameButtons(gameId, gameUrl, locale, watchId) }
+    );
+    
+    // Track game start
+    this.trackUserAction(userId, 'game_started', { gameId, recommendation });
+  }
+
+  /**
+   * Create a multiplayer room and post its invitation
+   * @param {Object} ctx - Telegram context
+   * @param {string} gameId - ID of a multiplayer game
+   */
+  async createMultiplayerRoom(ctx, gameId) {
+    const userId = ctx.from.id;
+    const chatId = ctx.callbackQuery.message.chat.id;
+    const game = this.games[gameId];
+    const room = this.multiplayer.createRoom(chatId, gameId, userId);
+    const locale = await this.getLocale(ctx);
+    
+    // Deep links open the room in a private chat, where Web App buttons are available
+    const roomButtons = Markup.inlineKeyboard([
+      [Markup.button.url(this.t(locale, 'room.join'), `https://t.me/${this.botUsername}?start=room_${room.id}`)],
+      [Markup.button.url(this.t(locale, 'room.watch'), `https://t.me/${this.botUsername}?start=watch_${room.id}`)]
+    ]);
+    
+    await ctx.editMessageText(
+      this.t(locale, 'room.invitation', {
+        name: game.name,
+        description: game.description,
+        min: room.minPlayers,
+        max: room.maxPlayers
+      }),
+      { parse_mode: 'Markdown', ...roomButtons }
+    );
+    
+    // Track room creation
+    this.trackUserAction(userId, 'room_created', { gameId, roomId: room.id });
+  }
+
+  /**
+   * Open a multiplayer room from a deep link
+   * @param {Object} ctx - Telegram context
+   * @param {string} roomId - Room ID
+   * @param {string} role - 'player' or 'spectator'
+   */
+  async openRoom(ctx, roomId, role) {
+    const room = this.multiplayer.getRoom(roomId);
+    const locale = await this.getLocale(ctx);
+    
+    if (!room || room.status === ROOM_STATUS.FINISHED) {
+      await ctx.reply(this.t(locale, 'room.closed'));
+      return;
+    }
+    
+    const game = this.games[room.gameId];
+    const roomUrl = `${this.webAppUrl}/room?room=${roomId}&role=${role}`;
+    const label = this.t(locale, role === 'spectator' ? 'room.watch_game' : 'room.enter');
+    
+    await ctx.reply(
+      this.t(locale, 'room.status', { name: game.name, players: room.players.size, max: room.maxPlayers }),
+      Markup.inlineKeyboard([[Markup.button.webApp(label, roomUrl)]])
+    );
+  }
+
+  /**
+   * Open the live view of a watched game from a deep link
+   * @param {Object} ctx - Telegram context
+   * @param {string} watchId - Watch ID
+   */
+  async openSpectatorView(ctx, watchId) {
+    const channel = this.spectators.getChannel(watchId);
+    const locale = await this.getLocale(ctx);
+    
+    if (!channel || channel.status === CHANNEL_STATUS.ENDED) {
+      await ctx.reply(this.t(locale, 'spectate.ended'));
+      return;
+    }
+    
+    const game = this.games[channel.gameId];
+    const watchUrl = `${this.webAppUrl}/watch?watch=${watchId}`;
+    
+    await ctx.reply(
+      this.t(locale, 'spectate.status', { player: channel.player, name: game.name, count: channel.spectators.size }),
+      Markup.inlineKeyboard([[Markup.button.webApp(this.t(locale, 'spectate.open'), watchUrl)]])
+    );
+  }
+
+  /**
+   * Create and store a new game session
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} chatId - Chat the session was started from
+   * @param {Object} extra - Additional session fields (e.g. challengeId, difficulty)
+   * @returns {Promise<Object>} { sessionId, sessionToken, gameUrl, difficulty }
+   */
+  async createGameSession(userId, gameId, chatId, extra = {}) {
+    const sessionId = this.generateSessionId();
+    const startTime = Date.now();
+    
+    // Scores compared between players are played at the same difficulty
+    const shared = extra.challengeId || extra.tournamentId || chatId !== userId;
+    const difficulty = extra.difficulty ||
+      (shared ? STANDARD_DIFFICULTY : await this.skills.recommend(userId, gameId));
+    
+    // The Web App sends the signed token back with the completion
+    const sessionToken = this.sessionTokens.sign({ sessionId, userId, gameId, chatId, startTime });
+    const gameUrl = this.buildGameUrl(gameId, sessionToken, difficulty, extra.watchId);
+    
+    // Store session info
+    await this.sessionStore.create(sessionId, {
+      userId,
+      gameId,
+      chatId,
+      startTime,
+      expiresAt: startTime + this.sessionTtl,
+      score: 0,
+      completed: false,
+      ...extra,
+      difficulty
+    });
+    
+    return { sessionId, sessionToken, gameUrl, difficulty };
+  }
+
+  /**
+   * Build the Web App URL a session is played at
+   * @param {string} gameId - Game ID
+   * @param {string} sessionToken - Signed session token
+   * @param {string} difficulty - Difficulty of the session
+   * @param {string|null} watchId - Watch ID if the session streams to spectators
+   * @returns {string} Game URL
+   */
+  buildGameUrl(gameId, sessionToken, difficulty, watchId = null) {
+    const gameUrl = `${this.webAppUrl}/play?game=${gameId}&token=${sessionToken}&difficulty=${difficulty}`;
+    return watchId ? `${gameUrl}&watch=${watchId}` : gameUrl;
+  }
+
+  /**
+   * Get the game URL of a session that has not been played yet, to send its link again
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string|null>} Game URL, or null if the session expired or was completed
+   */
+  async getOpenSessionUrl(sessionId) {
+    const session = sessionId ? await this.sessionStore.get(sessionId) : null;
+    
+    if (!session || session.completed) {
+      return null;
+    }
+    
+    // Tokens are deterministic, so this is the token the session was issued with
+    const { userId, gameId, chatId, startTime } = session;
+    const sessionToken = this.sessionTokens.sign({ sessionId, userId, gameId, chatId, startTime });
+    
+    return this.buildGameUrl(gameId, sessionToken, session.difficulty, session.watchId);
+  }
+
+  /**
+   * Build the buttons shown with a game invitation
+   * @param {string} gameId - Game ID
+   * @param {string} gameUrl - Web App URL of the session
+   * @param {string} locale - Language of the button labels
+   * @param {string|null} watchId - Watch ID if the session can be watched live
+   * @returns {Object} Inline keyboard markup
+   */
+  getGameButtons(gameId, gameUrl, locale, watchId = null) {
+    const buttons = [
+      [Markup.button.webApp(this.t(locale, 'game.play_now'), gameUrl)],
+      [Markup.button.callback(this.t(locale, 'game.how_to_play'), `howtoplay:${gameId}`)]
+    ];
+    
+    // Deep links open the viewer in a private chat, where Web App buttons are available
+    if (watchId) {
+      buttons.push([Markup.button.url(
+        this.t(locale, 'spectate.watch'),
+        `https://t.me/${this.botUsername}?start=spectate_${watchId}`
+      )]);
+    }
+    
+    return Markup.inlineKeyboard(buttons);
+  }
+
+  /**
+   * Show user's ranking
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID (optional)
+   */
+  async showUserRanking(ctx, userId, gameId, period = LEADERBOARD_PERIODS.ALL_TIME, friends = false) {
+    // Get user's ranking
+    const ranking = await this.getUserRanking(userId, gameId, {
+      period,
+      userIds: friends ? await this.getFriendIds(userId) : null
+    });
+    const locale = await this.getLocale(ctx);
+    
+    if (!ranking) {
+      const key = period === LEADERBOARD_PERIODS.ALL_TIME ? 'ranking.none' : 'ranking.none_period';
+      await ctx.answerCbQuery(this.t(locale, key), { show_alert: true });
+      return;
+    }
+    
+    let rankingText = `${this.formatLeaderboardScope(locale, period, friends)}\n`;
+    const params = { position: ranking.position, total: ranking.totalPlayers, score: ranking.score };
+    
+    if (gameId && this.games[gameId]) {
+      rankingText += this.t(locale, 'ranking.game', { game: this.games[gameId].name, ...params });
+    } else {
+      rankingText += this.t(locale, 'ranking.global', params);
+    }
+    
+    await ctx.answerCbQuery(rankingText, { show_alert: true });
+  }
+
+  /**
+   * Claim quest rewards for a user
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   */
+  async claimQuestRewards(ctx, userId) {
+    // Get completed quests
+    const quests = await this.getUserDailyQuests(userId);
+    const completedUnclaimed = quests.filter(q => q.completed && !q.claimed);
+    const locale = await this.getLocale(ctx);
+    
+    if (completedUnclaimed.length === 0) {
+      await ctx.answerCbQuery(this.t(locale, 'daily.none_to_claim'), { show_alert: true });
+      return;
+    }
+    
+    // Claim and credit in one step so repeated taps can't pay out twice
+    const totalRewards = await this.markQuestsAsClaimed(userId, completedUnclaimed.map(q => q.id));
+    
+    if (totalRewards === 0) {
+      await ctx.answerCbQuery(this.t(locale, 'daily.none_to_claim'), { show_alert: true });
+      return;
+    }
+    
+    // Update the quests message
+    await this.handleDailyQuestsCommand(ctx);
+    
+    await ctx.answerCbQuery(this.t(locale, 'daily.claimed', { count: totalRewards }), { show_alert: true });
+    
+    // Track analytics
+    this.trackUserAction(userId, 'rewards_claimed', { amount: totalRewards });
+  }
+
+  /**
+   * Handle game query
+   * @param {Object} ctx - Telegram context
+   */
+  async handleGameQuery(ctx) {
+    const query = ctx.callbackQuery;
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    // Game messages identify the game by the short name registered with BotFather
+    const gameEntry = this.getEnabledGames()
+      .find(([_, game]) => game.shortName === query.game_short_name);
+    
+    if (!gameEntry) {
+      await ctx.answerCbQuery(this.t(locale, 'game.not_found'), { show_alert: true });
+      return;
+    }
+    
+    const [gameId, game] = gameEntry;
+    const user = await this.ensureUserRegistered(userId, ctx.from);
+    
+    // Shared game messages reach players the game isn't offered to
+    if (!this.isGameAvailable(gameId, user)) {
+      await ctx.answerCbQuery(this.t(locale, 'game.unavailable'), { show_alert: true });
+      return;
+    }
+    
+    if (!this.shop.canPlay(user, game)) {
+      await ctx.answerCbQuery(this.t(locale, 'shop.locked'), { show_alert: true });
+      return;
+    }
+    
+    // Scores are reported back to the message the game was launched from
+    const gameMessage = query.inline_message_id
+      ? { inlineMessageId: query.inline_message_id }
+      : { chatId: query.message.chat.id, messageId: query.message.message_id };
+    
+    // Results of games shared inline go to the player's private chat
+    const { gameUrl } = await this.createGameSession(userId, gameId, query.message ? query.message.chat.id : userId, {
+      gameMessage,
+      // Firestore rejects undefined fields, and users may have no username or language
+      player: {
+        id: userId,
+        username: ctx.from.username || null,
+        first_name: ctx.from.first_name,
+        language_code: ctx.from.language_code || null
+      }
+    });
+    
+    await ctx.answerGameQuery(`${gameUrl}&source=game_message`);
+    
+    // Track game start
+    this.trackUserAction(userId, 'game_started', { gameId, source: 'game_message' });
+  }
+
+  /**
+   * Set the player's score on the Telegram game message a session was launched from
+   * @param {Object} session - Completed session with a gameMessage
+   * @param {number} score - Final score
+   */
+  async reportGameScore(session, score) {
+    const { inlineMessageId, chatId, messageId } = session.gameMessage;
+    
+    try {
+      await this.bot.telegram.setGameScore(session.userId, Math.floor(score), inlineMessageId, chatId, messageId);
+    } catch (error) {
+      // Telegram only accepts scores above the player's current one on the message
+      if (!String(error.description || error.message).includes('BOT_SCORE_NOT_MODIFIED')) {
+        console.error('Error setting game score:', error);
+      }
+    }
+  }
+
+  /**
+   * Format the high score table of the Telegram game message a session was launched from
+   * @param {Object} session - Session with a gameMessage
+   * @param {string} locale - Language code
+   * @returns {Promise<string>} Markdown section, empty if the table is unavailable
+   */
+  async formatGameHighScores(session, locale) {
+    const { inlineMessageId, chatId, messageId } = session.gameMessage;
+    let highScores;
+    
+    try {
+      highScores = await this.bot.telegram.getGameHighScores(session.userId, inlineMessageId, chatId, messageId);
+    } catch (error) {
+      console.error('Error getting game high scores:', error);
+      return '';
+    }
+    
+    if (!highScores || highScores.length === 0) {
+      return '';
+    }
+    
+    let text = `\n${this.t(locale, 'completion.high_scores')}\n`;
+    highScores.forEach(entry => {
+      const name = escapeMarkdown(entry.user.username || entry.user.first_name);
+      text += `${entry.position}. ${name}: ${entry.score}\n`;
+    });
+    
+    return text;
+  }
+
+  /**
+   * Handle Web App data
+   * @param {Object} ctx - Telegram context
+   */
+  async handleWebAppData(ctx) {
+    const userId = ctx.from.id;
+    const data = ctx.webAppData.data;
+    
+    try {
+      // Parse the data from the Web App
+      const parsedData = JSON.parse(data);
+      
+      if (parsedData.type === 'game_completed') {
+        // Handle game completion
+        await this.handleGameCompletion(ctx, userId, parsedData);
+      } else if (parsedData.type === 'challenge_created') {
+        // Handle challenge creation
+        await this.handleChallengeCreation(ctx, userId, parsedData);
+      } else if (parsedData.type === 'settings_update') {
+        // Handle settings update
+        await this.handleSettingsUpdate(ctx, userId, parsedData);
+      }
+    } catch (error) {
+      console.error('Error parsing Web App data:', error);
+      await ctx.reply(this.t(await this.getLocale(ctx), 'errors.web_app_parse'));
+    }
+  }
+
+  /**
+   * Handle game completion data from Web App
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   * @param {Object} data - Game completion data
+   */
+  async handleGameCompletion(ctx, userId, data) {
+    const locale = await this.getLocale(ctx);
+    
+    // Validate the signed session token
+    const validation = await this.validateCompletion(userId, data);
+    
+    if (validation.error) {
+      await ctx.reply(this.t(locale, validation.error));
+      return;
+    }
+    
+    // Mark the session completed; the session is kept a while to absorb retries
+    const endTime = Date.now();
+    const completion = await this.sessionStore.complete(validation.sessionId, {
+      score: data.score,
+      gameStats: data.gameStats || {},
+      endTime,
+      expiresAt: endTime + this.completedSessionTtl,
+      progress: {}
+    });
+    
+    if (!completion) {
+      await ctx.reply(this.t(locale, 'errors.session_invalid'));
+      return;
+    }
+    
+    const { session } = completion;
+    
+    // A retry after a failure resumes with the steps that did not run; once
+    // every step ran (or for sessions completed before progress was kept)
+    // there is nothing more to do
+    if (completion.alreadyCompleted && (!session.progress || session.progress.recorded)) {
+      return;
+    }
+    
+    // A retry records the score of the first submission, not its own
+    const { score, gameStats } = session;
+    
+    // Get game details
+    const game = this.games[session.gameId];
+    
+    // Hold implausible scores for review instead of recording them
+    const check = await this.runCompletionStep(session, 'check', async () => {
+      const { verdict, reasons } = await this.antiCheat.evaluate(session.gameId, game, session, {
+        ...data,
+        score,
+        gameStats
+      }, session.endTime);
+      
+      return { verdict, reasons };
+    });
+    
+    // Spectators only see scores that are recorded
+    if (session.watchId) {
+      this.spectators.endChannel(session.watchId, check.verdict === VERDICTS.ACCEPT ? score : null);
+    }
+    
+    if (check.verdict === VERDICTS.QUARANTINE) {
+      await this.quarantineScore(ctx, session, check.reasons);
+      return;
+    }
+    
+    // Save the score to the database
+    const saved = await this.runCompletionStep(session, 'score', async () => {
+      const { isPersonalBest, previousBest } = await this.saveGameScore(userId, session.gameId, score, gameStats, {
+        chatId: session.chatId
+      });
+      
+      return { isPersonalBest: Boolean(isPersonalBest), previousBest: previousBest === undefined ? null : previousBest };
+    });
+    
+    // Players passed on the leaderboard hear about it
+    if (saved.isPersonalBest) {
+      await this.runCompletionStep(session, 'overtaken', async () => {
+        await this.notifications.notifyOvertaken(userId, session.gameId, score, saved.previousBest);
+      });
+    }
+    
+    // Move the player's skill rating towards the difficulty they can handle
+    await this.runCompletionStep(session, 'skill', async () => {
+      await this.skills.recordResult(session, score);
+    });
+    
+    // Update the Telegram game message the session was launched from
+    if (session.gameMessage) {
+      await this.runCompletionStep(session, 'gameMessage', async () => {
+        await this.reportGameScore(session, score);
+      });
+    }
+    
+    // Report head-to-head result if the session was played for a challenge
+    if (session.challengeId) {
+      await this.runCompletionStep(session, 'challenge', async () => {
+        await this.resolveChallenge(ctx, session, score);
+      });
+    }
+    
+    // Advance the bracket if the session was a tournament match
+    if (session.tournamentId) {
+      await this.runCompletionStep(session, 'tournament', async () => {
+        await this.tournaments.recordMatchScore(session, score);
+      });
+    }
+    
+    // Count the score towards the competition of the chat it was played in
+    await this.runCompletionStep(session, 'competition', async () => {
+      await this.competitions.recordScore(session, score, ctx.from);
+    });
+    
+    // Check for quest progress
+    await this.runCompletionStep(session, 'quests', async () => {
+      await this.updateQuestProgress(userId, { gameId: session.gameId, score, gameStats });
+    });
+    
+    // Check if score is a personal best
+    const isPersonalBest = await this.isPersonalBest(userId, session.gameId, score);
+    
+    // Prepare result message
+    let resultMessage = `${this.t(locale, 'completion.title', { game: game.name })}\n\n`;
+    resultMessage += `${this.t(locale, 'completion.score', { count: score })}\n`;
+    
+    if (isPersonalBest) {
+      resultMessage += `${this.t(locale, 'completion.personal_best')}\n`;
+    }
+    
+    // Add any achievement unlocked
+    const unlockedAchievements = await this.checkForUnlockedAchievements(userId, session.gameId, score, gameStats);
+    
+    // Unlocks are stored once, so everything after this is safe to repeat
+    await this.sessionStore.recordProgress(session.sessionId, 'recorded', true);
+    
+    if (unlockedAchievements.length > 0) {
+      resultMessage += `\n${this.t(locale, 'completion.achievements')}\n`;
+      unlockedAchievements.forEach(achievement => {
+        resultMessage += `- ${this.achievements.getName(achievement, locale)}: ${this.achievements.getDescription(achievement, locale)}\n`;
+      });
+    }
+    
+    // Add quest progress
+    const questsUpdated = await this.getUpdatedQuests(userId);
+    
+    if (questsUpdated.length > 0) {
+      resultMessage += `\n${this.t(locale, 'completion.quests')}\n`;
+      questsUpdated.forEach(quest => {
+        resultMessage += `- ${this.quests.getDescription(quest, locale)}: ${quest.progress}/${quest.target}\n`;
+      });
+    }
+    
+    // Add the game message's own high score table
+    if (session.gameMessage) {
+      resultMessage += await this.formatGameHighScores(session, locale);
+    }
+    
+    // Buttons for result message
+    const resultButtons = Markup.inlineKeyboard([
+      [Markup.button.callback(this.t(locale, 'completion.play_again'), `game:${session.gameId}`)],
+      [Markup.button.callback(this.t(locale, 'completion.view_leaderboard'), `leaderboard:${session.gameId}`)]
+    ]);
+    
+    // Send result message
+    await ctx.replyWithMarkdown(resultMessage, resultButtons);
+    
+    // Track analytics
+    this.trackUserAction(userId, 'game_completed', {
+      gameId: session.gameId,
+      score,
+      duration: session.endTime - session.startTime
+    });
+  }
+
+  /**
+   * Validate a completion against its signed session token
+   * @param {number} userId - User ID submitting the completion
+   * @param {Object} data - Completion data (sessionToken, score)
+   * @returns {Promise<Object>} { session, sessionId } or { error } with a locale key
+   */
+  async validateCompletion(userId, data) {
+    const claims = this.sessionTokens.verify(data.sessionToken);
+    
+    if (!claims) {
+      return { error: 'errors.session_invalid' };
+    }
+    
+    if (claims.userId !== userId) {
+      return { error: 'errors.session_owner' };
+    }
+    
+    const session = await this.sessionStore.get(claims.sessionId);
+    
+    // The token must match the session it was issued for
+    if (!session || session.userId !== userId || session.gameId !== claims.gameId ||
+      session.startTime !== claims.startTime) {
+      return { error: 'errors.session_invalid' };
+    }
+    
+    if (!Number.isFinite(data.score) || data.score < 0) {
+      return { error: 'errors.invalid_score' };
+    }
+    
+    // Banned users can't use the bot, but a Web App may still submit for them
+    const user = await this.repository.getUser(userId);
+    
+    if (user && user.banned) {
+      return { error: 'errors.banned' };
+    }
+    
+    return { session, sessionId: claims.sessionId };
+  }
+
+  /**
+   * Run a step of recording a completion once
+   * 
+   * The step is saved in the session's progress when it finishes, so a
+   * retried completion skips it and gets the value it returned back.
+   * @param {Object} session - Completed session with the progress recorded so far
+   * @param {string} step - Step name
+   * @param {Function} action - Runs the step; may return a plain value the later steps need
+   * @returns {Promise<*>} Value of the step, true if it returned nothing
+   */
+  async runCompletionStep(session, step, action) {
+    if (session.progress[step] === undefined) {
+      const value = await action();
+      session.progress[step] = value === undefined ? true : value;
+      await this.sessionStore.recordProgress(session.sessionId, step, session.progress[step]);
+    }
+    
+    return session.progress[step];
+  }
+
+  /**
+   * Put a suspicious score in the review queue
+   * @param {Object} ctx - Telegram context
+   * @param {Object} session - Completed session
+   * @param {Array<string>} reasons - Rule violations found by the anti-cheat engine
+   */
+  async quarantineScore(ctx, session, reasons) {
+    await this.runCompletionStep(session, 'quarantine', async () => {
+      await this.repository.quarantineScore({
+        userId: session.userId,
+        gameId: session.gameId,
+        chatId: session.chatId,
+        score: session.score,
+        gameStats: session.gameStats || {},
+        reasons,
+        startTime: session.startTime,
+        endTime: session.endTime
+      });
+    });
+    
+    // A quarantined score has nothing more to record
+    await this.sessionStore.recordProgress(session.sessionId, 'recorded', true);
+    
+    await ctx.reply(this.t(await this.getLocale(ctx), 'completion.quarantined', { count: session.score }));
+    
+    // Track analytics
+    this.trackUserAction(session.userId, 'score_quarantined', {
+      gameId: session.gameId,
+      score: session.score,
+      reasons
+    });
+  }
+
+  /**
+   * Get scores waiting for review
+   * @param {number} limit - Maximum number of scores
+   * @returns {Promise<Array>} Quarantined scores, oldest first
+   */
+  async getQuarantinedScores(limit = 20) {
+    return this.repository.getQuarantinedScores({ limit });
+  }
+
+  /**
+   * Approve or reject a quarantined score
+   * 
+   * Approved scores are recorded as if the game had just completed,
+   * without quest or achievement progress.
+   * @param {string} scoreId - Quarantined score ID
+   * @param {boolean} approve - Whether the score is legitimate
+   * @param {number} reviewerId - User ID of the reviewer
+   * @returns {Promise<Object|null>} Reviewed score, or null if missing or already reviewed
+   */
+  async reviewQuarantinedScore(scoreId, approve, reviewerId) {
+    const record = await this.repository.resolveQuarantinedScore(scoreId, {
+      status: approve ? 'approved' : 'rejected',
+      reviewerId
+    });
+    
+    if (record && approve) {
+      await this.saveGameScore(record.userId, record.gameId, record.score, record.gameStats, {
+        chatId: record.chatId
+      });
+    }
+    
+    return record;
+  }
+
+  /**
+   * Handle game completion submitted to the Web App backend
+   * @param {Object} user - Telegram user verified from initData
+   * @param {Object} data - Game completion data
+   * @returns {Promise<Object>} { ok } or { error }
+   */
+  async handleWebAppCompletion(user, data) {
+    const validation = await this.validateCompletion(user.id, data);
+    
+    if (validation.error) {
+      return { error: this.t(await this.getUserLocale(user.id, user.language_code), validation.error) };
+    }
+    
+    // Results are posted to the chat the session was started from
+    const ctx = this.createChatContext(validation.session.chatId, user);
+    await this.handleGameCompletion(ctx, user.id, data);
+    
+    return { ok: true };
+  }
+
+  /**
+   * Handle a completion from an HTML5 game opened from a Telegram game message
+   * 
+   * These games run outside the Web App, so the player is taken from the
+   * session the signed token refers to rather than from initData.
+   * @param {Object} data - Completion data (sessionToken, score, gameStats)
+   * @returns {Promise<Object>} { ok } or { error } with a localized message
+   */
+  async handleGameMessageCompletion(data) {
+    const claims = this.sessionTokens.verify(data.sessionToken);
+    const session = claims && await this.sessionStore.get(claims.sessionId);
+    
+    if (!session || !session.gameMessage) {
+      return { error: this.t(this.i18n.defaultLanguage, 'errors.session_invalid') };
+    }
+    
+    return this.handleWebAppCompletion(session.player, data);
+  }
+
+  /**
+   * Remove expired sessions and report the abandoned ones
+   */
+  async sweepSessions() {
+    const abandoned = await this.sessionStore.sweepExpired(Date.now());
+    
+    // Unused offline tokens were never started, so they are not abandoned games
+    abandoned.filter(session => !session.offline).forEach(session => {
+      if (session.watchId) {
+        this.spectators.endChannel(session.watchId, null);
+      }
+      
+      this.trackUserAction(session.userId, 'game_abandoned', {
+        gameId: session.gameId,
+        startTime: session.startTime
+      });
+    });
+  }
+
+  /**
+   * Build a minimal context for replying to a chat outside an update
+   * @param {number} chatId - Chat ID
+   * @param {Object} from - Telegram user the reply concerns
+   * @returns {Object} Context with reply helpers
+   */
+  createChatContext(chatId, from) {
+    const telegram = this.bot.telegram;
+    
+    return {
+      from,
+      chat: { id: chatId },
+      state: {},
+      telegram,
+      reply: (text, extra) => telegram.sendMessage(chatId, text, extra),
+      replyWithMarkdown: (text, extra) => telegram.sendMessage(chatId, text, {
+        parse_mode: 'Markdown',
+        ...extra
+      })
+    };
+  }
+
+  /**
+   * Handle inline query for sharing games
+   * @param {Object} ctx - Telegram context
+   */
+  async handleInlineQuery(ctx) {
+    const query = ctx.inlineQuery.query.toLowerCase();
+    const userId = ctx.from.id;
+    const locale = await this.getLocale(ctx);
+    
+    // Order by how well the game matches the query, then by the user's recommendations
+    const ranked = await this.recommendations.rank(await this.repository.getUser(userId));
+    const filteredGames = ranked
+      .map(entry => ({ ...entry, relevance: this.matchInlineQuery(this.games[entry.gameId], query) }))
+      .filter(entry => entry.relevance > 0)
+      .sort((a, b) => b.relevance - a.relevance)
+      .map(entry => ({ id: entry.gameId, reason: entry.reason, ...this.games[entry.gameId] }))
+      .slice(0, 50); // Limit to 50 results
+    
+    // Create inline query results
+    const results = filteredGames.map(game => ({
+      type: 'game',
+      id: game.id,
+      game_short_name: game.shortName,
+      // Telegram requires the first button of a game message to launch the game
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.game(this.t(locale, 'game.play_now'))]
+      ]).reply_markup
+    }));
+    
+    // Answer inline query
+    await ctx.answerInlineQuery(results, {
+      cache_time: 300,
+      is_personal: true
+    });
+    
+    // Track analytics
+    this.trackUserAction(userId, 'inline_query', { query });
+    this.trackRecommendations(userId, 'inline', filteredGames.map(game => ({ gameId: game.id, reason: game.reason })));
+  }
+
+  /**
+   * Score how well a game matches an inline query
+   * @param {Object} game - Game config
+   * @param {string} query - Lowercase query, empty matches every game
+   * @returns {number} 3 for a name prefix, 2 for a name match, 1 for a tag match, 0 for no match
+   */
+  matchInlineQuery(game, query) {
+    const name = game.name.toLowerCase();
+    
+    if (!query || name.startsWith(query)) {
+      return 3;
+    }
+    
+    if (name.includes(query)) {
+      return 2;
+    }
+    
+    return game.tags.some(tag => tag.toLowerCase().includes(query)) ? 1 : 0;
+  }
+
+  /**
+   * Handle new members in chat
+   * @param {Object} ctx - Telegram context
+   */
+  async handleNewMembers(ctx) {
+    const newMembers = ctx.message.new_chat_members;
+    
+    // Check if our bot is among the new members
+    const botJoined = newMembers.some(member => member.id === ctx.botInfo.id);
+    
+    if (botJoined) {
+      // Bot was added to a group
+      const chatId = ctx.chat.id;
+      const chatTitle = ctx.chat.title;
+      
+      // Save group info
+      await this.saveGroupInfo(chatId, chatTitle);
+      
+      // Send welcome message in the group's language, falling back to the adding user's
+      const locale = await this.getLocale(ctx);
+      const welcomeButtons = Markup.inlineKeyboard([
+        [Markup.button.callback(this.t(locale, 'welcome.start_playing'), 'game_menu')]
+      ]);
+      
+      await ctx.replyWithMarkdown(this.t(locale, 'welcome.group', { title: escapeMarkdown(chatTitle) }), welcomeButtons);
+      
+      // Track analytics
+      this.trackEvent('bot_added_to_group', {
+        chatId,
+        chatTitle,
+        memberCount: ctx.chat.members_count
+      });
+    }
+  }
+
+  /**
+   * Handle changes of the bot's own membership, e.g. a user blocking it
+   * @param {Object} ctx - Telegram context
+   */
+  async handleMyChatMember(ctx) {
+    const update = ctx.myChatMember;
+    
+    // In private chats 'kicked' means the user blocked the bot, 'member' that they unblocked it
+    if (update.chat.type !== 'private') {
+      return;
+    }
+    
+    const status = update.new_chat_member.status;
+    
+    if (status === 'kicked' || status === 'member') {
+      await this.repository.setBotBlocked(update.from.id, status === 'kicked');
+    }
+  }
+
+  /**
+   * Generate a unique, unguessable session ID
+   * @returns {string} Unique session ID
+   */
+  generateSessionId() {
+    return this.sessionTokens.generateSessionId();
+  }
+
+  /**
+   * Generate a challenge ID
+   * 
+   * Challenge IDs end up in public t.me links, so they are random rather
+   * than derived from the user and game.
+   * @returns {string} Challenge ID
+   */
+  generateChallengeId() {
+    return crypto.randomBytes(9).toString('base64url');
+  }
+
+  /**
+   * Build the deep link that opens a challenge
+   * @param {string} challengeId - Challenge ID
+   * @returns {string} Challenge URL
+   */
+  getChallengeUrl(challengeId) {
+    return `https://t.me/${this.botUsername}?start=challenge_${challengeId}`;
+  }
+
+  /**
+   * Create and persist a challenge
+   * @param {number} userId - Challenger's user ID
+   * @param {string} gameId - Game ID
+   * @param {Object} options - Challenge options (targetScore, chatId)
+   * @returns {Promise<Object>} Challenge record
+   */
+  async createChallenge(userId, gameId, options = {}) {
+    const challenger = await this.repository.getUser(userId);
+    const stats = challenger && challenger.gameStats[gameId];
+    const now = Date.now();
+    
+    // Default target is the challenger's best score in the game
+    const targetScore = Number.isFinite(options.targetScore)
+      ? options.targetScore
+      : (stats ? stats.bestScore : null);
+    
+    const challenge = {
+      id: this.generateChallengeId(),
+      challengerId: userId,
+      challengerName: challenger ? challenger.username : null,
+      gameId,
+      targetScore,
+      chatId: options.chatId || null,
+      createdAt: now,
+      expiresAt: now + this.challengeTtl,
+      attempts: {}
+    };
+    
+    await this.repository.saveChallenge(challenge);
+    return challenge;
+  }
+
+  /**
+   * Accept a challenge opened through a deep link
+   * @param {Object} ctx - Telegram context
+   * @param {string} challengeId - Challenge ID
+   */
+  async acceptChallenge(ctx, challengeId) {
+    const userId = ctx.from.id;
+    const challenge = await this.repository.getChallenge(challengeId);
+    const game = challenge && this.games[challenge.gameId];
+    const locale = await this.getLocale(ctx);
     
-    // Check if our bot is among the new members
-    const botJoined = newMembers.some(member => member.id === ctx.botInfo.id);
+    if (!challenge || !game) {
+      await ctx.reply(this.t(locale, 'challenge.not_found'));
+      return;
+    }
     
-    if (botJoined) {
-      // Bot was added to a group
-      const chatId = ctx.chat.id;
-      const chatTitle = ctx.chat.title;
-      
-      // Save group info
-      await this.saveGroupInfo(chatId, chatTitle);
+    if (Date.now() > challenge.expiresAt) {
+      await ctx.reply(this.t(locale, 'challenge.expired'));
+      return;
+    }
+    
+    if (challenge.challengerId === userId) {
+      await ctx.reply(this.t(locale, 'challenge.own'));
+      return;
+    }
+    
+    const attempt = challenge.attempts[userId];
+    
+    if (attempt && attempt.completedAt) {
+      await ctx.reply(this.t(locale, 'challenge.already_played'));
+      return;
+    }
+    
+    // Challenge links reach players the game isn't offered to
+    const user = await this.ensureUserRegistered(userId, ctx.from);
+    
+    if (!this.isGameAvailable(challenge.gameId, user)) {
+      await ctx.reply(this.t(locale, 'game.unavailable'));
+      return;
+    }
+    
+    if (!this.shop.canPlay(user, game)) {
+      await ctx.reply(this.t(locale, 'shop.locked'));
+      return;
+    }
+    
+    // Opening the link again sends the same session until it is played or expires
+    let gameUrl = attempt ? await this.getOpenSessionUrl(attempt.sessionId) : null;
+    
+    if (!gameUrl) {
+      // Open a session tied to the challenge
+      const created = await this.createGameSession(userId, challenge.gameId, ctx.chat.id, { challengeId });
+      gameUrl = created.gameUrl;
       
-      // Send welcome message
-      const welcomeMessage = `
-Thanks for adding me to ${chatTitle}!
+      await this.repository.saveChallengeAttempt(challengeId, userId, {
+        username: ctx.from.username || ctx.from.first_name,
+        sessionId: created.sessionId,
+        acceptedAt: Date.now(),
+        score: null,
+        completedAt: null
+      });
+    }
+    
+    // Challenger and opponent show up on each other's friends leaderboard
+    await this.repository.addFriends([challenge.challengerId, userId]);
+    
+    const challengerName = challenge.challengerName ? escapeMarkdown(challenge.challengerName) : this.t(locale, 'challenge.a_friend');
+    const target = challenge.targetScore !== null
+      ? this.t(locale, 'challenge.target', { count: challenge.targetScore })
+      : this.t(locale, 'challenge.target_open');
+    
+    await ctx.replyWithMarkdown(
+      this.t(locale, 'challenge.invitation', { challenger: challengerName, game: game.name, target }),
+      this.getGameButtons(challenge.gameId, gameUrl, locale)
+    );
+    
+    // Track analytics
+    this.trackUserAction(userId, 'challenge_accepted', {
+      challengeId,
+      gameId: challenge.gameId
+    });
+  }
+
+  /**
+   * Record a challenge attempt and report the head-to-head result to both players
+   * @param {Object} ctx - Telegram context
+   * @param {Object} session - Completed session tied to the challenge
+   * @param {number} score - Final score
+   */
+  async resolveChallenge(ctx, session, score) {
+    const challenge = await this.repository.getChallenge(session.challengeId);
+    
+    if (!challenge) {
+      return;
+    }
+    
+    const attempt = challenge.attempts[session.userId];
+    
+    // Only the session issued for the attempt counts, and only once
+    if (!attempt || attempt.sessionId !== session.sessionId || attempt.completedAt) {
+      return;
+    }
+    
+    await this.repository.saveChallengeAttempt(challenge.id, session.userId, {
+      ...attempt,
+      score,
+      completedAt: Date.now()
+    });
+    
+    // Compare against the target, or the challenger's current best if none was set
+    let targetScore = challenge.targetScore;
+    if (targetScore === null) {
+      const challenger = await this.repository.getUser(challenge.challengerId);
+      const stats = challenger && challenger.gameStats[challenge.gameId];
+      targetScore = stats ? stats.bestScore : 0;
+    }
+    
+    const opponentWon = score > targetScore;
+    await this.repository.recordVictory(opponentWon ? session.userId : challenge.challengerId);
+    
+    const result = {
+      gameId: challenge.gameId,
+      challengerName: challenge.challengerName,
+      opponentName: attempt.username || ctx.from.username || ctx.from.first_name,
+      targetScore,
+      score,
+      opponentWon
+    };
+    
+    await ctx.replyWithMarkdown(this.formatChallengeResult(await this.getLocale(ctx), result));
+    
+    // The challenger gets the result as a notification, unless they turned them off
+    await this.notifications.schedule(challenge.challengerId, NOTIFICATION_TYPES.CHALLENGE_RESULT, result, {
+      key: `${challenge.id}:${session.userId}`
+    });
+    
+    // Track analytics
+    this.trackUserAction(session.userId, 'challenge_completed', {
+      challengeId: challenge.id,
+      gameId: challenge.gameId,
+      won: opponentWon
+    });
+  }
+
+  /**
+   * Format a head-to-head challenge result
+   * @param {string} locale - Language code
+   * @param {Object} result - Result (gameId, challengerName, opponentName, targetScore, score, opponentWon)
+   * @returns {string} Markdown text
+   */
+  formatChallengeResult(locale, result) {
+    const game = this.games[result.gameId];
+    const challengerName = result.challengerName ? escapeMarkdown(result.challengerName) : this.t(locale, 'challenge.challenger');
+    const opponentName = escapeMarkdown(result.opponentName);
+    const winnerName = result.opponentWon ? opponentName : challengerName;
+    
+    return `${this.t(locale, 'challenge.result_title', { game: game.name })}\n\n` +
+      `${this.t(locale, 'challenge.result_line', { name: challengerName, count: result.targetScore })}\n` +
+      `${this.t(locale, 'challenge.result_line', { name: opponentName, count: result.score })}\n\n` +
+      this.t(locale, 'challenge.result_winner', { name: winnerName });
+  }
 
-I'm a Mini Game Bot that lets you play fun games directly in Telegram.
+  /**
+   * Handle custom challenge created from the Web App
+   * @param {Object} ctx - Telegram context
+   * @param {number} userId - User ID
+   * @param {Object} data - Challenge data (gameId, targetScore)
+   */
+  async handleChallengeCreation(ctx, userId, data) {
+    const game = this.games[data.gameId];
+    const locale = await this.getLocale(ctx);
+    
+    if (!game) {
+      await ctx.reply(this.t(locale, 'challenge.game_not_found'));
+      return;
+    }
+    
+    if (!this.isGameAvailable(data.gameId, await this.repository.getUser(userId))) {
+      await ctx.reply(this.t(locale, 'game.unavailable'));
+      return;
+    }
+    
+    // Without a target the challenger's best score is used
+    const targetScore = data.targetScore === undefined || data.targetScore === null ? null : Number(data.targetScore);
+    
+    if (targetScore !== null && (!Number.isFinite(targetScore) || targetScore < 0)) {
+      await ctx.reply(this.t(locale, 'challenge.invalid_target'));
+      return;
+    }
+    
+    const challenge = await this.createChallenge(userId, data.gameId, {
+      targetScore,
+      chatId: ctx.chat.id
+    });
+    
+    await ctx.reply(
+      this.t(locale, 'challenge.ready', { game: game.name }),
+      Markup.inlineKeyboard([
+        [Markup.button.url(this.t(locale, 'challenge.button', { game: game.name }), this.getChallengeUrl(challenge.id))]
+      ])
+    );
+    
+    // Track analytics
+    this.trackUserAction(userId, 'challenge_created', { gameId: data.gameId });
+  }
 
-*Group Commands:*
-/newgame - Start a new game
-/challenge - Challenge group members
-/leaderboard - View group rankings
+  /**
+   * Translate a locale key
+   * @param {string} locale - Language code
+   * @param {string} key - Locale key
+   * @param {Object} params - Interpolation parameters
+   * @returns {string} Translated text
+   */
+  t(locale, key, params) {
+    return this.i18n.t(locale, key, params);
+  }
 
-Get started by using /newgame command!
-      `;
-      
-      const welcomeButtons = Markup.inlineKeyboard([
-        [Markup.button.callback('Start Playing', 'game_menu')]
+  /**
+   * Resolve the language for replies to an update
+   * 
+   * Priority: the user's saved preference, the group's language, the
+   * language reported by Telegram, then the default language. The result
+   * is cached on the context for the rest of the update.
+   * @param {Object} ctx - Telegram context
+   * @returns {Promise<string>} Language code
+   */
+  async getLocale(ctx) {
+    if (ctx.state && ctx.state.locale) {
+      return ctx.state.locale;
+    }
+    
+    const from = ctx.from || {};
+    const isGroup = ctx.chat && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+    let locale;
+    
+    try {
+      const [user, group] = await Promise.all([
+        from.id ? this.repository.getUser(from.id) : null,
+        isGroup ? this.repository.getGroup(ctx.chat.id) : null
       ]);
       
-      await ctx.replyWithMarkdown(welcomeMessage, welcomeButtons);
-      
-      // Track analytics
-      this.trackEvent('bot_added_to_group', {
-        chatId,
-        chatTitle,
-        memberCount: ctx.chat.members_count
-      });
+      locale = this.i18n.resolve(
+        user && user.preferences && user.preferences.language,
+        group && group.language,
+        from.language_code
+      );
+    } catch (error) {
+      // Replies, including error replies, must not fail because storage is down
+      console.error('Error resolving locale:', error);
+      locale = this.i18n.resolve(from.language_code);
     }
+    
+    if (ctx.state) {
+      ctx.state.locale = locale;
+    }
+    
+    return locale;
   }
 
   /**
-   * Generate a unique session ID
+   * Resolve the language for messages sent to a user outside an update
    * @param {number} userId - User ID
-   * @param {string} gameId - Game ID
-   * @returns {string} Unique session ID
+   * @param {string} languageCode - Language reported by Telegram, if known
+   * @returns {Promise<string>} Language code
    */
-  generateSessionId(userId, gameId) {
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 8);
-    return `${userId}_${gameId}_${timestamp}_${randomString}`;
+  async getUserLocale(userId, languageCode) {
+    const user = await this.repository.getUser(userId);
+    
+    return this.i18n.resolve(
+      user && user.preferences && user.preferences.language,
+      languageCode,
+      user && user.languageCode
+    );
   }
 
   /**
-   * Generate a challenge ID
-   * @param {number} userId - User ID
-   * @param {string} gameId - Game ID
-   * @returns {string} Challenge ID
+   * Resolve the language for messages posted to a group outside an update
+   * @param {number} chatId - Group chat ID
+   * @returns {Promise<string>} Language code
+   */
+  async getChatLocale(chatId) {
+    const group = await this.repository.getGroup(chatId);
+    return this.i18n.resolve(group && group.language);
+  }
+
+  /**
+   * Reply with a localized error message
+   * @param {Object} ctx - Telegram context
+   * @param {string} name - Error name under the 'errors' locale keys
    */
-  generateChallengeId(userId, gameId) {
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 6);
-    return `${userId}_${gameId}_${timestamp}_${randomString}`;
+  async replyWithError(ctx, name) {
+    await ctx.reply(this.t(await this.getLocale(ctx), `errors.${name}`));
   }
 
   /**
@@ -838,3 +3465,239 @@ Get started by using /newgame command!
    * @param {Object} userData - User data from Telegram
    */
   async ensureUserRegistered(userId, userData) {
+    return this.repository.registerUser(userId, {
+      username: userData.username || userData.first_name,
+      firstName: userData.first_name,
+      lastName: userData.last_name,
+      languageCode: userData.language_code
+    });
+  }
+
+  /**
+   * Get a user's profile
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Profile data or null if not registered
+   */
+  async getUserProfile(userId) {
+    const user = await this.repository.getUser(userId);
+    
+    if (!user) {
+      return null;
+    }
+    
+    return {
+      ...user,
+      currentStreak: this.quests.getCurrentStreak(user),
+      totalAchievements: this.achievements.total
+    };
+  }
+
+  /**
+   * Get leaderboard entries
+   * @param {Object} options - Leaderboard options (gameId, chatId, limit)
+   * @returns {Promise<Array>} Leaderboard entries
+   */
+  async getLeaderboard(options) {
+    return this.repository.getLeaderboard({ limit: 10, ...options });
+  }
+
+  /**
+   * Get a user's ranking
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID (optional)
+   * @param {Object} options - Ranking options (period, userIds)
+   * @returns {Promise<Object|null>} Ranking data or null if unranked
+   */
+  async getUserRanking(userId, gameId, options = {}) {
+    return this.repository.getUserRanking(userId, gameId || null, options);
+  }
+
+  /**
+   * Get the users on a player's friends leaderboard, including the player
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async getFriendIds(userId) {
+    const user = await this.repository.getUser(userId);
+    return [userId, ...((user && user.friends) || [])];
+  }
+
+  /**
+   * Save a game score
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} score - Final score
+   * @param {Object} gameStats - Game specific statistics
+   * @param {Object} context - Additional score context (chatId, playedAt)
+   * @returns {Promise<Object>} Save result
+   */
+  async saveGameScore(userId, gameId, score, gameStats, context = {}) {
+    return this.repository.saveScore({
+      userId,
+      gameId,
+      score,
+      gameStats,
+      chatId: context.chatId,
+      playedAt: context.playedAt
+    });
+  }
+
+  /**
+   * Check if the most recently saved score is a personal best
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} score - Score to check
+   * @returns {Promise<boolean>} Whether the score is a personal best
+   */
+  async isPersonalBest(userId, gameId, score) {
+    const user = await this.repository.getUser(userId);
+    const stats = user && user.gameStats[gameId];
+    
+    return Boolean(stats && stats.lastScore === score && stats.lastScoreWasBest);
+  }
+
+  /**
+   * Update a user's coin balance through the ledger
+   * @param {number} userId - User ID
+   * @param {number} amount - Amount to add, negative to subtract
+   * @param {string} reason - One of COIN_REASONS
+   * @param {Object} options - Ledger options (idempotencyKey, metadata)
+   * @returns {Promise<Object>} { transaction, balance, duplicate } or { error, balance }
+   */
+  async updateUserCoins(userId, amount, reason, options = {}) {
+    return this.wallet.apply(userId, amount, reason, options);
+  }
+
+  /**
+   * Save group chat info
+   * @param {number} chatId - Chat ID
+   * @param {string} chatTitle - Chat title
+   */
+  async saveGroupInfo(chatId, chatTitle) {
+    await this.repository.saveGroup(chatId, { title: chatTitle });
+  }
+
+  /**
+   * Get a user's daily quests
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Daily quests
+   */
+  async getUserDailyQuests(userId) {
+    return this.quests.getQuests(userId);
+  }
+
+  /**
+   * Update daily quest progress after a game
+   * @param {number} userId - User ID
+   * @param {Object} progress - Game result (gameId, score, gameStats)
+   */
+  async updateQuestProgress(userId, progress) {
+    await this.quests.recordGame(userId, progress);
+    
+    // Tomorrow's quest and streak reminders, dropped if the user plays first
+    await this.notifications.scheduleDailyReminders(userId);
+  }
+
+  /**
+   * Get quests whose progress changed with the last game
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Updated quests
+   */
+  async getUpdatedQuests(userId) {
+    return this.quests.getUpdatedQuests(userId);
+  }
+
+  /**
+   * Mark quests as claimed and credit their rewards atomically
+   * @param {number} userId - User ID
+   * @param {Array<string>} questIds - IDs of the claimed quests
+   * @returns {Promise<number>} Coins credited
+   */
+  async markQuestsAsClaimed(userId, questIds) {
+    return this.quests.claim(userId, questIds);
+  }
+
+  /**
+   * Check for achievements unlocked by a game
+   * @param {number} userId - User ID
+   * @param {string} gameId - Game ID
+   * @param {number} score - Final score
+   * @param {Object} gameStats - Game specific statistics
+   * @returns {Promise<Array>} Unlocked achievements
+   */
+  async checkForUnlockedAchievements(userId, gameId, score, gameStats) {
+    return this.achievements.evaluate(userId, { gameId, score, gameStats });
+  }
+
+  /**
+   * Track a user action for analytics
+   * @param {number} userId - User ID
+   * @param {string} action - Action name
+   * @param {Object} data - Action data
+   */
+  trackUserAction(userId, action, data) {
+    this.analytics.track(action, userId, data);
+  }
+
+  /**
+   * Track the games shown to a user in ranked order with the reason for each
+   * @param {number} userId - User ID
+   * @param {string} surface - Where the games were shown ('newgame' or 'inline')
+   * @param {Array} games - Entries of { gameId, reason }
+   */
+  trackRecommendations(userId, surface, games) {
+    if (games.length === 0) {
+      return;
+    }
+    
+    this.trackUserAction(userId, 'recommendations_shown', {
+      surface,
+      games: games.map(({ gameId, reason }, index) => ({ gameId, rank: index + 1, reason }))
+    });
+  }
+
+  /**
+   * Track a platform event for analytics
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  trackEvent(event, data) {
+    this.analytics.track(event, null, data);
+  }
+}
+
+/**
+ * Escape user-provided text (names, titles) for legacy Markdown messages
+ * @param {string} text - Text
+ * @returns {string} Text with Markdown control characters escaped
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+/**
+ * Format a timestamp for operator output
+ * @param {number} timestamp - Timestamp
+ * @returns {string} UTC date and time (YYYY-MM-DD HH:MM UTC)
+ */
+function formatTimestamp(timestamp) {
+  return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Parse an on/off value from a settings button
+ * @param {string} value - 'on' or 'off'
+ * @returns {boolean|string} Boolean for on/off, the value unchanged otherwise so validation rejects it
+ */
+function parseSwitch(value) {
+  if (value === 'on') {
+    return true;
+  }
+  
+  return value === 'off' ? false : value;
+}
+
+module.exports = {
+  TelegramGameManager,
+  GAME_TYPES
+};
@@ -0,0 +1,424 @@
+/**
+ * Telegram Mini Game App - Multiplayer Server
+ * 
+ * WebSocket endpoint (/ws/rooms) for real-time multiplayer rooms, attached
+ * to the Web App backend's HTTP server. Rooms live in the memory of the
+ * instance that created them, so deployments with several instances need
+ * sticky routing by room.
+ * 
+ * Protocol (JSON messages):
+ *   client -> server: join { initData, roomId, role: 'player'|'spectator' },
+ *                     ready { ready }, input { input }, leave
+ *   server -> client: joined, lobby, started, resync (room snapshots),
+ *                     tick { tick, inputs, state }, finished { results }, error { error }
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyInitData } = require('../security/initData');
+const { GameRoom, ROOM_STATUS } = require('../services/gameRoom');
+
+const WEBSOCKET_PATH = '/ws/rooms';
+const AUTH_TIMEOUT = 10 * 1000; // 10 seconds
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+const IDLE_ROOM_TTL = 30 * 60 * 1000; // 30 minutes
+const STUCK_ROOM_GRACE = 5 * 60 * 1000; // 5 minutes past the game duration
+const MAX_MESSAGE_SIZE = 16 * 1024; // 16 KB
+
+class MultiplayerServer {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Server options
+   * @param {string} options.botToken - Bot token used to verify initData
+   * @param {Object} [options.reducers] - Game reducers keyed by game ID
+   * @param {number} [options.reconnectGrace] - How long a disconnected player keeps their seat, in milliseconds
+   */
+  constructor(manager, options) {
+    this.manager = manager;
+    this.botToken = options.botToken;
+    this.reducers = options.reducers || {};
+    this.reconnectGrace = options.reconnectGrace;
+    this.rooms = new Map();
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Accept WebSocket upgrades through the Web App backend
+   * @param {Object} webAppServer - Web App backend
+   */
+  attach(webAppServer) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+    this.wss.on('connection', ws => this.handleConnection(ws));
+    
+    webAppServer.addUpgradeRoute(WEBSOCKET_PATH, (req, socket, head) => {
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+    });
+    
+    // Terminate connections that stopped answering pings
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Close every connection and stop all rooms
+   */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.rooms.forEach(room => clearInterval(room.timer));
+    
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+  }
+
+  /**
+   * Create a room for a multiplayer game
+   * @param {number} chatId - Group chat the room is created from
+   * @param {string} gameId - Game ID
+   * @param {number} hostId - User ID of the creator
+   * @returns {GameRoom} New room
+   */
+  createRoom(chatId, gameId, hostId) {
+    const room = new GameRoom({
+      id: crypto.randomBytes(6).toString('base64url'),
+      gameId,
+      game: this.manager.games[gameId],
+      chatId,
+      hostId,
+      reducer: this.reducers[gameId],
+      reconnectGrace: this.reconnectGrace,
+      send: (message, connections) => this.send(message, connections),
+      onStart: startedRoom => this.handleRoomStart(startedRoom),
+      onFinish: (finishedRoom, results) => this.handleRoomFinish(finishedRoom, results)
+    });
+    
+    this.rooms.set(room.id, room);
+    return room;
+  }
+
+  /**
+   * Get a room
+   * @param {string} roomId - Room ID
+   * @returns {GameRoom|undefined} Room
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Remove finished rooms, lobbies nobody is using and games stuck running
+   */
+  sweepRooms() {
+    const now = Date.now();
+    
+    this.rooms.forEach((room, roomId) => {
+      const idle = room.status === ROOM_STATUS.LOBBY && room.isEmpty() && now - room.createdAt > IDLE_ROOM_TTL;
+      
+      // A running game ends itself at its duration, unless its tick loop is gone
+      if (room.status === ROOM_STATUS.RUNNING && now - room.startedAt > room.duration + STUCK_ROOM_GRACE) {
+        room.abort();
+        room.getConnections().forEach(ws => ws.close(1011, 'Game stopped'));
+        this.rooms.delete(roomId);
+        return;
+      }
+      
+      if (idle || (room.status === ROOM_STATUS.FINISHED && room.isEmpty())) {
+        this.rooms.delete(roomId);
+      }
+    });
+  }
+
+  /**
+   * Set up a new WebSocket connection; the first message must be a join
+   * @param {Object} ws - WebSocket connection
+   */
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    
+    const authTimer = setTimeout(() => {
+      if (!ws.room) {
+        ws.close(4001, 'Join timeout');
+      }
+    }, AUTH_TIMEOUT);
+    
+    ws.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString('utf8'));
+      } catch (error) {
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+        return;
+      }
+      
+      // Valid JSON can still be null, a number or a string
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+        return;
+      }
+      
+      // A throw in a socket listener would take down the whole process
+      try {
+        this.handleMessage(ws, message);
+      } catch (error) {
+        console.error('Error handling multiplayer message:', error);
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+      }
+    });
+    
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      
+      if (ws.room) {
+        ws.room.handleDisconnect(ws);
+      }
+    });
+  }
+
+  /**
+   * Route a client message
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(ws, message) {
+    if (message.type === 'join') {
+      this.handleJoin(ws, message).catch(error => {
+        console.error('Error joining room:', error);
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+      });
+      return;
+    }
+    
+    if (!ws.room || ws.role !== 'player') {
+      this.send({ type: 'error', error: 'Join a room as a player first' }, [ws]);
+      return;
+    }
+    
+    if (message.type === 'ready') {
+      ws.room.setReady(ws.user.id, message.ready);
+    } else if (message.type === 'input') {
+      ws.room.queueInput(ws.user.id, message.input);
+    } else if (message.type === 'leave') {
+      ws.close(1000, 'Left room');
+    }
+  }
+
+  /**
+   * Authenticate a connection and add it to a room
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} message - Join message (initData, roomId, role)
+   */
+  async handleJoin(ws, message) {
+    if (ws.room || ws.joining) {
+      this.send({ type: 'error', error: 'Already joined' }, [ws]);
+      return;
+    }
+    
+    const auth = verifyInitData(message.initData, this.botToken);
+    
+    if (!auth || !auth.user) {
+      ws.close(4003, 'Invalid init data');
+      return;
+    }
+    
+    const room = this.rooms.get(message.roomId);
+    
+    if (!room || room.status === ROOM_STATUS.FINISHED) {
+      this.send({ type: 'error', error: 'Room not found' }, [ws]);
+      return;
+    }
+    
+    const role = message.role === 'spectator' ? 'spectator' : 'player';
+    
+    if (role === 'player') {
+      let error;
+      ws.joining = true;
+      
+      try {
+        error = await this.checkPlayer(auth.user, room.gameId);
+      } finally {
+        ws.joining = false;
+      }
+      
+      if (error) {
+        this.sendLocalizedError(ws, auth.user, error);
+        return;
+      }
+      
+      // The connection may have closed while the player was being checked
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+    }
+    
+    const result = role === 'spectator' ? room.addSpectator(ws) : room.addPlayer(auth.user, ws);
+    
+    if (result.error) {
+      this.sendLocalizedError(ws, auth.user, result.error);
+      return;
+    }
+    
+    ws.room = room;
+    ws.role = role;
+    ws.user = auth.user;
+  }
+
+  /**
+   * Check that a user may play a room's game, as for any other game session
+   * @param {Object} user - Verified Telegram user
+   * @param {string} gameId - Game ID
+   * @returns {Promise<string|null>} Locale key of the reason they can't, or null
+   */
+  async checkPlayer(user, gameId) {
+    const record = await this.manager.repository.getUser(user.id);
+    
+    if (record && record.banned) {
+      return 'errors.banned';
+    }
+    
+    if (!this.manager.isGameAvailable(gameId, record)) {
+      return 'game.unavailable';
+    }
+    
+    if (!this.manager.shop.canPlay(record, this.manager.games[gameId])) {
+      return 'shop.locked';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Send a room error in the user's language
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} user - Verified Telegram user
+   * @param {string} key - Locale key of the error
+   */
+  async sendLocalizedError(ws, user, key) {
+    let locale;
+    
+    try {
+      locale = await this.manager.getUserLocale(user.id, user.language_code);
+    } catch (error) {
+      console.error('Error resolving locale:', error);
+      locale = user.language_code;
+    }
+    
+    this.send({ type: 'error', error: this.manager.t(locale, key) }, [ws]);
+  }
+
+  /**
+   * Open a game session per player when a room starts
+   * @param {GameRoom} room - Started room
+   */
+  async handleRoomStart(room) {
+    for (const player of room.players.values()) {
+      // Personal results go to the player's private chat
+      const { sessionToken } = await this.manager.createGameSession(player.userId, room.gameId, player.userId, {
+        roomId: room.id
+      });
+      player.sessionToken = sessionToken;
+    }
+    
+    this.manager.trackEvent('room_started', {
+      roomId: room.id,
+      gameId: room.gameId,
+      players: room.players.size
+    });
+  }
+
+  /**
+   * Record every player's result through the regular completion path
+   * and post the standings to the group
+   * @param {GameRoom} room - Finished room
+   * @param {Array} results - Results sorted by placement
+   */
+  async handleRoomFinish(room, results) {
+    for (const result of results) {
+      const player = room.players.get(result.userId);
+      const ctx = this.manager.createChatContext(result.userId, player.user);
+      
+      // Players who joined from a group may never have started the bot, so their
+      // private reply can fail; that must not cost the other players their scores
+      try {
+        await this.manager.handleGameCompletion(ctx, result.userId, {
+          sessionToken: player.sessionToken,
+          score: result.score,
+          gameStats: {
+            roomId: room.id,
+            placement: result.placement,
+            players: results.length
+          }
+        });
+      } catch (error) {
+        console.error(`Error recording room result for user ${result.userId}:`, error);
+      }
+    }
+    
+    try {
+      // Players of a room show up on each other's friends leaderboard
+      if (results.length > 1) {
+        await this.manager.repository.addFriends(results.map(result => result.userId));
+      }
+      
+      const winner = results[0];
+      if (results.length > 1 && winner.score > results[1].score) {
+        await this.manager.repository.recordVictory(winner.userId);
+      }
+    } catch (error) {
+      console.error('Error recording room victory:', error);
+    }
+    
+    const game = this.manager.games[room.gameId];
+    
+    try {
+      const locale = await this.manager.getChatLocale(room.chatId);
+      let standings = `${this.manager.t(locale, 'room.results', { game: game.name })}\n\n`;
+      results.forEach(result => {
+        const medal = result.placement === 1 ? '🥇' : result.placement === 2 ? '🥈' : result.placement === 3 ? '🥉' : `${result.placement}.`;
+        const line = this.manager.t(locale, 'room.result_line', { medal, name: result.username, count: result.score });
+        standings += `${line}${result.abandoned ? ` ${this.manager.t(locale, 'room.result_left')}` : ''}\n`;
+      });
+      
+      await this.manager.bot.telegram.sendMessage(room.chatId, standings);
+    } catch (error) {
+      console.error('Error posting room results:', error);
+    }
+    
+    this.manager.trackEvent('room_finished', {
+      roomId: room.id,
+      gameId: room.gameId,
+      players: results.length
+    });
+  }
+
+  /**
+   * Send a message to connections that are still open
+   * @param {Object} message - Message
+   * @param {Array} connections - WebSocket connections
+   */
+  send(message, connections) {
+    const payload = JSON.stringify(message);
+    
+    connections.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
+      }
+    });
+  }
+}
+
+module.exports = { MultiplayerServer };
@@ -0,0 +1,370 @@
+/**
+ * Telegram Mini Game App - Spectator Server
+ * 
+ * WebSocket endpoint (/ws/watch) for watching solo games live, attached
+ * to the Web App backend's HTTP server. The player's client streams state
+ * snapshots with its signed session token; spectators join with initData.
+ * Channels live in the memory of the instance that opened them, so
+ * deployments with several instances need sticky routing by watch ID.
+ * 
+ * Protocol (JSON messages):
+ *   player -> server:    stream { sessionToken }, snapshot { state }, leave
+ *   spectator -> server: watch { initData, watchId }, react { reaction }, leave
+ *   server -> client:    streaming, watching (channel info and latest state),
+ *                        snapshot { state, at }, viewers { viewers },
+ *                        reaction { reaction }, ended { score }, error { error }
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyInitData } = require('../security/initData');
+const { SpectatorChannel, CHANNEL_STATUS } = require('../services/spectatorChannel');
+
+const WEBSOCKET_PATH = '/ws/watch';
+const AUTH_TIMEOUT = 10 * 1000; // 10 seconds
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+const IDLE_CHANNEL_TTL = 30 * 60 * 1000; // 30 minutes without snapshots
+const ENDED_CHANNEL_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_MESSAGE_SIZE = 16 * 1024; // 16 KB
+
+class SpectatorServer {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Server options
+   * @param {string} options.botToken - Bot token used to verify initData
+   * @param {number} [options.snapshotInterval] - Minimum time between relayed snapshots, in milliseconds
+   * @param {number} [options.reactionInterval] - Minimum time between one spectator's reactions, in milliseconds
+   */
+  constructor(manager, options) {
+    this.manager = manager;
+    this.botToken = options.botToken;
+    this.snapshotInterval = options.snapshotInterval;
+    this.reactionInterval = options.reactionInterval;
+    this.channels = new Map();
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Accept WebSocket upgrades through the Web App backend
+   * @param {Object} webAppServer - Web App backend
+   */
+  attach(webAppServer) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+    this.wss.on('connection', ws => this.handleConnection(ws));
+    
+    webAppServer.addUpgradeRoute(WEBSOCKET_PATH, (req, socket, head) => {
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+    });
+    
+    // Terminate connections that stopped answering pings
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Close every connection and stop all channels
+   */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.channels.forEach(channel => clearTimeout(channel.timer));
+    
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+  }
+
+  /**
+   * Generate an ID for a new watch link
+   * @returns {string} Watch ID
+   */
+  generateWatchId() {
+    return crypto.randomBytes(6).toString('base64url');
+  }
+
+  /**
+   * Open a channel for a game session
+   * @param {string} watchId - Watch ID stored with the session
+   * @param {Object} session - Session fields (sessionId, userId, gameId, chatId, player)
+   * @returns {SpectatorChannel} New channel
+   */
+  openChannel(watchId, session) {
+    const channel = new SpectatorChannel({
+      id: watchId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      player: session.player,
+      gameId: session.gameId,
+      chatId: session.chatId,
+      snapshotInterval: this.snapshotInterval,
+      reactionInterval: this.reactionInterval,
+      send: (message, connections) => this.send(message, connections)
+    });
+    
+    this.channels.set(watchId, channel);
+    return channel;
+  }
+
+  /**
+   * Get a channel
+   * @param {string} watchId - Watch ID
+   * @returns {SpectatorChannel|undefined} Channel
+   */
+  getChannel(watchId) {
+    return this.channels.get(watchId);
+  }
+
+  /**
+   * End a channel and report how it was watched
+   * @param {string} watchId - Watch ID
+   * @param {number|null} score - Recorded final score, null if none was recorded
+   */
+  endChannel(watchId, score) {
+    const channel = this.channels.get(watchId);
+    
+    if (!channel || channel.status === CHANNEL_STATUS.ENDED) {
+      return;
+    }
+    
+    channel.end(score);
+    
+    this.manager.trackUserAction(channel.userId, 'spectate_ended', {
+      gameId: channel.gameId,
+      viewers: channel.peakViewers,
+      reactions: channel.reactions
+    });
+  }
+
+  /**
+   * End a player's live channels, e.g. after they stopped allowing spectators
+   * @param {number} userId - User ID
+   */
+  endUserChannels(userId) {
+    this.channels.forEach((channel, watchId) => {
+      if (channel.userId === userId) {
+        this.endChannel(watchId, null);
+      }
+    });
+  }
+
+  /**
+   * End channels whose player went quiet and remove ended ones
+   */
+  sweepChannels() {
+    const now = Date.now();
+    
+    this.channels.forEach((channel, watchId) => {
+      if (channel.status === CHANNEL_STATUS.LIVE && now - channel.updatedAt > IDLE_CHANNEL_TTL) {
+        this.endChannel(watchId, null);
+      }
+      
+      if (channel.status === CHANNEL_STATUS.ENDED && (channel.isEmpty() || now - channel.updatedAt > ENDED_CHANNEL_TTL)) {
+        Array.from(channel.spectators.keys()).concat(channel.playerConnection || []).forEach(ws => {
+          ws.close(1000, 'Game ended');
+        });
+        this.channels.delete(watchId);
+      }
+    });
+  }
+
+  /**
+   * Set up a new WebSocket connection; the first message must be a stream or watch
+   * @param {Object} ws - WebSocket connection
+   */
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    
+    const authTimer = setTimeout(() => {
+      if (!ws.channel) {
+        ws.close(4001, 'Join timeout');
+      }
+    }, AUTH_TIMEOUT);
+    
+    ws.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString('utf8'));
+      } catch (error) {
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+        return;
+      }
+      
+      // Valid JSON can still be null, a number or a string
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+        return;
+      }
+      
+      // A throw in a socket listener would take down the whole process
+      try {
+        this.handleMessage(ws, message);
+      } catch (error) {
+        console.error('Error handling spectator message:', error);
+        this.send({ type: 'error', error: 'Invalid message' }, [ws]);
+      }
+    });
+    
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      
+      if (ws.channel) {
+        ws.channel.handleDisconnect(ws);
+      }
+    });
+  }
+
+  /**
+   * Route a client message
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(ws, message) {
+    if (message.type === 'stream') {
+      this.handleStream(ws, message);
+      return;
+    }
+    
+    if (message.type === 'watch') {
+      this.handleWatch(ws, message);
+      return;
+    }
+    
+    if (!ws.channel) {
+      this.send({ type: 'error', error: 'Start streaming or watching first' }, [ws]);
+      return;
+    }
+    
+    if (message.type === 'snapshot' && ws.role === 'player') {
+      ws.channel.publish(message.state);
+    } else if (message.type === 'react' && ws.role === 'spectator') {
+      ws.channel.react(ws, message.reaction);
+    } else if (message.type === 'leave') {
+      ws.close(1000, 'Left channel');
+    }
+  }
+
+  /**
+   * Authenticate the player's client by its session token and attach it
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} message - Stream message (sessionToken)
+   */
+  handleStream(ws, message) {
+    if (ws.channel) {
+      this.send({ type: 'error', error: 'Already joined' }, [ws]);
+      return;
+    }
+    
+    const claims = this.manager.sessionTokens.verify(message.sessionToken);
+    
+    if (!claims) {
+      ws.close(4003, 'Invalid session token');
+      return;
+    }
+    
+    const channel = Array.from(this.channels.values()).find(entry => entry.sessionId === claims.sessionId);
+    
+    if (!channel || channel.userId !== claims.userId) {
+      this.sendLocalizedError(ws, { id: claims.userId }, 'spectate.not_watched');
+      return;
+    }
+    
+    const result = channel.attachPlayer(ws);
+    
+    if (result.error) {
+      this.sendLocalizedError(ws, { id: claims.userId }, result.error);
+      return;
+    }
+    
+    ws.channel = channel;
+    ws.role = 'player';
+  }
+
+  /**
+   * Authenticate a spectator and add them to a channel
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} message - Watch message (initData, watchId)
+   */
+  handleWatch(ws, message) {
+    if (ws.channel) {
+      this.send({ type: 'error', error: 'Already joined' }, [ws]);
+      return;
+    }
+    
+    const auth = verifyInitData(message.initData, this.botToken);
+    
+    if (!auth || !auth.user) {
+      ws.close(4003, 'Invalid init data');
+      return;
+    }
+    
+    const channel = this.channels.get(message.watchId);
+    
+    // Channels are removed a while after their game ends
+    if (!channel) {
+      this.sendLocalizedError(ws, auth.user, 'spectate.ended');
+      return;
+    }
+    
+    const result = channel.addSpectator(ws, auth.user);
+    
+    if (result.error) {
+      this.sendLocalizedError(ws, auth.user, result.error);
+      return;
+    }
+    
+    ws.channel = channel;
+    ws.role = 'spectator';
+    
+    this.manager.trackUserAction(auth.user.id, 'spectator_joined', { gameId: channel.gameId });
+  }
+
+  /**
+   * Send a channel error in the user's language
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} user - Telegram user, or { id } for a player known by session token
+   * @param {string} key - Locale key of the error
+   */
+  async sendLocalizedError(ws, user, key) {
+    let locale;
+    
+    try {
+      locale = await this.manager.getUserLocale(user.id, user.language_code);
+    } catch (error) {
+      console.error('Error resolving locale:', error);
+      locale = user.language_code;
+    }
+    
+    this.send({ type: 'error', error: this.manager.t(locale, key) }, [ws]);
+  }
+
+  /**
+   * Send a message to connections that are still open
+   * @param {Object} message - Message
+   * @param {Array} connections - WebSocket connections
+   */
+  send(message, connections) {
+    const payload = JSON.stringify(message);
+    
+    connections.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
+      }
+    });
+  }
+}
+
+module.exports = { SpectatorServer };
@@ -0,0 +1,379 @@
+/**
+ * Telegram Mini Game App - Web App Backend
+ * 
+ * HTTP endpoints called by the game Web App. Every request must carry
+ * Telegram's initData in an `Authorization: tma <initData>` header, which
+ * is verified against the bot token before anything else is looked at.
+ * HTML5 games launched from a Telegram game message run outside the Web
+ * App and have no initData; their endpoints are authenticated by the
+ * signed session token in the request body instead.
+ */
+
+const http = require('http');
+const { verifyInitData } = require('../security/initData');
+
+const MAX_BODY_SIZE = 64 * 1024; // 64 KB
+
+class WebAppServer {
+  /**
+   * @param {Object} manager - TelegramGameManager instance
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.botToken - Bot token used to verify initData
+   * @param {string} [options.allowedOrigin] - Origin allowed by CORS
+   */
+  constructor(manager, options) {
+    this.manager = manager;
+    this.port = options.port;
+    this.botToken = options.botToken;
+    this.allowedOrigin = options.allowedOrigin || '*';
+    this.server = null;
+    
+    // Routes, keyed by "<METHOD> <path>"
+    this.routes = {
+      'POST /api/auth': (user) => this.handleAuth(user),
+      'POST /api/game/complete': (user, body) => this.handleGameComplete(user, body),
+      'POST /api/game/skill': (user, body) => this.handleGameSkill(user, body),
+      'POST /api/settings': (user, body) => this.handleGetSettings(user, body),
+      'POST /api/settings/update': (user, body) => this.handleUpdateSettings(user, body),
+      'POST /api/offline/tokens': (user, body) => this.handleOfflineTokens(user, body),
+      'POST /api/offline/sync': (user, body) => this.handleOfflineSync(user, body)
+    };
+    
+    // Routes authenticated by the session token in the body, keyed like routes
+    this.sessionRoutes = {
+      'POST /api/game/score': (body) => this.handleGameScore(body)
+    };
+    
+    // WebSocket endpoints, keyed by path; called with (req, socket, head)
+    this.upgradeRoutes = {};
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('Error handling Web App request:', error);
+        this.sendJson(res, 500, { error: 'Internal server error' });
+      });
+    });
+    
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    
+    return new Promise(resolve => this.server.listen(this.port, resolve));
+  }
+
+  /**
+   * Register a WebSocket endpoint
+   * @param {string} path - Request path
+   * @param {Function} handler - Called with (req, socket, head) for upgrades on the path
+   */
+  addUpgradeRoute(path, handler) {
+    this.upgradeRoutes[path] = handler;
+  }
+
+  /**
+   * Hand a WebSocket upgrade to the endpoint registered for its path
+   * @param {Object} req - HTTP request
+   * @param {Object} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  handleUpgrade(req, socket, head) {
+    const route = this.upgradeRoutes[new URL(req.url, 'http://localhost').pathname];
+    
+    if (!route) {
+      socket.destroy();
+      return;
+    }
+    
+    route(req, socket, head);
+  }
+
+  /**
+   * Stop listening for requests
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Authenticate and route a request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', this.allowedOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const route = this.routes[`${req.method} ${path}`];
+    const sessionRoute = this.sessionRoutes[`${req.method} ${path}`];
+    
+    if (sessionRoute) {
+      await this.handleSessionRequest(sessionRoute, req, res);
+      return;
+    }
+    
+    if (!route) {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    
+    const authorization = req.headers.authorization || '';
+    const initData = authorization.startsWith('tma ') ? authorization.slice(4) : '';
+    const auth = verifyInitData(initData, this.botToken);
+    
+    if (!auth || !auth.user) {
+      this.sendJson(res, 401, { error: 'Invalid init data' });
+      return;
+    }
+    
+    let body;
+    try {
+      body = await this.readJsonBody(req);
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message });
+      return;
+    }
+    
+    const { status, data } = await route(auth.user, body, req);
+    this.sendJson(res, status, data);
+  }
+
+  /**
+   * Route a request whose body carries a signed session token
+   * @param {Function} route - Route handler
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async handleSessionRequest(route, req, res) {
+    let body;
+    try {
+      body = await this.readJsonBody(req);
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message });
+      return;
+    }
+    
+    if (typeof body.sessionToken !== 'string') {
+      this.sendJson(res, 401, { error: 'Missing session token' });
+      return;
+    }
+    
+    const { status, data } = await route(body, req);
+    this.sendJson(res, status, data);
+  }
+
+  /**
+   * Return the verified Telegram user
+   * @param {Object} user - Verified Telegram user
+   * @returns {Object} Route result
+   */
+  async handleAuth(user) {
+    await this.manager.ensureUserRegistered(user.id, user);
+    return { status: 200, data: { user } };
+  }
+
+  /**
+   * Submit a game completion
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Completion data (sessionToken, score, gameStats)
+   * @returns {Object} Route result
+   */
+  async handleGameComplete(user, body) {
+    const result = await this.manager.handleWebAppCompletion(user, body);
+    
+    if (result.error) {
+      return { status: 403, data: { error: result.error } };
+    }
+    
+    return { status: 200, data: { ok: true } };
+  }
+
+  /**
+   * Return the user's skill rating and recommended difficulty in a game
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Request data (gameId)
+   * @returns {Object} Route result
+   */
+  async handleGameSkill(user, body) {
+    if (!this.manager.games[body.gameId]) {
+      return { status: 404, data: { error: 'Unknown game' } };
+    }
+    
+    const skill = await this.manager.skills.getSkill(user.id, body.gameId);
+    return { status: 200, data: { gameId: body.gameId, ...skill } };
+  }
+
+  /**
+   * Return the user's settings, with the options of one game when asked for
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Request data (optional gameId)
+   * @returns {Object} Route result
+   */
+  async handleGetSettings(user, body) {
+    if (body.gameId && !this.manager.games[body.gameId]) {
+      return { status: 404, data: { error: 'Unknown game' } };
+    }
+    
+    const record = await this.manager.ensureUserRegistered(user.id, user);
+    const settings = this.manager.settings.resolve(record);
+    
+    if (body.gameId) {
+      settings.gameOptions = this.manager.settings.resolveGameOptions(record, body.gameId);
+    }
+    
+    return { status: 200, data: { settings } };
+  }
+
+  /**
+   * Change the user's settings
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Request data (settings)
+   * @returns {Object} Route result
+   */
+  async handleUpdateSettings(user, body) {
+    await this.manager.ensureUserRegistered(user.id, user);
+    const result = await this.manager.settings.update(user.id, body.settings);
+    
+    if (result.error) {
+      const locale = await this.manager.getUserLocale(user.id, user.language_code);
+      return { status: 400, data: { error: this.manager.t(locale, result.error) } };
+    }
+    
+    this.manager.trackUserAction(user.id, 'settings_updated', {
+      source: 'api',
+      settings: Object.keys(body.settings)
+    });
+    
+    return { status: 200, data: { settings: result.settings } };
+  }
+
+  /**
+   * Issue session tokens for playing a game offline
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Request data (gameId, count)
+   * @returns {Object} Route result
+   */
+  async handleOfflineTokens(user, body) {
+    if (!this.manager.games[body.gameId]) {
+      return { status: 404, data: { error: 'Unknown game' } };
+    }
+    
+    await this.manager.ensureUserRegistered(user.id, user);
+    const result = await this.manager.offline.issueTokens(user.id, body.gameId, body.count);
+    
+    if (result.error) {
+      const locale = await this.manager.getUserLocale(user.id, user.language_code);
+      return { status: 403, data: { error: this.manager.t(locale, result.error) } };
+    }
+    
+    return { status: 200, data: result };
+  }
+
+  /**
+   * Submit games played offline
+   * @param {Object} user - Verified Telegram user
+   * @param {Object} body - Request data (completions)
+   * @returns {Object} Route result
+   */
+  async handleOfflineSync(user, body) {
+    const result = await this.manager.offline.sync(user.id, body.completions);
+    const locale = await this.manager.getUserLocale(user.id, user.language_code);
+    
+    if (result.error) {
+      return { status: 400, data: { error: this.manager.t(locale, result.error) } };
+    }
+    
+    // Rejected games carry their reason in the player's language
+    const results = result.results.map(entry => (entry.error
+      ? { ...entry, error: this.manager.t(locale, entry.error) }
+      : entry));
+    
+    return { status: 200, data: { results, gameStats: result.gameStats } };
+  }
+
+  /**
+   * Submit the score of an HTML5 game opened from a Telegram game message
+   * @param {Object} body - Completion data (sessionToken, score, gameStats)
+   * @returns {Object} Route result
+   */
+  async handleGameScore(body) {
+    const result = await this.manager.handleGameMessageCompletion(body);
+    
+    if (result.error) {
+      return { status: 403, data: { error: result.error } };
+    }
+    
+    return { status: 200, data: { ok: true } };
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {Object} req - HTTP request
+   * @returns {Promise<Object>} Parsed body
+   */
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      
+      req.on('end', () => {
+        if (chunks.length === 0) {
+          resolve({});
+          return;
+        }
+        
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new Error('Invalid JSON body'));
+        }
+      });
+      
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {Object} res - HTTP response
+   * @param {number} status - HTTP status code
+   * @param {Object} data - Response body
+   */
+  sendJson(res, status, data) {
+    if (res.headersSent) {
+      return;
+    }
+    
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = { WebAppServer };